@@ -0,0 +1,269 @@
+// backend/js/accounting.js
+// Accounting Module
+// Responsible for the tax and accounting CSV exports: every trade with its fees, and the realized
+// gains of the sells with their cost basis. Both are built from the trades table, so imported
+// historical trades and the bot's own trades are exported alike. The cost basis comes from
+// replaying each symbol's whole history through the lots (see lots.js), so a sell in the
+// requested range is matched against buys from before it.
+
+// Import internal modules
+const db = require('./dbconns');
+const lots = require('./lots');
+
+// The available exports, by the file name of their endpoint
+const REPORTS = ['trades', 'realized-gains'];
+
+// A date without a time, e.g. from an <input type="date">
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse an export date parameter given as milliseconds or a date string (UTC)
+ * @param {string|undefined} value - The parameter
+ * @param {boolean} endOfDay - For a date without a time, use the end of that day
+ * @returns {Date|null} The date, or null if not set
+ */
+function parseDate(value, endOfDay = false) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const text = String(value).trim();
+  const time = /^\d+$/.test(text) ? parseInt(text) : Date.parse(DATE_ONLY.test(text) ? `${text}T00:00:00Z` : text);
+  if (!Number.isFinite(time)) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+
+  // A "to" date includes the whole day
+  return new Date(endOfDay && DATE_ONLY.test(text) ? time + 24 * 60 * 60 * 1000 : time);
+}
+
+/**
+ * Resolve the date range of an export
+ * @param {Object} params - The query parameters
+ * @param {string} params.from - Optional start date (inclusive)
+ * @param {string} params.to - Optional end date (inclusive for a date without a time)
+ * @param {string} params.year - Optional calendar year (UTC) instead of from/to
+ * @returns {Object} { from, to } - Dates or null; "to" is exclusive
+ */
+function resolveRange({ from, to, year } = {}) {
+  if (year !== undefined && year !== '') {
+    const value = parseInt(year);
+    if (!/^\d{4}$/.test(String(year)) || value < 2000) {
+      throw new Error(`Invalid year: ${year}`);
+    }
+    return { from: new Date(Date.UTC(value, 0, 1)), to: new Date(Date.UTC(value + 1, 0, 1)) };
+  }
+
+  const range = { from: parseDate(from), to: parseDate(to, true) };
+  if (range.from && range.to && range.from >= range.to) {
+    throw new Error('The start date must be before the end date');
+  }
+  return range;
+}
+
+/**
+ * Check whether a trade falls in a date range
+ * @param {Object} trade - The trades row (trade_time in UTC, "YYYY-MM-DD HH:MM:SS")
+ * @param {Object} range - { from, to }
+ * @returns {boolean} True if the trade is in the range
+ */
+function isInRange(trade, range) {
+  const time = toUtcDate(trade.trade_time).getTime();
+  return (!range.from || time >= range.from.getTime()) && (!range.to || time < range.to.getTime());
+}
+
+/**
+ * Convert a database timestamp to a Date
+ * The pool returns timestamps as UTC strings without a zone.
+ * @param {string|Date} value - The timestamp
+ * @returns {Date} The date
+ */
+function toUtcDate(value) {
+  if (value instanceof Date) {
+    return value;
+  }
+  return new Date(`${String(value).replace(' ', 'T')}Z`);
+}
+
+/**
+ * Format a timestamp for the CSV: UTC, "YYYY-MM-DD HH:MM:SS"
+ * @param {string|Date|null} value - The timestamp
+ * @returns {string} The formatted time, empty if not set
+ */
+function formatTime(value) {
+  if (!value) {
+    return '';
+  }
+  return toUtcDate(value).toISOString().replace('T', ' ').substring(0, 19);
+}
+
+/**
+ * Format a decimal without exponent notation or trailing zeros
+ * @param {number|string|null} value - The value
+ * @param {number} decimals - The maximum number of decimals
+ * @returns {string} The formatted value, empty if unknown
+ */
+function formatDecimal(value, decimals = 8) {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  const number = parseFloat(value);
+  if (!Number.isFinite(number)) {
+    return '';
+  }
+  return number.toFixed(decimals).replace(/\.?0+$/, '').replace(/^-0$/, '0');
+}
+
+/**
+ * Quote a CSV field if needed (RFC 4180)
+ * Fields starting with a formula character (or a tab or carriage return) are prefixed so spreadsheets don't evaluate them.
+ * @param {*} value - The field value
+ * @returns {string} The CSV field
+ */
+function escapeCsvValue(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+@\t\r]/.test(text) || (/^-/.test(text) && !/^-\d/.test(text))) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document
+ * @param {Array<Array>} columns - [header, value(row)] per column
+ * @param {Array<Object>} rows - The rows
+ * @returns {string} The CSV, with a header line and CRLF line endings
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.map(([header]) => escapeCsvValue(header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(([, value]) => escapeCsvValue(value(row))).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Load the trades of the export's symbols and replay each symbol's history through the lots
+ * @param {string|null} symbol - Optional, a single symbol
+ * @returns {Promise<Array>} The trades, oldest first; sells carry their replayed lot result as "lot"
+ */
+async function loadTrades(symbol) {
+  const trades = await db.getTradesForExport(symbol);
+  const method = lots.getPnlMethod();
+
+  const bySymbol = new Map();
+  for (const trade of trades) {
+    if (!bySymbol.has(trade.symbol)) {
+      bySymbol.set(trade.symbol, []);
+    }
+    bySymbol.get(trade.symbol).push(trade);
+  }
+
+  const sellResults = new Map();
+  for (const symbolTrades of bySymbol.values()) {
+    for (const sell of lots.replayTrades(symbolTrades, method).sells) {
+      sellResults.set(sell.tradeId, sell);
+    }
+  }
+
+  return trades.map(trade => ({ ...trade, method, lot: sellResults.get(trade.id) || null }));
+}
+
+/**
+ * Get the fee of a trade in USDT, empty if unknown
+ * @param {Object} trade - The trades row
+ * @returns {string} The formatted fee
+ */
+function getFeeUsdt(trade) {
+  return formatDecimal(trade.commission_usdt);
+}
+
+// trades.csv - one line per recorded trade
+const TRADE_COLUMNS = [
+  ['time_utc', trade => formatTime(trade.trade_time)],
+  ['symbol', trade => trade.symbol],
+  ['pair', trade => `${trade.symbol}USDT`],
+  ['side', trade => trade.action],
+  ['quantity', trade => formatDecimal(trade.quantity)],
+  ['price_usdt', trade => formatDecimal(trade.price)],
+  ['gross_usdt', trade => formatDecimal(trade.usdt_amount)],
+  ['fee', trade => formatDecimal(trade.commission)],
+  ['fee_asset', trade => trade.commission_asset || ''],
+  ['fee_usdt', getFeeUsdt],
+  ['proceeds_usdt', trade => trade.action === 'sell' ? formatDecimal(lots.getProceeds(trade)) : ''],
+  ['cost_basis_usdt', trade => trade.lot ? formatDecimal(trade.lot.costBasis) : ''],
+  ['realized_pnl_usdt', trade => trade.lot ? formatDecimal(trade.lot.realizedPnl) : ''],
+  ['binance_trade_id', trade => trade.binance_trade_id ? String(trade.binance_trade_id) : ''],
+  ['source', trade => trade.source || ''],
+  ['reason', trade => trade.reason || ''],
+  ['id', trade => String(trade.id)]
+];
+
+// realized-gains.csv - one line per sell
+const GAIN_COLUMNS = [
+  ['sold_utc', trade => formatTime(trade.trade_time)],
+  ['acquired_from_utc', trade => formatTime(trade.lot.acquiredFrom)],
+  ['acquired_to_utc', trade => formatTime(trade.lot.acquiredTo)],
+  ['symbol', trade => trade.symbol],
+  ['quantity', trade => formatDecimal(trade.quantity)],
+  ['quantity_with_cost_basis', trade => formatDecimal(trade.lot.matchedQuantity)],
+  ['gross_proceeds_usdt', trade => formatDecimal(trade.usdt_amount)],
+  ['fee_usdt', getFeeUsdt],
+  ['proceeds_usdt', trade => formatDecimal(lots.getProceeds(trade))],
+  ['cost_basis_usdt', trade => formatDecimal(trade.lot.costBasis)],
+  ['realized_gain_usdt', trade => formatDecimal(trade.lot.realizedPnl)],
+  ['method', trade => trade.method],
+  ['binance_trade_id', trade => trade.binance_trade_id ? String(trade.binance_trade_id) : ''],
+  ['source', trade => trade.source || ''],
+  ['id', trade => String(trade.id)]
+];
+
+/**
+ * Validate the query parameters of an export
+ * @param {Object} params - The query parameters: { symbol, from, to, year }
+ * @returns {Object} { symbol, range } - symbol is null for all pairs
+ * @throws {Error} If the symbol or a date is invalid
+ */
+function parseExportParams(params = {}) {
+  const symbol = params.symbol ? String(params.symbol).trim().toUpperCase().replace(/USDT$/, '') : null;
+  if (symbol && !/^[A-Z0-9]{1,15}$/.test(symbol)) {
+    throw new Error(`Invalid symbol "${params.symbol}"`);
+  }
+
+  return { symbol, range: resolveRange(params) };
+}
+
+/**
+ * Build an export
+ * @param {string} report - 'trades' or 'realized-gains'
+ * @param {Object} options - The validated parameters (see parseExportParams)
+ * @returns {Promise<Object>} { filename, csv, rowCount }
+ */
+async function buildExport(report, { symbol, range }) {
+  if (!REPORTS.includes(report)) {
+    throw new Error(`Unknown export "${report}". Use ${REPORTS.join(', ')}`);
+  }
+
+  const trades = (await loadTrades(symbol)).filter(trade => isInRange(trade, range));
+
+  const rows = report === 'trades'
+    ? trades
+    : trades.filter(trade => trade.action === 'sell');
+  const csv = toCsv(report === 'trades' ? TRADE_COLUMNS : GAIN_COLUMNS, rows);
+
+  const rangeName = [range.from, range.to ? new Date(range.to.getTime() - 1) : null]
+    .map(date => (date ? date.toISOString().substring(0, 10) : 'all'))
+    .join('_');
+  const filename = `${report}_${symbol || 'all'}_${rangeName}.csv`;
+
+  return { filename, csv, rowCount: rows.length };
+}
+
+// Export public API
+module.exports = {
+  REPORTS,
+  resolveRange,
+  parseExportParams,
+  toCsv,
+  buildExport
+};
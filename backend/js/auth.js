@@ -0,0 +1,462 @@
+// backend/js/auth.js
+// Authentication Module
+// Responsible for the dashboard logins: password hashing, the signed session tokens, and the
+// checks that keep the REST API and the Socket.IO events closed to anyone without a token
+// or the needed role.
+// Only Node's crypto is used - passwords are hashed with scrypt and tokens are HS256 JWTs.
+
+const crypto = require('crypto');
+const util = require('util');
+const dotenv = require('dotenv');
+
+// Import internal modules
+const db = require('./dbconns');
+
+// Load environment variables
+dotenv.config({ path: require('path').resolve(__dirname, '../.env') });
+
+// How long a login stays valid
+const TOKEN_TTL_HOURS = parseFloat(process.env.AUTH_TOKEN_TTL_HOURS) || 12; // Default to 12 hours if not set
+
+// Failed logins per username before further attempts are refused for the rest of the window
+const LOGIN_MAX_FAILURES = parseInt(process.env.AUTH_LOGIN_MAX_FAILURES) || 5; // Default to 5 if not set
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+// scrypt cost parameters for new hashes - stored in the hash, so they can be raised later
+const SCRYPT_PARAMS = Object.freeze({ N: 16384, r: 8, p: 1, keyLength: 64 });
+
+// Roles from least to most access: viewers only watch, traders may also buy and sell,
+// admins may also change auto-trading, strategies and trading pairs
+const ROLES = ['viewer', 'trader', 'admin'];
+
+// Usernames: letters, digits and . _ - (stored lowercase)
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,50}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// app_settings key with the generated token secret, used when AUTH_SECRET is not set
+const SECRET_SETTING = 'authTokenSecret';
+
+// scrypt runs in the libuv thread pool, so logins don't block price processing
+const scrypt = util.promisify(crypto.scrypt);
+
+// Module state
+const authState = {
+  secret: process.env.AUTH_SECRET || null,
+  dummyHash: null,         // Checked for unknown usernames, so a login takes as long whether the user exists or not
+  loginFailures: new Map() // username -> { count, since }
+};
+
+/**
+ * Create an error carrying a code for the REST and Socket.IO responses
+ * @param {string} code - 'UNAUTHORIZED', 'FORBIDDEN', 'RATE_LIMITED' or 'UNAVAILABLE'
+ * @param {string} message - The error message
+ * @returns {Error} The error, with code and HTTP status
+ */
+function createAuthError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = { UNAUTHORIZED: 401, FORBIDDEN: 403, RATE_LIMITED: 429, UNAVAILABLE: 503 }[code] || 400;
+  return error;
+}
+
+/**
+ * Normalize and check a username
+ * @param {string} username - The username as entered
+ * @returns {string} The lowercase username
+ */
+function normalizeUsername(username) {
+  const normalized = String(username || '').trim().toLowerCase();
+  if (!USERNAME_PATTERN.test(normalized)) {
+    throw new Error('Usernames are 3-50 letters, digits, dots, underscores or dashes');
+  }
+  return normalized;
+}
+
+/**
+ * Check a role name
+ * @param {string} role - The role
+ * @returns {string} The lowercase role
+ */
+function normalizeRole(role) {
+  const normalized = String(role || '').trim().toLowerCase();
+  if (!ROLES.includes(normalized)) {
+    throw new Error(`Unknown role "${role}". Use ${ROLES.join(', ')}`);
+  }
+  return normalized;
+}
+
+/**
+ * Check whether a user has at least a role
+ * @param {Object} user - The user: { role }
+ * @param {string} role - The required role
+ * @returns {boolean} True if the user's role is the same or higher
+ */
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @param {string} password - The password
+ * @returns {Promise<string>} The hash: scrypt$N$r$p$salt$hash (salt and hash in base64)
+ */
+async function hashPassword(password) {
+  const { N, r, p, keyLength } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, keyLength, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ * @param {string} password - The password as entered
+ * @param {string} storedHash - The hash from hashPassword
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, storedHash) {
+  const parts = String(storedHash || '').split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') {
+    return false;
+  }
+
+  const [, N, r, p, salt, hash] = parts;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, {
+    N: parseInt(N),
+    r: parseInt(r),
+    p: parseInt(p)
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Check a new password against the minimum requirements
+ * @param {string} password - The password
+ */
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+/**
+ * Sign a token payload
+ * @param {string} data - The encoded header and payload
+ * @returns {string} The base64url HMAC-SHA256 signature
+ */
+function sign(data) {
+  return crypto.createHmac('sha256', authState.secret).update(data).digest('base64url');
+}
+
+/**
+ * Issue a session token for a user
+ * @param {Object} user - The user: { id, username, tokenVersion }
+ * @returns {Object} { token, expiresAt } - expiresAt in milliseconds
+ */
+function issueToken(user) {
+  const now = Math.floor(Date.now() / 1000);
+  const exp = now + Math.round(TOKEN_TTL_HOURS * 3600);
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const payload = Buffer.from(JSON.stringify({
+    sub: user.id,
+    name: user.username,
+    ver: user.tokenVersion,
+    iat: now,
+    exp
+  })).toString('base64url');
+
+  return { token: `${header}.${payload}.${sign(`${header}.${payload}`)}`, expiresAt: exp * 1000 };
+}
+
+/**
+ * Check a token's signature and expiry
+ * @param {string} token - The token
+ * @returns {Object} The payload: { sub, name, ver, iat, exp }
+ */
+function verifyToken(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw createAuthError('UNAUTHORIZED', 'Login required');
+  }
+
+  const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`));
+  const actual = Buffer.from(parts[2]);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw createAuthError('UNAUTHORIZED', 'Invalid session token');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    throw createAuthError('UNAUTHORIZED', 'Invalid session token');
+  }
+
+  if (!(payload.exp * 1000 > Date.now())) {
+    throw createAuthError('UNAUTHORIZED', 'Session expired, please log in again');
+  }
+  return payload;
+}
+
+/**
+ * Resolve a token to its user
+ * Tokens of removed users, or issued before the user's last password change, are refused.
+ * @param {string} token - The token
+ * @returns {Promise<Object>} { user: { id, username, role }, expiresAt }
+ */
+async function authenticate(token) {
+  if (!authState.secret) {
+    throw createAuthError('UNAVAILABLE', 'Authentication is not ready yet, try again shortly');
+  }
+
+  const payload = verifyToken(token);
+
+  // A database outage must not look like a revoked session to the dashboard
+  let user;
+  try {
+    user = await db.getUserById(payload.sub);
+  } catch (error) {
+    throw createAuthError('UNAVAILABLE', 'Sessions cannot be checked right now, try again shortly');
+  }
+  if (!user || user.tokenVersion !== payload.ver) {
+    throw createAuthError('UNAUTHORIZED', 'Session is no longer valid, please log in again');
+  }
+
+  return { user: { id: user.id, username: user.username, role: user.role }, expiresAt: payload.exp * 1000 };
+}
+
+/**
+ * Check whether a username has used up its failed logins
+ * @param {string} username - The normalized username
+ * @returns {boolean} True if logins are refused for now
+ */
+function isLoginBlocked(username) {
+  const failures = authState.loginFailures.get(username);
+  if (!failures) {
+    return false;
+  }
+  if (Date.now() - failures.since > LOGIN_WINDOW_MS) {
+    authState.loginFailures.delete(username);
+    return false;
+  }
+  return failures.count >= LOGIN_MAX_FAILURES;
+}
+
+/**
+ * Count a failed login
+ * @param {string} username - The normalized username
+ */
+function recordLoginFailure(username) {
+  // Forget expired entries now and then, as any name can be tried
+  if (authState.loginFailures.size > 1000) {
+    for (const [name, entry] of authState.loginFailures) {
+      if (Date.now() - entry.since > LOGIN_WINDOW_MS) {
+        authState.loginFailures.delete(name);
+      }
+    }
+  }
+
+  const failures = authState.loginFailures.get(username);
+  if (failures && Date.now() - failures.since <= LOGIN_WINDOW_MS) {
+    failures.count++;
+  } else {
+    authState.loginFailures.set(username, { count: 1, since: Date.now() });
+  }
+}
+
+/**
+ * Log a user in
+ * @param {string} username - The username as entered
+ * @param {string} password - The password as entered
+ * @returns {Promise<Object>} { token, expiresAt, user: { id, username, role } }
+ */
+async function login(username, password) {
+  if (!authState.secret) {
+    throw createAuthError('UNAVAILABLE', 'Authentication is not ready yet, try again shortly');
+  }
+
+  const name = String(username || '').trim().toLowerCase();
+  if (isLoginBlocked(name)) {
+    throw createAuthError('RATE_LIMITED', 'Too many failed logins, try again later');
+  }
+
+  const user = USERNAME_PATTERN.test(name) ? await db.getUserByUsername(name) : null;
+  if (!user && !authState.dummyHash) {
+    authState.dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+  }
+  const valid = await verifyPassword(String(password || ''), user ? user.passwordHash : authState.dummyHash);
+  if (!user || !valid) {
+    recordLoginFailure(name);
+    console.warn(`Failed dashboard login for "${name}"`);
+    throw createAuthError('UNAUTHORIZED', 'Invalid username or password');
+  }
+
+  authState.loginFailures.delete(name);
+  await db.recordUserLogin(user.id);
+  console.log(`User ${user.username} logged in`);
+
+  return { ...issueToken(user), user: { id: user.id, username: user.username, role: user.role } };
+}
+
+/**
+ * Add a dashboard user
+ * @param {string} username - The username
+ * @param {string} password - The password
+ * @param {string} role - 'viewer' (default), 'trader' or 'admin'
+ * @returns {Promise<Object>} { id, username, role }
+ */
+async function createUser(username, password, role = 'viewer') {
+  const name = normalizeUsername(username);
+  const userRole = normalizeRole(role);
+  validatePassword(password);
+
+  if (await db.getUserByUsername(name)) {
+    throw new Error(`User ${name} already exists`);
+  }
+  const id = await db.createUser(name, await hashPassword(password), userRole);
+  return { id, username: name, role: userRole };
+}
+
+/**
+ * Change a user's role - their existing tokens stop working
+ * @param {string} username - The username
+ * @param {string} role - 'viewer', 'trader' or 'admin'
+ * @returns {Promise<string>} The new role
+ */
+async function changeRole(username, role) {
+  const name = normalizeUsername(username);
+  const userRole = normalizeRole(role);
+
+  if (!(await db.setUserRole(name, userRole))) {
+    throw new Error(`User ${name} does not exist`);
+  }
+  return userRole;
+}
+
+/**
+ * Change a user's password - their existing tokens stop working
+ * @param {string} username - The username
+ * @param {string} password - The new password
+ * @returns {Promise<boolean>} Success status
+ */
+async function changePassword(username, password) {
+  const name = normalizeUsername(username);
+  validatePassword(password);
+
+  if (!(await db.setUserPassword(name, await hashPassword(password)))) {
+    throw new Error(`User ${name} does not exist`);
+  }
+  return true;
+}
+
+/**
+ * Load the token secret and create the first user
+ * Without AUTH_SECRET a random secret is generated once and kept in app_settings, so sessions
+ * survive restarts. The first user comes from ADMIN_USERNAME/ADMIN_PASSWORD while there are none.
+ * @returns {Promise<boolean>} True if logins are possible
+ */
+async function initialize() {
+  if (!authState.secret) {
+    let secret = await db.getAppSettings(SECRET_SETTING);
+    if (!secret) {
+      secret = crypto.randomBytes(32).toString('hex');
+      await db.saveAppSettings({ [SECRET_SETTING]: secret });
+      console.log('Generated a new session token secret');
+    }
+    authState.secret = secret;
+  }
+
+  if (await db.countUsers() > 0) {
+    return true;
+  }
+
+  if (process.env.ADMIN_USERNAME && process.env.ADMIN_PASSWORD) {
+    const user = await createUser(process.env.ADMIN_USERNAME, process.env.ADMIN_PASSWORD, 'admin');
+    console.log(`Created dashboard admin ${user.username} from ADMIN_USERNAME`);
+    return true;
+  }
+
+  console.warn('No dashboard users yet - set ADMIN_USERNAME and ADMIN_PASSWORD or run "npm run user -- add <name> --role admin"');
+  return false;
+}
+
+/**
+ * Get the bearer token of a request
+ * @param {Object} req - The Express request
+ * @returns {string|null} The token
+ */
+function getRequestToken(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+}
+
+/**
+ * Express middleware that refuses requests without a valid token
+ * The user is available to the route as req.user.
+ */
+async function requireAuth(req, res, next) {
+  try {
+    const session = await authenticate(getRequestToken(req));
+    req.user = session.user;
+    next();
+  } catch (error) {
+    res.status(error.status || 401).json({ success: false, error: error.message, code: error.code || 'UNAUTHORIZED' });
+  }
+}
+
+/**
+ * Express middleware factory that refuses users below a role (use after requireAuth)
+ * @param {string} role - The required role
+ * @returns {Function} The middleware
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (hasRole(req.user, role)) {
+      return next();
+    }
+    const error = createAuthError('FORBIDDEN', `This needs the ${role} role`);
+    res.status(error.status).json({ success: false, error: error.message, code: error.code, requiredRole: role });
+  };
+}
+
+/**
+ * Socket.IO middleware that refuses connections without a valid token in the handshake auth
+ * The user is available as socket.data.user; the socket is dropped when its token expires.
+ */
+async function socketMiddleware(socket, next) {
+  try {
+    const session = await authenticate(socket.handshake.auth && socket.handshake.auth.token);
+    socket.data.user = session.user;
+
+    // setTimeout can't wait longer than ~24 days
+    const timer = setTimeout(() => {
+      socket.emit('session-expired');
+      socket.disconnect(true);
+    }, Math.min(session.expiresAt - Date.now(), 2147483647));
+    socket.once('disconnect', () => clearTimeout(timer));
+
+    next();
+  } catch (error) {
+    const socketError = new Error(error.code === 'UNAVAILABLE' ? error.message : 'Unauthorized');
+    socketError.data = { code: error.code || 'UNAUTHORIZED', message: error.message };
+    next(socketError);
+  }
+}
+
+// Export public API
+module.exports = {
+  ROLES,
+  initialize,
+  login,
+  authenticate,
+  createUser,
+  changePassword,
+  changeRole,
+  hasRole,
+  normalizeUsername,
+  hashPassword,
+  verifyPassword,
+  requireAuth,
+  requireRole,
+  socketMiddleware
+};
@@ -0,0 +1,523 @@
+// backend/js/backtest.js
+// Backtest Module
+// Responsible for replaying historical klines through a symbol's strategy and
+// reporting how it would have performed (trades, equity curve, drawdown, win rate, return).
+// Backtests requested from the dashboard run in a worker thread (runInWorker), so a long
+// replay doesn't stall price updates and auto-trading on the live server.
+
+const fs = require('fs');
+const path = require('path');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const dotenv = require('dotenv');
+
+// Import internal modules
+const strategyRules = require('./strategy');
+const strategies = require('./strategies');
+
+// Load environment variables
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+// Kline files requested from the dashboard must live in this directory
+const BACKTEST_DATA_DIR = process.env.BACKTEST_DATA_DIR || path.resolve(__dirname, '../data/klines');
+
+// Limits of backtests run from the dashboard
+const BACKTEST_MAX_FILE_MB = parseFloat(process.env.BACKTEST_MAX_FILE_MB || 100);       // Default to 100 MB if not set
+const BACKTEST_TIMEOUT_SECONDS = parseInt(process.env.BACKTEST_TIMEOUT_SECONDS || 300); // Default to 5 minutes if not set
+
+// The worker of the backtest in progress - one at a time, as each one uses a whole CPU core
+let activeWorker = null;
+
+// Simulation defaults
+const BACKTEST_DEFAULTS = Object.freeze({
+  feeRate: parseFloat(process.env.BACKTEST_FEE_RATE || 0.001),          // Default to Binance's 0.1% taker fee
+  slippage: parseFloat(process.env.BACKTEST_SLIPPAGE || 0),             // Fraction of the price lost on each fill (0.0005 = 0.05%)
+  initialBalance: parseFloat(process.env.BACKTEST_INITIAL_BALANCE || 1000), // Starting USDT
+  initialBuy: true,                         // Open a position at the first kline, like "First Purchase" on the dashboard
+  cooldownMs: strategyRules.TRADE_COOLDOWN, // Same cooldown between auto-trades as the live bot
+  maxEquityPoints: 1000                     // The equity curve is thinned to this many points
+});
+
+// Column order of Binance kline arrays (REST /api/v3/klines and data.binance.vision CSV files)
+const KLINE_COLUMNS = ['openTime', 'open', 'high', 'low', 'close', 'volume', 'closeTime'];
+
+/**
+ * Parse a timestamp given as milliseconds or a date string
+ * @param {number|string|null} value - The timestamp
+ * @returns {number|null} Milliseconds since the epoch, or null if not set
+ */
+function parseTime(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const numeric = Number(value);
+  const time = Number.isFinite(numeric) ? numeric : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+
+  return time;
+}
+
+/**
+ * Normalize a timestamp to milliseconds
+ * Newer Binance data dumps use microseconds
+ * @param {number} time - The timestamp in milliseconds or microseconds
+ * @returns {number} The timestamp in milliseconds
+ */
+function toMilliseconds(time) {
+  return time > 1e14 ? Math.floor(time / 1000) : time;
+}
+
+/**
+ * Convert one kline (Binance array or object) to { openTime, open, high, low, close, volume, closeTime }
+ * @param {Array|Object} raw - The kline
+ * @returns {Object|null} The kline, or null if it has no valid close price
+ */
+function normalizeKline(raw) {
+  const source = Array.isArray(raw)
+    ? Object.fromEntries(KLINE_COLUMNS.map((column, index) => [column, raw[index]]))
+    : raw;
+
+  // Objects may use Binance's camelCase names or snake_case CSV headers
+  const pick = (...keys) => keys.map(key => source[key]).find(value => value !== undefined && value !== '');
+  const openTime = Number(pick('openTime', 'open_time', 'time', 'timestamp'));
+  const close = parseFloat(source.close);
+  if (!Number.isFinite(openTime) || !(close > 0)) {
+    return null;
+  }
+
+  const closeTime = Number(pick('closeTime', 'close_time'));
+  return {
+    openTime: toMilliseconds(openTime),
+    open: parseFloat(source.open) || close,
+    high: parseFloat(source.high) || close,
+    low: parseFloat(source.low) || close,
+    close,
+    volume: parseFloat(source.volume) || 0,
+    closeTime: Number.isFinite(closeTime) ? toMilliseconds(closeTime) : toMilliseconds(openTime)
+  };
+}
+
+/**
+ * Parse CSV kline data, with or without a header row
+ * Without a header the columns are in Binance order (open time, open, high, low, close, volume, close time, ...)
+ * @param {string} content - The file content
+ * @returns {Array} The raw klines
+ */
+function parseCsv(content) {
+  const lines = content.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const firstRow = lines[0].split(',').map(cell => cell.trim());
+  const hasHeader = !Number.isFinite(Number(firstRow[0]));
+  if (!hasHeader) {
+    return lines.map(line => line.split(','));
+  }
+
+  return lines.slice(1).map(line => {
+    const cells = line.split(',');
+    return Object.fromEntries(firstRow.map((column, index) => [column, cells[index]]));
+  });
+}
+
+/**
+ * Load klines from a local CSV or JSON file
+ * @param {string} filePath - The file path
+ * @param {Object} range - Optional date range
+ * @param {number|string} range.from - Only klines opening at or after this time
+ * @param {number|string} range.to - Only klines opening at or before this time
+ * @returns {Array} The klines sorted by open time
+ */
+function loadKlines(filePath, { from = null, to = null } = {}) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+
+  let rawKlines;
+  if (extension === '.json') {
+    rawKlines = JSON.parse(content);
+    if (!Array.isArray(rawKlines)) {
+      throw new Error('JSON kline file must contain an array');
+    }
+  } else if (extension === '.csv') {
+    rawKlines = parseCsv(content);
+  } else {
+    throw new Error(`Unsupported kline file type: ${extension || 'none'} (use .csv or .json)`);
+  }
+
+  const fromTime = parseTime(from);
+  const toTime = parseTime(to);
+
+  return rawKlines
+    .map(normalizeKline)
+    .filter(kline => kline !== null)
+    .filter(kline => (fromTime === null || kline.openTime >= fromTime) && (toTime === null || kline.openTime <= toTime))
+    .sort((a, b) => a.openTime - b.openTime);
+}
+
+/**
+ * Resolve a kline file name requested from the dashboard inside BACKTEST_DATA_DIR
+ * @param {string} fileName - The file name
+ * @returns {string} The absolute file path
+ */
+function resolveDataFile(fileName) {
+  const baseName = path.basename(String(fileName || ''));
+  if (!baseName) {
+    throw new Error('No kline file given');
+  }
+
+  const filePath = path.join(BACKTEST_DATA_DIR, baseName);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Kline file not found: ${baseName}`);
+  }
+
+  return filePath;
+}
+
+/**
+ * Check that a kline file is small enough to backtest from the dashboard
+ * @param {string} filePath - The resolved file path
+ */
+function checkFileSize(filePath) {
+  const sizeMb = fs.statSync(filePath).size / (1024 * 1024);
+  if (sizeMb > BACKTEST_MAX_FILE_MB) {
+    throw new Error(`Kline file is ${sizeMb.toFixed(1)} MB, more than the ${BACKTEST_MAX_FILE_MB} MB allowed (BACKTEST_MAX_FILE_MB) - use a shorter date range file`);
+  }
+}
+
+/**
+ * Thin out the equity curve so it stays small enough to send to the dashboard
+ * @param {Array} curve - The full equity curve
+ * @param {number} maxPoints - The maximum number of points
+ * @returns {Array} The thinned curve, always including the last point
+ */
+function thinCurve(curve, maxPoints) {
+  if (curve.length <= maxPoints) {
+    return curve;
+  }
+
+  const step = Math.ceil(curve.length / maxPoints);
+  const thinned = curve.filter((point, index) => index % step === 0);
+  if (thinned[thinned.length - 1] !== curve[curve.length - 1]) {
+    thinned.push(curve[curve.length - 1]);
+  }
+  return thinned;
+}
+
+/**
+ * Replay klines through a strategy
+ * Each kline's close price is checked like a live price update; fills happen at that price
+ * plus slippage, and the fee is taken from the USDT side of every trade. Strategies that use
+ * candles (moving-average DCA) get the klines of the file, whatever their interval.
+ * @param {Object} options - Backtest options
+ * @param {string} options.symbol - The base symbol (for the report)
+ * @param {Array} options.klines - The klines from loadKlines
+ * @param {Object} options.strategy - The strategy config (strategy and parameters, thresholds, investment amount, stop-loss, trailing, caps)
+ * @param {number} options.feeRate - Fee per trade as a fraction of the trade value
+ * @param {number} options.slippage - Price slippage per fill as a fraction of the price
+ * @param {number} options.initialBalance - Starting USDT balance
+ * @param {boolean} options.initialBuy - Whether to open a position at the first kline
+ * @param {number} options.cooldownMs - Time after an auto-trade during which prices are ignored
+ * @param {number} options.maxEquityPoints - Maximum number of points in the returned equity curve
+ * @returns {Object} { symbol, period, settings, trades, equityCurve, summary }
+ */
+function runBacktest(options) {
+  // Options left undefined (e.g. not sent by the dashboard) keep their defaults
+  const given = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined && value !== null));
+  const settings = { ...BACKTEST_DEFAULTS, ...given };
+  const { symbol, klines, strategy, feeRate, slippage, initialBalance } = settings;
+
+  if (!Array.isArray(klines) || klines.length === 0) {
+    throw new Error('No klines to backtest');
+  }
+  if (!strategy || !(strategy.investmentAmount > 0)) {
+    throw new Error('Strategy config with an investment amount is required');
+  }
+  
+  // Fail early on parameters the live bot would reject
+  strategies.normalizeParams(strategy.strategy, strategy.strategyParams);
+  if (strategies.usesRestingOrders(strategy)) {
+    throw new Error(`The ${strategy.strategy} strategy trades with resting limit orders and can't be backtested - backtest the grid strategy with the same levels instead`);
+  }
+  const candleRequirement = strategies.getCandleRequirement(strategy);
+
+  const account = {
+    cash: initialBalance,
+    quantity: 0,
+    costBasis: 0,       // USDT paid for the open position, fees included
+    totalBought: 0,     // All buys, for the average buy price like getCurrentHoldings
+    totalSpent: 0,
+    totalFees: 0
+  };
+  let refPrices = {
+    firstTransactionPrice: 0,
+    lastTransactionPrice: 0,
+    nextBuyPrice: 0,
+    nextSellPrice: 0,
+    trailingHighPrice: 0,
+    trailingStopPrice: 0,
+    strategyState: {}
+  };
+  let position = { buyCount: 0, investedUsdt: 0 };
+  let lastTradeTime = null;
+  let paused = false;
+  let skippedBuys = 0;
+
+  const trades = [];
+  const equityCurve = [];
+  let peakEquity = initialBalance;
+  let maxDrawdown = 0;
+
+  /**
+   * Simulate a market buy
+   * @param {number} time - The fill time
+   * @param {number} price - The trigger price
+   * @param {string|null} reason - Why the trade happened
+   * @param {number} usdtAmount - The USDT to spend (default: the strategy's investment amount)
+   */
+  function buy(time, price, reason, usdtAmount = strategy.investmentAmount) {
+    const fillPrice = price * (1 + slippage);
+    const fee = usdtAmount * feeRate;
+    const quantity = (usdtAmount - fee) / fillPrice;
+
+    account.cash -= usdtAmount;
+    account.quantity += quantity;
+    account.costBasis += usdtAmount;
+    account.totalBought += quantity;
+    account.totalSpent += usdtAmount;
+    account.totalFees += fee;
+    position = { buyCount: position.buyCount + 1, investedUsdt: position.investedUsdt + usdtAmount };
+    refPrices = strategies.afterTrade({ refPrices, action: 'buy', price: fillPrice, quantity, time, strategy });
+
+    trades.push({ time, action: 'buy', price: fillPrice, quantity, usdtAmount, fee, reason });
+  }
+
+  /**
+   * Simulate a market sell of the whole position or part of it
+   * A partial sell (grid lot) takes its share of the cost basis; the position stays open.
+   * @param {number} time - The fill time
+   * @param {number} price - The trigger price
+   * @param {string|null} reason - Why the trade happened
+   * @param {number|string} amount - The base quantity to sell, or 'all'
+   */
+  function sell(time, price, reason, amount = 'all') {
+    const quantity = amount === 'all' ? account.quantity : Math.min(amount, account.quantity);
+    const share = account.quantity > 0 ? quantity / account.quantity : 1;
+    const fillPrice = price * (1 - slippage);
+    const grossUsdt = quantity * fillPrice;
+    const fee = grossUsdt * feeRate;
+    const cost = account.costBasis * share;
+    const profit = grossUsdt - fee - cost;
+
+    trades.push({ time, action: 'sell', price: fillPrice, quantity, usdtAmount: grossUsdt, fee, reason, profit });
+
+    account.cash += grossUsdt - fee;
+    account.quantity -= quantity;
+    account.costBasis -= cost;
+    account.totalFees += fee;
+    if (share >= 1) {
+      account.quantity = 0;
+      account.costBasis = 0;
+      position = { buyCount: 0, investedUsdt: 0 };
+    }
+    refPrices = strategies.afterTrade({ refPrices, action: 'sell', price: fillPrice, quantity, time, strategy });
+  }
+
+  // The last candleRequirement.limit klines as closed candles - a rolling window, so each kline
+  // is converted once instead of copying the whole window for every kline
+  const candleWindow = [];
+
+  /**
+   * Add the current kline to the candles for the strategy
+   * @param {Object} kline - The current kline
+   * @returns {Array|null} The candles, or null if the strategy doesn't use candles
+   */
+  function getCandles(kline) {
+    if (!candleRequirement) {
+      return null;
+    }
+    candleWindow.push({ ...kline, closed: true });
+    if (candleWindow.length > candleRequirement.limit) {
+      candleWindow.shift();
+    }
+    return candleWindow;
+  }
+
+  klines.forEach((kline, index) => {
+    const time = kline.closeTime;
+    const price = kline.close;
+    const candles = getCandles(kline);
+
+    if (index === 0 && settings.initialBuy && account.cash >= strategy.investmentAmount) {
+      buy(time, price, 'initial_buy');
+    } else if (!paused && (lastTradeTime === null || time - lastTradeTime >= settings.cooldownMs)) {
+      const holdings = {
+        quantity: account.quantity,
+        averageBuyPrice: account.totalBought > 0 ? account.totalSpent / account.totalBought : 0
+      };
+      const decision = strategies.decideAction({ price, time, refPrices, holdings, strategy, position, candles });
+
+      if (decision.trailing) {
+        refPrices = {
+          ...refPrices,
+          trailingHighPrice: decision.trailing.trailingHighPrice,
+          trailingStopPrice: decision.trailing.trailingStopPrice
+        };
+      }
+
+      if (decision.stateUpdate) {
+        refPrices = { ...refPrices, ...decision.stateUpdate };
+      }
+
+      if (decision.action === 'stop_loss') {
+        sell(time, price, 'stop_loss');
+        lastTradeTime = time;
+        // The live bot pauses the pair until it is resumed by hand
+        paused = true;
+      } else if (decision.action === 'limit_reached') {
+        skippedBuys++;
+      } else if (decision.action === 'buy') {
+        if (account.cash >= decision.usdtAmount) {
+          buy(time, price, null, decision.usdtAmount);
+          lastTradeTime = time;
+        } else {
+          skippedBuys++;
+        }
+      } else if (decision.action === 'sell') {
+        sell(time, price, decision.reason, decision.quantity);
+        lastTradeTime = time;
+      }
+    }
+
+    const equity = account.cash + account.quantity * price;
+    peakEquity = Math.max(peakEquity, equity);
+    maxDrawdown = Math.max(maxDrawdown, peakEquity > 0 ? (peakEquity - equity) / peakEquity : 0);
+    equityCurve.push({ time, equity });
+  });
+
+  const sells = trades.filter(trade => trade.action === 'sell');
+  const wins = sells.filter(trade => trade.profit > 0).length;
+  const finalEquity = equityCurve[equityCurve.length - 1].equity;
+
+  return {
+    symbol,
+    period: {
+      from: new Date(klines[0].openTime).toISOString(),
+      to: new Date(klines[klines.length - 1].closeTime).toISOString(),
+      klines: klines.length
+    },
+    settings: {
+      feeRate,
+      slippage,
+      initialBalance,
+      initialBuy: settings.initialBuy,
+      cooldownMs: settings.cooldownMs,
+      strategy
+    },
+    trades,
+    equityCurve: thinCurve(equityCurve, settings.maxEquityPoints),
+    summary: {
+      initialBalance,
+      finalEquity,
+      totalReturnPercent: ((finalEquity - initialBalance) / initialBalance) * 100,
+      maxDrawdownPercent: maxDrawdown * 100,
+      winRatePercent: sells.length > 0 ? (wins / sells.length) * 100 : null,
+      buys: trades.length - sells.length,
+      sells: sells.length,
+      wins,
+      losses: sells.length - wins,
+      totalFees: account.totalFees,
+      skippedBuys,
+      openQuantity: account.quantity,
+      stoppedOut: paused
+    }
+  };
+}
+
+/**
+ * Load a kline file from BACKTEST_DATA_DIR and backtest it in a worker thread
+ * Only one backtest runs at a time; one that takes longer than BACKTEST_TIMEOUT_SECONDS is stopped.
+ * @param {Object} job - The backtest
+ * @param {string} job.file - The kline file name in BACKTEST_DATA_DIR
+ * @param {number|string} job.from - Optional start of the date range
+ * @param {number|string} job.to - Optional end of the date range
+ * @param {Object} job.options - The runBacktest options without the klines
+ * @returns {Promise<Object>} The runBacktest result
+ */
+async function runInWorker({ file, from = null, to = null, options }) {
+  if (activeWorker) {
+    throw new Error('Another backtest is running - try again when it has finished');
+  }
+
+  // Checked here so a bad request fails without starting a worker
+  const filePath = resolveDataFile(file);
+  checkFileSize(filePath);
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(__filename, { workerData: { backtestJob: { filePath, from, to, options } } });
+    activeWorker = worker;
+    let settled = false;
+
+    /**
+     * Settle the promise once and free the slot
+     * @param {Error|null} error - The error, or null on success
+     * @param {Object} result - The result
+     */
+    const finish = (error, result) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      if (activeWorker === worker) {
+        activeWorker = null;
+      }
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    };
+
+    const timer = setTimeout(() => {
+      worker.terminate();
+      finish(new Error(`Backtest stopped after ${BACKTEST_TIMEOUT_SECONDS} seconds (BACKTEST_TIMEOUT_SECONDS) - use a shorter date range`));
+    }, BACKTEST_TIMEOUT_SECONDS * 1000);
+
+    worker.on('message', (message) => {
+      finish(message.success ? null : new Error(message.error), message.result);
+    });
+    worker.on('error', (error) => finish(error));
+    worker.on('exit', (code) => finish(new Error(`Backtest worker exited with code ${code}`)));
+  });
+}
+
+/**
+ * Run the job of a backtest worker thread and send the result to the server
+ * @param {Object} job - { filePath, from, to, options }
+ */
+function runWorkerJob({ filePath, from, to, options }) {
+  try {
+    const klines = loadKlines(filePath, { from, to });
+    parentPort.postMessage({ success: true, result: runBacktest({ ...options, klines }) });
+  } catch (error) {
+    parentPort.postMessage({ success: false, error: error.message });
+  }
+}
+
+// Started by runInWorker
+if (!isMainThread && workerData && workerData.backtestJob) {
+  runWorkerJob(workerData.backtestJob);
+}
+
+// Export public API
+module.exports = {
+  BACKTEST_DATA_DIR,
+  BACKTEST_DEFAULTS,
+  loadKlines,
+  resolveDataFile,
+  runBacktest,
+  runInWorker
+};
@@ -4,13 +4,19 @@
 
 const WebSocket = require('ws');
 const axios = require('axios');
-const crypto = require('crypto');
 const dotenv = require('dotenv');
 const EventEmitter = require('events');
 
 // Import internal modules
 const db = require('./dbconns');
 const telegram = require('./telegram');
+const { createExchange } = require('./exchange');
+const { createRiskManager } = require('./risk');
+const strategyRules = require('./strategy');
+const strategies = require('./strategies');
+const recorder = require('./recorder');
+const { createCandleAggregator } = require('./candles');
+const { createGridLadder, isUnknownOrderError } = require('./ladder');
 
 // Load environment variables
 dotenv.config({ path: require('path').resolve(__dirname, '../.env') });
@@ -22,10 +28,12 @@ const BINANCE_API_URL = process.env.BINANCE_API_URL;
 const BINANCE_WS_URL = process.env.BINANCE_WEBSOCKET_URL;
 const BINANCE_RECV_WINDOW = parseInt(process.env.BINANCE_RECV_WINDOW);
 
-// Trading configuration
-const BUY_THRESHOLD_PERCENT = parseFloat(process.env.BUY_THRESHOLD_PERCENT || 0.01);  // Default to 1% if not set
-const SELL_THRESHOLD_PERCENT = parseFloat(process.env.SELL_THRESHOLD_PERCENT || 0.01); // Default to 1% if not set
-const AUTO_TRADE_INVESTMENT_AMOUNT = parseFloat(process.env.AUTO_TRADE_INVESTMENT_AMOUNT || 50); // Default to $50 if not set
+// Market replay: feed a recorded file (or directory) through handleWebSocketMessage instead of
+// connecting to the market stream. Only allowed with EXCHANGE_MODE=paper.
+const MARKET_REPLAY_FILE = process.env.MARKET_REPLAY_FILE;
+const MARKET_REPLAY_SPEED = parseFloat(process.env.MARKET_REPLAY_SPEED || 1); // 1 = real time, 0 = as fast as possible
+
+// Trading configuration (thresholds and investment amount) is per symbol - see db.getStrategyConfig
 
 // Create a custom event emitter for price updates
 class BinanceEvents extends EventEmitter {}
@@ -41,14 +49,37 @@ const state = {
   websocket: null,          // WebSocket connection
   isConnected: false,       // Whether we're connected to Binance
   lastPrices: new Map(),    // Map of symbol -> price
+  bookTickers: new Map(),   // Map of symbol -> { bidPrice, askPrice } from the last bookTicker update
   tradingEnabled: false,    // Whether trading is enabled
   autoTradingEnabled: false, // Whether auto-trading is enabled
-  supportedSymbols: ['BTC', 'SOL', 'XRP', 'PENDLE', 'DOGE', 'NEAR'],
+  supportedSymbols: db.DEFAULT_SYMBOLS.map(details => details.symbol), // Replaced by the symbols table on initialize
+  symbolDetails: new Map(db.DEFAULT_SYMBOLS.map(details => [details.symbol, { ...details, icon: null }])), // Map of symbol -> { symbol, name, color, icon }
+  wsRequestId: 0,            // Last ID used for a WebSocket SUBSCRIBE/UNSUBSCRIBE request
   wsReconnectInterval: null, // Interval for WebSocket reconnection attempts
   wsHeartbeatInterval: null, // Interval for WebSocket heartbeat
   lastMessageTime: 0,        // Timestamp of the last received message
+  replayTime: null,          // Recorded time of the last replayed tick, null when not replaying
   lastPriceLogTime: {},      // Last time we logged a price update for each symbol
   lastGetPriceLogTime: {},   // Last time we logged a getSymbolPrice call for each symbol
+  symbolFilters: new Map(),  // Map of symbol -> trading filters parsed from exchangeInfo
+  filterRefreshInterval: null, // Interval for refreshing exchangeInfo filters
+  filtersUpdatedAt: 0,       // Timestamp of the last successful filter refresh
+  userStream: {              // User data stream (fills, balances, order updates)
+    websocket: null,          // WebSocket connection for the listenKey stream
+    listenKey: null,          // Current listenKey
+    isConnected: false,       // Whether the user data stream is connected
+    keepAliveInterval: null,  // Interval for listenKey keepalive requests
+    reconnectTimeout: null,   // Timeout for the next reconnection attempt
+    reconnectAttempts: 0,     // Consecutive failed connection attempts (for backoff)
+    lastEventTime: 0,         // Timestamp of the last received event
+    processedTradeIds: new Set(), // Trade IDs already recorded (or found in trades), guards against duplicate events
+    recordingTradeIds: new Set(), // Trade IDs being recorded right now
+    filledOrders: new Map()   // Map of orderId -> timestamp for orders the stream reported FILLED
+  },
+  restingLimitOrders: new Map(), // Map of orderId -> { orderData, since } for limit orders being waited for
+  unsettledOrders: new Map(),  // Map of orderId -> { orderData, since } for limit orders that couldn't be canceled
+  unsettledOrderInterval: null, // Interval for checking the unsettled limit orders
+  isSettlingOrders: false,     // Whether the unsettled limit orders are being checked
   serviceStatus: {           // Overall service status
     wsConnected: false,
     apiConnected: false,
@@ -57,6 +88,10 @@ const state = {
   }
 };
 
+// Base symbols must look like a Binance asset code (e.g., "BTC", "PENDLE")
+// A leading letter is required because the symbol is used in dashboard element IDs
+const SYMBOL_PATTERN = /^[A-Z][A-Z0-9]{1,14}$/;
+
 // WebSocket configuration
 const WS_CONFIG = {
   pingInterval: 20000,       // 20 seconds ping interval
@@ -67,6 +102,72 @@ const WS_CONFIG = {
   pongTimeout: 5000          // Timeout waiting for pong response
 };
 
+// User data stream configuration
+const USER_STREAM_CONFIG = {
+  keepAliveInterval: 1800000, // 30 minutes - listenKeys expire after 60 minutes without a keepalive
+  maxTrackedTrades: 1000,     // Trade IDs remembered for duplicate detection
+  filledOrderTtl: 60000,      // How long a FILLED report is kept for order confirmation
+  fillRetryDelay: 30000,      // Wait before retrying a fill that couldn't be recorded (e.g. database down)
+  maxFillAttempts: 5          // Attempts to record a fill before giving up with an error notification
+};
+
+// Prefix for client order IDs of orders placed by this bot
+// Fills of these orders are recorded by the bot itself; the user data stream records all others
+const BOT_ORDER_PREFIX = 'bot_';
+
+// Per-symbol order execution (strategy_settings.order_type / limit_fallback)
+// limit rests a GTC order at the bid (buy) or ask (sell), limit_maker does the same as a post-only
+// order that is rejected instead of taking liquidity
+const ORDER_TYPES = ['market', 'limit', 'limit_maker'];
+const LIMIT_FALLBACKS = ['market', 'cancel'];
+const LIMIT_ORDER_POLL_INTERVAL = 2000; // How often a resting limit order's status is checked
+const MAX_LIMIT_ORDER_TIMEOUT = 600;    // Seconds - auto-trading for the symbol waits while the order rests
+const OPEN_ORDER_STATUSES = ['NEW', 'PARTIALLY_FILLED', 'PENDING_NEW'];
+
+// Limit orders that couldn't be canceled after their timeout may still fill - they are checked
+// (and their cancel retried) until they are done, then whatever they executed is recorded
+const UNSETTLED_ORDER_CHECK_INTERVAL = 30000;
+const UNSETTLED_ORDERS_SETTING = 'unsettledLimitOrders'; // app_settings key, so they survive a restart
+
+// How often LOT_SIZE, PRICE_FILTER and NOTIONAL filters are reloaded from exchangeInfo
+const FILTER_REFRESH_INTERVAL = parseInt(process.env.EXCHANGE_FILTER_REFRESH_MS || 3600000); // Default to 1 hour if not set
+
+// Exchange adapter for account and order calls (Binance or paper, see EXCHANGE_MODE)
+// The paper adapter fills orders at the last price received on the bookTicker stream
+const exchange = createExchange({
+  getLastPrice: (symbol) => state.lastPrices.get(symbol),
+  getBookTicker: (symbol) => state.bookTickers.get(symbol)
+});
+
+// Global circuit breaker - stops auto-trading when a daily loss, drawdown or trade count limit is hit
+const riskManager = createRiskManager({
+  getLastPrice: (symbol) => state.lastPrices.get(symbol),
+  getSymbols: () => state.supportedSymbols,
+  onTrip: handleCircuitBreakerTrip
+});
+
+// OHLC candles built from bookTicker prices - one price history for charts and strategies
+const candleAggregator = createCandleAggregator({
+  fetchKlines,
+  onUpdate: (candle) => binanceEvents.emit('candle_update', candle),
+  // Replayed ticks are stamped with the wall clock, so they don't belong in the history
+  shouldPersist: () => !recorder.isReplaying()
+});
+
+// Resting LIMIT order ladders of symbols with the grid_limit strategy
+// Orders are only placed while the symbol could auto-trade; fills are reconciled regardless
+const gridLadder = createGridLadder({
+  exchange,
+  getLastPrice: (symbol) => state.lastPrices.get(symbol),
+  formatQuantity,
+  formatPrice,
+  ensureSymbolFilters,
+  canPlaceOrders: (symbol) => state.autoTradingEnabled && state.tradingEnabled && state.isConnected &&
+    state.serviceStatus.apiConnected && !isSymbolPaused(symbol) && !riskManager.isTripped(),
+  recordFill: recordGridFill,
+  onUpdate: (symbol, levels) => binanceEvents.emit('grid_levels_updated', { symbol, levels })
+});
+
 /**
  * Fetch historical trades for a symbol from Binance API
  * @param {string} symbol - The trading pair symbol (e.g., "BTCUSDT")
@@ -76,38 +177,12 @@ const WS_CONFIG = {
 async function fetchHistoricalTrades(symbol, limit = 10) {
   try {
     console.log(`Fetching historical trades for ${symbol}...`);
-    const basePath = process.env.BINANCE_API_BASE_PATH || '/api';
-    
-    // Prepare the query params
-    const params = {
-      symbol: symbol,
-      limit: limit
-    };
     
-    // Add timestamp and signature for authenticated request
-    params.timestamp = Date.now();
-    params.recvWindow = 60000;
-    const signature = createSignature(params);
-    params.signature = signature;
-    
-    // Build query string
-    const queryString = Object.keys(params)
-      .map(key => `${key}=${params[key]}`)
-      .join('&');
-    
-    // Make the request to Binance API for my trades
-    const response = await axios.get(
-      `${BINANCE_API_URL}${basePath}/v3/myTrades?${queryString}`,
-      {
-        headers: {
-          'X-MBX-APIKEY': BINANCE_API_KEY
-        },
-        timeout: 10000
-      }
-    );
+    // Fetch the account's trades through the exchange adapter
+    const trades = await exchange.getMyTrades(symbol, limit);
     
-    console.log(`Received ${response.data.length} historical trades for ${symbol}`);
-    return response.data;
+    console.log(`Received ${trades.length} historical trades for ${symbol}`);
+    return trades;
   } catch (error) {
     console.error(`Error fetching historical trades for ${symbol}:`, error.response ? error.response.data : error.message);
     return [];
@@ -117,9 +192,10 @@ async function fetchHistoricalTrades(symbol, limit = 10) {
 /**
  * Import historical trades for all supported symbols
  * @param {boolean} force - Force import even if trades exist
+ * @param {boolean} isFirstRun - Whether this is the first run (reference prices are kept at 0 after import)
  * @returns {Promise<Object>} Import statistics
  */
-async function importHistoricalTrades(force = false) {
+async function importHistoricalTrades(force = false, isFirstRun = false) {
   let importStats = {
     totalImported: 0,
     symbolsProcessed: 0,
@@ -158,14 +234,25 @@ async function importHistoricalTrades(force = false) {
           const tradeTimestamp = new Date(parseInt(trade.time));
           console.log(`Processing trade for ${baseSymbol}: ID=${trade.id}, Time=${tradeTimestamp.toISOString()}`);
           
+          const price = parseFloat(trade.price);
+          const fee = getCommission(
+            trade.commissionAsset ? { [trade.commissionAsset]: parseFloat(trade.commission) || 0 } : null,
+            baseSymbol,
+            price
+          );
+          
           const tradeData = {
             symbol: baseSymbol,
             action: trade.isBuyer ? 'buy' : 'sell',
             quantity: parseFloat(trade.qty),
-            price: parseFloat(trade.price),
+            price: price,
             usdt_amount: parseFloat(trade.quoteQty),
             trade_time: tradeTimestamp,
-            binance_trade_id: trade.id
+            binance_trade_id: trade.id,
+            source: 'import',
+            commission: fee.commission,
+            commission_asset: fee.commissionAsset,
+            commission_usdt: fee.commissionUsdt
           };
           
           try {
@@ -189,6 +276,11 @@ async function importHistoricalTrades(force = false) {
         }
         
         console.log(`Imported ${importedCount} historical trades for ${baseSymbol}`);
+        
+        // Imported trades can be older than the ones already recorded, so the lots are replayed in order
+        if (importedCount > 0) {
+          await db.rebuildLots(baseSymbol);
+        }
         importStats.totalImported += importedCount;
         importStats.symbolsProcessed++;
         
@@ -203,11 +295,11 @@ async function importHistoricalTrades(force = false) {
     
     console.log(`Historical trades import complete. Imported ${importStats.totalImported} trades across ${importStats.symbolsProcessed} symbols.`);
     
-    // After import, update account balances with isFirstRun=true to maintain requirement 1.2
-    // This ensures reference prices remain at 0 even after importing trades
+    // After import, update account balances - on first run this keeps reference prices
+    // at 0 even after importing trades (requirement 1.2), otherwise they are left alone
     try {
-      await updateAccountBalances(true);
-      console.log('Account balances updated after historical import while maintaining zero reference prices');
+      await updateAccountBalances(isFirstRun);
+      console.log(`Account balances updated after historical import${isFirstRun ? ' while maintaining zero reference prices' : ''}`);
     } catch (error) {
       console.error('Error updating account balances after historical import:', error);
     }
@@ -219,23 +311,71 @@ async function importHistoricalTrades(force = false) {
   }
 }
 
+/**
+ * Load the configured trading pairs from the symbols table
+ * Falls back to the default pairs when the database is unavailable
+ * @returns {Promise<Array<string>>} The supported base symbols
+ */
+async function loadSymbols() {
+  let symbols = db.DEFAULT_SYMBOLS;
+  
+  try {
+    if (db.isReady()) {
+      const savedSymbols = await db.getSymbols();
+      if (savedSymbols.length > 0) {
+        symbols = savedSymbols;
+      }
+    } else {
+      console.warn('Database not ready - using default trading pairs');
+    }
+  } catch (error) {
+    console.warn('Failed to load trading pairs from database, using defaults:', error.message);
+  }
+  
+  state.symbolDetails = new Map(symbols.map(details => [details.symbol, {
+    symbol: details.symbol,
+    name: details.name,
+    color: details.color,
+    icon: details.icon || null,
+    autoTradingPaused: Boolean(details.autoTradingPaused),
+    pausedReason: details.pausedReason || null,
+    limitReached: null
+  }]));
+  state.supportedSymbols = [...state.symbolDetails.keys()];
+  
+  console.log(`Trading pairs: ${state.supportedSymbols.join(', ')}`);
+  return [...state.supportedSymbols];
+}
+
 /**
  * Initialize the Binance API connection
  * @returns {Promise<boolean>} True if initialization was successful
  */
 async function initialize() {
-  console.log('Initializing Binance API connection...');
+  console.log(`Initializing Binance API connection (exchange mode: ${exchange.mode})...`);
   
   try {
-    // Check API key and secret
-    if (!BINANCE_API_KEY || !BINANCE_API_SECRET) {
+    // Check API key and secret - only needed when orders go to Binance
+    if (exchange.requiresCredentials && (!BINANCE_API_KEY || !BINANCE_API_SECRET)) {
       console.error('Binance API key or secret not found in environment variables');
       return false;
     }
     
-    // Test API connection by getting exchange info
+    // Load the trading pairs before anything subscribes to or trades them
+    await loadSymbols();
+    
+    // Prepare the exchange adapter (paper mode loads its simulated balances here)
+    try {
+      await exchange.initialize();
+    } catch (error) {
+      console.error(`Failed to initialize ${exchange.mode} exchange adapter:`, error.message);
+      state.serviceStatus.lastError = error.message;
+      return false;
+    }
+    
+    // Test API connection by loading the trading filters from exchange info
     try {
-      await getExchangeInfo();
+      await loadSymbolFilters();
       console.log('Binance API connection successful');
       state.serviceStatus.apiConnected = true;
     } catch (error) {
@@ -245,26 +385,36 @@ async function initialize() {
       // Continue anyway - WebSocket might still work
     }
     
-    // Set initial placeholder prices
-    // These will be quickly updated by WebSocket
-    for (const symbol of state.supportedSymbols) {
-      // Use realistic initial values
-      const initialPrices = {
-        'BTC': 50000,
-        'SOL': 100,
-        'XRP': 0.5,
-        'PENDLE': 2,
-        'DOGE': 0.1,
-        'NEAR': 5
-      };
-      
-      state.lastPrices.set(symbol, initialPrices[symbol] || 10);
-      console.log(`Setting initial price for ${symbol}: $${initialPrices[symbol]}`);
+    // Keep trading filters current - Binance occasionally changes step sizes and notional limits
+    scheduleFilterRefresh();
+    
+    // Seed prices from a REST snapshot so the dashboard has values before the first WebSocket tick
+    await loadInitialPrices();
+    
+    // Record bookTicker ticks if MARKET_RECORDER is set
+    recorder.initialize();
+    
+    // Aggregate prices into candles and fill the history missed while the bot was down
+    // The backfill runs in the background - it takes a few dozen REST requests
+    candleAggregator.start();
+    candleAggregator.backfill(state.supportedSymbols).catch(error => {
+      console.warn('Candle backfill failed:', error.message);
+    });
+    
+    // Initialize WebSocket connection for real-time price updates - or replay recorded ticks instead
+    if (MARKET_REPLAY_FILE && exchange.mode === 'paper') {
+      startMarketReplay(MARKET_REPLAY_FILE, MARKET_REPLAY_SPEED);
+    } else {
+      if (MARKET_REPLAY_FILE) {
+        console.error('MARKET_REPLAY_FILE is ignored: replays only run with EXCHANGE_MODE=paper so no real orders are placed');
+      }
+      console.log('Initializing Binance WebSocket for real-time price updates using combined stream');
+      await initializeWebSocket();
     }
     
-    // Initialize WebSocket connection for real-time price updates
-    console.log('Initializing Binance WebSocket for real-time price updates using combined stream');
-    await initializeWebSocket();
+    // Initialize the user data stream for fills, balances and order updates
+    // Not required for trading - without it we fall back to polling /v3/account and /v3/order
+    await initializeUserDataStream();
     
     // Only enable trading if both API and WebSocket are connected
     state.tradingEnabled = state.serviceStatus.apiConnected && state.isConnected;
@@ -272,9 +422,12 @@ async function initialize() {
     // Load auto-trading state from database if available
     try {
       if (db.isReady()) {
+        // A tripped circuit breaker stays tripped across restarts until acknowledged
+        const breakerTripped = await riskManager.initialize();
+        
         const savedAutoTradingState = await db.getAppSettings('autoTradingEnabled');
         if (savedAutoTradingState !== null) {
-          state.autoTradingEnabled = savedAutoTradingState;
+          state.autoTradingEnabled = savedAutoTradingState && !breakerTripped;
           console.log(`Restored auto-trading state from database: ${state.autoTradingEnabled}`);
         }
       }
@@ -283,13 +436,23 @@ async function initialize() {
       // Continue anyway - this is not critical
     }
     
+    // Record ladder orders that filled while the bot was down and place their opposite orders
+    if (db.isReady() && state.serviceStatus.apiConnected) {
+      await gridLadder.syncAll(state.supportedSymbols);
+    }
+    
+    // Keep checking limit orders that couldn't be canceled before the restart
+    if (db.isReady()) {
+      await restoreUnsettledOrders();
+    }
+    
     // Note: The initial account balance update and reference price initialization
     // will be performed by main.js directly after this function returns.
     // This is done in the startServer() function to ensure proper sequencing
     // and verification of this critical functionality.
     
     // Notify via Telegram
-    telegram.sendMessage(`Binance connection: API=${state.serviceStatus.apiConnected}, WebSocket=${state.isConnected}, Auto-Trading=${state.autoTradingEnabled}`);
+    telegram.sendMessage(`Binance connection: API=${state.serviceStatus.apiConnected}, WebSocket=${state.isConnected}, Auto-Trading=${state.autoTradingEnabled}, Exchange=${exchange.mode}`);
     
     return state.tradingEnabled;
   } catch (error) {
@@ -470,14 +633,21 @@ function handleWebSocketMessage(data) {
         
         // Only process supported symbols
         if (state.supportedSymbols.includes(symbol)) {
-          // Update price in state
+          // Keep the raw tick if the market data recorder is on
+          recorder.recordBookTicker(streamData);
+          
+          // Update price in state - the bid is kept for limit orders
           state.lastPrices.set(symbol, price);
+          state.bookTickers.set(symbol, { bidPrice: parseFloat(streamData.b), askPrice: price });
+          
+          // Add the price to the symbol's 1m/5m/1h candles
+          const now = getMarketTime();
+          candleAggregator.recordPrice(symbol, price, now);
           
           // Notify price update to listeners
           notifyPriceUpdate(symbol, price);
           
           // Only log price updates once per 5 minutes per symbol (greatly reduced frequency)
-          const now = Date.now();
           const lastLogTime = state.lastPriceLogTime[symbol] || 0;
           if (now - lastLogTime >= 300000) { // 5 minutes in milliseconds
             // Always show cryptocurrency prices with 4 decimal places for consistency
@@ -502,6 +672,56 @@ function handleWebSocketMessage(data) {
   }
 }
 
+/**
+ * Get the time of the market data being traded on
+ * This is the wall clock, except during a market replay, where it is the recorded time of the
+ * last replayed tick - so cooldowns, check throttling, strategy timers and candles see the
+ * same gaps as live at any replay speed.
+ * @returns {number} Milliseconds since the epoch
+ */
+function getMarketTime() {
+  return state.replayTime !== null ? state.replayTime : Date.now();
+}
+
+/**
+ * Replay recorded market data through handleWebSocketMessage
+ * The replay stands in for the market stream: prices, auto-trading checks and dashboard
+ * updates run as if the ticks came from Binance, on the recorded tick times (see getMarketTime).
+ * @param {string} source - A recording file or a directory of them
+ * @param {number} speed - Replay speed (1 = real time, 0 = as fast as possible)
+ */
+function startMarketReplay(source, speed) {
+  state.isConnected = true;
+  state.serviceStatus.wsConnected = true;
+  notifyConnectionChange(true);
+  
+  telegram.sendMessage(`⏪ Market replay started from ${source} at ${speed > 0 ? `${speed}x` : 'full'} speed (paper trading)`);
+  
+  recorder.replayFile(source, {
+    speed,
+    onMessage: (message, time) => {
+      state.lastMessageTime = Date.now();
+      state.replayTime = Number.isFinite(time) ? time : Date.now();
+      handleWebSocketMessage(message);
+    }
+  })
+    .then(result => {
+      telegram.sendMessage(`⏹ Market replay ${result.stopped ? 'stopped' : 'finished'}: ${result.replayed} ticks in ${(result.durationMs / 1000).toFixed(1)}s`);
+    })
+    .catch(error => {
+      console.error('Market replay failed:', error.message);
+      telegram.sendErrorNotification(`Market replay failed: ${error.message}`);
+    })
+    .finally(() => {
+      // No more prices - stop auto-trading checks like a lost market stream would
+      state.isConnected = false;
+      state.tradingEnabled = false;
+      state.serviceStatus.wsConnected = false;
+      state.replayTime = null;
+      notifyConnectionChange(false);
+    });
+}
+
 /**
  * Handle WebSocket errors
  * @param {Error} error - The error that occurred
@@ -650,187 +870,1998 @@ function scheduleReconnect(delay = null, restoreAutoTrading = false) {
 }
 
 /**
- * Get current price for a symbol
- * ONLY uses WebSocket data as per PRD.md requirements
- * If WebSocket is disconnected, trading should be halted
- * @param {string} symbol - The trading pair symbol (e.g., "BTCUSDT")
- * @returns {Promise<Object>} The ticker data
+ * Initialize the user data stream (listenKey WebSocket) for account events
+ * @returns {Promise<boolean>} True if the stream is connected
  */
-async function getSymbolPrice(symbol) {
-  // Extract the base symbol if it's a trading pair
-  const baseSymbol = symbol.replace('USDT', '');
+async function initializeUserDataStream() {
+  if (!exchange.supportsUserDataStream) {
+    console.log(`User data stream not available in ${exchange.mode} mode - balances are updated after each trade`);
+    return false;
+  }
   
-  // Check if WebSocket is connected - this is REQUIRED per PRD.md
-  if (!state.isConnected) {
-    throw new Error(`Cannot get price for ${symbol} - WebSocket connection is down. Trading halted until reconnection.`);
+  // Clear any pending reconnection attempt
+  if (state.userStream.reconnectTimeout) {
+    clearTimeout(state.userStream.reconnectTimeout);
+    state.userStream.reconnectTimeout = null;
   }
   
-  // Check if we have a price from WebSocket
-  if (state.lastPrices.has(baseSymbol)) {
-    const currentPrice = state.lastPrices.get(baseSymbol);
-    
-    // Only log every 60 seconds per symbol to reduce log noise
-    const now = Date.now();
-    const lastGetPriceLogTime = state.lastGetPriceLogTime || {};
-    const lastLogTime = lastGetPriceLogTime[baseSymbol] || 0;
+  try {
+    // Close existing connection if needed (keep the listenKey - POST returns the active one anyway)
+    closeUserDataStream(false);
     
-    if (now - lastLogTime >= 60000) { // 60 seconds in milliseconds
-      console.log(`Using WebSocket price for ${symbol}: $${currentPrice.toFixed(4)}`);
-      lastGetPriceLogTime[baseSymbol] = now;
-      state.lastGetPriceLogTime = lastGetPriceLogTime;
+    // Get a listenKey for this account
+    const listenKey = await exchange.createListenKey();
+    if (!listenKey) {
+      throw new Error('No listenKey returned by Binance');
     }
+    state.userStream.listenKey = listenKey;
     
-    return {
-      symbol: symbol,
-      price: currentPrice.toString() // Already a string, no BigInt issues
-    };
+    console.log('Connecting to Binance user data stream...');
+    
+    const socket = new WebSocket(`${BINANCE_WS_URL}/ws/${listenKey}`, {
+      perMessageDeflate: false,
+      handshakeTimeout: 5000
+    });
+    
+    state.userStream.websocket = socket;
+    
+    return await new Promise((resolve, reject) => {
+      // Set a connection timeout
+      const connectionTimeout = setTimeout(() => {
+        reject(new Error('User data stream connection timeout'));
+        socket.terminate();
+      }, 10000);
+      
+      socket.on('open', () => {
+        console.log('Binance user data stream connected');
+        clearTimeout(connectionTimeout);
+        
+        state.userStream.isConnected = true;
+        state.userStream.reconnectAttempts = 0;
+        state.userStream.lastEventTime = Date.now();
+        
+        // Keep the listenKey valid while we're connected
+        startListenKeyKeepAlive();
+        
+        resolve(true);
+      });
+      
+      socket.on('message', (data) => {
+        state.userStream.lastEventTime = Date.now();
+        handleUserDataMessage(data);
+      });
+      
+      socket.on('ping', (payload) => {
+        try {
+          socket.pong(payload);
+        } catch (err) {
+          console.error('Error sending user data stream pong:', err);
+        }
+      });
+      
+      socket.on('error', (error) => {
+        console.error('Binance user data stream error:', error.message);
+        clearTimeout(connectionTimeout);
+        reject(error);
+      });
+      
+      socket.on('close', (code, reason) => {
+        clearTimeout(connectionTimeout);
+        
+        // Ignore sockets we closed or replaced ourselves
+        if (state.userStream.websocket !== socket) {
+          return;
+        }
+        
+        console.log(`Binance user data stream closed: Code: ${code}, Reason: ${reason}`);
+        state.userStream.websocket = null;
+        state.userStream.isConnected = false;
+        
+        if (state.isConnected) {
+          telegram.sendMessage('⚠️ User data stream disconnected - falling back to balance polling until it reconnects');
+        }
+        
+        scheduleUserDataStreamReconnect();
+      });
+    });
+  } catch (error) {
+    console.error('Error initializing user data stream:', error.response ? error.response.data : error.message);
+    closeUserDataStream(false);
+    scheduleUserDataStreamReconnect();
+    return false;
+  }
+}
+
+/**
+ * Send a listenKey keepalive every 30 minutes while the user data stream is open
+ */
+function startListenKeyKeepAlive() {
+  if (state.userStream.keepAliveInterval) {
+    clearInterval(state.userStream.keepAliveInterval);
   }
   
-  // If we don't have a price yet, wait for WebSocket to provide one (don't fallback to API)
-  throw new Error(`No price data available for ${symbol} from WebSocket yet. Try again shortly.`);
+  state.userStream.keepAliveInterval = setInterval(async () => {
+    try {
+      await exchange.keepAliveListenKey(state.userStream.listenKey);
+      console.log('User data stream listenKey kept alive');
+    } catch (error) {
+      // The key is probably gone - reconnect with a new one
+      console.error('Error keeping listenKey alive, reconnecting user data stream:', error.response ? error.response.data : error.message);
+      closeUserDataStream(false);
+      state.userStream.listenKey = null;
+      scheduleUserDataStreamReconnect(0);
+    }
+  }, USER_STREAM_CONFIG.keepAliveInterval);
 }
 
 /**
- * Get exchange information
- * @returns {Promise<Object>} The exchange information
+ * Close the user data stream connection
+ * @param {boolean} closeListenKey - Whether to also close the listenKey on Binance
  */
-async function getExchangeInfo() {
-  try {
-    const basePath = process.env.BINANCE_API_BASE_PATH || '/api';
-    console.log(`Getting exchange info from Binance API...`);
-    const response = await axios.get(`${BINANCE_API_URL}${basePath}/v3/exchangeInfo`, {
-      timeout: 10000 // 10 second timeout
+function closeUserDataStream(closeListenKey = true) {
+  if (state.userStream.keepAliveInterval) {
+    clearInterval(state.userStream.keepAliveInterval);
+    state.userStream.keepAliveInterval = null;
+  }
+  
+  if (state.userStream.websocket) {
+    const socket = state.userStream.websocket;
+    // Clear the reference first so the close handler doesn't schedule a reconnect
+    state.userStream.websocket = null;
+    try {
+      socket.terminate();
+    } catch (error) {
+      console.error('Error terminating user data stream connection:', error);
+    }
+  }
+  
+  state.userStream.isConnected = false;
+  
+  if (closeListenKey && state.userStream.listenKey) {
+    const listenKey = state.userStream.listenKey;
+    state.userStream.listenKey = null;
+    exchange.closeListenKey(listenKey).catch(error => {
+      console.error('Error closing listenKey:', error.message);
     });
-    return response.data;
-  } catch (error) {
-    console.error('Error getting exchange info:', error);
-    throw error;
   }
 }
 
 /**
- * Create signature for API request
- * @param {Object} params - The request parameters
- * @returns {string} The signature
+ * Schedule a user data stream reconnection attempt with exponential backoff
+ * @param {number} delay - Optional delay override (ms)
  */
-function createSignature(params) {
-  // Convert params to query string
-  const queryString = Object.keys(params)
-    .map(key => `${key}=${params[key]}`)
-    .join('&');
-    
-  // Create HMAC signature
-  return crypto
-    .createHmac('sha256', BINANCE_API_SECRET)
-    .update(queryString)
-    .digest('hex');
+function scheduleUserDataStreamReconnect(delay = null) {
+  if (state.userStream.reconnectTimeout) {
+    clearTimeout(state.userStream.reconnectTimeout);
+  }
+  
+  let reconnectDelay = delay;
+  if (reconnectDelay === null) {
+    reconnectDelay = Math.min(
+      WS_CONFIG.maxReconnectDelay,
+      WS_CONFIG.reconnectDelay * Math.pow(2, state.userStream.reconnectAttempts)
+    );
+    state.userStream.reconnectAttempts++;
+  }
+  
+  console.log(`Scheduling user data stream reconnection in ${reconnectDelay}ms...`);
+  
+  state.userStream.reconnectTimeout = setTimeout(async () => {
+    state.userStream.reconnectTimeout = null;
+    const connected = await initializeUserDataStream();
+    if (connected) {
+      telegram.sendMessage('✅ User data stream reconnected');
+      
+      // Events may have been missed while disconnected - resync balances once
+      updateAccountBalances().catch(error => {
+        console.error('Error resyncing balances after user data stream reconnect:', error.message);
+      });
+    }
+  }, reconnectDelay);
 }
 
 /**
- * Make a signed API request to Binance
- * @param {string} endpoint - The API endpoint
- * @param {string} method - The HTTP method
- * @param {Object} params - The request parameters
- * @returns {Promise<Object>} The API response
+ * Handle messages received from the user data stream
+ * @param {*} data - The message data
  */
-async function signedRequest(endpoint, method, params = {}) {
+function handleUserDataMessage(data) {
   try {
-    // For testnet, we need to be careful with the timestamp
-    // First try to get server time from Binance
-    try {
-      console.log(`Getting server time from Binance...`);
-      const timeResponse = await axios.get(`${BINANCE_API_URL}/api/v3/time`, {
-        timeout: 5000 // Short timeout for time sync
-      });
-      
-      // Successful time response
-      if (timeResponse.data && timeResponse.data.serverTime) {
-        params.timestamp = timeResponse.data.serverTime;
-      } else {
-        // Fallback to local time
-        params.timestamp = Date.now();
-        console.log(`Falling back to local time`);
-      }
-    } catch (timeError) {
-      console.error('Error getting server time, using local time:', timeError.message);
-      params.timestamp = Date.now();
-    }
-    
-    // For testnet, use a larger recvWindow to prevent timestamp issues
-    params.recvWindow = 60000; // Use a large recvWindow for testnet
+    const message = JSON.parse(data);
     
-    // Create signature
-    const signature = createSignature(params);
-    params.signature = signature;
+    // WebSocket API subscriptions wrap events as {"subscriptionId":0,"event":{...}}
+    const event = message.event || message;
     
-    // Make request
-    const basePath = process.env.BINANCE_API_BASE_PATH || '/api';
-    const config = {
-      method,
-      url: `${BINANCE_API_URL}${basePath}${endpoint}`,
-      timeout: parseInt(process.env.API_TIMEOUT_MS || '10000'),
-      headers: {
-        'X-MBX-APIKEY': BINANCE_API_KEY
+    switch (event.e) {
+      case 'executionReport':
+        handleExecutionReport(event).catch(error => {
+          console.error('Error handling executionReport:', error);
+        });
+        break;
+      case 'outboundAccountPosition':
+        handleAccountPosition(event).catch(error => {
+          console.error('Error handling outboundAccountPosition:', error);
+        });
+        break;
+      case 'listenKeyExpired':
+        console.warn('User data stream listenKey expired, reconnecting with a new key');
+        closeUserDataStream(false);
+        state.userStream.listenKey = null;
+        scheduleUserDataStreamReconnect(0);
+        break;
+      default:
+        // balanceUpdate (deposits/withdrawals) is followed by outboundAccountPosition
+        break;
+    }
+  } catch (err) {
+    console.error('Error parsing user data stream message:', err);
+  }
+}
+
+/**
+ * Handle an outboundAccountPosition event - update balances of the changed assets
+ * @param {Object} event - The event ({ E, u, B: [{ a: asset, f: free, l: locked }] })
+ */
+async function handleAccountPosition(event) {
+  const balances = {};
+  
+  for (const balance of event.B || []) {
+    // Only store info for supported symbols and USDT
+    if (state.supportedSymbols.includes(balance.a) || balance.a === 'USDT') {
+      balances[balance.a] = (parseFloat(balance.f) || 0) + (parseFloat(balance.l) || 0);
+    }
+  }
+  
+  if (Object.keys(balances).length === 0) {
+    return;
+  }
+  
+  await db.updateAccountBalances(balances);
+  binanceEvents.emit('balance_update', { balances, time: event.E });
+}
+
+/**
+ * Handle an executionReport event - forward the order update and record fills
+ * of orders placed outside this bot
+ * @param {Object} event - The executionReport event
+ */
+async function handleExecutionReport(event) {
+  const orderUpdate = {
+    source: 'user-stream',
+    symbol: event.s,
+    orderId: event.i,
+    clientOrderId: event.c,
+    side: event.S,
+    type: event.o,
+    status: event.X,
+    executionType: event.x,
+    lastFilledQty: parseFloat(event.l),
+    lastFilledPrice: parseFloat(event.L),
+    cumulativeQty: parseFloat(event.z),
+    cumulativeQuoteQty: parseFloat(event.Z),
+    commission: parseFloat(event.n),
+    commissionAsset: event.N,
+    tradeId: event.t,
+    time: event.T,
+    isBotOrder: String(event.c || '').startsWith(BOT_ORDER_PREFIX)
+  };
+  
+  // Remember fills so placeMarketOrder can skip its GET /v3/order confirmation
+  if (orderUpdate.status === 'FILLED') {
+    const now = Date.now();
+    state.userStream.filledOrders.set(orderUpdate.orderId, now);
+    for (const [orderId, time] of state.userStream.filledOrders) {
+      if (now - time > USER_STREAM_CONFIG.filledOrderTtl) {
+        state.userStream.filledOrders.delete(orderId);
       }
-    };
-    
-    // Add params to query string or body depending on method
-    if (method === 'GET') {
-      config.params = params;
-    } else {
-      config.data = new URLSearchParams(params);
     }
-    
-    // Implement request retries for network issues
-    let retries = 2;
-    let lastError = null;
-    
-    while (retries >= 0) {
+  }
+  
+  notifyOrderUpdate(orderUpdate);
+  
+  if (orderUpdate.executionType === 'TRADE' && !orderUpdate.isBotOrder) {
+    await recordStreamFill(orderUpdate);
+  }
+  
+  // A limit order that couldn't be canceled is done - record what it executed right away
+  if (state.unsettledOrders.has(orderUpdate.orderId) && !OPEN_ORDER_STATUSES.includes(orderUpdate.status)) {
+    settleUnsettledOrders().catch(error => {
+      console.error('Error settling unsettled limit orders:', error.message);
+    });
+  }
+  
+  // A ladder order is done - record it and place the opposite order right away
+  if (gridLadder.isGridOrder(orderUpdate.clientOrderId) && ['FILLED', 'CANCELED', 'EXPIRED', 'REJECTED'].includes(orderUpdate.status)) {
+    const baseSymbol = orderUpdate.symbol.replace('USDT', '');
+    if (state.supportedSymbols.includes(baseSymbol)) {
+      gridLadder.sync(baseSymbol).catch(error => {
+        console.error(`Error syncing grid ladder for ${baseSymbol}:`, error.message);
+      });
+    }
+  }
+}
+
+/**
+ * Remember a trade ID as recorded, so later events for it are skipped
+ * @param {number} tradeId - The Binance trade ID
+ */
+function markTradeProcessed(tradeId) {
+  state.userStream.processedTradeIds.add(tradeId);
+  if (state.userStream.processedTradeIds.size > USER_STREAM_CONFIG.maxTrackedTrades) {
+    state.userStream.processedTradeIds.delete(state.userStream.processedTradeIds.values().next().value);
+  }
+}
+
+/**
+ * Record a fill from the user data stream, at most once per Binance trade ID
+ * A fill that can't be recorded (e.g. the database is down) is retried after fillRetryDelay.
+ * @param {Object} fill - The normalized execution report
+ * @param {number} attempt - The attempt number, counted from 1
+ * @returns {Promise<boolean>} True if the fill was recorded
+ */
+async function recordStreamFill(fill, attempt = 1) {
+  const baseSymbol = fill.symbol.replace('USDT', '');
+  
+  // Only USDT pairs we trade are tracked in the trades table
+  if (!fill.symbol.endsWith('USDT') || !state.supportedSymbols.includes(baseSymbol)) {
+    return false;
+  }
+  
+  // Guard against the same event being handled twice, or again while the first is still being recorded
+  if (state.userStream.processedTradeIds.has(fill.tradeId) || state.userStream.recordingTradeIds.has(fill.tradeId)) {
+    return false;
+  }
+  state.userStream.recordingTradeIds.add(fill.tradeId);
+  
+  const action = fill.side.toLowerCase();
+  const usdt = fill.lastFilledQty * fill.lastFilledPrice;
+  
+  try {
+    // Check if this trade ID already exists in our database (e.g. from the historical import)
+    const existingTradeCheck = await db.query(
+      'SELECT id FROM trades WHERE binance_trade_id = ? LIMIT 1',
+      [fill.tradeId]
+    );
+    
+    if (existingTradeCheck.length > 0) {
+      console.log(`Skipping duplicate trade ID ${fill.tradeId} for ${baseSymbol}`);
+      markTradeProcessed(fill.tradeId);
+      return false;
+    }
+    
+    const fee = getCommission(
+      fill.commissionAsset ? { [fill.commissionAsset]: fill.commission || 0 } : null,
+      baseSymbol,
+      fill.lastFilledPrice
+    );
+    
+    console.log(`Recording external ${action} fill from user data stream: ${fill.lastFilledQty} ${baseSymbol} at $${fill.lastFilledPrice} (trade ID ${fill.tradeId})`);
+    
+    await db.recordTrade({
+      symbol: baseSymbol,
+      action,
+      quantity: fill.lastFilledQty,
+      price: fill.lastFilledPrice,
+      usdt_amount: usdt,
+      trade_time: new Date(fill.time),
+      binance_trade_id: fill.tradeId,
+      source: 'external',
+      commission: fee.commission,
+      commission_asset: fee.commissionAsset,
+      commission_usdt: fee.commissionUsdt
+    });
+    markTradeProcessed(fill.tradeId);
+  } catch (error) {
+    if (attempt >= USER_STREAM_CONFIG.maxFillAttempts) {
+      telegram.sendErrorNotification(`Failed to record external ${action} fill of ${fill.lastFilledQty} ${baseSymbol} (trade ID ${fill.tradeId}): ${error.message}`);
+      throw error;
+    }
+    
+    console.error(`Failed to record external fill (trade ID ${fill.tradeId}), retrying in ${USER_STREAM_CONFIG.fillRetryDelay / 1000}s:`, error.message);
+    setTimeout(() => {
+      recordStreamFill(fill, attempt + 1).catch(retryError => {
+        console.error(`Error recording external fill (trade ID ${fill.tradeId}):`, retryError.message);
+      });
+    }, USER_STREAM_CONFIG.fillRetryDelay);
+    return false;
+  } finally {
+    state.userStream.recordingTradeIds.delete(fill.tradeId);
+  }
+  
+  if (action === 'sell') {
+    clearLimitReached(baseSymbol);
+  }
+  
+  await telegram.sendTradeNotification({
+    symbol: baseSymbol,
+    action,
+    quantity: fill.lastFilledQty,
+    price: fill.lastFilledPrice,
+    usdt
+  });
+  
+  return true;
+}
+
+/**
+ * Record a fill of a grid ladder order (see ladder.js)
+ * @param {Object} fill - The fill
+ * @param {string} fill.symbol - The base symbol
+ * @param {string} fill.side - The order side (BUY/SELL)
+ * @param {number} fill.quantity - The executed base quantity
+ * @param {number} fill.price - The average fill price
+ * @param {number} fill.orderId - The Binance order ID
+ * @param {number} fill.level - The ladder level
+ * @param {number} fill.time - The fill time in milliseconds
+ * @returns {Promise<boolean>} True if the fill was recorded, false if it already was
+ */
+async function recordGridFill(fill) {
+  const { symbol, quantity, price } = fill;
+  const action = fill.side.toLowerCase();
+  const usdt = quantity * price;
+  
+  // The ladder only sees the order status, so the commission comes from the order's fills
+  const fills = await fetchOrderFills(`${symbol}USDT`, fill.orderId);
+  const fee = getCommission(fills.length > 0 ? summarizeFills({ fills }).commissions : null, symbol, price);
+  const binanceTradeId = fills.length > 0 ? fills[0].tradeId : null;
+  
+  // The level is saved after the fill is recorded - after a crash in between, the order is settled again
+  const existingTradeCheck = await db.query(
+    'SELECT id FROM trades WHERE symbol = ? AND (order_id = ? OR binance_trade_id = ?) LIMIT 1',
+    [symbol, fill.orderId, binanceTradeId]
+  );
+  
+  if (existingTradeCheck.length > 0) {
+    console.log(`Grid ${action} fill for ${symbol} level ${fill.level} (order ${fill.orderId}) is already recorded`);
+    return false;
+  }
+  
+  console.log(`Recording grid ${action} fill for ${symbol} level ${fill.level}: ${quantity} at $${price.toFixed(4)} (order ${fill.orderId})`);
+  
+  // recordTrade updates last_transaction_price; the ladder sets next_buy_price and next_sell_price
+  await db.recordTrade({
+    symbol,
+    action,
+    quantity,
+    price,
+    usdt_amount: usdt,
+    trade_time: new Date(fill.time),
+    binance_trade_id: binanceTradeId,
+    order_id: fill.orderId,
+    reason: action === 'sell' ? 'grid_take_profit' : null,
+    source: 'grid',
+    commission: fee.commission,
+    commission_asset: fee.commissionAsset,
+    commission_usdt: fee.commissionUsdt
+  });
+  
+  // With the user data stream connected, outboundAccountPosition already keeps balances current
+  if (!state.userStream.isConnected) {
+    try {
+      await updateAccountBalances();
+    } catch (balanceError) {
+      console.error('Failed to update account balances after grid fill:', balanceError);
+    }
+  }
+  
+  await telegram.sendTradeNotification({ symbol, action, quantity, price, usdt });
+  
+  binanceEvents.emit('auto_trading_executed', {
+    symbol,
+    action,
+    reason: 'grid',
+    price,
+    quantity,
+    orderId: fill.orderId
+  });
+  
+  return true;
+}
+
+/**
+ * Get current price for a symbol
+ * ONLY uses WebSocket data as per PRD.md requirements
+ * If WebSocket is disconnected, trading should be halted
+ * @param {string} symbol - The trading pair symbol (e.g., "BTCUSDT")
+ * @returns {Promise<Object>} The ticker data
+ */
+async function getSymbolPrice(symbol) {
+  // Extract the base symbol if it's a trading pair
+  const baseSymbol = symbol.replace('USDT', '');
+  
+  // Check if WebSocket is connected - this is REQUIRED per PRD.md
+  if (!state.isConnected) {
+    throw new Error(`Cannot get price for ${symbol} - WebSocket connection is down. Trading halted until reconnection.`);
+  }
+  
+  // Check if we have a price from WebSocket
+  if (state.lastPrices.has(baseSymbol)) {
+    const currentPrice = state.lastPrices.get(baseSymbol);
+    
+    // Only log every 60 seconds per symbol to reduce log noise
+    const now = Date.now();
+    const lastGetPriceLogTime = state.lastGetPriceLogTime || {};
+    const lastLogTime = lastGetPriceLogTime[baseSymbol] || 0;
+    
+    if (now - lastLogTime >= 60000) { // 60 seconds in milliseconds
+      console.log(`Using WebSocket price for ${symbol}: $${currentPrice.toFixed(4)}`);
+      lastGetPriceLogTime[baseSymbol] = now;
+      state.lastGetPriceLogTime = lastGetPriceLogTime;
+    }
+    
+    return {
+      symbol: symbol,
+      price: currentPrice.toString() // Already a string, no BigInt issues
+    };
+  }
+  
+  // If we don't have a price yet, wait for WebSocket to provide one (don't fallback to API)
+  throw new Error(`No price data available for ${symbol} from WebSocket yet. Try again shortly.`);
+}
+
+/**
+ * Seed lastPrices from the REST bookTicker snapshot
+ * These will be quickly updated by WebSocket
+ * @param {Array<string>} symbols - Base symbols to load (defaults to all supported symbols)
+ * @returns {Promise<number>} The number of prices loaded
+ */
+async function loadInitialPrices(symbols = state.supportedSymbols) {
+  try {
+    const basePath = process.env.BINANCE_API_BASE_PATH || '/api';
+    const pairs = symbols.map(symbol => `${symbol}USDT`);
+    const response = await axios.get(`${BINANCE_API_URL}${basePath}/v3/ticker/bookTicker`, {
+      params: { symbols: JSON.stringify(pairs) },
+      timeout: 10000 // 10 second timeout
+    });
+    
+    let loaded = 0;
+    for (const ticker of response.data || []) {
+      const symbol = ticker.symbol.replace('USDT', '');
+      const price = parseFloat(ticker.askPrice);
+      
+      // Never overwrite a price the WebSocket already delivered
+      if (price > 0 && !state.lastPrices.has(symbol)) {
+        state.lastPrices.set(symbol, price);
+        console.log(`Setting initial price for ${symbol}: $${price}`);
+        loaded++;
+      }
+    }
+    
+    return loaded;
+  } catch (error) {
+    // Not critical - prices arrive on the WebSocket within seconds
+    console.warn('Could not load initial prices:', error.response ? error.response.data : error.message);
+    return 0;
+  }
+}
+
+/**
+ * Subscribe to or unsubscribe from bookTicker streams on the open combined stream connection
+ * If the connection is down the next reconnect builds its URL from state.supportedSymbols anyway
+ * @param {string} method - SUBSCRIBE or UNSUBSCRIBE
+ * @param {Array<string>} symbols - The base symbols
+ * @returns {boolean} True if the request was sent
+ */
+function sendStreamRequest(method, symbols) {
+  if (!state.websocket || state.websocket.readyState !== WebSocket.OPEN) {
+    console.log(`WebSocket not open - ${method} for ${symbols.join(', ')} will apply on reconnect`);
+    return false;
+  }
+  
+  try {
+    state.wsRequestId++;
+    state.websocket.send(JSON.stringify({
+      method,
+      params: symbols.map(symbol => `${symbol.toLowerCase()}usdt@bookTicker`),
+      id: state.wsRequestId
+    }));
+    console.log(`Sent WebSocket ${method} for ${symbols.join(', ')} (id: ${state.wsRequestId})`);
+    return true;
+  } catch (error) {
+    console.error(`Error sending WebSocket ${method}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Add a trading pair at runtime
+ * Verifies the pair exists on the exchange, stores it, creates its reference prices
+ * and subscribes to its price stream
+ * @param {Object} details - The symbol details
+ * @param {string} details.symbol - The base symbol (e.g., "ADA" or "ADAUSDT")
+ * @param {string} details.name - Optional display name (defaults to the symbol)
+ * @param {string} details.color - Optional display color (hex)
+ * @param {string} details.icon - Optional icon path
+ * @returns {Promise<Object>} The stored symbol details
+ */
+async function addSymbol(details = {}) {
+  const symbol = String(details.symbol || '').trim().toUpperCase().replace(/USDT$/, '');
+  
+  if (!SYMBOL_PATTERN.test(symbol)) {
+    throw new Error(`Invalid symbol "${details.symbol}". Use the base asset code, e.g. "ADA"`);
+  }
+  
+  const color = details.color || '#3a7bd5';
+  if (!/^#[0-9a-fA-F]{6}$/.test(color)) {
+    throw new Error(`Invalid color "${color}". Use a hex color like #3a7bd5`);
+  }
+  
+  // Name and icon are rendered into the dashboard cards, so keep them to plain text and paths
+  const name = String(details.name || symbol).trim();
+  if (!/^[\w .()-]{1,50}$/.test(name)) {
+    throw new Error('Invalid name. Use up to 50 letters, digits, spaces, dots, dashes or parentheses');
+  }
+  
+  const icon = details.icon ? String(details.icon).trim() : null;
+  if (icon && !/^[\w./:-]{1,255}$/.test(icon)) {
+    throw new Error('Invalid icon. Use an image path or URL without spaces or quotes');
+  }
+  
+  if (!db.isReady()) {
+    throw new Error('Database connection unavailable - cannot change trading pairs');
+  }
+  
+  // Make sure the pair is tradable against USDT before storing it
+  const filters = await ensureSymbolFilters(symbol);
+  if (filters.status !== 'TRADING') {
+    throw new Error(`${symbol}USDT is not currently trading (status: ${filters.status})`);
+  }
+  
+  // Updating an existing pair's metadata keeps its auto-trading pause
+  const previous = state.symbolDetails.get(symbol);
+  const symbolDetails = {
+    symbol,
+    name,
+    color,
+    icon,
+    autoTradingPaused: previous ? previous.autoTradingPaused : false,
+    pausedReason: previous ? previous.pausedReason : null,
+    limitReached: previous ? previous.limitReached : null
+  };
+  
+  await db.addSymbol(symbolDetails);
+  
+  // Creates the reference_prices row if it doesn't exist yet
+  await db.getReferencePrice(symbol);
+  
+  const isNew = !state.symbolDetails.has(symbol);
+  state.symbolDetails.set(symbol, symbolDetails);
+  
+  if (isNew) {
+    state.supportedSymbols.push(symbol);
+    sendStreamRequest('SUBSCRIBE', [symbol]);
+    await loadInitialPrices([symbol]);
+    candleAggregator.backfill([symbol]).catch(error => {
+      console.warn(`Candle backfill for ${symbol} failed:`, error.message);
+    });
+    
+    console.log(`Added trading pair ${symbol}USDT`);
+    telegram.sendMessage(`Trading pair added: ${symbol}USDT`);
+  }
+  
+  binanceEvents.emit('symbols_updated', getSymbolDetails());
+  return symbolDetails;
+}
+
+/**
+ * Remove a trading pair at runtime
+ * Trade history and reference prices are kept so the pair can be added back later
+ * @param {string} symbol - The base symbol
+ * @returns {Promise<boolean>} True if the pair was removed
+ */
+async function removeSymbol(symbol) {
+  symbol = String(symbol || '').trim().toUpperCase().replace(/USDT$/, '');
+  
+  if (!state.symbolDetails.has(symbol)) {
+    throw new Error(`${symbol} is not a configured trading pair`);
+  }
+  
+  if (state.supportedSymbols.length === 1) {
+    throw new Error('Cannot remove the last trading pair');
+  }
+  
+  if (activeTradeExecutions.get(symbol)) {
+    throw new Error(`A trade is in progress for ${symbol} - try again shortly`);
+  }
+  
+  if (!db.isReady()) {
+    throw new Error('Database connection unavailable - cannot change trading pairs');
+  }
+  
+  // A removed pair is no longer synced, so its ladder orders must not stay on the exchange
+  await gridLadder.reset(symbol);
+  
+  await db.removeSymbol(symbol);
+  
+  state.symbolDetails.delete(symbol);
+  state.supportedSymbols = state.supportedSymbols.filter(s => s !== symbol);
+  state.lastPrices.delete(symbol);
+  state.bookTickers.delete(symbol);
+  candleAggregator.removeSymbol(symbol);
+  state.symbolFilters.delete(symbol);
+  sendStreamRequest('UNSUBSCRIBE', [symbol]);
+  
+  console.log(`Removed trading pair ${symbol}USDT`);
+  telegram.sendMessage(`Trading pair removed: ${symbol}USDT`);
+  
+  binanceEvents.emit('symbols_updated', getSymbolDetails());
+  return true;
+}
+
+/**
+ * Get the display metadata of all configured trading pairs, in display order
+ * @returns {Array<Object>} The symbol details
+ */
+function getSymbolDetails() {
+  return state.supportedSymbols.map(symbol => ({ ...state.symbolDetails.get(symbol) }));
+}
+
+/**
+ * Get the strategy configs of all configured trading pairs
+ * @returns {Promise<Object>} Map of symbol -> strategy config
+ */
+async function getStrategyConfigs() {
+  return db.getStrategyConfigs(state.supportedSymbols);
+}
+
+/**
+ * Update the strategy config of a trading pair, or reset it to the env defaults
+ * The open position's thresholds are recalculated by the strategy so the change applies immediately
+ * (threshold: next_buy_price from last_transaction_price and, while holding, next_sell_price from
+ * first_transaction_price). Switching strategies hands the current holdings over to the new one.
+ * @param {string} symbol - The base symbol
+ * @param {Object} config - The new settings
+ * @param {number} config.buyThresholdPercent - Buy threshold as a fraction (0.01 = 1%)
+ * @param {number} config.sellThresholdPercent - Sell threshold as a fraction (0.01 = 1%)
+ * @param {number} config.investmentAmount - USDT spent per auto-trading buy
+ * @param {number|null} config.stopLossPercent - Stop-loss below the average entry price as a fraction, or null for none
+ * @param {number|null} config.stopLossPrice - Absolute stop-loss price, or null for none
+ * @param {number|null} config.trailingPercent - Trailing take-profit pullback as a fraction, or null to sell at next_sell_price
+ * @param {number|null} config.maxDcaBuys - Maximum averaging buys per position, or null for no cap
+ * @param {number|null} config.maxExposureUsdt - Maximum USDT invested per position, or null for no cap
+ * @param {string} config.strategy - The strategy module (threshold, grid, ma_dca)
+ * @param {Object} config.strategyParams - The strategy's parameters, validated against its schema
+ * @param {string} config.orderType - How trades are executed: market, limit or limit_maker
+ * @param {number} config.limitTimeoutSeconds - Seconds a limit order may rest before it is canceled
+ * @param {string} config.limitFallback - What happens to the unfilled rest: market or cancel
+ * @param {boolean} config.reset - Remove the symbol's settings and use the defaults
+ * @returns {Promise<Object>} The saved strategy config
+ */
+async function updateStrategyConfig(symbol, config = {}) {
+  symbol = String(symbol || '').trim().toUpperCase().replace(/USDT$/, '');
+  
+  if (!state.symbolDetails.has(symbol)) {
+    throw new Error(`${symbol} is not a configured trading pair`);
+  }
+  
+  if (!db.isReady()) {
+    throw new Error('Database connection unavailable - cannot save strategy settings');
+  }
+  
+  // A trade in progress would overwrite the recalculated reference prices
+  if (activeTradeExecutions.get(symbol)) {
+    throw new Error(`A trade is in progress for ${symbol} - try again shortly`);
+  }
+  
+  const previousConfig = await db.getStrategyConfig(symbol);
+  
+  let savedConfig;
+  if (config.reset) {
+    savedConfig = await db.deleteStrategyConfig(symbol);
+  } else {
+    const buyThresholdPercent = parseFloat(config.buyThresholdPercent);
+    const sellThresholdPercent = parseFloat(config.sellThresholdPercent);
+    const investmentAmount = parseFloat(config.investmentAmount);
+    
+    if (!(buyThresholdPercent > 0 && buyThresholdPercent < 1)) {
+      throw new Error('Buy threshold must be between 0% and 100%');
+    }
+    
+    if (!(sellThresholdPercent > 0 && sellThresholdPercent <= 10)) {
+      throw new Error('Sell threshold must be between 0% and 1000%');
+    }
+    
+    if (!(investmentAmount > 0 && Number.isFinite(investmentAmount))) {
+      throw new Error('Investment amount must be a positive USDT amount');
+    }
+    
+    // Stop-loss is optional: empty or 0 turns it off
+    const stopLossPercent = parseFloat(config.stopLossPercent) || null;
+    const stopLossPrice = parseFloat(config.stopLossPrice) || null;
+    
+    if (stopLossPercent !== null && !(stopLossPercent > 0 && stopLossPercent < 1)) {
+      throw new Error('Stop-loss percentage must be between 0% and 100%');
+    }
+    
+    if (stopLossPrice !== null && !(stopLossPrice > 0 && Number.isFinite(stopLossPrice))) {
+      throw new Error('Stop-loss price must be a positive USDT price');
+    }
+    
+    if (stopLossPercent !== null && stopLossPrice !== null) {
+      throw new Error('Set either a stop-loss percentage or a stop-loss price, not both');
+    }
+    
+    // Trailing take-profit is optional too: empty or 0 sells as soon as next_sell_price is reached
+    const trailingPercent = parseFloat(config.trailingPercent) || null;
+    
+    if (trailingPercent !== null && !(trailingPercent > 0 && trailingPercent < 1)) {
+      throw new Error('Trailing take-profit must be between 0% and 100%');
+    }
+    
+    // Position caps are optional: empty means no cap, 0 averaging buys means never average down
+    const maxDcaBuys = config.maxDcaBuys === null || config.maxDcaBuys === undefined || config.maxDcaBuys === ''
+      ? null
+      : Number(config.maxDcaBuys);
+    const maxExposureUsdt = parseFloat(config.maxExposureUsdt) || null;
+    
+    if (maxDcaBuys !== null && !(Number.isInteger(maxDcaBuys) && maxDcaBuys >= 0)) {
+      throw new Error('Maximum averaging buys must be a whole number of 0 or more');
+    }
+    
+    if (maxExposureUsdt !== null && !(maxExposureUsdt > 0 && Number.isFinite(maxExposureUsdt))) {
+      throw new Error('Maximum position size must be a positive USDT amount');
+    }
+    
+    // Order execution - not given keeps the current settings
+    const orderType = config.orderType || previousConfig.orderType;
+    const limitFallback = config.limitFallback || previousConfig.limitFallback;
+    const limitTimeoutSeconds = config.limitTimeoutSeconds === undefined || config.limitTimeoutSeconds === null || config.limitTimeoutSeconds === ''
+      ? previousConfig.limitTimeoutSeconds
+      : Number(config.limitTimeoutSeconds);
+    
+    if (!ORDER_TYPES.includes(orderType)) {
+      throw new Error(`Order type must be one of ${ORDER_TYPES.join(', ')}`);
+    }
+    
+    if (!LIMIT_FALLBACKS.includes(limitFallback)) {
+      throw new Error(`Limit order fallback must be one of ${LIMIT_FALLBACKS.join(', ')}`);
+    }
+    
+    if (!(Number.isInteger(limitTimeoutSeconds) && limitTimeoutSeconds >= 1 && limitTimeoutSeconds <= MAX_LIMIT_ORDER_TIMEOUT)) {
+      throw new Error(`Limit order timeout must be a whole number of seconds between 1 and ${MAX_LIMIT_ORDER_TIMEOUT}`);
+    }
+    
+    // The strategy module and its parameters - not given keeps the current ones, getStrategy throws for unknown names
+    const strategy = strategies.getStrategy(config.strategy || previousConfig.strategy).name;
+    const strategyParams = strategies.normalizeParams(
+      strategy,
+      config.strategyParams || (strategy === previousConfig.strategy ? previousConfig.strategyParams : {})
+    );
+    
+    savedConfig = await db.saveStrategyConfig(symbol, {
+      buyThresholdPercent,
+      sellThresholdPercent,
+      investmentAmount,
+      stopLossPercent,
+      stopLossPrice,
+      trailingPercent,
+      maxDcaBuys,
+      maxExposureUsdt,
+      strategy,
+      strategyParams,
+      orderType,
+      limitTimeoutSeconds,
+      limitFallback
+    });
+  }
+  
+  // Apply the new config to the current reference prices
+  const [refPrices, holdings] = await Promise.all([
+    db.getReferencePrice(symbol),
+    db.getCurrentHoldings(symbol)
+  ]);
+  const updateData = strategies.applyConfig({
+    refPrices,
+    strategy: savedConfig,
+    previous: previousConfig,
+    holdings
+  });
+  
+  if (Object.keys(updateData).length > 0) {
+    await db.updateReferencePrice(symbol, updateData);
+  }
+  
+  // A ladder is laid out again over a changed range, or its orders are canceled when switching away;
+  // if that fails the next auto-trading check tries again
+  if (strategies.usesRestingOrders(previousConfig) || strategies.usesRestingOrders(savedConfig)) {
+    try {
+      await gridLadder.sync(symbol);
+    } catch (error) {
+      console.error(`Failed to update the grid ladder for ${symbol}:`, error.message);
+    }
+  }
+  
+  const thresholds = {
+    nextBuyPrice: updateData.nextBuyPrice !== undefined ? updateData.nextBuyPrice : refPrices.nextBuyPrice,
+    nextSellPrice: updateData.nextSellPrice !== undefined ? updateData.nextSellPrice : refPrices.nextSellPrice,
+    lastTransactionPrice: refPrices.lastTransactionPrice,
+    trailingStopPrice: updateData.trailingStopPrice !== undefined ? updateData.trailingStopPrice : refPrices.trailingStopPrice
+  };
+  
+  console.log(`Strategy config for ${symbol} ${config.reset ? 'reset to defaults' : 'updated'}: strategy=${savedConfig.strategy}, buy=${(savedConfig.buyThresholdPercent * 100).toFixed(2)}%, sell=${(savedConfig.sellThresholdPercent * 100).toFixed(2)}%, amount=$${savedConfig.investmentAmount}, stop-loss=${describeStopLoss(savedConfig)}, trailing=${savedConfig.trailingPercent > 0 ? `${(savedConfig.trailingPercent * 100).toFixed(2)}%` : 'off'}, orders=${describeOrderType(savedConfig)}`);
+  
+  binanceEvents.emit('strategy_config_updated', { config: savedConfig, thresholds });
+  
+  // The caps may have changed - they are checked again on the next buy signal
+  clearLimitReached(symbol);
+  
+  return savedConfig;
+}
+
+/**
+ * Describe a strategy config's order execution for logs
+ * @param {Object} strategy - The strategy config
+ * @returns {string} e.g. "market" or "limit_maker (30s, then market)"
+ */
+function describeOrderType(strategy) {
+  if (strategy.orderType === 'market') {
+    return 'market';
+  }
+  return `${strategy.orderType} (${strategy.limitTimeoutSeconds}s, then ${strategy.limitFallback === 'market' ? 'market' : 'cancel'})`;
+}
+
+/**
+ * Describe a strategy config's stop-loss for logs and notifications
+ * @param {Object} strategy - The strategy config
+ * @returns {string} e.g. "5.00% below average entry", "$1.2500" or "off"
+ */
+function describeStopLoss(strategy) {
+  if (strategy.stopLossPrice > 0) {
+    return `$${strategy.stopLossPrice.toFixed(4)}`;
+  }
+  if (strategy.stopLossPercent > 0) {
+    return `${(strategy.stopLossPercent * 100).toFixed(2)}% below average entry`;
+  }
+  return 'off';
+}
+
+/**
+ * Store a trailing take-profit change and report it
+ * The high and stop level are stored in reference_prices so they survive restarts.
+ * @param {string} symbol - The base symbol
+ * @param {number} currentPrice - The current price
+ * @param {Object} refPrices - The symbol's reference prices
+ * @param {Object} trailing - The result of strategyRules.updateTrailingStop
+ */
+async function saveTrailingStop(symbol, currentPrice, refPrices, trailing) {
+  const { trailingHighPrice, trailingStopPrice, event } = trailing;
+  if (!event) {
+    return;
+  }
+  
+  await db.updateReferencePrice(symbol, { trailingHighPrice, trailingStopPrice });
+  
+  if (event === 'armed') {
+    console.log(`TRAILING TAKE-PROFIT ARMED: ${symbol} at $${currentPrice.toFixed(4)}, stop at $${trailingStopPrice.toFixed(4)}`);
+    telegram.sendMessage(`📈 Trailing take-profit armed for ${symbol} at $${currentPrice.toFixed(4)} (sell price: $${refPrices.nextSellPrice.toFixed(4)}). Selling if the price falls to $${trailingStopPrice.toFixed(4)}`);
+  }
+  
+  binanceEvents.emit('trailing_stop_updated', { symbol, trailingHighPrice, trailingStopPrice });
+}
+
+/**
+ * Record that a position cap blocked an auto-trading buy
+ * The limit_reached event is only emitted when the blocking cap changes, not on every check
+ * @param {string} symbol - The base symbol
+ * @param {Object} limitReached - The cap from strategyRules.getPositionLimit
+ */
+function reportLimitReached(symbol, limitReached) {
+  console.log(`Auto-trading buy skipped for ${symbol}: ${limitReached.message}`);
+  
+  const details = state.symbolDetails.get(symbol);
+  if (!details || (details.limitReached && details.limitReached.limit === limitReached.limit)) {
+    return;
+  }
+  
+  details.limitReached = limitReached;
+  binanceEvents.emit('limit_reached', { symbol, ...limitReached });
+}
+
+/**
+ * Clear a symbol's reached position cap (after a sell or a settings change)
+ * @param {string} symbol - The base symbol
+ */
+function clearLimitReached(symbol) {
+  const details = state.symbolDetails.get(symbol);
+  if (!details || !details.limitReached) {
+    return;
+  }
+  
+  details.limitReached = null;
+  binanceEvents.emit('limit_cleared', { symbol });
+}
+
+/**
+ * Check whether a quantity can be sold with a market order
+ * Leftover dust below the exchange minimums can't be sold, so it must not trigger sells
+ * @param {string} symbol - The base symbol
+ * @param {number} quantity - The quantity held
+ * @param {number} price - The current price
+ * @returns {boolean} True if the quantity passes the exchange filters
+ */
+function isSellableQuantity(symbol, quantity, price) {
+  try {
+    formatQuantity(symbol, quantity, price);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check whether auto-trading is paused for a trading pair (e.g. after a stop-loss)
+ * @param {string} symbol - The base symbol
+ * @returns {boolean} True if auto-trading skips this pair
+ */
+function isSymbolPaused(symbol) {
+  const details = state.symbolDetails.get(symbol);
+  return Boolean(details && details.autoTradingPaused);
+}
+
+/**
+ * Pause or resume auto-trading for a single trading pair
+ * Manual trades are still allowed while a pair is paused.
+ * @param {string} symbol - The base symbol
+ * @param {boolean} paused - Whether auto-trading should be paused
+ * @param {string} reason - Why auto-trading was paused
+ * @returns {Promise<Object>} The updated symbol details
+ */
+async function setSymbolAutoTradingPaused(symbol, paused, reason = null) {
+  symbol = String(symbol || '').trim().toUpperCase().replace(/USDT$/, '');
+  
+  const details = state.symbolDetails.get(symbol);
+  if (!details) {
+    throw new Error(`${symbol} is not a configured trading pair`);
+  }
+  
+  if (!db.isReady()) {
+    throw new Error('Database connection unavailable - cannot change auto-trading pause');
+  }
+  
+  await db.setSymbolPaused(symbol, paused, reason);
+  
+  details.autoTradingPaused = Boolean(paused);
+  details.pausedReason = paused ? reason : null;
+  
+  // A paused pair doesn't trade, so its ladder orders are taken off the exchange until it resumes
+  if (paused) {
+    try {
+      await gridLadder.cancel(symbol);
+    } catch (error) {
+      console.error(`Failed to cancel grid orders for paused ${symbol}:`, error.message);
+      telegram.sendErrorNotification(`Failed to cancel grid orders for paused ${symbol}: ${error.message}`);
+    }
+  }
+  
+  console.log(`Auto-trading ${paused ? `paused for ${symbol}: ${reason}` : `resumed for ${symbol}`}`);
+  if (!paused) {
+    telegram.sendMessage(`▶️ Auto-trading resumed for ${symbol}`);
+  }
+  
+  binanceEvents.emit('symbol_auto_trading_updated', {
+    symbol,
+    paused: details.autoTradingPaused,
+    reason: details.pausedReason
+  });
+  
+  return { ...details };
+}
+
+/**
+ * Sell the whole position of a symbol because its stop-loss was hit, then pause
+ * auto-trading for the symbol so the strategy doesn't buy straight back in
+ * @param {string} symbol - The base symbol
+ * @param {number} currentPrice - The price that triggered the stop-loss
+ * @param {number} stopLossPrice - The stop-loss level
+ * @param {Object} holdings - The current holdings
+ * @param {Object} strategy - The symbol's strategy config
+ */
+async function executeStopLoss(symbol, currentPrice, stopLossPrice, holdings, strategy) {
+  console.log(`STOP-LOSS TRIGGERED: Selling ${symbol} at $${currentPrice.toFixed(4)} (Stop-loss: $${stopLossPrice.toFixed(4)}, ${describeStopLoss(strategy)})`);
+  
+  try {
+    // Sell everything - recordTrade stores the reason and resets the reference prices like any sell
+    // A stop-loss doesn't wait for a limit order to fill
+    const result = await sellAll(symbol, { reason: 'stop_loss', forceMarket: true });
+    
+    lastAutoTradingCheck.set(symbol, getMarketTime());
+    recentlyTraded.set(symbol, getMarketTime());
+    
+    const executedPrice = getExecutedPrice(result);
+    const quantity = parseFloat(result.executedQty) || holdings.quantity;
+    const lossPercent = holdings.averageBuyPrice > 0
+      ? ((executedPrice - holdings.averageBuyPrice) / holdings.averageBuyPrice) * 100
+      : null;
+    
+    const reason = `Stop-loss hit at $${executedPrice.toFixed(4)} (stop: $${stopLossPrice.toFixed(4)})`;
+    try {
+      await setSymbolAutoTradingPaused(symbol, true, reason);
+    } catch (pauseError) {
+      // Still pause in memory so this run doesn't rebuy
+      console.error(`Failed to persist auto-trading pause for ${symbol}:`, pauseError.message);
+      const details = state.symbolDetails.get(symbol);
+      if (details) {
+        details.autoTradingPaused = true;
+        details.pausedReason = reason;
+      }
+    }
+    
+    telegram.sendStopLossAlert({
+      symbol,
+      quantity,
+      price: executedPrice,
+      stopLossPrice,
+      averageBuyPrice: holdings.averageBuyPrice,
+      lossPercent,
+      stopLoss: describeStopLoss(strategy)
+    });
+    
+    const updatedRefPrices = await db.getReferencePrice(symbol);
+    
+    binanceEvents.emit('stop_loss_triggered', {
+      symbol,
+      price: executedPrice,
+      stopLossPrice,
+      quantity,
+      lossPercent,
+      orderId: result.orderId
+    });
+    
+    binanceEvents.emit('auto_trading_executed', {
+      symbol,
+      action: 'sell',
+      reason: 'stop_loss',
+      price: executedPrice,
+      quantity,
+      orderId: result.orderId,
+      newThresholds: {
+        nextBuyPrice: updatedRefPrices.nextBuyPrice,
+        nextSellPrice: updatedRefPrices.nextSellPrice,
+        trailingStopPrice: updatedRefPrices.trailingStopPrice
+      }
+    });
+  } catch (error) {
+    // Not paused - the next price update retries the stop-loss before any buy
+    console.error(`Stop-loss sell failed for ${symbol}:`, error);
+    telegram.sendErrorNotification(`Stop-loss sell failed for ${symbol}: ${error.message}`);
+  }
+}
+
+/**
+ * Reset the strategy state (all reference prices) of one or all trading pairs to 0
+ * The next buy is then treated as a first buy and sets new buy/sell targets.
+ * Holdings and trade history are not touched.
+ * @param {string|null} symbol - The base symbol, or null for all trading pairs
+ * @param {string} source - Who requested the reset, for the logs (e.g. "dashboard")
+ * @returns {Promise<Array<string>>} The symbols that were reset
+ */
+async function resetStrategyState(symbol = null, source = 'unknown') {
+  let symbols;
+  if (symbol) {
+    symbol = String(symbol).trim().toUpperCase().replace(/USDT$/, '');
+    if (!state.symbolDetails.has(symbol)) {
+      throw new Error(`${symbol} is not a configured trading pair`);
+    }
+    symbols = [symbol];
+  } else {
+    symbols = [...state.supportedSymbols];
+  }
+  
+  if (!db.isReady()) {
+    throw new Error('Database connection unavailable - cannot reset strategy state');
+  }
+  
+  // Resetting mid-trade would be overwritten by the trade's own reference price update
+  const busy = symbols.filter(s => activeTradeExecutions.get(s));
+  if (busy.length > 0) {
+    throw new Error(`A trade is in progress for ${busy.join(', ')} - try again shortly`);
+  }
+  
+  for (const s of symbols) {
+    // A ladder's levels are its strategy state
+    await gridLadder.reset(s);
+    await db.updateReferencePrice(s, {
+      firstTransactionPrice: 0,
+      lastTransactionPrice: 0,
+      nextBuyPrice: 0,
+      nextSellPrice: 0,
+      trailingHighPrice: 0,
+      trailingStopPrice: 0,
+      strategyState: {}
+    });
+  }
+  
+  const target = symbol ? symbol : `all symbols (${symbols.join(', ')})`;
+  console.log(`[STRATEGY RESET] Reference prices reset to 0 for ${target} (requested by ${source})`);
+  telegram.sendMessage(`🔄 Strategy state reset for ${target}. Reference prices are now 0 and the next buy sets new targets.`);
+  
+  binanceEvents.emit('strategy_state_reset', { symbols });
+  return symbols;
+}
+
+/**
+ * Get exchange information
+ * @param {Array<string>} pairs - Optional trading pairs to limit the response to (e.g., ["BTCUSDT"])
+ * @returns {Promise<Object>} The exchange information
+ */
+async function getExchangeInfo(pairs = null) {
+  try {
+    const basePath = process.env.BINANCE_API_BASE_PATH || '/api';
+    console.log(`Getting exchange info from Binance API...`);
+    const response = await axios.get(`${BINANCE_API_URL}${basePath}/v3/exchangeInfo`, {
+      params: pairs && pairs.length > 0 ? { symbols: JSON.stringify(pairs) } : undefined,
+      timeout: 10000 // 10 second timeout
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error getting exchange info:', error.response ? error.response.data : error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get klines (OHLC candles) from the Binance REST API
+ * Market data endpoint - works with every exchange mode and without API keys
+ * @param {string} symbol - The base symbol
+ * @param {string} interval - The kline interval ('1m', '5m', '1h', ...)
+ * @param {Object} options - { startTime, endTime } in milliseconds and limit (max 1000)
+ * @returns {Promise<Array>} The klines: { openTime, open, high, low, close, volume }
+ */
+async function fetchKlines(symbol, interval, { startTime, endTime, limit = 500 } = {}) {
+  const basePath = process.env.BINANCE_API_BASE_PATH || '/api';
+  const response = await axios.get(`${BINANCE_API_URL}${basePath}/v3/klines`, {
+    params: { symbol: `${symbol}USDT`, interval, startTime, endTime, limit },
+    timeout: 10000 // 10 second timeout
+  });
+  
+  // [openTime, open, high, low, close, volume, closeTime, quoteVolume, trades, ...]
+  return (response.data || []).map(kline => ({
+    openTime: kline[0],
+    open: parseFloat(kline[1]),
+    high: parseFloat(kline[2]),
+    low: parseFloat(kline[3]),
+    close: parseFloat(kline[4]),
+    volume: parseFloat(kline[5])
+  }));
+}
+
+/**
+ * Parse the filters of one exchangeInfo symbol entry into numbers
+ * @param {Object} symbolInfo - The symbol entry from exchangeInfo
+ * @returns {Object} The parsed filters
+ */
+function parseSymbolFilters(symbolInfo) {
+  const filters = {
+    pair: symbolInfo.symbol,
+    status: symbolInfo.status,
+    lotSize: null,
+    marketLotSize: null,
+    priceFilter: null,
+    minNotional: 0,
+    maxNotional: 0,
+    applyMinToMarket: true,
+    applyMaxToMarket: false
+  };
+  
+  for (const filter of symbolInfo.filters || []) {
+    switch (filter.filterType) {
+      case 'LOT_SIZE':
+        filters.lotSize = {
+          minQty: parseFloat(filter.minQty),
+          maxQty: parseFloat(filter.maxQty),
+          stepSize: filter.stepSize
+        };
+        break;
+      case 'MARKET_LOT_SIZE':
+        filters.marketLotSize = {
+          minQty: parseFloat(filter.minQty),
+          maxQty: parseFloat(filter.maxQty),
+          stepSize: filter.stepSize
+        };
+        break;
+      case 'PRICE_FILTER':
+        filters.priceFilter = {
+          minPrice: parseFloat(filter.minPrice),
+          maxPrice: parseFloat(filter.maxPrice),
+          tickSize: filter.tickSize
+        };
+        break;
+      case 'MIN_NOTIONAL':
+        // Older filter, replaced by NOTIONAL on most pairs
+        filters.minNotional = parseFloat(filter.minNotional);
+        filters.applyMinToMarket = filter.applyToMarket !== false;
+        break;
+      case 'NOTIONAL':
+        filters.minNotional = parseFloat(filter.minNotional);
+        filters.maxNotional = parseFloat(filter.maxNotional);
+        filters.applyMinToMarket = filter.applyMinToMarket !== false;
+        filters.applyMaxToMarket = filter.applyMaxToMarket === true;
+        break;
+      default:
+        break;
+    }
+  }
+  
+  return filters;
+}
+
+/**
+ * Load trading filters for the given symbols from exchangeInfo into the cache
+ * @param {Array<string>} symbols - Base symbols to load (defaults to all supported symbols)
+ * @returns {Promise<number>} The number of symbols loaded
+ */
+async function loadSymbolFilters(symbols = state.supportedSymbols) {
+  const pairs = symbols.map(symbol => `${symbol}USDT`);
+  
+  let symbolInfos;
+  try {
+    symbolInfos = (await getExchangeInfo(pairs)).symbols || [];
+  } catch (error) {
+    // One delisted or invalid pair fails the whole batch - then ask for each pair on its own, so
+    // the other pairs still get fresh filters (a network error would fail them all anyway)
+    if (!error.response || pairs.length <= 1) {
+      throw error;
+    }
+    
+    console.warn(`Batched exchangeInfo request failed, loading the filters of ${pairs.length} pairs one by one`);
+    symbolInfos = [];
+    for (const pair of pairs) {
+      try {
+        symbolInfos.push(...((await getExchangeInfo([pair])).symbols || []));
+      } catch (pairError) {
+        // The pair keeps its previous filters, if any
+        console.error(`Could not load exchangeInfo filters for ${pair}:`, pairError.message);
+      }
+    }
+  }
+  
+  let loaded = 0;
+  for (const symbolInfo of symbolInfos) {
+    if (symbolInfo.quoteAsset !== 'USDT' || !symbols.includes(symbolInfo.baseAsset)) {
+      continue;
+    }
+    
+    state.symbolFilters.set(symbolInfo.baseAsset, parseSymbolFilters(symbolInfo));
+    loaded++;
+  }
+  
+  // Report symbols the exchange didn't return so misconfigured pairs are visible
+  const missing = symbols.filter(symbol => !state.symbolFilters.has(symbol));
+  if (missing.length > 0) {
+    console.warn(`No exchangeInfo filters returned for: ${missing.join(', ')}`);
+  }
+  
+  state.filtersUpdatedAt = Date.now();
+  console.log(`Loaded trading filters for ${loaded} symbols from exchangeInfo`);
+  return loaded;
+}
+
+/**
+ * Make sure trading filters are cached for a symbol, loading them if needed
+ * @param {string} symbol - The cryptocurrency symbol
+ * @returns {Promise<Object>} The cached filters
+ */
+async function ensureSymbolFilters(symbol) {
+  if (!state.symbolFilters.has(symbol)) {
+    await loadSymbolFilters([symbol]);
+  }
+  
+  const filters = state.symbolFilters.get(symbol);
+  if (!filters) {
+    throw new Error(`No trading filters available for ${symbol}USDT - the pair may not exist on this exchange`);
+  }
+  
+  return filters;
+}
+
+/**
+ * Schedule periodic reloading of the exchangeInfo filters
+ */
+function scheduleFilterRefresh() {
+  if (state.filterRefreshInterval) {
+    clearInterval(state.filterRefreshInterval);
+  }
+  
+  state.filterRefreshInterval = setInterval(() => {
+    loadSymbolFilters().catch(error => {
+      // Keep using the previous filters - they rarely change
+      console.error('Error refreshing exchangeInfo filters:', error.message);
+    });
+  }, FILTER_REFRESH_INTERVAL);
+}
+
+/**
+ * Count the decimal places of a Binance step or tick size string
+ * @param {string} size - The step size (e.g., "0.00100000")
+ * @returns {number} The number of significant decimal places
+ */
+function getDecimalPlaces(size) {
+  const [, decimals = ''] = String(size).split('.');
+  return decimals.replace(/0+$/, '').length;
+}
+
+/**
+ * Round a value down to a multiple of a Binance step or tick size
+ * @param {number} value - The value to round
+ * @param {string} size - The step size (e.g., "0.00100000")
+ * @returns {number} The rounded value
+ */
+function roundDownToStep(value, size) {
+  const step = parseFloat(size);
+  if (!step || step <= 0) {
+    return value;
+  }
+  
+  const precision = getDecimalPlaces(size);
+  // The small epsilon absorbs float error (e.g. 0.3 / 0.1 = 2.9999999999999996)
+  const steps = Math.floor(value / step + 1e-9);
+  return parseFloat((steps * step).toFixed(precision));
+}
+
+/**
+ * Get account information from the active exchange adapter
+ * @returns {Promise<Object>} The account information
+ */
+async function getAccountInfo() {
+  return exchange.getAccountInfo();
+}
+
+/**
+ * Summarize the executions of an order: the quantity, USDT amount, volume-weighted average price and commissions
+ * executedQty and cummulativeQuoteQty from the order are the exact totals; the fills are only summed
+ * up if an order response lacks them. Order statuses without fills (e.g. from GET /v3/order) have
+ * unknown commissions.
+ * @param {Object} result - A Binance-shaped order response or order status
+ * @returns {Object} { quantity, usdt, price, tradeId, commissions } - price is 0 if nothing executed,
+ *   commissions is the fee per asset ({} if none were charged) or null if unknown
+ */
+function summarizeFills(result) {
+  const fills = Array.isArray(result.fills) ? result.fills : [];
+  const fillQty = fills.reduce((sum, fill) => sum + parseFloat(fill.qty), 0);
+  const fillUsdt = fills.reduce((sum, fill) => sum + parseFloat(fill.price) * parseFloat(fill.qty), 0);
+  
+  const quantity = parseFloat(result.executedQty) || fillQty;
+  const usdt = parseFloat(result.cummulativeQuoteQty) || fillUsdt;
+  
+  let commissions = null;
+  if (fills.length > 0) {
+    commissions = {};
+    for (const fill of fills) {
+      const amount = parseFloat(fill.commission) || 0;
+      if (amount > 0 && fill.commissionAsset) {
+        commissions[fill.commissionAsset] = (commissions[fill.commissionAsset] || 0) + amount;
+      }
+    }
+  }
+  
+  return {
+    quantity,
+    usdt,
+    price: quantity > 0 ? usdt / quantity : 0,
+    tradeId: fills.length > 0 ? fills[0].tradeId : null,
+    commissions
+  };
+}
+
+/**
+ * Fetch the fills of an order whose status didn't include them (limit orders checked with GET /v3/order)
+ * @param {string} symbol - The trading pair symbol (e.g., "BTCUSDT")
+ * @param {number} orderId - The Binance order ID
+ * @returns {Promise<Array>} The fills in the order response format, empty if they couldn't be fetched
+ */
+async function fetchOrderFills(symbol, orderId) {
+  try {
+    const trades = await exchange.getMyTrades(symbol, 100, orderId);
+    return trades.map(trade => ({
+      price: trade.price,
+      qty: trade.qty,
+      commission: trade.commission,
+      commissionAsset: trade.commissionAsset,
+      tradeId: trade.id
+    }));
+  } catch (error) {
+    console.error(`Error fetching the fills of order ${orderId} for ${symbol}:`, error.response ? error.response.data : error.message);
+    return [];
+  }
+}
+
+/**
+ * Work out the commission columns of a trade
+ * Binance charges the fee in the asset received, or in BNB when paying fees with BNB is enabled;
+ * the fee is valued in USDT at the trade price or the last streamed price of the fee asset.
+ * @param {Object|null} commissions - The fee per asset from summarizeFills, null if unknown
+ * @param {string} baseCurrency - The traded base asset (e.g., "BTC")
+ * @param {number} price - The trade price
+ * @returns {Object} { commission, commissionAsset, commissionUsdt } - null where unknown
+ */
+function getCommission(commissions, baseCurrency, price) {
+  if (!commissions) {
+    return { commission: null, commissionAsset: null, commissionUsdt: null };
+  }
+  
+  const assets = Object.keys(commissions);
+  if (assets.length === 0) {
+    return { commission: 0, commissionAsset: null, commissionUsdt: 0 };
+  }
+  
+  let commissionUsdt = 0;
+  for (const asset of assets) {
+    const assetPrice = asset === 'USDT' ? 1 : (asset === baseCurrency ? price : state.lastPrices.get(asset));
+    if (!(assetPrice > 0)) {
+      console.warn(`No ${asset} price to value a commission of ${commissions[asset]} ${asset} in USDT - the fee is left out of P&L`);
+      commissionUsdt = null;
+      break;
+    }
+    commissionUsdt += commissions[asset] * assetPrice;
+  }
+  
+  // The fills of one order are charged in one asset; the USDT value covers all of them regardless
+  return { commission: commissions[assets[0]], commissionAsset: assets[0], commissionUsdt };
+}
+
+/**
+ * Get the average executed price of an order result
+ * @param {Object} result - The order result from executeOrder or placeMarketOrder
+ * @returns {number} The average price over all fills
+ */
+function getExecutedPrice(result) {
+  return summarizeFills(result).price;
+}
+
+/**
+ * Place a market order and verify its execution
+ * @param {Object} orderData - The order data
+ * @param {string} orderData.symbol - The trading pair symbol (e.g., "BTCUSDT")
+ * @param {string} orderData.side - The order side (BUY/SELL)
+ * @param {number} orderData.quantity - The quantity to buy/sell
+ * @returns {Promise<Object>} The order result
+ */
+async function placeMarketOrder(orderData) {
+  // Check if trading is enabled
+  if (!state.tradingEnabled) {
+    throw new Error('Trading is currently disabled due to WebSocket connection issues');
+  }
+  
+  // Check if WebSocket is connected
+  if (!state.isConnected) {
+    throw new Error('Cannot place order: WebSocket connection is down. Trading halted until reconnection.');
+  }
+  
+  try {
+    const { symbol, side, quantity } = orderData;
+    
+    // Step 1: Execute the order through the exchange adapter
+    // The client order ID marks the order as ours on the user data stream
+    const clientOrderId = `${BOT_ORDER_PREFIX}${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+    const result = await exchange.placeMarketOrder({ symbol, side, quantity, clientOrderId });
+    
+    // Step 2: Verify the order was executed successfully
+    if (!result || !result.status) {
+      throw new Error('Invalid order result received from Binance API');
+    }
+    
+    // Check if the order is FILLED (for market orders, should be immediate)
+    if (result.status !== 'FILLED') {
+      // For market orders, we expect immediate filling
+      throw new Error(`Order not filled immediately. Current status: ${result.status}`);
+    }
+    
+    // Step 3: Verify we have fills information
+    if (!result.fills || !result.fills.length || !result.fills[0].price) {
+      throw new Error('Order executed but no fill information provided');
+    }
+    
+    // Step 4: Verify order execution - the user data stream usually reports the fill first,
+    // otherwise check the order status via a separate API call
+    if (state.userStream.filledOrders.has(result.orderId)) {
+      console.log(`Order execution confirmed by user data stream for ${symbol}, orderId: ${result.orderId}`);
+    } else {
+      try {
+        const orderStatus = await exchange.getOrder({
+          symbol: symbol,
+          orderId: result.orderId
+        });
+        
+        if (orderStatus.status !== 'FILLED') {
+          throw new Error(`Order status verification failed. Status: ${orderStatus.status}`);
+        }
+        
+        console.log(`Order verification successful for ${symbol}, orderId: ${result.orderId}`);
+      } catch (verificationError) {
+        console.error(`Order verification error: ${verificationError.message}`);
+        throw new Error(`Could not verify order execution: ${verificationError.message}`);
+      }
+    }
+    
+    // Now we're sure the order is executed, log success
+    console.log(`Market order executed: ${side} ${quantity} ${symbol}`);
+    
+    // Steps 5-7: record the trade, update balances and notify
+    await recordOrderExecution(orderData, result);
+    
+    return result;
+  } catch (error) {
+    console.error('Error placing market order:', error);
+    
+    // Send error notification
+    telegram.sendErrorNotification(`Failed to place ${orderData.side} order for ${orderData.symbol}: ${error.message}`);
+    
+    throw error;
+  }
+}
+
+/**
+ * Record an executed bot order as a trade, then update balances and send the notifications
+ * The quantity and USDT amount are the order's executed totals and the price their volume-weighted
+ * average, so partially filled limit orders and market orders that filled at several prices are
+ * recorded as they executed. The commission is stored with the trade so P&L is net of fees.
+ * @param {Object} orderData - The order data (symbol, side, reason, isManualSellAll)
+ * @param {Object} result - The order response or final order status
+ * @returns {Promise<Object>} The recorded execution: { quantity, usdt, price, tradeId, commissions }
+ */
+async function recordOrderExecution(orderData, result) {
+  const { symbol, side } = orderData;
+  let execution = summarizeFills(result);
+  
+  // Order statuses carry no fills, so their commissions are looked up separately
+  if (!execution.commissions && execution.quantity > 0 && result.orderId) {
+    const fills = await fetchOrderFills(symbol, result.orderId);
+    if (fills.length > 0) {
+      execution = summarizeFills({ ...result, fills });
+    }
+  }
+  
+  const price = execution.price;
+  const usdt = execution.usdt;
+  
+  // Step 5: Only after verification, record trade in database
+  const baseCurrency = symbol.replace('USDT', '');
+  const fee = getCommission(execution.commissions, baseCurrency, price);
+  // Add a flag to identify if this is a manual sell all operation
+  const isManualSellAll = side.toLowerCase() === 'sell' && 
+                        orderData.isManualSellAll === true;
+  
+  // For manually executed trades we use the current time since Binance doesn't return
+  // the exact trade time in the order response - this is different from the historical
+  // trades endpoint which does include time. The first fill's tradeId is our Binance trade ID reference.
+  const tradeTime = new Date();
+  const binanceTradeId = execution.tradeId;
+  
+  // Record the trade and get the result data that includes price thresholds
+  const tradeResult = await db.recordTrade({
+    symbol: baseCurrency,
+    action: side.toLowerCase(),
+    quantity: execution.quantity,
+    price: price,
+    usdt_amount: usdt,
+    isManualSellAll: isManualSellAll,
+    trade_time: tradeTime,
+    market_time: getMarketTime(),
+    binance_trade_id: binanceTradeId,
+    order_id: result.orderId,
+    reason: orderData.reason,
+    source: 'bot',
+    commission: fee.commission,
+    commission_asset: fee.commissionAsset,
+    commission_usdt: fee.commissionUsdt
+  });
+  
+  // A full sell closes the position, so its caps start over
+  if (side.toLowerCase() === 'sell' && tradeResult.thresholds.firstTransactionPrice === 0) {
+    clearLimitReached(baseCurrency);
+  }
+  
+  // Verify price thresholds were updated
+  const thresholdVerification = await db.getReferencePrice(baseCurrency);
+  console.log(`[VERIFICATION] After trade for ${baseCurrency}: firstTransactionPrice=${thresholdVerification.firstTransactionPrice}, lastTransactionPrice=${thresholdVerification.lastTransactionPrice}, nextBuyPrice=${thresholdVerification.nextBuyPrice}, nextSellPrice=${thresholdVerification.nextSellPrice}`);
+  
+  // EXTRA VERIFICATION: For sell operations, ensure the reference prices are the ones recordTrade set
+  // (a full sell resets first_transaction_price and next_sell_price to 0, a grid lot sell keeps the other lots' targets)
+  if (side.toLowerCase() === 'sell') {
+    const expected = tradeResult.thresholds;
+    
+    // If verification shows different values after a sell, fix them directly
+    if (thresholdVerification.firstTransactionPrice !== expected.firstTransactionPrice ||
+        thresholdVerification.nextSellPrice !== expected.nextSellPrice) {
+      console.warn(`[CRITICAL FIX] Sell operation didn't update values for ${baseCurrency}. Fixing directly.`);
+      
+      // Direct database connection for maximum reliability
+      const conn = await db.getConnection();
+      try {
+        await conn.beginTransaction();
+        
+        // Force update to ensure values are set correctly
+        await conn.query(`
+          UPDATE reference_prices 
+          SET next_buy_price = ?,
+              next_sell_price = ?,
+              first_transaction_price = ?
+          WHERE symbol = ?
+        `, [expected.nextBuyPrice, expected.nextSellPrice, expected.firstTransactionPrice, baseCurrency]);
+        
+        await conn.commit();
+        console.log(`[DIRECT FIX] Successfully restored first_transaction_price and next_sell_price for ${baseCurrency}`);
+      } catch (error) {
+        await conn.rollback();
+        console.error(`Error in direct reference price fix for ${baseCurrency}:`, error);
+      } finally {
+        conn.release();
+      }
+    }
+  }
+  
+  // Step 6: Update account balances in database after trade
+  // With the user data stream connected, outboundAccountPosition already keeps them current
+  if (!state.userStream.isConnected) {
+    try {
+      await updateAccountBalances();
+      console.log('Account balances updated after trade execution');
+    } catch (balanceError) {
+      console.error('Failed to update account balances after trade:', balanceError);
+      // Continue anyway - this should not invalidate the trade
+    }
+  }
+  
+  // Step 7: Send notification
+  await telegram.sendTradeNotification({
+    symbol: baseCurrency,
+    action: side.toLowerCase(),
+    quantity: execution.quantity,
+    price: price,
+    usdt: usdt
+  });
+  
+  // Notify order update handlers
+  notifyOrderUpdate(result);
+  
+  return execution;
+}
+
+/**
+ * Execute an order with the symbol's configured order type (strategy_settings.order_type)
+ * Market orders go straight to placeMarketOrder; limit and limit_maker orders are placed at the
+ * bid/ask by placeLimitOrderWithFallback.
+ * @param {Object} orderData - The order data (see placeMarketOrder)
+ * @param {boolean} orderData.forceMarket - Ignore the configured order type, e.g. for a stop-loss
+ * @returns {Promise<Object>} The order result
+ */
+async function executeOrder(orderData) {
+  if (orderData.forceMarket) {
+    return placeMarketOrder(orderData);
+  }
+  
+  const config = await db.getStrategyConfig(orderData.symbol.replace('USDT', ''));
+  if (!ORDER_TYPES.includes(config.orderType) || config.orderType === 'market') {
+    return placeMarketOrder(orderData);
+  }
+  
+  return placeLimitOrderWithFallback(orderData, config);
+}
+
+/**
+ * Wait for a limit order to fill and cancel it once its timeout passed
+ * @param {string} symbol - The trading pair symbol (e.g., "BTCUSDT")
+ * @param {Object} order - The order response from placing the order
+ * @param {number} timeoutMs - How long the order may rest
+ * @returns {Promise<Object>} The final order status: FILLED, or canceled/expired with any partial execution
+ * @throws {Error} If the order couldn't be canceled and may still be resting
+ */
+async function waitForLimitOrder(symbol, order, timeoutMs) {
+  const isDone = (status) => !OPEN_ORDER_STATUSES.includes(status.status);
+  const deadline = Date.now() + timeoutMs;
+  let current = order;
+  
+  while (!isDone(current) && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, Math.min(LIMIT_ORDER_POLL_INTERVAL, deadline - Date.now())));
+    
+    try {
+      current = await exchange.getOrder({ symbol, orderId: order.orderId });
+    } catch (error) {
+      // Keep waiting - the cancel below settles the order either way
+      console.error(`Error checking limit order ${order.orderId} for ${symbol}:`, error.message);
+    }
+  }
+  
+  if (isDone(current)) {
+    return current;
+  }
+  
+  // Timed out - the canceled order reports what executed before the cancel
+  try {
+    const canceled = await exchange.cancelOrder({ symbol, orderId: order.orderId });
+    console.log(`Limit order ${order.orderId} for ${symbol} canceled after ${timeoutMs / 1000}s (executed ${canceled.executedQty} of ${canceled.origQty})`);
+    return canceled;
+  } catch (cancelError) {
+    // The order may have filled just before the cancel
+    try {
+      const final = await exchange.getOrder({ symbol, orderId: order.orderId });
+      if (isDone(final)) {
+        return final;
+      }
+    } catch (statusError) {
+      console.error(`Error checking limit order ${order.orderId} for ${symbol} after a failed cancel:`, statusError.message);
+    }
+    throw new Error(`Could not cancel limit order ${order.orderId} for ${symbol}: ${cancelError.message}`);
+  }
+}
+
+/**
+ * Remember a limit order that is being waited for, so a restart during the wait settles it
+ * like an order that couldn't be canceled
+ * @param {Object} orderData - The order data (see placeMarketOrder)
+ * @param {Object} order - The order response from placing the order
+ */
+async function rememberLimitOrder(orderData, order) {
+  state.restingLimitOrders.set(Number(order.orderId), { orderData, since: Date.now() });
+  await saveUnsettledOrders();
+}
+
+/**
+ * Forget a limit order once it is done and what it executed is recorded
+ * @param {number} orderId - The order ID
+ */
+async function forgetLimitOrder(orderId) {
+  if (state.restingLimitOrders.delete(Number(orderId))) {
+    await saveUnsettledOrders();
+  }
+}
+
+/**
+ * Keep checking a limit order that couldn't be canceled
+ * Fills of bot orders aren't recorded from the user data stream, so the order is checked until it
+ * is done and settleUnsettledOrders records whatever it executed.
+ * @param {Object} orderData - The order data (see placeMarketOrder)
+ * @param {Object} order - The order response from placing the order
+ */
+async function trackUnsettledOrder(orderData, order) {
+  state.restingLimitOrders.delete(Number(order.orderId));
+  state.unsettledOrders.set(Number(order.orderId), { orderData, since: Date.now() });
+  await saveUnsettledOrders();
+  scheduleUnsettledOrderChecks();
+}
+
+/**
+ * Store the limit orders being waited for and the unsettled ones in app_settings
+ */
+async function saveUnsettledOrders() {
+  if (!db.isReady()) {
+    return;
+  }
+  
+  try {
+    const orders = [...state.restingLimitOrders, ...state.unsettledOrders].map(([orderId, entry]) => ({ orderId, ...entry }));
+    await db.saveAppSettings({ [UNSETTLED_ORDERS_SETTING]: orders });
+  } catch (error) {
+    console.error('Failed to save the unsettled limit orders:', error.message);
+  }
+}
+
+/**
+ * Load the limit orders stored before a restart and start checking them - orders that were
+ * being waited for are settled like those that couldn't be canceled
+ */
+async function restoreUnsettledOrders() {
+  try {
+    const orders = await db.getAppSettings(UNSETTLED_ORDERS_SETTING);
+    for (const { orderId, orderData, since } of Array.isArray(orders) ? orders : []) {
+      state.unsettledOrders.set(Number(orderId), { orderData, since });
+    }
+  } catch (error) {
+    console.error('Failed to restore the unsettled limit orders:', error.message);
+  }
+  
+  if (state.unsettledOrders.size > 0) {
+    console.log(`Checking ${state.unsettledOrders.size} limit order(s) left unsettled before the restart`);
+    scheduleUnsettledOrderChecks();
+  }
+}
+
+/**
+ * Check the unsettled limit orders periodically while there are any
+ */
+function scheduleUnsettledOrderChecks() {
+  if (state.unsettledOrderInterval || state.unsettledOrders.size === 0) {
+    return;
+  }
+  
+  state.unsettledOrderInterval = setInterval(() => {
+    settleUnsettledOrders().catch(error => {
+      console.error('Error settling unsettled limit orders:', error.message);
+    });
+  }, UNSETTLED_ORDER_CHECK_INTERVAL);
+}
+
+/**
+ * Settle the limit orders that couldn't be canceled: retry the cancel of those still resting,
+ * and record what the finished ones executed
+ */
+async function settleUnsettledOrders() {
+  if (state.isSettlingOrders) {
+    return;
+  }
+  
+  state.isSettlingOrders = true;
+  try {
+    for (const [orderId, { orderData }] of state.unsettledOrders) {
+      const { symbol } = orderData;
+      let order;
       try {
-        const response = await axios(config);
-        return response.data;
+        order = await exchange.getOrder({ symbol, orderId });
+        if (OPEN_ORDER_STATUSES.includes(order.status)) {
+          order = await exchange.cancelOrder({ symbol, orderId });
+          console.log(`Limit order ${orderId} for ${symbol} canceled on retry (executed ${order.executedQty} of ${order.origQty})`);
+        }
       } catch (error) {
-        lastError = error;
-        console.error(`API request error (retries left: ${retries}):`, error.response ? error.response.data : error.message);
-        
-        // Only retry for network errors or server errors (5xx)
-        const isRetryable = !error.response || error.response.status >= 500;
-        if (isRetryable && retries > 0) {
-          retries--;
-          const delay = 1000 * (2 - retries); // Incremental backoff
-          console.log(`Retrying request in ${delay}ms...`);
-          await new Promise(resolve => setTimeout(resolve, delay));
+        if (!isUnknownOrderError(error)) {
+          // Still unsettled - the next check tries again
+          console.error(`Limit order ${orderId} for ${symbol} is still unsettled:`, error.message);
           continue;
         }
-        break;
+        console.warn(`Limit order ${orderId} for ${symbol} is unknown to the exchange - no fill can be recorded for it`);
+        telegram.sendErrorNotification(`Limit order ${orderId} for ${symbol} is unknown to the exchange - check its fills on Binance`);
+        order = null;
+      }
+      
+      const executedQty = order ? parseFloat(order.executedQty) || 0 : 0;
+      if (executedQty > 0) {
+        // A restart between recording the trade and saving the list settles the order again
+        const existingTradeCheck = await db.query(
+          'SELECT id FROM trades WHERE symbol = ? AND order_id = ? LIMIT 1',
+          [symbol.replace('USDT', ''), orderId]
+        );
+        
+        if (existingTradeCheck.length === 0) {
+          console.log(`Limit order ${orderId} for ${symbol} settled: ${order.executedQty} executed (status ${order.status})`);
+          await recordOrderExecution(orderData, order);
+        }
+      } else if (order) {
+        console.log(`Limit order ${orderId} for ${symbol} settled without executing (status ${order.status})`);
       }
+      
+      state.unsettledOrders.delete(orderId);
+      await saveUnsettledOrders();
     }
-    
-    // If we got here, all retries failed
-    throw lastError;
-  } catch (error) {
-    console.error('API request error:', error.response ? error.response.data : error.message);
-    throw error;
+  } finally {
+    state.isSettlingOrders = false;
+  }
+  
+  if (state.unsettledOrders.size === 0 && state.unsettledOrderInterval) {
+    clearInterval(state.unsettledOrderInterval);
+    state.unsettledOrderInterval = null;
   }
 }
 
 /**
- * Get account information
- * @returns {Promise<Object>} The account information
+ * Look up an order by the client order ID it was sent with, after placing it failed without a definite answer
+ * @param {string} symbol - The trading pair symbol (e.g., "BTCUSDT")
+ * @param {string} clientOrderId - The client order ID
+ * @returns {Promise<Object|null>} The order status, or null if the exchange never accepted the order
+ * @throws {Error} If the order can't be looked up
  */
-async function getAccountInfo() {
-  return signedRequest('/v3/account', 'GET');
+async function findOrderByClientId(symbol, clientOrderId) {
+  try {
+    return await exchange.getOrder({ symbol, origClientOrderId: clientOrderId });
+  } catch (error) {
+    if (isUnknownOrderError(error)) {
+      return null;
+    }
+    throw error;
+  }
 }
 
 /**
- * Place a market order and verify its execution
- * @param {Object} orderData - The order data
- * @param {string} orderData.symbol - The trading pair symbol (e.g., "BTCUSDT")
- * @param {string} orderData.side - The order side (BUY/SELL)
- * @param {number} orderData.quantity - The quantity to buy/sell
- * @returns {Promise<Object>} The order result
+ * Place a limit order at the current bid (buy) or ask (sell) and fall back to a market order
+ * Whatever hasn't filled when the symbol's limit timeout passes is canceled; with the market
+ * fallback the rest is then sent as a market order, otherwise the trade gives up. A LIMIT_MAKER
+ * order that would take liquidity is rejected by the exchange and handled the same way. A request
+ * that fails without a definite rejection (e.g. a timeout) is looked up by its client order ID first,
+ * so an order the exchange did accept is waited for instead of doubled by the market order.
+ * Each executed order is recorded as its own trade.
+ * @param {Object} orderData - The order data (see placeMarketOrder)
+ * @param {Object} config - The symbol's strategy config: { orderType, limitTimeoutSeconds, limitFallback }
+ * @returns {Promise<Object>} The order result - the limit order's final status, the market order's
+ *                            response, or both combined ({ executedQty, cummulativeQuoteQty, orders })
  */
-async function placeMarketOrder(orderData) {
+async function placeLimitOrderWithFallback(orderData, config) {
   // Check if trading is enabled
   if (!state.tradingEnabled) {
     throw new Error('Trading is currently disabled due to WebSocket connection issues');
@@ -841,161 +2872,123 @@ async function placeMarketOrder(orderData) {
     throw new Error('Cannot place order: WebSocket connection is down. Trading halted until reconnection.');
   }
   
+  const { symbol, side, quantity } = orderData;
+  const baseCurrency = symbol.replace('USDT', '');
+  const type = config.orderType === 'limit_maker' ? 'LIMIT_MAKER' : 'LIMIT';
+  const executedOrders = [];
+  let limitOrder = null;
+  let usedMarketFallback = false;
+  
   try {
-    const { symbol, side, quantity } = orderData;
-    
-    // Create order parameters
-    const params = {
-      symbol,
-      side,
-      type: 'MARKET',
-      quantity
-    };
-    
-    // Step 1: Execute the order
-    const result = await signedRequest('/v3/order', 'POST', params);
-    
-    // Step 2: Verify the order was executed successfully
-    if (!result || !result.status) {
-      throw new Error('Invalid order result received from Binance API');
-    }
-    
-    // Check if the order is FILLED (for market orders, should be immediate)
-    if (result.status !== 'FILLED') {
-      // For market orders, we expect immediate filling
-      throw new Error(`Order not filled immediately. Current status: ${result.status}`);
-    }
-    
-    // Step 3: Verify we have fills information
-    if (!result.fills || !result.fills.length || !result.fills[0].price) {
-      throw new Error('Order executed but no fill information provided');
-    }
-    
-    // Step 4: Verify order execution by checking the order status via a separate API call
+    // Step 1: Rest the order at the touch - the bookTicker stream keeps the bid and ask current
+    let clientOrderId = null;
     try {
-      const orderStatus = await signedRequest(`/v3/order`, 'GET', {
-        symbol: symbol,
-        orderId: result.orderId
-      });
+      const book = state.bookTickers.get(baseCurrency);
+      const bookPrice = book ? (side === 'BUY' ? book.bidPrice : book.askPrice) : 0;
+      if (!(bookPrice > 0)) {
+        throw new Error('no bid/ask received from the price stream yet');
+      }
       
-      if (orderStatus.status !== 'FILLED') {
-        throw new Error(`Order status verification failed. Status: ${orderStatus.status}`);
+      const price = formatPrice(baseCurrency, bookPrice);
+      clientOrderId = `${BOT_ORDER_PREFIX}lmt_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+      limitOrder = await exchange.placeLimitOrder({ symbol, side, quantity, price, clientOrderId, type });
+      console.log(`${type} order placed: ${side} ${quantity} ${symbol} at $${price} (order ${limitOrder.orderId}, timeout ${config.limitTimeoutSeconds}s)`);
+    } catch (placeError) {
+      // A timeout or server error may still have placed the order - look it up before falling back
+      if (clientOrderId && !exchange.isOrderRejection(placeError)) {
+        try {
+          limitOrder = await findOrderByClientId(symbol, clientOrderId);
+        } catch (lookupError) {
+          throw new Error(`${type} order ${clientOrderId} may have been placed (${placeError.message}) and could not be looked up: ${lookupError.message}. Check it on Binance`);
+        }
       }
       
-      console.log(`Order verification successful for ${symbol}, orderId: ${result.orderId}`);
-    } catch (verificationError) {
-      console.error(`Order verification error: ${verificationError.message}`);
-      throw new Error(`Could not verify order execution: ${verificationError.message}`);
+      if (limitOrder) {
+        console.warn(`${type} order for ${symbol} was placed despite the error (order ${limitOrder.orderId}): ${placeError.message}`);
+      } else if (config.limitFallback !== 'market') {
+        throw new Error(`${type} order not placed: ${placeError.message}`);
+      } else {
+        // Nothing rests on the exchange, so the market fallback can't double the trade
+        console.warn(`${type} order for ${symbol} not placed, using a market order: ${placeError.message}`);
+      }
     }
     
-    // Now we're sure the order is executed, log success
-    console.log(`Market order executed: ${side} ${quantity} ${symbol}`);
-    
-    // Calculate USD value
-    const price = parseFloat(result.fills[0].price);
-    const usdt = price * parseFloat(quantity);
-    
-    // Step 5: Only after verification, record trade in database
-    const baseCurrency = symbol.replace('USDT', '');
-    // Add a flag to identify if this is a manual sell all operation
-    const isManualSellAll = side.toLowerCase() === 'sell' && 
-                          orderData.isManualSellAll === true;
-    
-    // For manually executed trades, use the Binance fill data to get trade time and ID
-    // The trade_time will come from the Binance API response for new trades
-    let tradeTime = new Date();
-    let binanceTradeId = null;
-    
-    // Extract trade time and ID from the fill data if available
-    if (result.fills && result.fills.length > 0) {
-      // Use tradeId from the first fill as our Binance trade ID reference
-      binanceTradeId = result.fills[0].tradeId;
+    // Step 2: Wait for the fill, cancel after the timeout and record what executed
+    let executedQty = 0;
+    if (limitOrder) {
+      await rememberLimitOrder(orderData, limitOrder);
+      try {
+        limitOrder = await waitForLimitOrder(symbol, limitOrder, config.limitTimeoutSeconds * 1000);
+      } catch (waitError) {
+        // The order may still fill - it is checked until it is done, so its fill is recorded then
+        await trackUnsettledOrder(orderData, limitOrder);
+        throw new Error(`${waitError.message}. It is checked every ${UNSETTLED_ORDER_CHECK_INTERVAL / 1000}s until it is canceled or filled, and any fill is recorded`);
+      }
+      executedQty = parseFloat(limitOrder.executedQty) || 0;
       
-      // For manual trades, we use the current time since Binance doesn't return
-      // the exact trade time in the order response - this is different from 
-      // the historical trades endpoint which does include time
-    }
-    
-    // Record the trade and get the result data that includes price thresholds
-    const tradeResult = await db.recordTrade({
-      symbol: baseCurrency,
-      action: side.toLowerCase(),
-      quantity: parseFloat(quantity),
-      price: price,
-      usdt_amount: usdt,
-      isManualSellAll: isManualSellAll,
-      trade_time: tradeTime,
-      binance_trade_id: binanceTradeId
-    });
-    
-    // Verify price thresholds were updated
-    const thresholdVerification = await db.getReferencePrice(baseCurrency);
-    console.log(`[VERIFICATION] After trade for ${baseCurrency}: firstTransactionPrice=${thresholdVerification.firstTransactionPrice}, lastTransactionPrice=${thresholdVerification.lastTransactionPrice}, nextBuyPrice=${thresholdVerification.nextBuyPrice}, nextSellPrice=${thresholdVerification.nextSellPrice}`);
-    
-    // EXTRA VERIFICATION: For sell operations, ensure first_transaction_price and next_sell_price are set to 0
-    if (side.toLowerCase() === 'sell') {
-      // If verification shows non-zero values after a sell, fix them directly
-      if (thresholdVerification.firstTransactionPrice !== 0 || thresholdVerification.nextSellPrice !== 0) {
-        console.warn(`[CRITICAL FIX] Sell operation didn't reset values for ${baseCurrency}. Fixing directly.`);
-        
-        // Direct database connection for maximum reliability
-        const conn = await db.getConnection();
+      if (executedQty > 0) {
+        console.log(`${type} order executed: ${side} ${limitOrder.executedQty} ${symbol} (status ${limitOrder.status})`);
         try {
-          await conn.beginTransaction();
-          
-          // Calculate next_buy_price based on the current price (same formula as in auto-trading)
-          const nextBuyPrice = price * (1 - BUY_THRESHOLD_PERCENT);
-          
-          // Force update to ensure values are set correctly
-          await conn.query(`
-            UPDATE reference_prices 
-            SET next_buy_price = ?,
-                next_sell_price = 0,
-                first_transaction_price = 0
-            WHERE symbol = ?
-          `, [nextBuyPrice, baseCurrency]);
-          
-          await conn.commit();
-          console.log(`[DIRECT FIX] Successfully reset first_transaction_price and next_sell_price to 0 for ${baseCurrency}`);
-        } catch (error) {
-          await conn.rollback();
-          console.error(`Error in direct reference price fix for ${baseCurrency}:`, error);
-        } finally {
-          conn.release();
+          await recordOrderExecution(orderData, limitOrder);
+        } catch (recordError) {
+          // Settling skips an order whose trade is already recorded, so recording is retried with the unsettled orders
+          await trackUnsettledOrder(orderData, limitOrder);
+          throw recordError;
         }
+        executedOrders.push(limitOrder);
       }
+      await forgetLimitOrder(limitOrder.orderId);
     }
     
-    // Step 6: Update account balances in database after trade
-    try {
-      await updateAccountBalances();
-      console.log('Account balances updated after trade execution');
-    } catch (balanceError) {
-      console.error('Failed to update account balances after trade:', balanceError);
-      // Continue anyway - this should not invalidate the trade
+    // Step 3: Send the unfilled rest as a market order, or give up
+    const remaining = parseFloat(quantity) - executedQty;
+    if (remaining > 0 && config.limitFallback === 'market') {
+      let remainingQuantity = null;
+      try {
+        remainingQuantity = formatQuantity(baseCurrency, remaining, state.lastPrices.get(baseCurrency));
+      } catch (formatError) {
+        // A partial fill can leave less than the exchange's minimum order
+        if (executedOrders.length === 0) {
+          throw formatError;
+        }
+        console.log(`Unfilled rest of ${remaining} ${baseCurrency} is too small for a market order: ${formatError.message}`);
+      }
+      
+      if (remainingQuantity) {
+        console.log(`Sending the unfilled ${remainingQuantity} ${symbol} as a market order`);
+        usedMarketFallback = true;
+        executedOrders.push(await placeMarketOrder({ ...orderData, quantity: remainingQuantity }));
+      }
+    } else if (executedOrders.length === 0) {
+      throw new Error(`${type} order was not filled within ${config.limitTimeoutSeconds}s and was canceled`);
     }
-    
-    // Step 7: Send notification
-    await telegram.sendTradeNotification({
-      symbol: baseCurrency,
-      action: side.toLowerCase(),
-      quantity: parseFloat(quantity),
-      price: price,
-      usdt: usdt
-    });
-    
-    // Notify order update handlers
-    notifyOrderUpdate(result);
-    
-    return result;
   } catch (error) {
-    console.error('Error placing market order:', error);
+    console.error('Error placing limit order:', error);
     
-    // Send error notification
-    telegram.sendErrorNotification(`Failed to place ${orderData.side} order for ${orderData.symbol}: ${error.message}`);
+    // placeMarketOrder already reported its own failure
+    if (!usedMarketFallback) {
+      telegram.sendErrorNotification(`Failed to place ${side} limit order for ${symbol}: ${error.message}`);
+    }
     
-    throw error;
+    // A partial fill was recorded - report it instead of failing the trade
+    if (executedOrders.length === 0) {
+      throw error;
+    }
+  }
+  
+  if (executedOrders.length === 1) {
+    return executedOrders[0];
   }
+  
+  // Both orders executed - combine their totals; the fills of the canceled limit order aren't known
+  const [first, last] = executedOrders;
+  return {
+    ...last,
+    executedQty: (parseFloat(first.executedQty) + parseFloat(last.executedQty)).toFixed(8),
+    cummulativeQuoteQty: (parseFloat(first.cummulativeQuoteQty) + parseFloat(last.cummulativeQuoteQty)).toFixed(8),
+    fills: [],
+    orders: executedOrders
+  };
 }
 
 /**
@@ -1018,11 +3011,12 @@ async function buyWithUsdt(symbol, usdtAmount) {
     // Calculate quantity
     const quantity = usdtAmount / currentPrice;
     
-    // Format quantity with appropriate precision and ensure minimum notional
+    // Round to the exchange's step size and validate against its limits
+    await ensureSymbolFilters(symbol);
     const formattedQuantity = formatQuantity(symbol, quantity, currentPrice);
     
-    // Place the order
-    return await placeMarketOrder({
+    // Place the order with the symbol's order type
+    return await executeOrder({
       symbol: `${symbol}USDT`,
       side: 'BUY',
       quantity: formattedQuantity
@@ -1036,9 +3030,12 @@ async function buyWithUsdt(symbol, usdtAmount) {
 /**
  * Sell all holdings of a cryptocurrency
  * @param {string} symbol - The cryptocurrency symbol (e.g., "BTC")
+ * @param {Object} options - Sell options
+ * @param {string} options.reason - Optional reason recorded on the trade (e.g. "stop_loss")
+ * @param {boolean} options.forceMarket - Sell with a market order whatever the symbol's order type
  * @returns {Promise<Object>} The order result
  */
-async function sellAll(symbol) {
+async function sellAll(symbol, options = {}) {
   try {
     // Verify WebSocket connection is active
     if (!state.isConnected || !state.tradingEnabled) {
@@ -1059,16 +3056,19 @@ async function sellAll(symbol) {
     const tickerData = await getSymbolPrice(`${symbol}USDT`);
     const currentPrice = parseFloat(tickerData.price);
     
-    // Format quantity with appropriate precision and ensure minimum notional
+    // Round to the exchange's step size and validate against its limits
     const quantity = parseFloat(asset.free);
+    await ensureSymbolFilters(symbol);
     const formattedQuantity = formatQuantity(symbol, quantity, currentPrice);
     
     // Place the order - we no longer need to differentiate between manual and auto sells
     // as they are treated the same way in recordTrade
-    const result = await placeMarketOrder({
+    const result = await executeOrder({
       symbol: `${symbol}USDT`,
       side: 'SELL',
-      quantity: formattedQuantity
+      quantity: formattedQuantity,
+      reason: options.reason,
+      forceMarket: options.forceMarket === true
     });
     
     return result;
@@ -1079,59 +3079,148 @@ async function sellAll(symbol) {
 }
 
 /**
- * Format quantity with appropriate precision based on Binance LOT_SIZE filter
- * and ensure it meets minimum notional value requirements
+ * Sell part of the holdings of a cryptocurrency (e.g. one grid lot)
+ * @param {string} symbol - The cryptocurrency symbol (e.g., "BTC")
+ * @param {number} quantity - The base quantity to sell, capped at the free balance
+ * @param {Object} options - Sell options
+ * @param {string} options.reason - Optional reason recorded on the trade
+ * @returns {Promise<Object>} The order result
+ */
+async function sellQuantity(symbol, quantity, options = {}) {
+  try {
+    // Verify WebSocket connection is active
+    if (!state.isConnected || !state.tradingEnabled) {
+      throw new Error('Cannot execute trade: WebSocket connection is down. Trading is halted.');
+    }
+    
+    if (!(quantity > 0)) {
+      throw new Error(`Invalid quantity to sell: ${quantity}`);
+    }
+    
+    // Find the balance for the symbol
+    const accountInfo = await getAccountInfo();
+    const asset = accountInfo.balances.find(b => b.asset === symbol);
+    
+    if (!asset || parseFloat(asset.free) <= 0) {
+      throw new Error(`No ${symbol} balance available`);
+    }
+    
+    // Get current price from WebSocket for notional value check
+    const tickerData = await getSymbolPrice(`${symbol}USDT`);
+    const currentPrice = parseFloat(tickerData.price);
+    
+    // Round to the exchange's step size and validate against its limits
+    await ensureSymbolFilters(symbol);
+    const formattedQuantity = formatQuantity(symbol, Math.min(quantity, parseFloat(asset.free)), currentPrice);
+    
+    return await executeOrder({
+      symbol: `${symbol}USDT`,
+      side: 'SELL',
+      quantity: formattedQuantity,
+      reason: options.reason
+    });
+  } catch (error) {
+    console.error(`Error selling ${quantity} ${symbol}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Format quantity according to the symbol's exchangeInfo filters
+ * Rounds down to the LOT_SIZE/MARKET_LOT_SIZE step and validates quantity bounds and
+ * notional value. Orders that can't be made valid by rounding are rejected.
  * @param {string} symbol - The cryptocurrency symbol
  * @param {number} quantity - The quantity to format
  * @param {number} currentPrice - The current price of the symbol (for notional calculation)
+ * @param {Object} options - Formatting options
+ * @param {boolean} options.isMarketOrder - Whether MARKET_LOT_SIZE and market notional rules apply (default: true)
  * @returns {string} The formatted quantity
  */
-function formatQuantity(symbol, quantity, currentPrice) {
-  // LOT_SIZE filters for each trading pair
-  // These should ideally be fetched dynamically from exchangeInfo in production
-  const lotSizeFilters = {
-    'BTC': { minQty: 0.00001, maxQty: 9000, stepSize: 0.00001, minNotional: 10 },
-    'SOL': { minQty: 0.01, maxQty: 9000, stepSize: 0.01, minNotional: 10 },
-    'XRP': { minQty: 1, maxQty: 90000, stepSize: 1, minNotional: 10 },
-    'PENDLE': { minQty: 0.1, maxQty: 90000, stepSize: 0.1, minNotional: 10 },
-    'DOGE': { minQty: 1, maxQty: 90000, stepSize: 1, minNotional: 10 },
-    'NEAR': { minQty: 0.1, maxQty: 90000, stepSize: 0.1, minNotional: 10 }
-  };
+function formatQuantity(symbol, quantity, currentPrice, options = {}) {
+  const { isMarketOrder = true } = options;
+  const filters = state.symbolFilters.get(symbol);
+  
+  if (!filters) {
+    throw new Error(`Cannot format quantity for ${symbol}: exchangeInfo filters have not been loaded`);
+  }
+  
+  if (filters.status && filters.status !== 'TRADING') {
+    throw new Error(`${symbol}USDT is not currently trading on the exchange (status: ${filters.status})`);
+  }
+  
+  if (!filters.lotSize) {
+    throw new Error(`Cannot format quantity for ${symbol}: no LOT_SIZE filter in exchangeInfo`);
+  }
+  
+  // Market orders must satisfy LOT_SIZE and MARKET_LOT_SIZE; a zero step or bound means "not set"
+  const lotFilters = [filters.lotSize];
+  if (isMarketOrder && filters.marketLotSize) {
+    lotFilters.push(filters.marketLotSize);
+  }
+  
+  const minQty = Math.max(...lotFilters.map(filter => filter.minQty || 0));
+  const maxQty = Math.min(...lotFilters.map(filter => filter.maxQty || Infinity));
+  const stepSize = lotFilters
+    .map(filter => filter.stepSize)
+    .filter(step => parseFloat(step) > 0)
+    .sort((a, b) => parseFloat(b) - parseFloat(a))[0] || filters.lotSize.stepSize;
   
-  // Get LOT_SIZE filter for this symbol
-  const filter = lotSizeFilters[symbol];
+  // Round down to the step size so we never order more than requested or available
+  const roundedQuantity = roundDownToStep(quantity, stepSize);
+  const precision = getDecimalPlaces(stepSize);
   
-  if (!filter) {
-    console.warn(`No LOT_SIZE filter found for ${symbol}, using default precision`);
-    return quantity.toFixed(2);
+  if (roundedQuantity <= 0 || roundedQuantity < minQty) {
+    throw new Error(`Order quantity for ${symbol} is below the minimum: ${quantity} rounds to ${roundedQuantity.toFixed(precision)}, minimum is ${minQty}`);
   }
   
-  // Ensure quantity is within min/max bounds
-  quantity = Math.max(filter.minQty, Math.min(filter.maxQty, quantity));
+  if (roundedQuantity > maxQty) {
+    throw new Error(`Order quantity for ${symbol} exceeds the maximum: ${roundedQuantity.toFixed(precision)} > ${maxQty}`);
+  }
   
-  // Check if the order meets minimum notional value and adjust if needed
+  // Validate notional value (quantity * price)
   if (currentPrice && currentPrice > 0) {
-    const notional = quantity * currentPrice;
-    if (notional < filter.minNotional) {
-      console.log(`Increasing quantity for ${symbol} to meet minimum notional requirement (${notional.toFixed(2)} < ${filter.minNotional})`);
-      quantity = Math.ceil((filter.minNotional / currentPrice) * 100) / 100;
-      console.log(`Adjusted quantity to ${quantity} (notional: ${(quantity * currentPrice).toFixed(2)})`);
+    const notional = roundedQuantity * currentPrice;
+    const checkMin = !isMarketOrder || filters.applyMinToMarket;
+    const checkMax = !isMarketOrder || filters.applyMaxToMarket;
+    
+    if (checkMin && filters.minNotional > 0 && notional < filters.minNotional) {
+      throw new Error(`Order value for ${symbol} is below the minimum notional: $${notional.toFixed(2)} < $${filters.minNotional}`);
+    }
+    
+    if (checkMax && filters.maxNotional > 0 && notional > filters.maxNotional) {
+      throw new Error(`Order value for ${symbol} exceeds the maximum notional: $${notional.toFixed(2)} > $${filters.maxNotional}`);
     }
   }
   
-  // Calculate steps and ensure it adheres to stepSize
-  // Formula: floor((quantity - minQty) / stepSize) * stepSize + minQty
-  quantity = Math.floor((quantity - filter.minQty) / filter.stepSize) * filter.stepSize + filter.minQty;
+  return roundedQuantity.toFixed(precision);
+}
+
+/**
+ * Format a price according to the symbol's PRICE_FILTER
+ * @param {string} symbol - The cryptocurrency symbol
+ * @param {number} price - The price to format
+ * @returns {string} The formatted price
+ */
+function formatPrice(symbol, price) {
+  const filters = state.symbolFilters.get(symbol);
+  
+  if (!filters || !filters.priceFilter) {
+    throw new Error(`Cannot format price for ${symbol}: no PRICE_FILTER in exchangeInfo`);
+  }
+  
+  const { minPrice, maxPrice, tickSize } = filters.priceFilter;
+  const roundedPrice = roundDownToStep(price, tickSize);
+  const precision = getDecimalPlaces(tickSize);
   
-  // Determine precision from stepSize (count decimal places)
-  const stepSizeStr = filter.stepSize.toString();
-  let precision = 0;
-  if (stepSizeStr.includes('.')) {
-    precision = stepSizeStr.split('.')[1].length;
+  if (minPrice > 0 && roundedPrice < minPrice) {
+    throw new Error(`Price for ${symbol} is below the minimum: ${roundedPrice.toFixed(precision)} < ${minPrice}`);
   }
   
-  // Format with appropriate precision
-  return quantity.toFixed(precision);
+  if (maxPrice > 0 && roundedPrice > maxPrice) {
+    throw new Error(`Price for ${symbol} exceeds the maximum: ${roundedPrice.toFixed(precision)} > ${maxPrice}`);
+  }
+  
+  return roundedPrice.toFixed(precision);
 }
 
 // No need to redefine variables as they're already defined on lines 30-32
@@ -1144,7 +3233,7 @@ const activeTradeExecutions = new Map();
 // Map to track symbols that have been recently traded to prevent duplicate orders
 const recentlyTraded = new Map();
 // Cooldown period (in ms) during which a symbol cannot be traded again after a trade
-const TRADE_COOLDOWN = 180000; // 180 seconds (3 minutes) to ensure thresholds are properly synchronized
+const { TRADE_COOLDOWN } = strategyRules; // Shared with the backtester
 
 /**
  * Check if auto-trading should execute
@@ -1175,6 +3264,17 @@ async function checkAutoTrading(symbol, currentPrice, cachedRefPrices = null, ca
     return;
   }
   
+  // Paused pairs (e.g. after a stop-loss) are skipped until resumed from the dashboard
+  if (isSymbolPaused(symbol)) {
+    return;
+  }
+  
+  // Global circuit breaker - a trip disables auto-trading for all pairs
+  const breakerStatus = await riskManager.evaluate();
+  if (breakerStatus.tripped || !state.autoTradingEnabled) {
+    return;
+  }
+  
   // Check if there's already an active trading operation for this symbol
   if (activeTradeExecutions.get(symbol)) {
     // Removed log for duplicate prevention
@@ -1184,7 +3284,7 @@ async function checkAutoTrading(symbol, currentPrice, cachedRefPrices = null, ca
   // Check if this symbol was recently traded (within the cooldown period)
   const lastTradeTime = recentlyTraded.get(symbol);
   if (lastTradeTime) {
-    const timeElapsed = Date.now() - lastTradeTime;
+    const timeElapsed = getMarketTime() - lastTradeTime;
     const remainingCooldown = TRADE_COOLDOWN - timeElapsed;
     
     if (timeElapsed < TRADE_COOLDOWN) {
@@ -1231,105 +3331,133 @@ async function checkAutoTrading(symbol, currentPrice, cachedRefPrices = null, ca
       holdings = await db.getCurrentHoldings(symbol);
     }
     
+    // Thresholds and investment amount configured for this symbol (env values by default)
+    const strategy = await db.getStrategyConfig(symbol);
+    
     // Removed price comparison log
     
-    // Check if we should buy (price at or below next_buy_price) - Requirement 3.2
-    if (currentPrice <= refPrices.nextBuyPrice && refPrices.nextBuyPrice > 0) {
+    // A percentage stop-loss needs the average entry price, which cached holdings don't include
+    if (strategy.stopLossPercent > 0 && holdings.quantity > 0 && !holdings.averageBuyPrice) {
+      holdings = await db.getCurrentHoldings(symbol);
+    }
+    
+    // Strategies like the moving-average DCA decide on candles
+    const candleRequirement = strategies.getCandleRequirement(strategy);
+    const candles = candleRequirement
+      ? await candleAggregator.getCandles(symbol, candleRequirement.interval, { limit: candleRequirement.limit })
+      : null;
+    
+    // Decide what to do with the symbol's strategy - the backtester runs the same function over historical prices
+    let decision = strategies.decideAction({
+      price: currentPrice,
+      time: getMarketTime(),
+      refPrices,
+      holdings,
+      strategy,
+      candles,
+      sellable: holdings.quantity > 0 && isSellableQuantity(symbol, holdings.quantity, currentPrice)
+    });
+    const isTrailing = decision.trailing !== null;
+    
+    // Position caps only matter once the strategy wants to buy
+    if (decision.action === 'buy' && strategyRules.hasPositionCaps(strategy)) {
+      decision = strategies.applyPositionLimit(decision, strategy, await db.getPositionStats(symbol));
+    }
+    
+    // Store the trailing take-profit when it was armed or raised
+    if (decision.trailing) {
+      await saveTrailingStop(symbol, currentPrice, refPrices, decision.trailing);
+    }
+    
+    // Store reference prices the strategy moved without a trade (e.g. an armed grid level or the moving average)
+    if (decision.stateUpdate) {
+      await db.updateReferencePrice(symbol, decision.stateUpdate);
+      refPrices = { ...refPrices, ...decision.stateUpdate };
+      binanceEvents.emit('reference_price_updated', {
+        symbol,
+        firstTransactionPrice: refPrices.firstTransactionPrice,
+        lastTransactionPrice: refPrices.lastTransactionPrice,
+        nextBuyPrice: refPrices.nextBuyPrice,
+        nextSellPrice: refPrices.nextSellPrice
+      });
+    }
+    
+    // Check the stop-loss first - it takes precedence over buying more on the way down
+    if (decision.action === 'stop_loss') {
+      // Resting ladder sells lock the holdings the stop-loss sells
+      if (strategies.usesRestingOrders(strategy)) {
+        await gridLadder.cancel(symbol);
+        holdings = await db.getCurrentHoldings(symbol);
+      }
+      await executeStopLoss(symbol, currentPrice, decision.stopLossPrice, holdings, strategy);
+    }
+    
+    // Ladder strategies trade with resting limit orders - record their fills and place the next orders
+    else if (strategies.usesRestingOrders(strategy)) {
+      await gridLadder.sync(symbol);
+    }
+    
+    // A position cap was reached - skip the buy
+    else if (decision.action === 'limit_reached') {
+      reportLimitReached(symbol, decision.limitReached);
+    }
+    
+    // Check if we should buy (threshold: price at or below next_buy_price) - Requirement 3.2
+    else if (decision.action === 'buy') {
       // Only buy if we have USDT available
       const accountInfo = await getAccountInfo();
       const usdtBalance = accountInfo.balances.find(b => b.asset === 'USDT');
       
-      if (usdtBalance && parseFloat(usdtBalance.free) >= AUTO_TRADE_INVESTMENT_AMOUNT) {
-        console.log(`AUTO-TRADING TRIGGERED: Buying ${symbol} at $${currentPrice.toFixed(4)} (Buy price: $${refPrices.nextBuyPrice.toFixed(4)})`);
+      if (usdtBalance && parseFloat(usdtBalance.free) >= decision.usdtAmount) {
+        console.log(`AUTO-TRADING TRIGGERED: Buying ${symbol} at $${currentPrice.toFixed(4)} (Buy price: $${refPrices.nextBuyPrice.toFixed(4)}, ${strategy.strategy} strategy)`);
         
         // Send telegram notification for auto-trading trigger
         telegram.sendMessage(`🤖 Auto-trading BUY triggered for ${symbol} at $${currentPrice.toFixed(4)} (at/below buy price: $${refPrices.nextBuyPrice.toFixed(4)})`);
         
         try {
           console.log(`[AUTO-TRADE] Executing BUY for ${symbol} at ${currentPrice}`);
-          // Execute buy - this will update the reference prices in recordTrade function
-          const result = await buyWithUsdt(symbol, AUTO_TRADE_INVESTMENT_AMOUNT);
+          // Execute buy - recordTrade updates the reference prices with the strategy's afterTrade
+          const result = await buyWithUsdt(symbol, decision.usdtAmount);
           
           // After successful trade, update lastAutoTradingCheck to enforce a cooldown period
-          lastAutoTradingCheck.set(symbol, Date.now());
-          
-          // FIXED: Use actual executed price from the result instead of the trigger price
-          // This ensures consistent price recording between trade execution and threshold calculation
-          const executedPrice = parseFloat(result.fills[0].price);
-          console.log(`Using actual execution price for ${symbol}USDT: $${executedPrice.toFixed(4)} (from trade execution)`);
-          
-          // Per requirement 3.2: After buy order is confirmed, update last_transaction_price
-          // and calculate new next_buy_price using threshold percentage and last_transaction_price
-          const newBuyThreshold = executedPrice * (1 - BUY_THRESHOLD_PERCENT);
-          
-          // Get current reference prices to check if this is the first transaction
-          const currentRefPrices = await db.getReferencePrice(symbol);
+          lastAutoTradingCheck.set(symbol, getMarketTime());
           
-          // Prepare update data - ONLY update next_buy_price and last_transaction_price
-          // Per requirement: The next_sell_price can not be modified during buy operations
-          const updateData = {
-            nextBuyPrice: newBuyThreshold,
-            lastTransactionPrice: executedPrice,
-            forceUpdate: true
-          };
-          
-          // IMPORTANT: A buy is treated as a "first buy" in two cases:
-          // 1. It's the very first buy for this symbol (first_transaction_price is 0)
-          // 2. It's the first buy after a "sell all" operation (as sell sets first_transaction_price to 0)
-          if (currentRefPrices.firstTransactionPrice === 0) {
-            updateData.firstTransactionPrice = executedPrice;
-            
-            // Only calculate next_sell_price on first transaction or first buy after sell
-            // Based on requirement 2.1, next_sell_price uses first_transaction_price as reference
-            const newSellThreshold = executedPrice * (1 + SELL_THRESHOLD_PERCENT);
-            updateData.nextSellPrice = newSellThreshold;
-            
-            console.log(`[FIRST BUY] Setting first_transaction_price=${executedPrice} and next_sell_price=${newSellThreshold}`);
-          } else {
-            console.log(`[SUBSEQUENT BUY] Not modifying next_sell_price=${currentRefPrices.nextSellPrice} (preserving profit target)`);
-          }
-          
-          console.log(`[UPDATED PRICES] For ${symbol}: nextBuyPrice=${newBuyThreshold.toFixed(4)}, lastTransactionPrice=${executedPrice}`);
-          
-          // Update only the specified fields in the database
-          await db.updateReferencePrice(symbol, updateData);
+          // Use actual executed price from the result instead of the trigger price
+          const executedPrice = getExecutedPrice(result);
           
-          // Verify updates
-          const finalVerification = await db.getReferencePrice(symbol);
-          console.log(`[FINAL VERIFICATION] ${symbol} reference prices after update: Buy=${finalVerification.nextBuyPrice}, Sell=${finalVerification.nextSellPrice}`);
+          // Get the updated reference prices for accurate event emission
+          const updatedRefPrices = await db.getReferencePrice(symbol);
+          console.log(`[FINAL VERIFICATION] ${symbol} reference prices after buy: Buy=${updatedRefPrices.nextBuyPrice}, Sell=${updatedRefPrices.nextSellPrice}`);
           
           // Standard logging
           console.log(`Auto-trading buy executed: ${symbol} at $${executedPrice.toFixed(4)}, order ID: ${result.orderId}`);
           
           // Mark this symbol as recently traded to prevent duplicate trades
-          recentlyTraded.set(symbol, Date.now());
+          recentlyTraded.set(symbol, getMarketTime());
           
           // Log that we've marked this symbol as recently traded
           console.log(`[COOLDOWN ACTIVATED] ${symbol} marked as recently traded. No trades for ${TRADE_COOLDOWN/1000} seconds`);
           
-          // Get the updated reference prices for accurate event emission
-          const updatedRefPrices = await db.getReferencePrice(symbol);
-          
           // Emit auto-trading event with threshold info
           binanceEvents.emit('auto_trading_executed', { 
             symbol, 
             action: 'buy', 
             price: executedPrice,
-            amount: AUTO_TRADE_INVESTMENT_AMOUNT,
+            amount: decision.usdtAmount,
             orderId: result.orderId,
             newThresholds: {
-              nextBuyPrice: newBuyThreshold,
-              nextSellPrice: updatedRefPrices.nextSellPrice // Use the actual value from DB
+              nextBuyPrice: updatedRefPrices.nextBuyPrice,
+              nextSellPrice: updatedRefPrices.nextSellPrice
             }
           });
           
           // Notify UI of the updated thresholds
           binanceEvents.emit('reference_price_updated', {
             symbol: symbol,
-            firstTransactionPrice: updatedRefPrices.firstTransactionPrice, // Use actual value from DB
+            firstTransactionPrice: updatedRefPrices.firstTransactionPrice,
             lastTransactionPrice: executedPrice,
-            nextBuyPrice: newBuyThreshold,
-            nextSellPrice: updatedRefPrices.nextSellPrice // Use the actual value from DB
+            nextBuyPrice: updatedRefPrices.nextBuyPrice,
+            nextSellPrice: updatedRefPrices.nextSellPrice
           });
         } catch (buyError) {
           console.error(`Auto-trading buy execution failed for ${symbol}:`, buyError);
@@ -1340,74 +3468,45 @@ async function checkAutoTrading(symbol, currentPrice, cachedRefPrices = null, ca
       }
     }
     
-    // Check if we should sell (price at or above next_sell_price and we have holdings) - Requirement 3.3
-    else if (currentPrice >= refPrices.nextSellPrice && refPrices.nextSellPrice > 0 && holdings.quantity > 0) {
-      console.log(`AUTO-TRADING TRIGGERED: Selling ${symbol} at $${currentPrice.toFixed(4)} (Sell price: $${refPrices.nextSellPrice.toFixed(4)})`);
+    // Check if we should sell (threshold: price at or above next_sell_price and we have holdings) - Requirement 3.3
+    // With trailing take-profit: price fell back to the trailing stop after reaching next_sell_price
+    else if (decision.action === 'sell') {
+      const isPartial = decision.quantity !== 'all';
       
-      // Send telegram notification for auto-trading trigger
-      telegram.sendMessage(`🤖 Auto-trading SELL triggered for ${symbol} at $${currentPrice.toFixed(4)} (at/above sell price: $${refPrices.nextSellPrice.toFixed(4)})`);
+      if (isTrailing) {
+        console.log(`AUTO-TRADING TRIGGERED: Selling ${symbol} at $${currentPrice.toFixed(4)} (Trailing stop: $${refPrices.trailingStopPrice.toFixed(4)}, high: $${refPrices.trailingHighPrice.toFixed(4)})`);
+        telegram.sendMessage(`🤖 Auto-trading SELL triggered for ${symbol} at $${currentPrice.toFixed(4)} (fell back to trailing stop: $${refPrices.trailingStopPrice.toFixed(4)} from high: $${refPrices.trailingHighPrice.toFixed(4)})`);
+      } else {
+        console.log(`AUTO-TRADING TRIGGERED: Selling ${isPartial ? decision.quantity : 'all'} ${symbol} at $${currentPrice.toFixed(4)} (Sell price: $${refPrices.nextSellPrice.toFixed(4)}, ${strategy.strategy} strategy)`);
+        
+        // Send telegram notification for auto-trading trigger
+        telegram.sendMessage(`🤖 Auto-trading SELL triggered for ${symbol} at $${currentPrice.toFixed(4)} (at/above sell price: $${refPrices.nextSellPrice.toFixed(4)})`);
+      }
       
       try {
         console.log(`[AUTO-TRADE] Executing SELL for ${symbol} at ${currentPrice}`);
-        // Execute sell - this will update the reference prices in recordTrade function
-        // Per requirement 3.3: The sell order must be a sell all order, selling all amount of crypto
-        const result = await sellAll(symbol);
+        // Execute sell - recordTrade updates the reference prices with the strategy's afterTrade
+        // Per requirement 3.3 the threshold strategy sells everything; a grid sells one lot at a time
+        const sellOptions = { reason: decision.reason || undefined };
+        const result = isPartial
+          ? await sellQuantity(symbol, decision.quantity, sellOptions)
+          : await sellAll(symbol, sellOptions);
         
         // After successful trade, update lastAutoTradingCheck
-        lastAutoTradingCheck.set(symbol, Date.now());
-        
-        // Per requirement 3.3: After sell is confirmed, update last_transaction_price,
-        // calculate new next_buy_price, and set next_sell_price and first_transaction_price to 0
-        const newBuyThreshold = currentPrice * (1 - BUY_THRESHOLD_PERCENT);
-        const newSellThreshold = 0; // Per requirement 3.3 - set next_sell_price to 0 after sell
+        lastAutoTradingCheck.set(symbol, getMarketTime());
         
-        // IMPORTANT: Setting first_transaction_price to 0 after a sell operation
-        // ensures that the next buy will be treated as a "first buy",
-        // which will properly set next_sell_price based on that transaction price
-        
-        // Ensure database values are consistent - use direct query for maximum reliability
-        // This approach ensures that the update is atomic and isn't affected by race conditions
-        const conn = await db.getConnection();
-        try {
-          await conn.beginTransaction();
-          
-          // Update with direct SQL for maximum reliability
-          await conn.query(`
-            UPDATE reference_prices 
-            SET next_buy_price = ?,
-                next_sell_price = 0,
-                last_transaction_price = ?,
-                first_transaction_price = 0
-            WHERE symbol = ?
-          `, [newBuyThreshold, currentPrice, symbol]);
-          
-          await conn.commit();
-          console.log(`[DIRECT UPDATE] Successfully reset first_transaction_price and next_sell_price to 0 for ${symbol}`);
-        } catch (error) {
-          await conn.rollback();
-          console.error(`Error in direct reference price update for ${symbol}:`, error);
-          
-          // Fallback to normal update if direct update fails
-          await db.updateReferencePrice(symbol, {
-            nextBuyPrice: newBuyThreshold,
-            nextSellPrice: newSellThreshold,
-            lastTransactionPrice: currentPrice,
-            firstTransactionPrice: 0,
-            forceUpdate: true
-          });
-        } finally {
-          conn.release();
-        }
+        const executedPrice = getExecutedPrice(result);
+        const quantity = parseFloat(result.executedQty) || holdings.quantity;
         
         // Verify updates
-        const finalVerification = await db.getReferencePrice(symbol);
-        console.log(`[FINAL VERIFICATION] ${symbol} reference prices after update: Buy=${finalVerification.nextBuyPrice}, Sell=${finalVerification.nextSellPrice}`);
+        const updatedRefPrices = await db.getReferencePrice(symbol);
+        console.log(`[FINAL VERIFICATION] ${symbol} reference prices after sell: Buy=${updatedRefPrices.nextBuyPrice}, Sell=${updatedRefPrices.nextSellPrice}`);
         
         // Standard logging
-        console.log(`Auto-trading sell executed: ${symbol} at $${currentPrice.toFixed(4)}, order ID: ${result.orderId}`);
+        console.log(`Auto-trading sell executed: ${symbol} at $${executedPrice.toFixed(4)}, order ID: ${result.orderId}`);
         
         // Mark this symbol as recently traded to prevent duplicate trades
-        recentlyTraded.set(symbol, Date.now());
+        recentlyTraded.set(symbol, getMarketTime());
         
         // Log that we've marked this symbol as recently traded
         console.log(`[COOLDOWN ACTIVATED] ${symbol} marked as recently traded. No trades for ${TRADE_COOLDOWN/1000} seconds`);
@@ -1416,22 +3515,23 @@ async function checkAutoTrading(symbol, currentPrice, cachedRefPrices = null, ca
         binanceEvents.emit('auto_trading_executed', { 
           symbol, 
           action: 'sell', 
-          price: currentPrice,
-          quantity: holdings.quantity,
+          price: executedPrice,
+          quantity,
           orderId: result.orderId,
           newThresholds: {
-            nextBuyPrice: newBuyThreshold,
-            nextSellPrice: newSellThreshold
+            nextBuyPrice: updatedRefPrices.nextBuyPrice,
+            nextSellPrice: updatedRefPrices.nextSellPrice,
+            trailingStopPrice: updatedRefPrices.trailingStopPrice
           }
         });
         
         // Notify UI of the updated thresholds
         binanceEvents.emit('reference_price_updated', {
           symbol: symbol,
-          firstTransactionPrice: 0, // UPDATED: Reset first_transaction_price to 0 after sell
-          lastTransactionPrice: currentPrice,
-          nextBuyPrice: newBuyThreshold,
-          nextSellPrice: newSellThreshold
+          firstTransactionPrice: updatedRefPrices.firstTransactionPrice,
+          lastTransactionPrice: executedPrice,
+          nextBuyPrice: updatedRefPrices.nextBuyPrice,
+          nextSellPrice: updatedRefPrices.nextSellPrice
         });
       } catch (sellError) {
         console.error(`Auto-trading sell execution failed for ${symbol}:`, sellError);
@@ -1456,13 +3556,21 @@ async function checkAutoTrading(symbol, currentPrice, cachedRefPrices = null, ca
 /**
  * Enable auto-trading
  * @param {boolean} enabled - Whether auto-trading should be enabled
+ * @param {Object} options - Optional settings
+ * @param {string} options.reason - Why auto-trading is disabled by the system (e.g. the circuit breaker)
  */
-async function setAutoTrading(enabled) {
+async function setAutoTrading(enabled, options = {}) {
   try {
     console.log(`Attempting to ${enabled ? 'enable' : 'disable'} auto-trading...`);
     
     // Only allow enabling if WebSocket is connected and trading is enabled
     if (enabled) {
+      // A tripped circuit breaker has to be acknowledged first
+      if (riskManager.isTripped()) {
+        console.error('Cannot enable auto-trading: Circuit breaker is tripped');
+        throw new Error(`Cannot enable auto-trading: Circuit breaker is tripped (${riskManager.getStatus().reason}). Acknowledge it first.`);
+      }
+      
       if (!state.isConnected) {
         console.error('Cannot enable auto-trading: WebSocket connection is down');
         throw new Error('Cannot enable auto-trading: WebSocket connection is down');
@@ -1490,6 +3598,15 @@ async function setAutoTrading(enabled) {
     state.autoTradingEnabled = enabled;
     console.log(`Auto-trading ${enabled ? 'enabled' : 'disabled'} successfully`);
     
+    // Resting ladder orders would keep trading, so they are canceled - the next check after enabling places them again
+    if (!enabled) {
+      try {
+        await gridLadder.cancelAll();
+      } catch (error) {
+        console.error('Failed to cancel grid orders:', error.message);
+      }
+    }
+    
     // Persist state to database
     try {
       await db.saveAppSettings({
@@ -1507,12 +3624,16 @@ async function setAutoTrading(enabled) {
       telegram.sendMessage(`✅ Auto-trading has been enabled. The bot will now automatically execute trades according to your strategy.`);
     } else {
       // Add more details for disablement - indicate whether it was manual or system-initiated
-      const disableReason = isStateChange ? 'manually' : 'already';
-      telegram.sendMessage(`🛑 Auto-trading has been ${disableReason} disabled. No automatic trades will be executed until re-enabled.`);
+      if (options.reason) {
+        telegram.sendMessage(`🛑 Auto-trading has been disabled by the system: ${options.reason}. No automatic trades will be executed until re-enabled.`);
+      } else {
+        const disableReason = isStateChange ? 'manually' : 'already';
+        telegram.sendMessage(`🛑 Auto-trading has been ${disableReason} disabled. No automatic trades will be executed until re-enabled.`);
+      }
     }
     
     // Emit auto-trading status change event
-    binanceEvents.emit('auto_trading_status', { enabled: enabled });
+    binanceEvents.emit('auto_trading_status', { enabled: enabled, ...(options.reason ? { reason: options.reason } : {}) });
     
     return true;
   } catch (error) {
@@ -1523,6 +3644,53 @@ async function setAutoTrading(enabled) {
   }
 }
 
+/**
+ * Disable auto-trading after the circuit breaker tripped
+ * Called by the risk manager once the trip is persisted
+ * @param {Object} status - The circuit breaker status, including the metrics that tripped it
+ */
+async function handleCircuitBreakerTrip(status) {
+  try {
+    await setAutoTrading(false, { reason: `circuit breaker tripped (${status.reason})` });
+  } catch (error) {
+    // Still stop trading in memory - the breaker check in checkAutoTrading blocks it anyway
+    console.error('Failed to disable auto-trading after circuit breaker trip:', error.message);
+    state.autoTradingEnabled = false;
+  }
+  
+  telegram.sendCircuitBreakerAlert(status);
+  
+  binanceEvents.emit('circuit_breaker', status);
+}
+
+/**
+ * Get the circuit breaker status with up-to-date metrics
+ * @returns {Promise<Object>} The circuit breaker status
+ */
+async function getCircuitBreakerStatus() {
+  return riskManager.evaluate(true);
+}
+
+/**
+ * Acknowledge a tripped circuit breaker so auto-trading can be enabled again
+ * Auto-trading stays off - it has to be enabled separately
+ * @param {string} source - Who acknowledged the trip, for the logs (e.g. "dashboard")
+ * @returns {Promise<Object>} The circuit breaker status
+ */
+async function acknowledgeCircuitBreaker(source = 'unknown') {
+  const previous = riskManager.getStatus();
+  if (!previous.tripped) {
+    return previous;
+  }
+  
+  const status = await riskManager.acknowledge();
+  console.log(`Circuit breaker acknowledged via ${source} (was: ${previous.reason})`);
+  telegram.sendMessage(`✅ Circuit breaker acknowledged via ${source}. Auto-trading can be enabled again; limits are counted from now.`);
+  
+  binanceEvents.emit('circuit_breaker', status);
+  return status;
+}
+
 /**
  * Register a handler for price updates
  * @param {Function} handler - The handler function(symbol, price)
@@ -1611,7 +3779,7 @@ function onAutoTradingStatusChange(handler) {
 function notifyPriceUpdate(symbol, price) {
   // Explicitly check if auto-trading is enabled before calling checkAutoTrading
   if (state.autoTradingEnabled) {
-    const now = Date.now();
+    const now = getMarketTime();
     const lastCheck = lastAutoTradingCheck.get(symbol) || 0;
     const lockKey = `${symbol}_trading_lock`;
     
@@ -1697,7 +3865,11 @@ function getHealthStatus() {
     autoTradingEnabled: state.autoTradingEnabled,
     wsStatus: state.serviceStatus.wsConnected,
     apiStatus: state.serviceStatus.apiConnected,
+    userStreamStatus: state.userStream.isConnected,
+    circuitBreakerTripped: riskManager.isTripped(),
+    marketRecorder: recorder.getStatus(),
     lastError: state.serviceStatus.lastError,
+    exchangeMode: exchange.mode,
     supportedSymbols: state.supportedSymbols,
     lastMessageTime: state.lastMessageTime ? new Date(state.lastMessageTime).toISOString() : null,
     priceUpdateAge: state.lastMessageTime ? (Date.now() - state.lastMessageTime) : null
@@ -1816,8 +3988,25 @@ function close() {
     balanceUpdateInterval = null;
   }
   
-  // Close WebSocket connection
+  if (state.filterRefreshInterval) {
+    clearInterval(state.filterRefreshInterval);
+    state.filterRefreshInterval = null;
+  }
+  
+  if (state.unsettledOrderInterval) {
+    clearInterval(state.unsettledOrderInterval);
+    state.unsettledOrderInterval = null;
+  }
+  
+  if (state.userStream.reconnectTimeout) {
+    clearTimeout(state.userStream.reconnectTimeout);
+    state.userStream.reconnectTimeout = null;
+  }
+  
+  // Close WebSocket connections
   closeWebSocketConnection();
+  closeUserDataStream();
+  recorder.stopReplay();
   
   // Reset connection state
   state.isConnected = false;
@@ -1841,6 +4030,8 @@ module.exports = {
   buyWithUsdt,
   sellAll,
   setAutoTrading,
+  getCircuitBreakerStatus,
+  acknowledgeCircuitBreaker,
   checkAutoTrading, // Expose the checkAutoTrading function
   onPriceUpdate,
   onOrderUpdate,
@@ -1848,8 +4039,22 @@ module.exports = {
   onAutoTradingStatusChange,
   onReferencePriceUpdate, // Add the reference price update handler
   getSupportedSymbols: () => [...state.supportedSymbols],
+  getSymbolDetails,
+  addSymbol,
+  removeSymbol,
+  getStrategyConfigs,
+  updateStrategyConfig,
+  setSymbolAutoTradingPaused,
+  resetStrategyState,
   getCurrentPrice: (symbol) => state.lastPrices.get(symbol) || 0,
+  formatQuantity,
+  formatPrice,
+  loadSymbolFilters,
+  getSymbolFilters: (symbol) => state.symbolFilters.get(symbol) || null,
   getHealthStatus,
+  getCandles: (symbol, interval, options) => candleAggregator.getCandles(symbol, interval, options),
+  getGridLevels: (symbol) => gridLadder.getLevels(String(symbol || '').trim().toUpperCase().replace(/USDT$/, '')),
+  saveCandles: () => candleAggregator.close(), // Called on shutdown before the database closes
   fetchHistoricalTrades,
   importHistoricalTrades,
   close,
@@ -0,0 +1,395 @@
+// backend/js/candles.js
+// Candles Module
+// Responsible for aggregating bookTicker prices into 1m/5m/1h OHLC candles, persisting them
+// in the candles table and backfilling missing history from Binance klines
+
+const dotenv = require('dotenv');
+
+// Import internal modules
+const db = require('./dbconns');
+
+// Load environment variables
+dotenv.config({ path: require('path').resolve(__dirname, '../.env') });
+
+// Supported candle intervals and their length in milliseconds
+const CANDLE_INTERVALS = Object.freeze({
+  '1m': 60000,
+  '5m': 300000,
+  '1h': 3600000
+});
+
+// Klines fetched per symbol and interval on startup, 0 = no backfill
+const BACKFILL_LIMIT = parseInt(process.env.CANDLE_BACKFILL_LIMIT || 500); // Default to 500 if not set
+// Min. time between candle-update events per symbol and interval - closed candles are always sent
+const UPDATE_THROTTLE_MS = parseInt(process.env.CANDLE_UPDATE_THROTTLE_MS || 1000); // Default to 1 second if not set
+
+// Binance returns at most this many klines per request
+const KLINES_PER_REQUEST = 1000;
+// Open candles are written this often, so a restart loses at most a few seconds of ticks
+const SAVE_INTERVAL = 10000;
+// Closed candles kept for a retry while the database is unavailable
+const MAX_PENDING_CANDLES = 5000;
+
+/**
+ * Create a candle aggregator
+ * @param {Object} options - Aggregator dependencies
+ * @param {Function} options.fetchKlines - (symbol, interval, { startTime, limit }) => Promise<Array> of klines
+ * @param {Function} options.onUpdate - Called with a candle payload when a candle changes or closes
+ * @param {Function} options.shouldPersist - Returns false while candles must not be stored (market replay)
+ * @returns {Object} The candle aggregator
+ */
+function createCandleAggregator({ fetchKlines, onUpdate = () => {}, shouldPersist = () => true }) {
+  if (typeof fetchKlines !== 'function') {
+    throw new Error('Candle aggregator requires a fetchKlines function');
+  }
+
+  const state = {
+    current: new Map(),   // Map of "symbol:interval" -> the open candle
+    dirty: new Set(),     // Keys of open candles changed since the last save
+    pending: [],          // Closed candles waiting to be saved
+    lastEmit: new Map(),  // Map of "symbol:interval" -> timestamp of the last candle-update
+    saveInterval: null,
+    isSaving: false
+  };
+
+  /**
+   * Build the event payload for a candle
+   * @param {Object} candle - The candle
+   * @param {boolean} closed - Whether the candle is complete
+   * @returns {Object} { symbol, interval, openTime, closeTime, open, high, low, close, volume, closed }
+   */
+  function toPayload(candle, closed) {
+    return {
+      symbol: candle.symbol,
+      interval: candle.interval,
+      openTime: candle.openTime,
+      closeTime: candle.openTime + CANDLE_INTERVALS[candle.interval] - 1,
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+      volume: candle.volume,
+      closed
+    };
+  }
+
+  /**
+   * Notify listeners of a candle change, at most once per UPDATE_THROTTLE_MS unless it closed
+   * @param {string} key - The "symbol:interval" key
+   * @param {Object} candle - The candle
+   * @param {boolean} closed - Whether the candle is complete
+   * @param {number} now - The current time
+   */
+  function emitUpdate(key, candle, closed, now) {
+    if (!closed && now - (state.lastEmit.get(key) || 0) < UPDATE_THROTTLE_MS) {
+      return;
+    }
+
+    state.lastEmit.set(key, closed ? 0 : now);
+    try {
+      onUpdate(toPayload(candle, closed));
+    } catch (error) {
+      console.error('Error in candle update listener:', error);
+    }
+  }
+
+  /**
+   * Start saving candles periodically
+   */
+  function start() {
+    if (state.saveInterval) {
+      return;
+    }
+
+    state.saveInterval = setInterval(() => {
+      save().catch(error => console.error('Error saving candles:', error.message));
+    }, SAVE_INTERVAL);
+    // Don't keep the process alive just for the candles
+    state.saveInterval.unref();
+  }
+
+  /**
+   * Add a price to the open candles of a symbol
+   * A price in a later period closes the open candle and starts the next one.
+   * @param {string} symbol - The base symbol
+   * @param {number} price - The price
+   * @param {number} time - When the price was received
+   */
+  function recordPrice(symbol, price, time = Date.now()) {
+    if (!(price > 0)) {
+      return;
+    }
+
+    for (const [interval, length] of Object.entries(CANDLE_INTERVALS)) {
+      const key = `${symbol}:${interval}`;
+      const openTime = Math.floor(time / length) * length;
+      let candle = state.current.get(key);
+
+      // Late tick for a candle that is already closed
+      if (candle && candle.openTime > openTime) {
+        continue;
+      }
+
+      if (candle && candle.openTime < openTime) {
+        queueClosed(candle);
+        state.dirty.delete(key);
+        emitUpdate(key, candle, true, time);
+        candle = null;
+      }
+
+      if (!candle) {
+        candle = {
+          symbol,
+          interval,
+          openTime,
+          open: price,
+          high: price,
+          low: price,
+          close: price,
+          volume: 0,        // bookTicker carries no trade volume
+          source: 'ticker'
+        };
+        state.current.set(key, candle);
+      } else {
+        candle.high = Math.max(candle.high, price);
+        candle.low = Math.min(candle.low, price);
+        candle.close = price;
+      }
+
+      state.dirty.add(key);
+      emitUpdate(key, candle, false, time);
+    }
+  }
+
+  /**
+   * Queue a closed candle for the next save
+   * @param {Object} candle - The candle
+   */
+  function queueClosed(candle) {
+    state.pending.push({ ...candle });
+    if (state.pending.length > MAX_PENDING_CANDLES) {
+      state.pending.splice(0, state.pending.length - MAX_PENDING_CANDLES);
+    }
+  }
+
+  /**
+   * Write closed candles and changed open candles to the database
+   * @returns {Promise<number>} The number of candles written
+   */
+  async function save() {
+    if (state.isSaving || !db.isReady()) {
+      return 0;
+    }
+
+    // Replayed ticks carry the wall-clock time - keep them out of the price history
+    if (!shouldPersist()) {
+      state.pending = [];
+      state.dirty.clear();
+      return 0;
+    }
+
+    const closed = state.pending;
+    const open = [...state.dirty].map(key => ({ ...state.current.get(key) }));
+    state.pending = [];
+    state.dirty.clear();
+
+    if (closed.length === 0 && open.length === 0) {
+      return 0;
+    }
+
+    state.isSaving = true;
+    try {
+      return await db.upsertCandles([...closed, ...open]);
+    } catch (error) {
+      // Closed candles are retried on the next save; open ones are saved again on their next tick
+      state.pending = [...closed, ...state.pending].slice(-MAX_PENDING_CANDLES);
+      throw error;
+    } finally {
+      state.isSaving = false;
+    }
+  }
+
+  /**
+   * Merge a still open kline with the candle aggregated from ticks
+   * Ticks only cover the time since startup; the kline covers the whole period.
+   * @param {Object} kline - The kline as a candle
+   * @returns {Object} The candle to store
+   */
+  function mergeOpenKline(kline) {
+    const key = `${kline.symbol}:${kline.interval}`;
+    const candle = state.current.get(key);
+
+    if (!candle) {
+      // Continue the kline with the next ticks
+      const seeded = { ...kline, source: 'ticker' };
+      state.current.set(key, seeded);
+      return { ...seeded };
+    }
+
+    if (candle.openTime !== kline.openTime) {
+      return kline;
+    }
+
+    candle.open = kline.open;
+    candle.high = Math.max(candle.high, kline.high);
+    candle.low = Math.min(candle.low, kline.low);
+    candle.volume = kline.volume;
+    return { ...candle };
+  }
+
+  /**
+   * Fetch the klines missing since the newest stored candle
+   * @param {string} symbol - The base symbol
+   * @param {string} interval - The candle interval
+   * @returns {Promise<number>} The number of candles stored
+   */
+  async function backfillInterval(symbol, interval) {
+    const length = CANDLE_INTERVALS[interval];
+    const now = Date.now();
+    const earliest = Math.floor((now - BACKFILL_LIMIT * length) / length) * length;
+
+    // The newest stored candle may have been saved while it was still open - fetch it again
+    const latest = await db.getLatestCandleTime(symbol, interval);
+    let startTime = latest ? Math.max(latest, earliest) : earliest;
+    let stored = 0;
+
+    while (startTime <= now) {
+      const klines = await fetchKlines(symbol, interval, { startTime, limit: KLINES_PER_REQUEST });
+      if (!klines || klines.length === 0) {
+        break;
+      }
+
+      const candles = klines.map(kline => ({ symbol, interval, ...kline, source: 'binance' }));
+      const last = candles[candles.length - 1];
+      if (last.openTime + length > Date.now()) {
+        candles[candles.length - 1] = mergeOpenKline(last);
+      }
+
+      stored += await db.upsertCandles(candles);
+
+      if (klines.length < KLINES_PER_REQUEST) {
+        break;
+      }
+      startTime = last.openTime + length;
+    }
+
+    return stored;
+  }
+
+  /**
+   * Backfill the candle history of symbols from Binance klines
+   * Requests run one after another to stay well inside the API weight limits.
+   * @param {Array<string>} symbols - The base symbols
+   * @returns {Promise<number>} The number of candles stored
+   */
+  async function backfill(symbols) {
+    if (BACKFILL_LIMIT <= 0 || !db.isReady()) {
+      return 0;
+    }
+
+    let stored = 0;
+    for (const symbol of symbols) {
+      for (const interval of Object.keys(CANDLE_INTERVALS)) {
+        try {
+          stored += await backfillInterval(symbol, interval);
+        } catch (error) {
+          // Not critical - the history fills up from live prices
+          console.warn(`Could not backfill ${interval} candles for ${symbol}:`, error.response ? error.response.data : error.message);
+        }
+      }
+    }
+
+    console.log(`Backfilled ${stored} candles for ${symbols.join(', ')}`);
+    return stored;
+  }
+
+  /**
+   * Get the candles of a symbol, including the open candle
+   * @param {string} symbol - The base symbol
+   * @param {string} interval - The candle interval
+   * @param {Object} options - { from, to } in milliseconds (optional) and limit
+   * @returns {Promise<Array>} The candles, oldest first
+   */
+  async function getCandles(symbol, interval, { from = null, to = null, limit = 500 } = {}) {
+    if (!CANDLE_INTERVALS[interval]) {
+      throw new Error(`Unsupported interval "${interval}". Use ${Object.keys(CANDLE_INTERVALS).join(', ')}`);
+    }
+
+    const stored = db.isReady()
+      ? await db.getCandles(symbol, interval, {
+        from: from !== null ? new Date(from) : null,
+        to: to !== null ? new Date(to) : null,
+        limit
+      })
+      : [];
+
+    const now = Date.now();
+    const candles = stored.map(candle => toPayload(candle, candle.openTime + CANDLE_INTERVALS[interval] <= now));
+
+    // The open candle in memory is newer than its last save
+    const open = state.current.get(`${symbol}:${interval}`);
+    if (open && (from === null || open.openTime >= from) && (to === null || open.openTime <= to)) {
+      const last = candles[candles.length - 1];
+      if (last && last.openTime === open.openTime) {
+        candles.pop();
+      }
+      if (!last || last.openTime <= open.openTime) {
+        candles.push(toPayload(open, false));
+      }
+      if (candles.length > limit) {
+        candles.shift();
+      }
+    }
+
+    return candles;
+  }
+
+  /**
+   * Forget the open candles of a symbol (after it was removed)
+   * @param {string} symbol - The base symbol
+   */
+  function removeSymbol(symbol) {
+    for (const interval of Object.keys(CANDLE_INTERVALS)) {
+      const key = `${symbol}:${interval}`;
+      if (state.dirty.has(key)) {
+        queueClosed(state.current.get(key));
+        state.dirty.delete(key);
+      }
+      state.current.delete(key);
+      state.lastEmit.delete(key);
+    }
+  }
+
+  /**
+   * Stop the periodic save and write what is left
+   * @returns {Promise<void>} Resolves when the candles are saved
+   */
+  async function close() {
+    if (state.saveInterval) {
+      clearInterval(state.saveInterval);
+      state.saveInterval = null;
+    }
+
+    try {
+      await save();
+    } catch (error) {
+      console.error('Error saving candles on shutdown:', error.message);
+    }
+  }
+
+  return {
+    start,
+    recordPrice,
+    backfill,
+    getCandles,
+    removeSymbol,
+    save,
+    close
+  };
+}
+
+// Export public API
+module.exports = {
+  createCandleAggregator,
+  CANDLE_INTERVALS
+};
@@ -0,0 +1,434 @@
+// backend/js/commands.js
+// Telegram Commands Module
+// Responsible for the chat commands of the Telegram bot: status, prices, positions and history,
+// switching auto-trading and manual trades. The commands call the same binance.js and database
+// functions as the dashboard's socket handlers; telegram.js only lets the configured chats use them.
+// Trades are only previewed by their command and run when the preview's Confirm button is pressed.
+
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+
+// Import internal modules
+const binance = require('./binance');
+const db = require('./dbconns');
+const telegram = require('./telegram');
+
+// Load environment variables
+dotenv.config({ path: require('path').resolve(__dirname, '../.env') });
+
+// Number of trades shown by /history
+const HISTORY_LIMIT = 10;
+
+// How long a trade preview can be confirmed
+const CONFIRM_TIMEOUT_SECONDS = parseInt(process.env.TELEGRAM_CONFIRM_TIMEOUT_SECONDS || 60); // Default to 60 seconds if not set
+
+// Previewed trades waiting for their Confirm button, by confirmation ID
+const pendingTrades = new Map();
+
+// Functions of main.js shared with the socket handlers (set by initialize)
+const app = {
+  getSystemStatus: null,
+  setAutoTrading: null
+};
+
+/**
+ * Format a USDT value or price
+ * @param {number} value - The value
+ * @param {number} decimals - The number of decimals
+ * @returns {string} The formatted value, e.g. "$12.3400"
+ */
+function formatUsdt(value, decimals = 4) {
+  return `$${(parseFloat(value) || 0).toFixed(decimals)}`;
+}
+
+/**
+ * Format a connection flag
+ * @param {boolean} connected - Whether the connection is up
+ * @returns {string} ✅ or ❌
+ */
+function formatFlag(connected) {
+  return connected ? '✅' : '❌';
+}
+
+/**
+ * Format a trade time from the trades table (UTC)
+ * @param {string|Date} value - The trade time
+ * @returns {string} "YYYY-MM-DD HH:MM"
+ */
+function formatTradeTime(value) {
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return text.replace('T', ' ').substring(0, 16);
+}
+
+/**
+ * Resolve a symbol argument to a supported trading pair
+ * @param {string|undefined} value - The symbol as typed, e.g. "btc" or "BTCUSDT"
+ * @param {string} usage - The usage shown if the symbol is missing
+ * @returns {string} The base symbol, e.g. "BTC"
+ */
+function parseSymbol(value, usage) {
+  if (!value) {
+    throw new Error(`Usage: ${usage}`);
+  }
+
+  const symbol = value.trim().toUpperCase().replace(/USDT$/, '');
+  const supportedSymbols = binance.getSupportedSymbols();
+  if (!supportedSymbols.includes(symbol)) {
+    throw new Error(`${symbol} is not a trading pair. Pairs: ${supportedSymbols.join(', ')}`);
+  }
+  return symbol;
+}
+
+/**
+ * Describe an executed order for a reply
+ * @param {Object} result - The order result from buyWithUsdt or sellAll
+ * @returns {string} The executed quantity, USDT amount and status
+ */
+function describeOrder(result) {
+  const quantity = parseFloat(result.executedQty) || 0;
+  const usdt = parseFloat(result.cummulativeQuoteQty) || 0;
+  const price = quantity > 0 ? usdt / quantity : 0;
+  return `${quantity} @ ${formatUsdt(price)} = ${formatUsdt(usdt)} (${result.status || 'unknown status'})`;
+}
+
+/**
+ * Update the account balances after a manual trade, like the socket handlers do
+ * @param {string} symbol - The traded symbol
+ */
+async function refreshBalances(symbol) {
+  try {
+    await binance.updateAccountBalances();
+    console.log(`Account balances explicitly updated after Telegram trade of ${symbol}`);
+  } catch (balanceError) {
+    console.error(`Error updating balances after Telegram trade: ${balanceError.message}`);
+  }
+}
+
+/**
+ * /status - connections, auto-trading and balances
+ * @returns {Promise<string>} The reply
+ */
+async function handleStatus() {
+  const status = app.getSystemStatus();
+  const health = binance.getHealthStatus();
+  const balances = await db.getAccountBalances();
+
+  const balanceLines = Object.entries(balances)
+    .filter(([, amount]) => amount > 0)
+    .map(([symbol, amount]) => `${symbol}: ${amount}`);
+
+  return `
+📊 <b>SYSTEM STATUS</b>
+
+Database: ${formatFlag(status.dbConnected)}
+Binance API: ${formatFlag(health.apiStatus)}
+Price stream: ${formatFlag(health.wsStatus)}
+User data stream: ${formatFlag(status.userStreamConnected)}
+Exchange mode: ${status.exchangeMode}
+Auto-trading: ${status.autoTradingEnabled ? 'ON' : 'OFF'}${status.circuitBreakerTripped ? '\n🚨 Circuit breaker tripped' : ''}
+Dashboards connected: ${status.activeClients}
+
+<b>Balances:</b>
+${balanceLines.length > 0 ? balanceLines.join('\n') : 'None'}
+  `;
+}
+
+/**
+ * /prices - the live price of every trading pair
+ * @returns {Promise<string>} The reply
+ */
+async function handlePrices() {
+  const lines = binance.getSupportedSymbols().map(symbol => {
+    const price = binance.getCurrentPrice(symbol);
+    return `${symbol}: ${price > 0 ? formatUsdt(price) : 'no price yet'}`;
+  });
+
+  return `💱 <b>PRICES</b>\n\n${lines.join('\n')}`;
+}
+
+/**
+ * /positions - holdings of every trading pair with their next buy and sell prices
+ * @returns {Promise<string>} The reply
+ */
+async function handlePositions() {
+  const [balances, referencePrices] = await Promise.all([
+    db.getAccountBalances(),
+    db.getAllReferencePrices()
+  ]);
+
+  const sections = binance.getSupportedSymbols().map(symbol => {
+    const quantity = balances[symbol] || 0;
+    const price = binance.getCurrentPrice(symbol);
+    const refPrices = referencePrices[symbol] || { nextBuyPrice: 0, nextSellPrice: 0 };
+
+    return [
+      `<b>${symbol}</b>: ${quantity}${price > 0 && quantity > 0 ? ` (${formatUsdt(quantity * price, 2)})` : ''}`,
+      `Next buy: ${refPrices.nextBuyPrice > 0 ? formatUsdt(refPrices.nextBuyPrice) : 'not set'}`,
+      `Next sell: ${refPrices.nextSellPrice > 0 ? formatUsdt(refPrices.nextSellPrice) : 'not set'}`
+    ].join('\n');
+  });
+
+  return `📦 <b>POSITIONS</b>\n\nUSDT: ${formatUsdt(balances.USDT, 2)}\n\n${sections.join('\n\n')}`;
+}
+
+/**
+ * /history SYMBOL - the last trades of a pair
+ * @param {Array<string>} args - The command arguments
+ * @returns {Promise<string>} The reply
+ */
+async function handleHistory(args) {
+  const symbol = parseSymbol(args[0], '/history SYMBOL');
+  const trades = await db.getTradingHistory(symbol, HISTORY_LIMIT);
+
+  if (trades.length === 0) {
+    return `No trades for ${symbol} yet`;
+  }
+
+  const lines = trades.map(trade => {
+    const side = trade.action === 'buy' ? '🟢 BUY' : '🔴 SELL';
+    return `${formatTradeTime(trade.trade_time)} ${side} ${parseFloat(trade.quantity)} @ ${formatUsdt(trade.price)} = ${formatUsdt(trade.usdt_amount, 2)}`;
+  });
+
+  return `📜 <b>LAST TRADES: ${symbol}</b> (UTC)\n\n${lines.join('\n')}`;
+}
+
+/**
+ * /autotrade on|off - switch auto-trading; without an argument, show whether it is on
+ * @param {Array<string>} args - The command arguments
+ * @returns {Promise<string|null>} The reply, or null if binance.js already announced the change
+ */
+async function handleAutoTrade(args) {
+  const setting = (args[0] || '').toLowerCase();
+
+  if (!setting) {
+    return `Auto-trading is ${binance.getHealthStatus().autoTradingEnabled ? 'ON' : 'OFF'}. Use /autotrade on or /autotrade off`;
+  }
+  if (setting !== 'on' && setting !== 'off') {
+    throw new Error('Usage: /autotrade on|off');
+  }
+
+  // Same as the dashboard toggle - binance.js sends the confirmation message
+  await app.setAutoTrading(setting === 'on');
+  console.log(`Auto-trading ${setting === 'on' ? 'enabled' : 'disabled'} successfully via Telegram command`);
+  return null;
+}
+
+/**
+ * Get the live price of a pair for a trade preview
+ * @param {string} symbol - The base symbol
+ * @returns {Promise<number>} The price
+ */
+async function getPreviewPrice(symbol) {
+  const price = binance.getCurrentPrice(symbol);
+  if (!(price > 0)) {
+    throw new Error(`No live price for ${symbol} yet - the price stream may be down`);
+  }
+
+  // formatQuantity needs the pair's exchangeInfo filters
+  if (!binance.getSymbolFilters(symbol)) {
+    await binance.loadSymbolFilters([symbol]);
+  }
+  return price;
+}
+
+/**
+ * Reply with a trade preview and Confirm/Cancel buttons, and remember the trade until it expires
+ * @param {Object} ctx - The Telegraf context of the command
+ * @param {Object} trade - { action: 'buy' or 'sell', symbol, amount (USDT, buys only) }
+ * @param {string} preview - The preview text (HTML)
+ */
+async function requestConfirmation(ctx, trade, preview) {
+  const id = crypto.randomBytes(8).toString('hex');
+  const chatId = String(ctx.chat.id);
+  const text = `${preview}
+
+Confirm within ${CONFIRM_TIMEOUT_SECONDS} seconds.`;
+
+  const message = await ctx.replyWithHTML(text, {
+    reply_markup: {
+      inline_keyboard: [[
+        { text: '✅ Confirm', callback_data: `trade:confirm:${id}` },
+        { text: '✖️ Cancel', callback_data: `trade:cancel:${id}` }
+      ]]
+    }
+  });
+
+  // Expired trades lose their buttons, so an old preview can't be confirmed by accident
+  const timer = setTimeout(() => {
+    if (pendingTrades.delete(id)) {
+      console.log(`Telegram ${trade.action} of ${trade.symbol} expired unconfirmed`);
+      telegram.editMessage(chatId, message.message_id, `${preview}
+
+⌛ Expired - not executed.`);
+    }
+  }, CONFIRM_TIMEOUT_SECONDS * 1000);
+  timer.unref();
+
+  pendingTrades.set(id, {
+    ...trade,
+    preview,
+    chatId,
+    messageId: message.message_id,
+    expiresAt: Date.now() + CONFIRM_TIMEOUT_SECONDS * 1000,
+    timer
+  });
+}
+
+/**
+ * Take a pending trade, so each confirmation can only be used once
+ * @param {string} id - The confirmation ID from the button
+ * @param {string} chatId - The chat the button was pressed in
+ * @returns {Object|null} The trade, or null if it expired, was used or belongs to another chat
+ */
+function takePendingTrade(id, chatId) {
+  const trade = pendingTrades.get(id);
+  if (!trade || trade.chatId !== chatId) {
+    return null;
+  }
+
+  pendingTrades.delete(id);
+  clearTimeout(trade.timer);
+  return trade.expiresAt >= Date.now() ? trade : null;
+}
+
+/**
+ * Execute a confirmed trade with the same functions as the dashboard's buy and sell buttons
+ * @param {Object} trade - The pending trade
+ * @returns {Promise<string>} The result text
+ */
+async function executeTrade(trade) {
+  const result = trade.action === 'buy'
+    ? await binance.buyWithUsdt(trade.symbol, trade.amount)
+    : await binance.sellAll(trade.symbol);
+  await refreshBalances(trade.symbol);
+
+  return `✅ ${trade.action === 'buy' ? 'Bought' : 'Sold'} ${trade.symbol}: ${describeOrder(db.convertBigIntToNumber(result))}`;
+}
+
+/**
+ * Confirm or Cancel button of a trade preview
+ * @param {Object} ctx - The Telegraf context; ctx.match is [data, 'confirm' or 'cancel', id]
+ */
+async function handleTradeButton(ctx) {
+  const [, decision, id] = ctx.match;
+  const messageId = ctx.callbackQuery.message.message_id;
+  const trade = takePendingTrade(id, String(ctx.chat.id));
+  const user = ctx.from ? `@${ctx.from.username || ctx.from.id}` : 'unknown user';
+
+  if (!trade) {
+    await ctx.answerCbQuery('This trade has expired or was already handled', { show_alert: true });
+    await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+    return;
+  }
+
+  if (decision === 'cancel') {
+    console.log(`Telegram ${trade.action} of ${trade.symbol} cancelled by ${user}`);
+    await ctx.answerCbQuery('Cancelled');
+    await telegram.editMessage(trade.chatId, messageId, `${trade.preview}
+
+✖️ Cancelled - not executed.`);
+    return;
+  }
+
+  console.log(`Telegram ${trade.action} of ${trade.symbol} confirmed by ${user}`);
+  await ctx.answerCbQuery('Executing...');
+  await telegram.editMessage(trade.chatId, messageId, `${trade.preview}
+
+⏳ Executing...`);
+
+  let outcome;
+  try {
+    outcome = await executeTrade(trade);
+  } catch (error) {
+    console.error(`Telegram ${trade.action} of ${trade.symbol} failed:`, error.message);
+    outcome = `❌ Failed: ${telegram.escapeHtml(error.message)}`;
+  }
+  await telegram.editMessage(trade.chatId, messageId, `${trade.preview}
+
+${outcome}`);
+}
+
+/**
+ * /buy SYMBOL AMOUNT - preview buying a pair for an amount of USDT
+ * @param {Array<string>} args - The command arguments
+ * @param {Object} ctx - The Telegraf context
+ * @returns {Promise<null>} Nothing - the preview is the reply
+ */
+async function handleBuy(args, ctx) {
+  const symbol = parseSymbol(args[0], '/buy SYMBOL AMOUNT');
+  const amount = parseFloat(args[1]);
+  if (!(amount > 0)) {
+    throw new Error('Usage: /buy SYMBOL AMOUNT - the amount is in USDT, e.g. /buy BTC 50');
+  }
+
+  // Rounded like buyWithUsdt will round it - throws if the amount is below the pair's minimum
+  const price = await getPreviewPrice(symbol);
+  const quantity = binance.formatQuantity(symbol, amount / price, price);
+
+  await requestConfirmation(ctx, { action: 'buy', symbol, amount }, `
+🟢 <b>CONFIRM BUY: ${symbol}</b>
+
+Amount: ${formatUsdt(amount, 2)}
+Price: ${formatUsdt(price)}
+Estimated quantity: ${quantity} ${symbol}`);
+  return null;
+}
+
+/**
+ * /sellall SYMBOL - preview selling the whole balance of a pair
+ * @param {Array<string>} args - The command arguments
+ * @param {Object} ctx - The Telegraf context
+ * @returns {Promise<null>} Nothing - the preview is the reply
+ */
+async function handleSellAll(args, ctx) {
+  const symbol = parseSymbol(args[0], '/sellall SYMBOL');
+
+  // The free balance on the exchange, as sellAll uses it
+  const accountInfo = await binance.getAccountInfo();
+  const asset = accountInfo.balances.find(balance => balance.asset === symbol);
+  if (!asset || parseFloat(asset.free) <= 0) {
+    throw new Error(`No ${symbol} balance available`);
+  }
+
+  const price = await getPreviewPrice(symbol);
+  const quantity = binance.formatQuantity(symbol, parseFloat(asset.free), price);
+
+  await requestConfirmation(ctx, { action: 'sell', symbol }, `
+🔴 <b>CONFIRM SELL ALL: ${symbol}</b>
+
+Quantity: ${quantity} ${symbol}
+Price: ${formatUsdt(price)}
+Estimated value: ${formatUsdt(parseFloat(quantity) * price, 2)}`);
+  return null;
+}
+
+/**
+ * Register the chat commands with the Telegram bot
+ * Call after telegram.initialize() and binance.initialize().
+ * @param {Object} options - Functions of main.js shared with the socket handlers
+ * @param {Function} options.getSystemStatus - Returns the dashboard's system status
+ * @param {Function} options.setAutoTrading - Enables or disables auto-trading and its interval
+ * @returns {boolean} True if the commands were registered
+ */
+function initialize({ getSystemStatus, setAutoTrading }) {
+  app.getSystemStatus = getSystemStatus;
+  app.setAutoTrading = setAutoTrading;
+
+  // Trades only run from the Confirm button of their preview
+  telegram.registerAction(/^trade:(confirm|cancel):([0-9a-f]+)$/, handleTradeButton);
+
+  return telegram.registerCommands([
+    { command: 'status', description: 'Connections, auto-trading and balances', handler: handleStatus },
+    { command: 'prices', description: 'Live prices of the trading pairs', handler: handlePrices },
+    { command: 'positions', description: 'Holdings with next buy and sell prices', handler: handlePositions },
+    { command: 'history', description: 'Last trades of a pair: /history BTC', handler: handleHistory },
+    { command: 'autotrade', description: 'Turn auto-trading on or off: /autotrade on', handler: handleAutoTrade },
+    { command: 'buy', description: 'Buy for an amount of USDT: /buy BTC 50', handler: handleBuy },
+    { command: 'sellall', description: 'Sell the whole balance of a pair: /sellall BTC', handler: handleSellAll }
+  ]);
+}
+
+// Export public API
+module.exports = {
+  initialize
+};
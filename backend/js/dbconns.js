@@ -5,12 +5,44 @@
 const mariadb = require('mariadb');
 const dotenv = require('dotenv');
 
+// Import internal modules
+const strategies = require('./strategies');
+const lots = require('./lots');
+
 // Load environment variables
 dotenv.config({ path: require('path').resolve(__dirname, '../.env') });
 
-// Trading configuration
-const BUY_THRESHOLD_PERCENT = parseFloat(process.env.BUY_THRESHOLD_PERCENT || 0.01);  // Default to 1% if not set
-const SELL_THRESHOLD_PERCENT = parseFloat(process.env.SELL_THRESHOLD_PERCENT || 0.01); // Default to 1% if not set
+// Trading configuration - the defaults for symbols without their own row in strategy_settings
+// Thresholds are fractions (0.01 = 1%), the investment amount is in USDT
+const STRATEGY_DEFAULTS = Object.freeze({
+  buyThresholdPercent: parseFloat(process.env.BUY_THRESHOLD_PERCENT || 0.01),   // Default to 1% if not set
+  sellThresholdPercent: parseFloat(process.env.SELL_THRESHOLD_PERCENT || 0.01), // Default to 1% if not set
+  investmentAmount: parseFloat(process.env.AUTO_TRADE_INVESTMENT_AMOUNT || 50), // Default to $50 if not set
+  stopLossPercent: null, // Stop-loss is off unless set per symbol
+  stopLossPrice: null,
+  trailingPercent: null, // Trailing take-profit is off unless set per symbol (sell at next_sell_price)
+  // Position caps - unset means no cap
+  maxDcaBuys: process.env.MAX_DCA_BUYS ? parseInt(process.env.MAX_DCA_BUYS) : null,
+  maxExposureUsdt: process.env.MAX_POSITION_USDT ? parseFloat(process.env.MAX_POSITION_USDT) : null,
+  // Strategy module from strategies/ and its parameters
+  strategy: strategies.DEFAULT_STRATEGY,
+  strategyParams: Object.freeze({}),
+  // Order execution - market, or a limit order at the bid/ask that is canceled after the timeout
+  orderType: process.env.ORDER_TYPE || 'market',                                    // Default to market orders if not set
+  limitTimeoutSeconds: parseInt(process.env.LIMIT_ORDER_TIMEOUT_SECONDS || 30),     // Default to 30 seconds if not set
+  limitFallback: process.env.LIMIT_ORDER_FALLBACK || 'market'                       // Default to a market order for the rest if not set
+});
+
+// Trading pairs seeded into the symbols table the first time it is created
+// After that the list is managed at runtime from the dashboard
+const DEFAULT_SYMBOLS = [
+  { symbol: 'BTC', name: 'Bitcoin', color: '#f7931a' },
+  { symbol: 'SOL', name: 'Solana', color: '#00ff9d' },
+  { symbol: 'XRP', name: 'Ripple', color: '#346aa9' },
+  { symbol: 'PENDLE', name: 'Pendle', color: '#5848ca' },
+  { symbol: 'DOGE', name: 'Dogecoin', color: '#c2a633' },
+  { symbol: 'NEAR', name: 'NEAR Protocol', color: '#000000' }
+];
 
 // Database connection configuration with better defaults and connection handling
 const dbConfig = {
@@ -150,6 +182,192 @@ function isReady() {
   return isConnected;
 }
 
+// Tables and columns added after the original schema. database/schema.sql only runs when the
+// database volume is first created, so existing installs get them from here.
+const SCHEMA_STATEMENTS = [
+  `CREATE TABLE IF NOT EXISTS paper_balances (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    symbol VARCHAR(20) NOT NULL UNIQUE,
+    free DECIMAL(28, 8) NOT NULL DEFAULT 0,
+    locked DECIMAL(28, 8) NOT NULL DEFAULT 0,
+    last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_symbol (symbol)
+  )`,
+  `CREATE TABLE IF NOT EXISTS symbols (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    symbol VARCHAR(20) NOT NULL UNIQUE,
+    name VARCHAR(50) NOT NULL,
+    color VARCHAR(7) NOT NULL DEFAULT '#3a7bd5',
+    icon VARCHAR(255) NULL,
+    sort_order INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_symbol (symbol)
+  )`,
+  `CREATE TABLE IF NOT EXISTS strategy_settings (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    symbol VARCHAR(20) NOT NULL UNIQUE,
+    buy_threshold_percent DECIMAL(10, 6) NOT NULL,
+    sell_threshold_percent DECIMAL(10, 6) NOT NULL,
+    investment_amount DECIMAL(20, 8) NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_symbol (symbol)
+  )`,
+  `ALTER TABLE strategy_settings
+    ADD COLUMN IF NOT EXISTS stop_loss_percent DECIMAL(10, 6) NULL,
+    ADD COLUMN IF NOT EXISTS stop_loss_price DECIMAL(18, 8) NULL`,
+  `ALTER TABLE symbols
+    ADD COLUMN IF NOT EXISTS auto_trading_paused TINYINT(1) NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS paused_reason VARCHAR(255) NULL`,
+  `ALTER TABLE trades
+    ADD COLUMN IF NOT EXISTS reason VARCHAR(50) NULL`,
+  `ALTER TABLE strategy_settings
+    ADD COLUMN IF NOT EXISTS trailing_percent DECIMAL(10, 6) NULL`,
+  `ALTER TABLE strategy_settings
+    ADD COLUMN IF NOT EXISTS max_dca_buys INT NULL,
+    ADD COLUMN IF NOT EXISTS max_exposure_usdt DECIMAL(20, 8) NULL`,
+  `ALTER TABLE reference_prices
+    ADD COLUMN IF NOT EXISTS trailing_high_price DECIMAL(18, 8) NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS trailing_stop_price DECIMAL(18, 8) NOT NULL DEFAULT 0`,
+  `CREATE TABLE IF NOT EXISTS price_ticks (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    symbol VARCHAR(20) NOT NULL,
+    bid_price DECIMAL(18, 8) NOT NULL,
+    bid_qty DECIMAL(28, 8) NOT NULL,
+    ask_price DECIMAL(18, 8) NOT NULL,
+    ask_qty DECIMAL(28, 8) NOT NULL,
+    tick_time TIMESTAMP(3) NOT NULL,
+    INDEX idx_symbol_time (symbol, tick_time),
+    INDEX idx_tick_time (tick_time)
+  )`,
+  `CREATE TABLE IF NOT EXISTS candles (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    symbol VARCHAR(20) NOT NULL,
+    candle_interval VARCHAR(5) NOT NULL,
+    open_time TIMESTAMP NOT NULL,
+    open_price DECIMAL(18, 8) NOT NULL,
+    high_price DECIMAL(18, 8) NOT NULL,
+    low_price DECIMAL(18, 8) NOT NULL,
+    close_price DECIMAL(18, 8) NOT NULL,
+    volume DECIMAL(28, 8) NOT NULL DEFAULT 0,
+    source VARCHAR(10) NOT NULL DEFAULT 'ticker',
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_symbol_interval_time (symbol, candle_interval, open_time)
+  )`,
+  `ALTER TABLE strategy_settings
+    ADD COLUMN IF NOT EXISTS strategy_name VARCHAR(30) NOT NULL DEFAULT 'threshold',
+    ADD COLUMN IF NOT EXISTS strategy_params TEXT NULL`,
+  `ALTER TABLE reference_prices
+    ADD COLUMN IF NOT EXISTS strategy_state TEXT NULL`,
+  `CREATE TABLE IF NOT EXISTS grid_levels (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    symbol VARCHAR(20) NOT NULL,
+    level_index INT NOT NULL,
+    buy_price DECIMAL(18, 8) NOT NULL,
+    sell_price DECIMAL(18, 8) NOT NULL,
+    side VARCHAR(4) NOT NULL DEFAULT 'BUY',
+    quantity DECIMAL(28, 8) NOT NULL DEFAULT 0,
+    order_id BIGINT NULL,
+    client_order_id VARCHAR(36) NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'pending',
+    last_error VARCHAR(255) NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_symbol_level (symbol, level_index)
+  )`,
+  `ALTER TABLE strategy_settings
+    ADD COLUMN IF NOT EXISTS order_type VARCHAR(12) NOT NULL DEFAULT 'market',
+    ADD COLUMN IF NOT EXISTS limit_timeout_seconds INT NOT NULL DEFAULT 30,
+    ADD COLUMN IF NOT EXISTS limit_fallback VARCHAR(10) NOT NULL DEFAULT 'market'`,
+  `ALTER TABLE trades
+    ADD COLUMN IF NOT EXISTS commission DECIMAL(28, 8) NULL,
+    ADD COLUMN IF NOT EXISTS commission_asset VARCHAR(10) NULL,
+    ADD COLUMN IF NOT EXISTS commission_usdt DECIMAL(18, 8) NULL`,
+  `ALTER TABLE trades
+    ADD COLUMN IF NOT EXISTS realized_pnl DECIMAL(18, 8) NULL,
+    ADD COLUMN IF NOT EXISTS cost_basis DECIMAL(18, 8) NULL`,
+  `CREATE TABLE IF NOT EXISTS trade_lots (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    symbol VARCHAR(20) NOT NULL,
+    buy_trade_id INT NOT NULL,
+    quantity DECIMAL(28, 8) NOT NULL,
+    remaining_quantity DECIMAL(28, 8) NOT NULL,
+    unit_cost DECIMAL(28, 12) NOT NULL,
+    opened_at TIMESTAMP NOT NULL,
+    INDEX idx_symbol_opened (symbol, opened_at),
+    INDEX idx_buy_trade_id (buy_trade_id)
+  )`,
+  `ALTER TABLE trades
+    ADD COLUMN IF NOT EXISTS source VARCHAR(10) NULL`,
+  `CREATE TABLE IF NOT EXISTS users (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    username VARCHAR(50) NOT NULL UNIQUE,
+    password_hash VARCHAR(255) NOT NULL,
+    token_version INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_login_at TIMESTAMP NULL
+  )`,
+  `ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS role VARCHAR(10) NOT NULL DEFAULT 'admin'`,
+  `ALTER TABLE trades
+    ADD COLUMN IF NOT EXISTS order_id BIGINT NULL,
+    ADD UNIQUE KEY IF NOT EXISTS uk_symbol_order_id (symbol, order_id)`
+];
+
+// app_settings key with the lot method trade_lots was built with
+const PNL_METHOD_SETTING = 'pnlLotMethod';
+
+/**
+ * Create any tables or columns missing from an existing database
+ * @returns {Promise<boolean>} True if every statement succeeded
+ */
+async function ensureSchema() {
+  let success = true;
+
+  for (const statement of SCHEMA_STATEMENTS) {
+    try {
+      await query(statement);
+    } catch (error) {
+      console.error('Error applying schema statement:', error);
+      success = false;
+    }
+  }
+
+  // Seed the default trading pairs only into an empty symbols table,
+  // so pairs removed from the dashboard don't come back on restart
+  try {
+    const countResult = await query('SELECT COUNT(*) as count FROM symbols');
+    if (Number(countResult[0].count) === 0) {
+      for (const [index, details] of DEFAULT_SYMBOLS.entries()) {
+        await addSymbol({ ...details, sortOrder: index });
+      }
+      console.log(`Seeded symbols table with ${DEFAULT_SYMBOLS.length} default trading pairs`);
+    }
+  } catch (error) {
+    console.error('Error seeding default symbols:', error);
+    success = false;
+  }
+
+  // The lots are built from the trade history the first time, and again when PNL_METHOD changes
+  try {
+    const method = lots.getPnlMethod();
+    if (process.env.PNL_METHOD && process.env.PNL_METHOD.toLowerCase() !== method) {
+      console.warn(`Unknown PNL_METHOD "${process.env.PNL_METHOD}" - using ${method}. Use ${lots.PNL_METHODS.join(' or ')}`);
+    }
+    
+    const builtWith = await getAppSettings(PNL_METHOD_SETTING);
+    if (builtWith !== method) {
+      console.log(`Building trade lots with the ${method} method${builtWith ? ` (was ${builtWith})` : ''}...`);
+      await rebuildLots();
+      await saveAppSettings({ [PNL_METHOD_SETTING]: method });
+    }
+  } catch (error) {
+    console.error('Error building trade lots:', error);
+    success = false;
+  }
+
+  console.log(`Database schema check complete (${SCHEMA_STATEMENTS.length} statements)`);
+  return success;
+}
+
 /**
  * Execute a SQL query with retry logic for transient errors
  * @param {string} sql - The SQL query to execute
@@ -225,7 +443,15 @@ async function query(sql, params = [], options = {}) {
  * @param {number} tradeData.quantity - The amount of cryptocurrency
  * @param {number} tradeData.price - The price at which the trade occurred
  * @param {number} tradeData.usdt_amount - The USDT value of the trade
- * @returns {Promise<Object>} The inserted record ID and updated thresholds
+ * @param {number} tradeData.commission - Optional fee charged by Binance, in commission_asset
+ * @param {string} tradeData.commission_asset - Optional asset the fee was charged in
+ * @param {number} tradeData.commission_usdt - Optional fee valued in USDT, used for P&L net of fees
+ * @param {string} tradeData.reason - Optional reason for the trade (e.g. "stop_loss")
+ * @param {string} tradeData.source - Optional origin: 'bot', 'grid', 'import' or 'external'
+ * @param {number} tradeData.order_id - Optional Binance order ID, for trades recorded once per order (bot orders and grid fills)
+ * @param {number} tradeData.market_time - Optional time the strategy state is updated at, when it differs from
+ *   trade_time (a market replay runs on the recorded tick times); defaults to trade_time
+ * @returns {Promise<Object>} The inserted record ID, updated thresholds and, for a sell, the realized P&L
  */
 async function recordTrade(tradeData) {
   if (!tradeData) {
@@ -235,6 +461,9 @@ async function recordTrade(tradeData) {
   const { symbol, action, quantity, price, usdt_amount, isManualSellAll } = tradeData;
   
   try {
+    // The symbol's strategy decides the new reference prices
+    const strategy = await getStrategyConfig(symbol);
+    
     // Start a transaction with a higher isolation level to prevent interference
     let conn = null;
     try {
@@ -246,22 +475,44 @@ async function recordTrade(tradeData) {
       
       // Insert trade record with support for original Binance trade time and ID
       const sql = `
-        INSERT INTO trades (symbol, action, quantity, price, usdt_amount, trade_time, binance_trade_id)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO trades (symbol, action, quantity, price, usdt_amount, trade_time, binance_trade_id, reason,
+                            commission, commission_asset, commission_usdt, source, order_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
       
       // Use trade_time from tradeData if provided, otherwise use current time
       const tradeTime = tradeData.trade_time ? new Date(tradeData.trade_time) : new Date();
       const binanceTradeId = tradeData.binance_trade_id || null;
+      const reason = tradeData.reason || null;
+      
+      // The commission stays NULL when it isn't known (e.g. trades recorded before it was stored)
+      const commission = tradeData.commission === undefined ? null : tradeData.commission;
+      const commissionAsset = tradeData.commission_asset || null;
+      const commissionUsdt = tradeData.commission_usdt === undefined ? null : tradeData.commission_usdt;
       
       const result = await conn.query({
         sql,
-        values: [symbol, action, quantity, price, usdt_amount, tradeTime, binanceTradeId]
+        values: [symbol, action, quantity, price, usdt_amount, tradeTime, binanceTradeId, reason,
+                 commission, commissionAsset, commissionUsdt, tradeData.source || null, tradeData.order_id || null]
+      });
+      
+      // A buy opens a lot, a sell consumes lots and records its realized P&L
+      const realized = await applyTradeToLots(conn, {
+        id: Number(result.insertId),
+        symbol,
+        action,
+        quantity,
+        usdt_amount,
+        commission,
+        commission_asset: commissionAsset,
+        commission_usdt: commissionUsdt,
+        trade_time: tradeTime
       });
       
       // Get current reference prices
       const refPricesSql = `
-        SELECT symbol, first_transaction_price, last_transaction_price
+        SELECT symbol, first_transaction_price, last_transaction_price, next_buy_price, next_sell_price,
+               trailing_high_price, trailing_stop_price, strategy_state
         FROM reference_prices
         WHERE symbol = ?
         FOR UPDATE
@@ -272,132 +523,51 @@ async function recordTrade(tradeData) {
         values: [symbol]
       });
       
-      // Process reference prices
-      const updateFields = [];
-      const updateValues = [];
+      // A symbol without a reference price record starts from all zeros, so its first buy is a "first buy"
+      const refPrices = toReferencePrices(symbol, refResult[0]);
       
-      // Always update last transaction price for any buy or sell
-      updateFields.push('last_transaction_price = ?');
-      updateValues.push(price);
-      
-      // Update next buy/sell prices based on the updated transaction price
-      let nextBuyPrice = 0;
-      let nextSellPrice = 0;
-      
-      // Handle different scenarios based on action type
-      if (action === 'buy') {
-        // Check if this is the first buy operation by looking at the existing data
-        // IMPORTANT: A buy is treated as a "first buy" in these cases:
-        // 1. It's the very first buy for this symbol, or
-        // 2. It's the first buy after a "sell all" operation (first_transaction_price is reset to 0 on sell)
-        // 3. It's the first manually initiated buy (historical trades should not update reference prices at first run)
-        let isFirstBuy = false;
-        
-        if (refResult.length === 0) {
-          // No existing record, this is definitely the first buy
-          isFirstBuy = true;
-        } else {
-          // Check if first_transaction_price is 0, indicating first buy or buy after sell all
-          const firstTransactionPrice = parseFloat(refResult[0].first_transaction_price || '0');
-          isFirstBuy = (firstTransactionPrice === 0);
-        }
-        
-        // Calculate next buy price based on last_transaction_price (current price)
-        // Per requirement 3.2: next_buy_price must use last_transaction_price as reference
-        nextBuyPrice = price * (1 - BUY_THRESHOLD_PERCENT);
-        updateFields.push('next_buy_price = ?');
-        updateValues.push(nextBuyPrice);
-        console.log(`BUY: Setting next buy price for ${symbol} to ${nextBuyPrice} (${BUY_THRESHOLD_PERCENT * 100}% below last transaction price: ${price})`);
-        
-        // Only update first_transaction_price and next_sell_price if this is the first buy
-        if (isFirstBuy) {
-          // Set first_transaction_price to the current transaction price
-          // Per requirement 2.1: When Buy button is clicked, its price is added to DB as first_transaction_price
-          updateFields.push('first_transaction_price = ?');
-          updateValues.push(price);
-          console.log(`FIRST BUY: Setting first transaction price for ${symbol} to ${price}`);
-          
-          // Calculate next sell price based on first_transaction_price
-          // Per requirement 2.1: next_sell_price must use first_transaction_price as reference
-          nextSellPrice = price * (1 + SELL_THRESHOLD_PERCENT);
-          updateFields.push('next_sell_price = ?');
-          updateValues.push(nextSellPrice);
-          console.log(`FIRST BUY: Setting next sell price for ${symbol} to ${nextSellPrice} (${SELL_THRESHOLD_PERCENT * 100}% above first transaction price: ${price})`);
-        } else {
-          console.log(`SUBSEQUENT BUY: Not changing first_transaction_price or next_sell_price for ${symbol} to preserve profit targets`);
-        }
-      } 
-      else if (action === 'sell') {
-        // If this is a sell operation (For requirement 2.2)
-        
-        // Calculate next buy price based on current sell price (last_transaction_price)
-        nextBuyPrice = price * (1 - BUY_THRESHOLD_PERCENT);
-        updateFields.push('next_buy_price = ?');
-        updateValues.push(nextBuyPrice);
-        
-        // For ALL sell operations, set next_sell_price to 0
-        // This implements requirement 2.2 and 3.3
-        nextSellPrice = 0;
-        updateFields.push('next_sell_price = ?');
-        updateValues.push(nextSellPrice);
-        console.log(`SELL OPERATION: Setting next sell price for ${symbol} to 0`);
-        
-        // IMPORTANT: Reset first_transaction_price to 0 for ALL sell operations
-        // This ensures the next buy after a sell will be treated as a "first buy"
-        // allowing it to set new next_sell_price and first_transaction_price values
-        // Per updated requirements 2.2 and 3.3
-        updateFields.push('first_transaction_price = ?');
-        updateValues.push(0);
-        console.log(`SELL OPERATION: Setting first transaction price for ${symbol} to 0 (next buy will be treated as first buy)`);
-      }
-      
-      // Check if the record exists first
-      const checkRefSql = `
-        SELECT COUNT(*) as count
-        FROM reference_prices
-        WHERE symbol = ?
-      `;
-      
-      const checkResult = await conn.query({
-        sql: checkRefSql,
-        values: [symbol]
+      // Threshold strategy: every trade moves next_buy_price below the trade price, the first buy of a
+      // position sets first_transaction_price and next_sell_price, and a sell resets both to 0.
+      // Other strategies keep their own state (e.g. grid lots) in strategy_state.
+      const next = strategies.afterTrade({
+        refPrices,
+        action,
+        price,
+        quantity: parseFloat(quantity),
+        time: tradeData.market_time || tradeTime.getTime(),
+        strategy
       });
+      console.log(`${action.toUpperCase()} (${strategy.strategy} strategy): Setting ${symbol} next buy price to ${next.nextBuyPrice}, next sell price to ${next.nextSellPrice}, first transaction price to ${next.firstTransactionPrice}`);
       
-      if (checkResult[0].count > 0) {
-        // Update existing record
-        // Build dynamic SQL update statement
-        const setClause = updateFields.join(', ');
-        const updateRefSql = `
-          UPDATE reference_prices
-          SET ${setClause}
-          WHERE symbol = ?
-        `;
-        
-        // Add symbol to the values array
-        updateValues.push(symbol);
-        
+      const refValues = [
+        next.firstTransactionPrice,
+        price,
+        next.nextBuyPrice,
+        next.nextSellPrice,
+        next.trailingHighPrice || 0,
+        next.trailingStopPrice || 0,
+        serializeJsonColumn(next.strategyState)
+      ];
+      
+      if (refResult.length > 0) {
         await conn.query({
-          sql: updateRefSql,
-          values: updateValues
+          sql: `
+            UPDATE reference_prices
+            SET first_transaction_price = ?, last_transaction_price = ?, next_buy_price = ?, next_sell_price = ?,
+                trailing_high_price = ?, trailing_stop_price = ?, strategy_state = ?
+            WHERE symbol = ?
+          `,
+          values: [...refValues, symbol]
         });
       } else {
-        // Create new record with appropriate values
-        const insertRefSql = `
-          INSERT INTO reference_prices
-          (symbol, first_transaction_price, last_transaction_price, next_buy_price, next_sell_price)
-          VALUES (?, ?, ?, ?, ?)
-        `;
-        
-        // Determine first_transaction_price
-        let firstTransactionPrice = 0; // Default value
-        if (action === 'buy') {
-          // For ANY buy operation, set first_transaction_price to current price
-          firstTransactionPrice = price;
-        }
-        
         await conn.query({
-          sql: insertRefSql,
-          values: [symbol, firstTransactionPrice, price, nextBuyPrice, nextSellPrice]
+          sql: `
+            INSERT INTO reference_prices
+            (first_transaction_price, last_transaction_price, next_buy_price, next_sell_price,
+             trailing_high_price, trailing_stop_price, strategy_state, symbol)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          `,
+          values: [...refValues, symbol]
         });
       }
       
@@ -413,7 +583,6 @@ async function recordTrade(tradeData) {
         values: [symbol]
       });
       
-      // Verify the values match what we expect
       if (verifyResult.length === 0) {
         throw new Error(`Failed to verify reference price update for ${symbol}`);
       }
@@ -423,62 +592,28 @@ async function recordTrade(tradeData) {
       const savedNextSellPrice = parseFloat(savedValues.next_sell_price);
       const savedFirstPrice = parseFloat(savedValues.first_transaction_price);
       
-      // Validate that the values match what we intended to set
-      if (Math.abs(savedNextBuyPrice - nextBuyPrice) > 0.0001 || 
-          Math.abs(savedNextSellPrice - nextSellPrice) > 0.0001 ||
-          (action === 'buy' && Math.abs(parseFloat(savedValues.first_transaction_price) - price) > 0.0001)) {
-        console.error(`Verification failed! Expected buy=${nextBuyPrice}, sell=${nextSellPrice}, first=${price} but got buy=${savedNextBuyPrice}, sell=${savedNextSellPrice}, first=${savedValues.first_transaction_price}`);
-        
-        // Attempt to fix the values with a direct update - include first_transaction_price for buy operations
-        if (action === 'buy') {
-          // For buy operations, ONLY update the next_sell_price if this is the first buy
-          // (first_transaction_price is 0 or this is a new entry)
-          if (savedFirstPrice === 0) {
-            // First buy - update all values including next_sell_price
-            await conn.query({
-              sql: `UPDATE reference_prices SET first_transaction_price = ?, next_buy_price = ?, next_sell_price = ? WHERE symbol = ?`,
-              values: [price, nextBuyPrice, nextSellPrice, symbol]
-            });
-          } else {
-            // Subsequent buy - preserve existing next_sell_price
-            await conn.query({
-              sql: `UPDATE reference_prices SET first_transaction_price = ?, next_buy_price = ? WHERE symbol = ?`,
-              values: [savedFirstPrice, nextBuyPrice, symbol]
-            });
-          }
-        } else {
-          await conn.query({
-            sql: `UPDATE reference_prices SET next_buy_price = ?, next_sell_price = ? WHERE symbol = ?`,
-            values: [nextBuyPrice, nextSellPrice, symbol]
-          });
-        }
-        
-        // Re-verify after the fix
-        const reVerifyResult = await conn.query({
-          sql: verifySql,
-          values: [symbol]
-        });
-        
-        if (reVerifyResult.length > 0) {
-          console.log(`Verified prices for ${symbol}: First=${reVerifyResult[0].first_transaction_price}, Last=${reVerifyResult[0].last_transaction_price}, Buy=${reVerifyResult[0].next_buy_price}, Sell=${reVerifyResult[0].next_sell_price}`);
-        }
-      } else {
-        console.log(`Verified prices for ${symbol}: First=${savedFirstPrice}, Last=${price}, Buy=${savedNextBuyPrice}, Sell=${savedNextSellPrice}`);
+      // Validate that the values match what we intended to set - a mismatch rolls the trade record back
+      if (Math.abs(savedNextBuyPrice - next.nextBuyPrice) > 0.0001 ||
+          Math.abs(savedNextSellPrice - next.nextSellPrice) > 0.0001 ||
+          Math.abs(savedFirstPrice - next.firstTransactionPrice) > 0.0001) {
+        throw new Error(`Verification failed for ${symbol}! Expected buy=${next.nextBuyPrice}, sell=${next.nextSellPrice}, first=${next.firstTransactionPrice} but got buy=${savedNextBuyPrice}, sell=${savedNextSellPrice}, first=${savedFirstPrice}`);
       }
+      console.log(`Verified prices for ${symbol}: First=${savedFirstPrice}, Last=${price}, Buy=${savedNextBuyPrice}, Sell=${savedNextSellPrice}`);
       
       // Commit the transaction
       await conn.commit();
       
       console.log(`Trade record inserted: ${symbol} ${action} at ${price}`);
-      console.log(`Reference prices updated for ${symbol}: first_transaction_price=${savedFirstPrice}, last_transaction_price=${price}, next_buy_price=${nextBuyPrice}, next_sell_price=${nextSellPrice}`);
+      console.log(`Reference prices updated for ${symbol}: first_transaction_price=${savedFirstPrice}, last_transaction_price=${price}, next_buy_price=${savedNextBuyPrice}, next_sell_price=${savedNextSellPrice}`);
       
       // Emit event to notify threshold update - ONLY after successful verification
       const thresholdData = {
         symbol,
         firstTransactionPrice: savedFirstPrice,
         lastTransactionPrice: price,
-        nextBuyPrice,
-        nextSellPrice
+        nextBuyPrice: savedNextBuyPrice,
+        nextSellPrice: savedNextSellPrice,
+        trailingStopPrice: next.trailingStopPrice || 0
       };
       
       // If global EventEmitter is available, emit event
@@ -486,10 +621,11 @@ async function recordTrade(tradeData) {
         global.events.emit('reference_price_updated', thresholdData);
       }
       
-      // Return both the insert ID and the threshold data for downstream use
+      // Return the insert ID, the threshold data and the sell's realized P&L for downstream use
       return {
         insertId: result.insertId,
-        thresholds: thresholdData
+        thresholds: thresholdData,
+        realizedPnl: realized.realizedPnl
       };
     } catch (txError) {
       // Rollback on error
@@ -527,7 +663,8 @@ async function recordTrade(tradeData) {
 async function getTradingHistory(symbol, limit = 10) {
   try {
     const sql = `
-      SELECT id, symbol, action, quantity, price, usdt_amount, trade_time, binance_trade_id
+      SELECT id, symbol, action, quantity, price, usdt_amount, trade_time, binance_trade_id, reason,
+             commission, commission_asset, commission_usdt, realized_pnl, cost_basis
       FROM trades
       WHERE symbol = ?
       ORDER BY trade_time DESC
@@ -544,6 +681,8 @@ async function getTradingHistory(symbol, limit = 10) {
 
 /**
  * Get current holdings for a cryptocurrency
+ * Fees are included: buy commissions are part of the cost (and so of averageBuyPrice),
+ * sell commissions are taken off the proceeds, so netProfit is net of fees.
  * @param {string} symbol - The cryptocurrency symbol
  * @returns {Promise<Object>} The current holdings
  */
@@ -558,14 +697,18 @@ async function getCurrentHoldings(symbol) {
     
     // Get all buy transactions for average price calculation
     const buySql = `
-      SELECT SUM(quantity) as total_bought, SUM(usdt_amount) as total_spent
+      SELECT SUM(quantity) as total_bought,
+             SUM(usdt_amount + COALESCE(commission_usdt, 0)) as total_spent,
+             COALESCE(SUM(commission_usdt), 0) as total_fees
       FROM trades
       WHERE symbol = ? AND action = 'buy'
     `;
     
     // Get all sell transactions for profit calculation
     const sellSql = `
-      SELECT SUM(quantity) as total_sold, SUM(usdt_amount) as total_received
+      SELECT SUM(quantity) as total_sold,
+             SUM(usdt_amount - COALESCE(commission_usdt, 0)) as total_received,
+             COALESCE(SUM(commission_usdt), 0) as total_fees
       FROM trades
       WHERE symbol = ? AND action = 'sell'
     `;
@@ -585,6 +728,7 @@ async function getCurrentHoldings(symbol) {
     const totalSpent = buyResult[0].total_spent || 0;
     const totalSold = sellResult[0].total_sold || 0;
     const totalReceived = sellResult[0].total_received || 0;
+    const totalFees = (parseFloat(buyResult[0].total_fees) || 0) + (parseFloat(sellResult[0].total_fees) || 0);
     
     // Calculate average buy price (useful for profit calculation)
     const averageBuyPrice = totalBought > 0 ? totalSpent / totalBought : 0;
@@ -595,6 +739,7 @@ async function getCurrentHoldings(symbol) {
       averageBuyPrice,
       totalSpent,
       totalReceived,
+      totalFees,
       netProfit: totalReceived - totalSpent
     };
   } catch (error) {
@@ -603,6 +748,340 @@ async function getCurrentHoldings(symbol) {
   }
 }
 
+/**
+ * Get the buys of the current position - everything bought since the last sell
+ * @param {string} symbol - The cryptocurrency symbol
+ * @returns {Promise<Object>} { buyCount, investedUsdt }
+ */
+async function getPositionStats(symbol) {
+  try {
+    const sql = `
+      SELECT COUNT(*) as buy_count, COALESCE(SUM(usdt_amount), 0) as invested
+      FROM trades
+      WHERE symbol = ? AND action = 'buy'
+        AND trade_time > COALESCE(
+          (SELECT MAX(trade_time) FROM trades WHERE symbol = ? AND action = 'sell'),
+          '1970-01-01 00:00:01'
+        )
+    `;
+    
+    const result = await query(sql, [symbol, symbol]);
+    return {
+      buyCount: Number(result[0].buy_count),
+      investedUsdt: parseFloat(result[0].invested) || 0
+    };
+  } catch (error) {
+    console.error(`Error getting position stats for ${symbol}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Summarize the trades of all symbols since a point in time
+ * @param {Date} since - Only trades at or after this time are counted
+ * @returns {Promise<Array>} One row per symbol: { symbol, tradeCount, soldQuantity, soldUsdt } -
+ *   soldUsdt is the sell proceeds net of their commissions
+ */
+async function getTradeSummarySince(since) {
+  try {
+    const sql = `
+      SELECT symbol,
+             COUNT(*) as trade_count,
+             COALESCE(SUM(CASE WHEN action = 'sell' THEN quantity ELSE 0 END), 0) as sold_quantity,
+             COALESCE(SUM(CASE WHEN action = 'sell' THEN usdt_amount - COALESCE(commission_usdt, 0) ELSE 0 END), 0) as sold_usdt
+      FROM trades
+      WHERE trade_time >= ?
+      GROUP BY symbol
+    `;
+
+    const result = await query(sql, [since]);
+    return result.map(row => ({
+      symbol: row.symbol,
+      tradeCount: Number(row.trade_count),
+      soldQuantity: parseFloat(row.sold_quantity) || 0,
+      soldUsdt: parseFloat(row.sold_usdt) || 0
+    }));
+  } catch (error) {
+    console.error('Error getting trade summary:', error);
+    throw error;
+  }
+}
+
+/**
+ * Summarize the trades of all symbols in a period, for the scheduled reports
+ * @param {Date} from - Start of the period (inclusive)
+ * @param {Date} to - End of the period (exclusive)
+ * @returns {Promise<Array>} One row per symbol: { symbol, buyCount, sellCount, boughtUsdt, soldUsdt, feesUsdt, realizedPnl } -
+ *   soldUsdt is the gross sell amount; feesUsdt only counts trades with a known fee
+ */
+async function getTradeSummaryBetween(from, to) {
+  try {
+    const sql = `
+      SELECT symbol,
+             COALESCE(SUM(CASE WHEN action = 'buy' THEN 1 ELSE 0 END), 0) as buy_count,
+             COALESCE(SUM(CASE WHEN action = 'sell' THEN 1 ELSE 0 END), 0) as sell_count,
+             COALESCE(SUM(CASE WHEN action = 'buy' THEN usdt_amount ELSE 0 END), 0) as bought_usdt,
+             COALESCE(SUM(CASE WHEN action = 'sell' THEN usdt_amount ELSE 0 END), 0) as sold_usdt,
+             COALESCE(SUM(commission_usdt), 0) as fees_usdt,
+             COALESCE(SUM(realized_pnl), 0) as realized_pnl
+      FROM trades
+      WHERE trade_time >= ? AND trade_time < ?
+      GROUP BY symbol
+      ORDER BY symbol
+    `;
+
+    const result = await query(sql, [from, to]);
+    return result.map(row => ({
+      symbol: row.symbol,
+      buyCount: Number(row.buy_count),
+      sellCount: Number(row.sell_count),
+      boughtUsdt: parseFloat(row.bought_usdt) || 0,
+      soldUsdt: parseFloat(row.sold_usdt) || 0,
+      feesUsdt: parseFloat(row.fees_usdt) || 0,
+      realizedPnl: parseFloat(row.realized_pnl) || 0
+    }));
+  } catch (error) {
+    console.error('Error getting trade summary for the period:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get every recorded trade for the accounting exports, oldest first
+ * The whole history is returned, as the cost basis of a sell depends on all earlier buys.
+ * @param {string} symbol - Optional, only this symbol's trades
+ * @returns {Promise<Array>} The trades rows
+ */
+async function getTradesForExport(symbol = null) {
+  try {
+    const sql = `
+      SELECT id, symbol, action, quantity, price, usdt_amount, trade_time, binance_trade_id, reason,
+             commission, commission_asset, commission_usdt, source
+      FROM trades
+      ${symbol ? 'WHERE symbol = ?' : ''}
+      ORDER BY trade_time ASC, id ASC
+    `;
+    
+    return await query(sql, symbol ? [symbol] : []);
+  } catch (error) {
+    console.error('Error getting trades for export:', error);
+    throw error;
+  }
+}
+
+/**
+ * Apply a just-recorded trade to the symbol's lots, inside the recordTrade transaction
+ * @param {Object} conn - The connection of the open transaction
+ * @param {Object} trade - The trades row: { id, symbol, action, quantity, usdt_amount, commission, commission_asset, commission_usdt, trade_time }
+ * @returns {Promise<Object>} { realizedPnl, costBasis } - null for buys and sells without open lots
+ */
+async function applyTradeToLots(conn, trade) {
+  if (trade.action === 'buy') {
+    const lot = lots.toLot(trade);
+    if (lot) {
+      await conn.query({
+        sql: `
+          INSERT INTO trade_lots (symbol, buy_trade_id, quantity, remaining_quantity, unit_cost, opened_at)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `,
+        values: [trade.symbol, trade.id, lot.quantity, lot.quantity, lot.unitCost, trade.trade_time]
+      });
+    }
+    return { realizedPnl: null, costBasis: null };
+  }
+  
+  const openLots = await conn.query({
+    sql: `
+      SELECT id, remaining_quantity, unit_cost
+      FROM trade_lots
+      WHERE symbol = ? AND remaining_quantity > 0
+      ORDER BY opened_at ASC, id ASC
+      FOR UPDATE
+    `,
+    values: [trade.symbol]
+  });
+  
+  const consumption = lots.consumeLots(
+    openLots.map(row => ({ id: row.id, remainingQuantity: parseFloat(row.remaining_quantity), unitCost: parseFloat(row.unit_cost) })),
+    parseFloat(trade.quantity),
+    lots.getPnlMethod()
+  );
+  
+  for (const update of consumption.updates) {
+    await conn.query({
+      sql: 'UPDATE trade_lots SET remaining_quantity = ? WHERE id = ?',
+      values: [update.remainingQuantity, update.id]
+    });
+  }
+  
+  const realizedPnl = lots.getRealizedPnl(trade, consumption);
+  const costBasis = consumption.matchedQuantity > 0 ? consumption.costBasis : null;
+  
+  if (consumption.matchedQuantity < parseFloat(trade.quantity) - lots.DUST_QUANTITY) {
+    console.warn(`Sell of ${trade.quantity} ${trade.symbol} found only ${consumption.matchedQuantity} in open lots - the rest has no cost basis and is left out of realized P&L`);
+  }
+  
+  await conn.query({
+    sql: 'UPDATE trades SET realized_pnl = ?, cost_basis = ? WHERE id = ?',
+    values: [realizedPnl, costBasis, trade.id]
+  });
+  
+  return { realizedPnl, costBasis };
+}
+
+/**
+ * Rebuild the lots and the sells' realized P&L from the trade history
+ * Used when the lots are first built, when PNL_METHOD changes and after older trades were imported.
+ * @param {string} symbol - Optional, only rebuild this symbol (defaults to all symbols with trades)
+ * @returns {Promise<number>} The number of symbols rebuilt
+ */
+async function rebuildLots(symbol = null) {
+  const method = lots.getPnlMethod();
+  const symbolRows = symbol
+    ? [{ symbol }]
+    : await query('SELECT DISTINCT symbol FROM trades');
+  
+  for (const { symbol: tradeSymbol } of symbolRows) {
+    const trades = await query(`
+      SELECT id, symbol, action, quantity, usdt_amount, commission, commission_asset, commission_usdt, trade_time
+      FROM trades
+      WHERE symbol = ?
+      ORDER BY trade_time ASC, id ASC
+    `, [tradeSymbol]);
+    
+    const replay = lots.replayTrades(trades, method);
+    
+    let conn = null;
+    try {
+      conn = await getConnection();
+      await conn.beginTransaction();
+      
+      await conn.query('DELETE FROM trade_lots WHERE symbol = ?', [tradeSymbol]);
+      await conn.query('UPDATE trades SET realized_pnl = NULL, cost_basis = NULL WHERE symbol = ?', [tradeSymbol]);
+      
+      for (const lot of replay.lots) {
+        await conn.query(`
+          INSERT INTO trade_lots (symbol, buy_trade_id, quantity, remaining_quantity, unit_cost, opened_at)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `, [tradeSymbol, lot.tradeId, lot.quantity, lot.remainingQuantity, lot.unitCost, lot.openedAt]);
+      }
+      
+      for (const sell of replay.sells) {
+        await conn.query('UPDATE trades SET realized_pnl = ?, cost_basis = ? WHERE id = ?',
+          [sell.realizedPnl, sell.costBasis, sell.tradeId]);
+      }
+      
+      await conn.commit();
+      console.log(`Rebuilt ${replay.lots.length} lots and ${replay.sells.length} sells for ${tradeSymbol} (${method})`);
+    } catch (error) {
+      if (conn) {
+        await conn.rollback();
+      }
+      throw error;
+    } finally {
+      if (conn) {
+        conn.release();
+      }
+    }
+  }
+  
+  return symbolRows.length;
+}
+
+/**
+ * Get a symbol's realized P&L and the cost of its open lots
+ * @param {string} symbol - The cryptocurrency symbol
+ * @returns {Promise<Object>} { method, realizedPnl, openQuantity, costBasis } - see lots.getBreakdown
+ */
+async function getPnlSummary(symbol) {
+  try {
+    const [realizedResult, openResult] = await Promise.all([
+      query(`
+        SELECT COALESCE(SUM(realized_pnl), 0) as realized_pnl
+        FROM trades
+        WHERE symbol = ? AND action = 'sell'
+      `, [symbol]),
+      query(`
+        SELECT COALESCE(SUM(remaining_quantity), 0) as open_quantity,
+               COALESCE(SUM(remaining_quantity * unit_cost), 0) as cost_basis
+        FROM trade_lots
+        WHERE symbol = ? AND remaining_quantity > 0
+      `, [symbol])
+    ]);
+    
+    return {
+      method: lots.getPnlMethod(),
+      realizedPnl: parseFloat(realizedResult[0].realized_pnl) || 0,
+      openQuantity: parseFloat(openResult[0].open_quantity) || 0,
+      costBasis: parseFloat(openResult[0].cost_basis) || 0
+    };
+  } catch (error) {
+    console.error(`Error getting P&L summary for ${symbol}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Parse a JSON object column (reference_prices.strategy_state, strategy_settings.strategy_params)
+ * @param {string|null} value - The column value
+ * @returns {Object} The object, {} if not set or unreadable
+ */
+function parseJsonColumn(value) {
+  if (!value) {
+    return {};
+  }
+  
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    console.error('Ignoring unreadable JSON column:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Serialize an object for a JSON column
+ * @param {Object|null} value - The object
+ * @returns {string|null} The JSON, or null for an empty object
+ */
+function serializeJsonColumn(value) {
+  return value && Object.keys(value).length > 0 ? JSON.stringify(value) : null;
+}
+
+/**
+ * Map a reference_prices row to reference prices
+ * @param {string} symbol - The cryptocurrency symbol
+ * @param {Object} row - The database row, or undefined for a symbol without one (all zeros)
+ * @returns {Object} The reference prices
+ */
+function toReferencePrices(symbol, row) {
+  if (!row) {
+    return {
+      symbol,
+      firstTransactionPrice: 0,
+      lastTransactionPrice: 0,
+      nextBuyPrice: 0,
+      nextSellPrice: 0,
+      trailingHighPrice: 0,
+      trailingStopPrice: 0,
+      strategyState: {}
+    };
+  }
+  
+  return {
+    symbol,
+    firstTransactionPrice: parseFloat(row.first_transaction_price),
+    lastTransactionPrice: parseFloat(row.last_transaction_price),
+    nextBuyPrice: parseFloat(row.next_buy_price),
+    nextSellPrice: parseFloat(row.next_sell_price),
+    trailingHighPrice: parseFloat(row.trailing_high_price) || 0,
+    trailingStopPrice: parseFloat(row.trailing_stop_price) || 0,
+    strategyState: parseJsonColumn(row.strategy_state),
+    updatedAt: row.updated_at
+  };
+}
+
 /**
  * Get or create reference prices for a cryptocurrency
  * @param {string} symbol - The cryptocurrency symbol
@@ -612,7 +1091,7 @@ async function getReferencePrice(symbol) {
   try {
     const sql = `
       SELECT symbol, first_transaction_price, last_transaction_price, 
-             next_buy_price, next_sell_price, updated_at
+             next_buy_price, next_sell_price, trailing_high_price, trailing_stop_price, strategy_state, updated_at
       FROM reference_prices
       WHERE symbol = ?
     `;
@@ -641,36 +1120,12 @@ async function getReferencePrice(symbol) {
       // Query again to get the record (whether it was inserted or already existed)
       const result = await query(sql, [symbol]);
       
-      if (result.length > 0) {
-        return {
-          symbol,
-          firstTransactionPrice: parseFloat(result[0].first_transaction_price),
-          lastTransactionPrice: parseFloat(result[0].last_transaction_price),
-          nextBuyPrice: parseFloat(result[0].next_buy_price),
-          nextSellPrice: parseFloat(result[0].next_sell_price),
-          updatedAt: result[0].updated_at
-        };
-      }
-      
-      // If still no results (unlikely), return default values
-      return {
-        symbol,
-        firstTransactionPrice: 0,
-        lastTransactionPrice: 0,
-        nextBuyPrice: 0,
-        nextSellPrice: 0
-      };
+      // If still no results (unlikely), toReferencePrices returns default values
+      return toReferencePrices(symbol, result[0]);
     }
     
     // Return the reference prices
-    return {
-      symbol,
-      firstTransactionPrice: parseFloat(result[0].first_transaction_price),
-      lastTransactionPrice: parseFloat(result[0].last_transaction_price),
-      nextBuyPrice: parseFloat(result[0].next_buy_price),
-      nextSellPrice: parseFloat(result[0].next_sell_price),
-      updatedAt: result[0].updated_at
-    };
+    return toReferencePrices(symbol, result[0]);
   } catch (error) {
     console.error(`Error getting reference price for ${symbol}:`, error);
     throw error;
@@ -685,7 +1140,7 @@ async function getAllReferencePrices() {
   try {
     const sql = `
       SELECT symbol, first_transaction_price, last_transaction_price, 
-             next_buy_price, next_sell_price, updated_at
+             next_buy_price, next_sell_price, trailing_high_price, trailing_stop_price, strategy_state, updated_at
       FROM reference_prices
     `;
     
@@ -694,14 +1149,7 @@ async function getAllReferencePrices() {
     // Convert to a map of reference prices by symbol
     const refPricesMap = {};
     for (const row of result) {
-      refPricesMap[row.symbol] = {
-        symbol: row.symbol,
-        firstTransactionPrice: parseFloat(row.first_transaction_price),
-        lastTransactionPrice: parseFloat(row.last_transaction_price),
-        nextBuyPrice: parseFloat(row.next_buy_price),
-        nextSellPrice: parseFloat(row.next_sell_price),
-        updatedAt: row.updated_at
-      };
+      refPricesMap[row.symbol] = toReferencePrices(row.symbol, row);
     }
     
     return refPricesMap;
@@ -759,6 +1207,22 @@ async function updateReferencePrice(symbol, priceData) {
       values.push(priceData.nextSellPrice);
     }
     
+    if (priceData.trailingHighPrice !== undefined) {
+      fields.push('trailing_high_price = ?');
+      values.push(priceData.trailingHighPrice);
+    }
+    
+    if (priceData.trailingStopPrice !== undefined) {
+      fields.push('trailing_stop_price = ?');
+      values.push(priceData.trailingStopPrice);
+    }
+    
+    // Strategy-specific state (e.g. grid lots) is replaced as a whole
+    if (priceData.strategyState !== undefined) {
+      fields.push('strategy_state = ?');
+      values.push(serializeJsonColumn(priceData.strategyState));
+    }
+    
     // Always update the timestamp to ensure the query always modifies the row
     fields.push('updated_at = NOW()');
     
@@ -873,12 +1337,14 @@ async function updateReferencePrice(symbol, priceData) {
  */
 async function calculateTradingThresholds(symbol, currentPrice) {
   try {
-    // Get balances and holdings info in parallel
-    const [accountBalances, holdings, refPrices] = await Promise.all([
+    // Get balances, holdings and the symbol's strategy config in parallel
+    const [accountBalances, holdings, refPrices, strategy] = await Promise.all([
       getAccountBalances(),
       getCurrentHoldings(symbol),
-      getReferencePrice(symbol)
+      getReferencePrice(symbol),
+      getStrategyConfig(symbol)
     ]);
+    const { buyThresholdPercent, sellThresholdPercent } = strategy;
     
     // Get current balance from account_balances (source of truth)
     const currentBalance = accountBalances[symbol] || 0;
@@ -890,10 +1356,10 @@ async function calculateTradingThresholds(symbol, currentPrice) {
     // If we have a last transaction price, use it to calculate next buy price
     // This implements requirement 3.2 - buy order based on next_buy_price
     if (refPrices.lastTransactionPrice > 0) {
-      nextBuyPrice = refPrices.lastTransactionPrice * (1 - BUY_THRESHOLD_PERCENT);
+      nextBuyPrice = refPrices.lastTransactionPrice * (1 - buyThresholdPercent);
     } else {
       // If no transaction price available, use current price
-      nextBuyPrice = currentPrice * (1 - BUY_THRESHOLD_PERCENT);
+      nextBuyPrice = currentPrice * (1 - buyThresholdPercent);
     }
     
     // Handle next sell price calculation according to requirements
@@ -904,7 +1370,7 @@ async function calculateTradingThresholds(symbol, currentPrice) {
     // 3. Current price is valid
     if (currentBalance > 0 && refPrices.firstTransactionPrice === 0 && currentPrice > 0) {
       // Only for first buy - calculate sell price based on current price
-      nextSellPrice = currentPrice * (1 + SELL_THRESHOLD_PERCENT);
+      nextSellPrice = currentPrice * (1 + sellThresholdPercent);
       console.log(`[THRESHOLD] Setting initial sell price for ${symbol} based on current price: ${currentPrice} -> ${nextSellPrice}`);
     } else if (currentBalance <= 0) {
       // If balance is 0 or negative, set nextSellPrice to 0 as per requirements
@@ -986,36 +1452,309 @@ async function getAllTradingSymbols() {
 }
 
 /**
- * Update account balances in the database
- * @param {Object} balances - The account balances { symbol: amount }
- * @returns {Promise<boolean>} Success status
+ * Get the configured trading pairs with their display metadata
+ * @returns {Promise<Array<Object>>} The symbols in display order
  */
-async function updateAccountBalances(balances) {
-  if (!balances) {
-    throw new Error('No balance data provided');
+async function getSymbols() {
+  try {
+    const sql = `
+      SELECT symbol, name, color, icon, sort_order, auto_trading_paused, paused_reason
+      FROM symbols
+      ORDER BY sort_order, id
+    `;
+
+    const result = await query(sql);
+    return result.map(row => ({
+      symbol: row.symbol,
+      name: row.name,
+      color: row.color,
+      icon: row.icon,
+      sortOrder: Number(row.sort_order),
+      autoTradingPaused: Boolean(Number(row.auto_trading_paused)),
+      pausedReason: row.paused_reason
+    }));
+  } catch (error) {
+    console.error('Error getting symbols:', error);
+    throw error;
   }
+}
+
+/**
+ * Add a trading pair, or update its metadata if it already exists
+ * @param {Object} details - The symbol details
+ * @param {string} details.symbol - The cryptocurrency symbol (e.g., "BTC")
+ * @param {string} details.name - The display name
+ * @param {string} details.color - The display color (hex)
+ * @param {string} details.icon - Optional icon path
+ * @param {number} details.sortOrder - Optional display position (defaults to the end of the list)
+ * @returns {Promise<boolean>} Success status
+ */
+async function addSymbol(details) {
+  const { symbol, name, color, icon = null } = details;
 
   try {
-    // Use the table definition from schema.sql - no need to check if it exists
-    // as the table is now part of our core schema
-    
-    // Insert or update balances for each symbol
-    for (const [symbol, balance] of Object.entries(balances)) {
-      const upsertSql = `
-        INSERT INTO account_balances (symbol, balance, last_updated)
-        VALUES (?, ?, NOW())
-        ON DUPLICATE KEY UPDATE
-          balance = VALUES(balance),
-          last_updated = NOW()
-      `;
-      
-      await query(upsertSql, [symbol, balance]);
+    // New pairs go to the end of the list unless a position is given
+    let sortOrder = details.sortOrder;
+    if (sortOrder === undefined) {
+      const maxResult = await query('SELECT COALESCE(MAX(sort_order), -1) as max_order FROM symbols');
+      sortOrder = Number(maxResult[0].max_order) + 1;
     }
-    
-    console.log('Account balances updated in database');
+
+    const sql = `
+      INSERT INTO symbols (symbol, name, color, icon, sort_order)
+      VALUES (?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        name = VALUES(name),
+        color = VALUES(color),
+        icon = VALUES(icon)
+    `;
+
+    await query(sql, [symbol, name, color, icon, sortOrder]);
     return true;
   } catch (error) {
-    console.error('Error updating account balances in database:', error);
+    console.error(`Error adding symbol ${symbol}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a trading pair. Its trades and reference prices are kept for history.
+ * @param {string} symbol - The cryptocurrency symbol
+ * @returns {Promise<boolean>} True if the symbol existed and was removed
+ */
+async function removeSymbol(symbol) {
+  try {
+    const result = await query('DELETE FROM symbols WHERE symbol = ?', [symbol]);
+    return result.affectedRows > 0;
+  } catch (error) {
+    console.error(`Error removing symbol ${symbol}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Pause or resume auto-trading for a single trading pair
+ * @param {string} symbol - The cryptocurrency symbol
+ * @param {boolean} paused - Whether auto-trading should be paused
+ * @param {string} reason - Why auto-trading was paused (cleared on resume)
+ * @returns {Promise<boolean>} True if the symbol exists
+ */
+async function setSymbolPaused(symbol, paused, reason = null) {
+  try {
+    const sql = `
+      UPDATE symbols
+      SET auto_trading_paused = ?, paused_reason = ?
+      WHERE symbol = ?
+    `;
+    
+    const result = await query(sql, [paused ? 1 : 0, paused ? reason : null, symbol]);
+    return result.affectedRows > 0;
+  } catch (error) {
+    console.error(`Error updating auto-trading pause for ${symbol}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Map a strategy_settings row to a strategy config, falling back to the env defaults
+ * @param {string} symbol - The cryptocurrency symbol
+ * @param {Object} row - The database row, or undefined if the symbol uses the defaults
+ * @returns {Object} The strategy config
+ */
+function toStrategyConfig(symbol, row) {
+  if (!row) {
+    return { symbol, ...STRATEGY_DEFAULTS, isDefault: true };
+  }
+  
+  return {
+    symbol,
+    buyThresholdPercent: parseFloat(row.buy_threshold_percent),
+    sellThresholdPercent: parseFloat(row.sell_threshold_percent),
+    investmentAmount: parseFloat(row.investment_amount),
+    stopLossPercent: row.stop_loss_percent !== null ? parseFloat(row.stop_loss_percent) : null,
+    stopLossPrice: row.stop_loss_price !== null ? parseFloat(row.stop_loss_price) : null,
+    trailingPercent: row.trailing_percent !== null ? parseFloat(row.trailing_percent) : null,
+    // An unset cap falls back to MAX_DCA_BUYS/MAX_POSITION_USDT, so saving other settings keeps the .env caps
+    maxDcaBuys: row.max_dca_buys !== null ? Number(row.max_dca_buys) : STRATEGY_DEFAULTS.maxDcaBuys,
+    maxExposureUsdt: row.max_exposure_usdt !== null ? parseFloat(row.max_exposure_usdt) : STRATEGY_DEFAULTS.maxExposureUsdt,
+    strategy: row.strategy_name || STRATEGY_DEFAULTS.strategy,
+    strategyParams: parseJsonColumn(row.strategy_params),
+    orderType: row.order_type || STRATEGY_DEFAULTS.orderType,
+    limitTimeoutSeconds: row.limit_timeout_seconds !== null ? Number(row.limit_timeout_seconds) : STRATEGY_DEFAULTS.limitTimeoutSeconds,
+    limitFallback: row.limit_fallback || STRATEGY_DEFAULTS.limitFallback,
+    isDefault: false
+  };
+}
+
+/**
+ * Get the strategy config (thresholds and auto-trade investment amount) for a symbol
+ * Symbols without their own settings use the env defaults
+ * @param {string} symbol - The cryptocurrency symbol
+ * @returns {Promise<Object>} The strategy config
+ */
+async function getStrategyConfig(symbol) {
+  try {
+    const sql = `
+      SELECT buy_threshold_percent, sell_threshold_percent, investment_amount,
+             stop_loss_percent, stop_loss_price, trailing_percent, max_dca_buys, max_exposure_usdt,
+             strategy_name, strategy_params, order_type, limit_timeout_seconds, limit_fallback
+      FROM strategy_settings
+      WHERE symbol = ?
+    `;
+    
+    const result = await query(sql, [symbol]);
+    return toStrategyConfig(symbol, result[0]);
+  } catch (error) {
+    // Trading must not stop because of a settings lookup - fall back to the defaults
+    console.error(`Error getting strategy config for ${symbol}, using defaults:`, error.message);
+    return toStrategyConfig(symbol);
+  }
+}
+
+/**
+ * Get the strategy configs for several symbols in one query
+ * @param {Array<string>} symbols - The cryptocurrency symbols
+ * @returns {Promise<Object>} Map of symbol -> strategy config
+ */
+async function getStrategyConfigs(symbols) {
+  const rows = new Map();
+  
+  try {
+    if (symbols.length > 0) {
+      const sql = `
+        SELECT symbol, buy_threshold_percent, sell_threshold_percent, investment_amount,
+               stop_loss_percent, stop_loss_price, trailing_percent, max_dca_buys, max_exposure_usdt,
+               strategy_name, strategy_params, order_type, limit_timeout_seconds, limit_fallback
+        FROM strategy_settings
+        WHERE symbol IN (${symbols.map(() => '?').join(', ')})
+      `;
+      
+      const result = await query(sql, symbols);
+      result.forEach(row => rows.set(row.symbol, row));
+    }
+  } catch (error) {
+    console.error('Error getting strategy configs, using defaults:', error.message);
+  }
+  
+  const configs = {};
+  for (const symbol of symbols) {
+    configs[symbol] = toStrategyConfig(symbol, rows.get(symbol));
+  }
+  return configs;
+}
+
+/**
+ * Save the strategy config for a symbol
+ * @param {string} symbol - The cryptocurrency symbol
+ * @param {Object} config - The strategy config
+ * @param {number} config.buyThresholdPercent - Drop below the last transaction price that triggers a buy (0.01 = 1%)
+ * @param {number} config.sellThresholdPercent - Rise above the first transaction price that triggers a sell (0.01 = 1%)
+ * @param {number} config.investmentAmount - USDT spent per auto-trading buy
+ * @param {number|null} config.stopLossPercent - Stop-loss below the average entry price (0.05 = 5%), or null
+ * @param {number|null} config.stopLossPrice - Absolute stop-loss price, or null
+ * @param {number|null} config.trailingPercent - Trailing take-profit pullback from the high (0.01 = 1%), or null
+ * @param {number|null} config.maxDcaBuys - Maximum averaging buys per position, or null for no cap
+ * @param {number|null} config.maxExposureUsdt - Maximum USDT invested per position, or null for no cap
+ * @param {string} config.strategy - The strategy module (see strategies/)
+ * @param {Object} config.strategyParams - The strategy's validated parameters
+ * @param {string} config.orderType - How trades are executed: market, limit or limit_maker
+ * @param {number} config.limitTimeoutSeconds - Seconds a limit order may rest before it is canceled
+ * @param {string} config.limitFallback - What happens to the unfilled rest: market or cancel
+ * @returns {Promise<Object>} The saved strategy config
+ */
+async function saveStrategyConfig(symbol, config) {
+  try {
+    const sql = `
+      INSERT INTO strategy_settings
+        (symbol, buy_threshold_percent, sell_threshold_percent, investment_amount,
+         stop_loss_percent, stop_loss_price, trailing_percent, max_dca_buys, max_exposure_usdt,
+         strategy_name, strategy_params, order_type, limit_timeout_seconds, limit_fallback)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        buy_threshold_percent = VALUES(buy_threshold_percent),
+        sell_threshold_percent = VALUES(sell_threshold_percent),
+        investment_amount = VALUES(investment_amount),
+        stop_loss_percent = VALUES(stop_loss_percent),
+        stop_loss_price = VALUES(stop_loss_price),
+        trailing_percent = VALUES(trailing_percent),
+        max_dca_buys = VALUES(max_dca_buys),
+        max_exposure_usdt = VALUES(max_exposure_usdt),
+        strategy_name = VALUES(strategy_name),
+        strategy_params = VALUES(strategy_params),
+        order_type = VALUES(order_type),
+        limit_timeout_seconds = VALUES(limit_timeout_seconds),
+        limit_fallback = VALUES(limit_fallback)
+    `;
+    
+    await query(sql, [
+      symbol,
+      config.buyThresholdPercent,
+      config.sellThresholdPercent,
+      config.investmentAmount,
+      config.stopLossPercent || null,
+      config.stopLossPrice || null,
+      config.trailingPercent || null,
+      Number.isInteger(config.maxDcaBuys) ? config.maxDcaBuys : null,
+      config.maxExposureUsdt || null,
+      config.strategy || STRATEGY_DEFAULTS.strategy,
+      serializeJsonColumn(config.strategyParams),
+      config.orderType || STRATEGY_DEFAULTS.orderType,
+      config.limitTimeoutSeconds || STRATEGY_DEFAULTS.limitTimeoutSeconds,
+      config.limitFallback || STRATEGY_DEFAULTS.limitFallback
+    ]);
+    return getStrategyConfig(symbol);
+  } catch (error) {
+    console.error(`Error saving strategy config for ${symbol}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a symbol's strategy config so it uses the env defaults again
+ * @param {string} symbol - The cryptocurrency symbol
+ * @returns {Promise<Object>} The default strategy config
+ */
+async function deleteStrategyConfig(symbol) {
+  try {
+    await query('DELETE FROM strategy_settings WHERE symbol = ?', [symbol]);
+    return toStrategyConfig(symbol);
+  } catch (error) {
+    console.error(`Error deleting strategy config for ${symbol}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Update account balances in the database
+ * @param {Object} balances - The account balances { symbol: amount }
+ * @returns {Promise<boolean>} Success status
+ */
+async function updateAccountBalances(balances) {
+  if (!balances) {
+    throw new Error('No balance data provided');
+  }
+
+  try {
+    // Use the table definition from schema.sql - no need to check if it exists
+    // as the table is now part of our core schema
+    
+    // Insert or update balances for each symbol
+    for (const [symbol, balance] of Object.entries(balances)) {
+      const upsertSql = `
+        INSERT INTO account_balances (symbol, balance, last_updated)
+        VALUES (?, ?, NOW())
+        ON DUPLICATE KEY UPDATE
+          balance = VALUES(balance),
+          last_updated = NOW()
+      `;
+      
+      await query(upsertSql, [symbol, balance]);
+    }
+    
+    console.log('Account balances updated in database');
+    return true;
+  } catch (error) {
+    console.error('Error updating account balances in database:', error);
     throw error;
   }
 }
@@ -1047,6 +1786,502 @@ async function getAccountBalances() {
   }
 }
 
+/**
+ * Store recorded bookTicker ticks
+ * @param {Array} ticks - The ticks: { symbol, bidPrice, bidQty, askPrice, askQty, time }
+ * @returns {Promise<number>} The number of rows inserted
+ */
+async function insertPriceTicks(ticks) {
+  if (!ticks || ticks.length === 0) {
+    return 0;
+  }
+
+  try {
+    // One multi-row insert per batch keeps the recorder cheap
+    const placeholders = ticks.map(() => '(?, ?, ?, ?, ?, ?)').join(', ');
+    const values = [];
+    for (const tick of ticks) {
+      values.push(tick.symbol, tick.bidPrice, tick.bidQty, tick.askPrice, tick.askQty, new Date(tick.time));
+    }
+
+    await query(`
+      INSERT INTO price_ticks (symbol, bid_price, bid_qty, ask_price, ask_qty, tick_time)
+      VALUES ${placeholders}
+    `, values);
+
+    return ticks.length;
+  } catch (error) {
+    console.error('Error inserting price ticks:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete recorded ticks older than a point in time
+ * @param {Date} before - Ticks received before this time are deleted
+ * @returns {Promise<number>} The number of rows deleted
+ */
+async function deletePriceTicksBefore(before) {
+  try {
+    const result = await query('DELETE FROM price_ticks WHERE tick_time < ?', [before]);
+    return Number(result.affectedRows) || 0;
+  } catch (error) {
+    console.error('Error deleting old price ticks:', error);
+    throw error;
+  }
+}
+
+/**
+ * Convert a candles row to a candle object
+ * @param {Object} row - The database row
+ * @returns {Object} { symbol, interval, openTime, open, high, low, close, volume, source }
+ */
+function toCandle(row) {
+  return {
+    symbol: row.symbol,
+    interval: row.candle_interval,
+    // Dates come back as UTC strings ("YYYY-MM-DD HH:MM:SS")
+    openTime: Date.parse(`${row.open_time.replace(' ', 'T')}Z`),
+    open: parseFloat(row.open_price),
+    high: parseFloat(row.high_price),
+    low: parseFloat(row.low_price),
+    close: parseFloat(row.close_price),
+    volume: parseFloat(row.volume) || 0,
+    source: row.source
+  };
+}
+
+/**
+ * Insert or update OHLC candles
+ * A candle that already exists for the symbol, interval and open time is overwritten
+ * @param {Array} candles - The candles: { symbol, interval, openTime, open, high, low, close, volume, source }
+ * @returns {Promise<number>} The number of candles written
+ */
+async function upsertCandles(candles) {
+  if (!candles || candles.length === 0) {
+    return 0;
+  }
+
+  try {
+    const placeholders = candles.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ');
+    const values = [];
+    for (const candle of candles) {
+      values.push(
+        candle.symbol, candle.interval, new Date(candle.openTime),
+        candle.open, candle.high, candle.low, candle.close,
+        candle.volume || 0, candle.source || 'ticker'
+      );
+    }
+
+    await query(`
+      INSERT INTO candles (symbol, candle_interval, open_time, open_price, high_price, low_price, close_price, volume, source)
+      VALUES ${placeholders}
+      ON DUPLICATE KEY UPDATE
+        open_price = VALUES(open_price),
+        high_price = VALUES(high_price),
+        low_price = VALUES(low_price),
+        close_price = VALUES(close_price),
+        volume = VALUES(volume),
+        source = VALUES(source)
+    `, values);
+
+    return candles.length;
+  } catch (error) {
+    console.error('Error saving candles:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get stored candles for a symbol and interval
+ * If more candles than the limit match, the most recent ones are returned
+ * @param {string} symbol - The cryptocurrency symbol
+ * @param {string} interval - The candle interval ('1m', '5m' or '1h')
+ * @param {Object} options - { from, to } as Dates (optional) and limit
+ * @returns {Promise<Array>} The candles, oldest first
+ */
+async function getCandles(symbol, interval, { from = null, to = null, limit = 500 } = {}) {
+  try {
+    const conditions = ['symbol = ?', 'candle_interval = ?'];
+    const params = [symbol, interval];
+
+    if (from) {
+      conditions.push('open_time >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('open_time <= ?');
+      params.push(to);
+    }
+    params.push(limit);
+
+    const result = await query(`
+      SELECT symbol, candle_interval, open_time, open_price, high_price, low_price, close_price, volume, source
+      FROM candles
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY open_time DESC
+      LIMIT ?
+    `, params);
+
+    return result.map(toCandle).reverse();
+  } catch (error) {
+    console.error(`Error getting ${interval} candles for ${symbol}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the open time of the newest stored candle
+ * @param {string} symbol - The cryptocurrency symbol
+ * @param {string} interval - The candle interval
+ * @returns {Promise<number|null>} The open time in milliseconds, or null if none is stored
+ */
+async function getLatestCandleTime(symbol, interval) {
+  try {
+    const result = await query(`
+      SELECT MAX(open_time) as open_time
+      FROM candles
+      WHERE symbol = ? AND candle_interval = ?
+    `, [symbol, interval]);
+
+    const openTime = result[0] && result[0].open_time;
+    return openTime ? Date.parse(`${openTime.replace(' ', 'T')}Z`) : null;
+  } catch (error) {
+    console.error(`Error getting latest ${interval} candle for ${symbol}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Convert a grid_levels row to a grid level object
+ * @param {Object} row - The database row
+ * @returns {Object} { symbol, level, buyPrice, sellPrice, side, quantity, orderId, clientOrderId, status, error, updatedAt }
+ */
+function toGridLevel(row) {
+  return {
+    symbol: row.symbol,
+    level: Number(row.level_index),
+    buyPrice: parseFloat(row.buy_price),
+    sellPrice: parseFloat(row.sell_price),
+    side: row.side,
+    quantity: parseFloat(row.quantity) || 0,
+    // Binance order IDs fit in a double, but come back as BigInt
+    orderId: row.order_id !== null ? Number(row.order_id) : null,
+    clientOrderId: row.client_order_id,
+    status: row.status,
+    error: row.last_error,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Get the grid levels of one or all symbols
+ * @param {string|null} symbol - The cryptocurrency symbol, or null for all symbols
+ * @returns {Promise<Array>} The grid levels, lowest first
+ */
+async function getGridLevels(symbol = null) {
+  try {
+    const result = await query(`
+      SELECT symbol, level_index, buy_price, sell_price, side, quantity, order_id, client_order_id, status, last_error, updated_at
+      FROM grid_levels
+      ${symbol ? 'WHERE symbol = ?' : ''}
+      ORDER BY symbol, level_index
+    `, symbol ? [symbol] : []);
+
+    return result.map(toGridLevel);
+  } catch (error) {
+    console.error(`Error getting grid levels${symbol ? ` for ${symbol}` : ''}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Replace the grid levels of a symbol
+ * @param {string} symbol - The cryptocurrency symbol
+ * @param {Array} levels - The levels: { level, buyPrice, sellPrice, side, quantity }
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveGridLevels(symbol, levels) {
+  let conn = null;
+  try {
+    conn = await getConnection();
+    await conn.beginTransaction();
+
+    await conn.query('DELETE FROM grid_levels WHERE symbol = ?', [symbol]);
+
+    for (const level of levels) {
+      await conn.query(`
+        INSERT INTO grid_levels (symbol, level_index, buy_price, sell_price, side, quantity, status)
+        VALUES (?, ?, ?, ?, ?, ?, 'pending')
+      `, [symbol, level.level, level.buyPrice, level.sellPrice, level.side, level.quantity || 0]);
+    }
+
+    await conn.commit();
+    return true;
+  } catch (error) {
+    if (conn) {
+      try {
+        await conn.rollback();
+      } catch (rollbackError) {
+        console.error('Error during rollback in saveGridLevels:', rollbackError);
+      }
+    }
+    console.error(`Error saving grid levels for ${symbol}:`, error);
+    throw error;
+  } finally {
+    if (conn) {
+      conn.release();
+    }
+  }
+}
+
+/**
+ * Update the order of a single grid level
+ * @param {string} symbol - The cryptocurrency symbol
+ * @param {number} level - The level index
+ * @param {Object} data - { side, quantity, orderId, clientOrderId, status, error }
+ * @returns {Promise<boolean>} True if the level exists
+ */
+async function updateGridLevel(symbol, level, data) {
+  try {
+    const result = await query(`
+      UPDATE grid_levels
+      SET side = ?, quantity = ?, order_id = ?, client_order_id = ?, status = ?, last_error = ?
+      WHERE symbol = ? AND level_index = ?
+    `, [
+      data.side,
+      data.quantity || 0,
+      data.orderId || null,
+      data.clientOrderId || null,
+      data.status,
+      data.error ? String(data.error).substring(0, 255) : null,
+      symbol,
+      level
+    ]);
+
+    return Number(result.affectedRows) > 0;
+  } catch (error) {
+    console.error(`Error updating grid level ${level} for ${symbol}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete the grid levels of a symbol
+ * @param {string} symbol - The cryptocurrency symbol
+ * @returns {Promise<number>} The number of levels deleted
+ */
+async function deleteGridLevels(symbol) {
+  try {
+    const result = await query('DELETE FROM grid_levels WHERE symbol = ?', [symbol]);
+    return Number(result.affectedRows) || 0;
+  } catch (error) {
+    console.error(`Error deleting grid levels for ${symbol}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Seed the simulated paper trading account if it has no balances yet
+ * @param {Object} balances - The starting balances { symbol: amount }
+ * @returns {Promise<boolean>} True if the account was seeded, false if it already existed
+ */
+async function seedPaperBalances(balances) {
+  try {
+    const countResult = await query('SELECT COUNT(*) as count FROM paper_balances');
+
+    if (Number(countResult[0].count) > 0) {
+      return false;
+    }
+
+    for (const [symbol, amount] of Object.entries(balances)) {
+      await query(`
+        INSERT IGNORE INTO paper_balances (symbol, free, locked)
+        VALUES (?, ?, 0)
+      `, [symbol, amount]);
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Error seeding paper balances:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the simulated paper trading balances
+ * @returns {Promise<Object>} The balances { symbol: { free, locked } }
+ */
+async function getPaperBalances() {
+  try {
+    const result = await query(`
+      SELECT symbol, free, locked
+      FROM paper_balances
+    `);
+
+    const balances = {};
+    for (const row of result) {
+      balances[row.symbol] = {
+        free: parseFloat(row.free),
+        locked: parseFloat(row.locked)
+      };
+    }
+
+    return balances;
+  } catch (error) {
+    console.error('Error getting paper balances:', error);
+    throw error;
+  }
+}
+
+/**
+ * Apply a simulated market fill to the paper balances in a single transaction
+ * @param {Object} fill - The fill to apply
+ * @param {string} fill.baseAsset - The asset being bought or sold (e.g., "BTC")
+ * @param {string} fill.quoteAsset - The asset paid or received (e.g., "USDT")
+ * @param {string} fill.side - The order side (BUY/SELL)
+ * @param {number} fill.quantity - The base asset quantity
+ * @param {number} fill.quoteQuantity - The quote asset value of the fill
+ * @param {number} fill.commission - The fee charged
+ * @param {string} fill.commissionAsset - The asset the fee is charged in
+ * @param {boolean} fill.fromLocked - Debit the balance a resting limit order locked instead of the free balance
+ * @returns {Promise<boolean>} Success status
+ */
+async function applyPaperFill(fill) {
+  const { baseAsset, quoteAsset, side, quantity, quoteQuantity, commission, commissionAsset } = fill;
+
+  // Work out which balance is debited and which is credited
+  const isBuy = side === 'BUY';
+  const debitAsset = isBuy ? quoteAsset : baseAsset;
+  const debitAmount = isBuy ? quoteQuantity : quantity;
+  const debitColumn = fill.fromLocked ? 'locked' : 'free';
+  const creditAsset = isBuy ? baseAsset : quoteAsset;
+  const creditAmount = (isBuy ? quantity : quoteQuantity) - (commissionAsset === creditAsset ? commission : 0);
+
+  let conn = null;
+  try {
+    conn = await getConnection();
+    await conn.beginTransaction();
+
+    // Make sure both rows exist before locking them
+    await conn.query(`
+      INSERT IGNORE INTO paper_balances (symbol, free, locked)
+      VALUES (?, 0, 0), (?, 0, 0)
+    `, [debitAsset, creditAsset]);
+
+    const debitRows = await conn.query(`
+      SELECT ${debitColumn} AS available FROM paper_balances WHERE symbol = ? FOR UPDATE
+    `, [debitAsset]);
+
+    // Locked amounts are stored with 8 decimals, so a locked fill may be a hair short
+    const available = parseFloat(debitRows[0].available);
+    if (available < debitAmount - (fill.fromLocked ? 1e-8 : 0)) {
+      // Mirror Binance's error message so callers handle both modes the same way
+      throw new Error(`Account has insufficient balance for requested action. (${debitAsset}: ${available} < ${debitAmount})`);
+    }
+
+    await conn.query(`
+      UPDATE paper_balances SET ${debitColumn} = GREATEST(${debitColumn} - ?, 0) WHERE symbol = ?
+    `, [debitAmount, debitAsset]);
+
+    await conn.query(`
+      UPDATE paper_balances SET free = free + ? WHERE symbol = ?
+    `, [creditAmount, creditAsset]);
+
+    await conn.commit();
+    return true;
+  } catch (error) {
+    if (conn) {
+      try {
+        await conn.rollback();
+      } catch (rollbackError) {
+        console.error('Error during rollback in applyPaperFill:', rollbackError);
+      }
+    }
+    console.error('Error applying paper fill:', error.message);
+    throw error;
+  } finally {
+    if (conn) {
+      try {
+        conn.release();
+      } catch (releaseError) {
+        console.error('Error releasing connection in applyPaperFill:', releaseError);
+      }
+    }
+  }
+}
+
+/**
+ * Move part of a paper balance from free to locked, as Binance does for a resting limit order
+ * @param {string} asset - The asset (e.g., "USDT")
+ * @param {number} amount - The amount to lock
+ * @returns {Promise<boolean>} Success status
+ */
+async function lockPaperBalance(asset, amount) {
+  let conn = null;
+  try {
+    conn = await getConnection();
+    await conn.beginTransaction();
+
+    const rows = await conn.query(`
+      SELECT free FROM paper_balances WHERE symbol = ? FOR UPDATE
+    `, [asset]);
+
+    const available = rows.length > 0 ? parseFloat(rows[0].free) : 0;
+    if (available < amount) {
+      throw new Error(`Account has insufficient balance for requested action. (${asset}: ${available} < ${amount})`);
+    }
+
+    await conn.query(`
+      UPDATE paper_balances SET free = free - ?, locked = locked + ? WHERE symbol = ?
+    `, [amount, amount, asset]);
+
+    await conn.commit();
+    return true;
+  } catch (error) {
+    if (conn) {
+      try {
+        await conn.rollback();
+      } catch (rollbackError) {
+        console.error('Error during rollback in lockPaperBalance:', rollbackError);
+      }
+    }
+    console.error('Error locking paper balance:', error.message);
+    throw error;
+  } finally {
+    if (conn) {
+      conn.release();
+    }
+  }
+}
+
+/**
+ * Return locked paper balance to free, e.g. when a resting limit order is canceled
+ * @param {string|null} asset - The asset, or null to unlock everything (paper orders don't survive a restart)
+ * @param {number|null} amount - The amount to unlock, or null for the whole locked balance
+ * @returns {Promise<boolean>} Success status
+ */
+async function unlockPaperBalance(asset = null, amount = null) {
+  try {
+    // SET is applied left to right, so free is raised by the locked amount before locked is lowered
+    if (asset === null) {
+      await query('UPDATE paper_balances SET free = free + locked, locked = 0 WHERE locked > 0');
+    } else if (amount === null) {
+      await query('UPDATE paper_balances SET free = free + locked, locked = 0 WHERE symbol = ?', [asset]);
+    } else {
+      await query(`
+        UPDATE paper_balances
+        SET free = free + LEAST(locked, ?), locked = locked - LEAST(locked, ?)
+        WHERE symbol = ?
+      `, [amount, amount, asset]);
+    }
+    return true;
+  } catch (error) {
+    console.error('Error unlocking paper balance:', error);
+    throw error;
+  }
+}
+
 /**
  * Close the database connection pool
  */
@@ -1103,6 +2338,46 @@ async function saveAppSettings(settings) {
   }
 }
 
+// app_settings key written once the first-run setup has completed
+const INSTALL_MARKER_KEY = 'installedAt';
+
+/**
+ * Check whether this is the first run of the application
+ * Only the first run resets all reference prices to 0 (requirement 1.2); later restarts keep them
+ * @returns {Promise<boolean>} True if no install marker exists and the database holds no trading state
+ */
+async function isFirstRun() {
+  const installedAt = await getAppSettings(INSTALL_MARKER_KEY);
+  if (installedAt !== null) {
+    return false;
+  }
+  
+  // Installations from before the marker existed already have trading state - never wipe it
+  const [tradeResult] = await query('SELECT COUNT(*) as count FROM trades');
+  const [refResult] = await query(`
+    SELECT COUNT(*) as count
+    FROM reference_prices
+    WHERE first_transaction_price > 0 OR last_transaction_price > 0
+       OR next_buy_price > 0 OR next_sell_price > 0
+  `);
+  
+  if (Number(tradeResult.count) > 0 || Number(refResult.count) > 0) {
+    console.log('No install marker found but the database already has trading state - treating as an existing installation');
+    await markInstalled();
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Record that the first-run setup has completed
+ * @returns {Promise<boolean>} Success status
+ */
+async function markInstalled() {
+  return saveAppSettings({ [INSTALL_MARKER_KEY]: new Date().toISOString() });
+}
+
 /**
  * Get app settings from the database
  * @param {string} key - The setting key to retrieve (optional, if not provided returns all settings)
@@ -1171,6 +2446,171 @@ async function getAppSettings(key = null) {
   }
 }
 
+/**
+ * Convert a users row
+ * @param {Object} row - The users row
+ * @returns {Object} { id, username, role, passwordHash, tokenVersion, createdAt, lastLoginAt }
+ */
+function toUser(row) {
+  return {
+    id: Number(row.id),
+    username: row.username,
+    role: row.role,
+    passwordHash: row.password_hash,
+    tokenVersion: Number(row.token_version),
+    createdAt: row.created_at,
+    lastLoginAt: row.last_login_at
+  };
+}
+
+/**
+ * Get the dashboard users, without their password hashes
+ * @returns {Promise<Array>} { id, username, role, tokenVersion, createdAt, lastLoginAt } per user
+ */
+async function getUsers() {
+  try {
+    const result = await query('SELECT * FROM users ORDER BY username');
+    return result.map(row => {
+      const { passwordHash, ...user } = toUser(row);
+      return user;
+    });
+  } catch (error) {
+    console.error('Error getting users:', error);
+    throw error;
+  }
+}
+
+/**
+ * Count the dashboard users
+ * @returns {Promise<number>} The number of users
+ */
+async function countUsers() {
+  try {
+    const [result] = await query('SELECT COUNT(*) as count FROM users');
+    return Number(result.count);
+  } catch (error) {
+    console.error('Error counting users:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a user by username
+ * @param {string} username - The username
+ * @returns {Promise<Object|null>} The user including the password hash, or null if not found
+ */
+async function getUserByUsername(username) {
+  try {
+    const result = await query('SELECT * FROM users WHERE username = ?', [username]);
+    return result.length > 0 ? toUser(result[0]) : null;
+  } catch (error) {
+    console.error(`Error getting user ${username}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get a user by id
+ * @param {number} id - The user id
+ * @returns {Promise<Object|null>} The user including the password hash, or null if not found
+ */
+async function getUserById(id) {
+  try {
+    const result = await query('SELECT * FROM users WHERE id = ?', [id]);
+    return result.length > 0 ? toUser(result[0]) : null;
+  } catch (error) {
+    console.error(`Error getting user ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Add a dashboard user
+ * @param {string} username - The username
+ * @param {string} passwordHash - The hashed password (see auth.hashPassword)
+ * @param {string} role - 'viewer', 'trader' or 'admin'
+ * @returns {Promise<number>} The new user's id
+ */
+async function createUser(username, passwordHash, role) {
+  try {
+    const result = await query('INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)', [username, passwordHash, role]);
+    return Number(result.insertId);
+  } catch (error) {
+    console.error(`Error creating user ${username}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Change a user's password
+ * Bumps the token version, so tokens issued with the old password stop working.
+ * @param {string} username - The username
+ * @param {string} passwordHash - The new hashed password
+ * @returns {Promise<boolean>} True if the user exists
+ */
+async function setUserPassword(username, passwordHash) {
+  try {
+    const result = await query(
+      'UPDATE users SET password_hash = ?, token_version = token_version + 1 WHERE username = ?',
+      [passwordHash, username]
+    );
+    return result.affectedRows > 0;
+  } catch (error) {
+    console.error(`Error changing the password of user ${username}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Change a user's role
+ * Bumps the token version, so the user logs in again with the new role.
+ * @param {string} username - The username
+ * @param {string} role - 'viewer', 'trader' or 'admin'
+ * @returns {Promise<boolean>} True if the user exists
+ */
+async function setUserRole(username, role) {
+  try {
+    const result = await query(
+      'UPDATE users SET role = ?, token_version = token_version + 1 WHERE username = ?',
+      [role, username]
+    );
+    return result.affectedRows > 0;
+  } catch (error) {
+    console.error(`Error changing the role of user ${username}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a dashboard user
+ * @param {string} username - The username
+ * @returns {Promise<boolean>} True if the user existed and was removed
+ */
+async function deleteUser(username) {
+  try {
+    const result = await query('DELETE FROM users WHERE username = ?', [username]);
+    return result.affectedRows > 0;
+  } catch (error) {
+    console.error(`Error removing user ${username}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Record a successful login
+ * @param {number} id - The user id
+ * @returns {Promise<boolean>} Success status
+ */
+async function recordUserLogin(id) {
+  try {
+    await query('UPDATE users SET last_login_at = NOW() WHERE id = ?', [id]);
+    return true;
+  } catch (error) {
+    console.error(`Error recording the login of user ${id}:`, error);
+    return false;
+  }
+}
+
 /**
  * Convert BigInt values to numbers for JSON serialization
  * @param {any} data - The data to convert
@@ -1207,18 +2647,60 @@ function convertBigIntToNumber(data) {
 module.exports = {
   initialize,
   isReady,
+  ensureSchema,
   recordTrade,
   getTradingHistory,
   getCurrentHoldings,
+  getPositionStats,
+  getTradeSummarySince,
+  getTradeSummaryBetween,
+  rebuildLots,
+  getPnlSummary,
+  getTradesForExport,
   calculateTradingThresholds,
   getAllTradingSymbols,
+  getSymbols,
+  addSymbol,
+  removeSymbol,
+  setSymbolPaused,
+  DEFAULT_SYMBOLS,
+  STRATEGY_DEFAULTS,
+  getStrategyConfig,
+  getStrategyConfigs,
+  saveStrategyConfig,
+  deleteStrategyConfig,
   updateAccountBalances,
   getAccountBalances,
+  seedPaperBalances,
+  getPaperBalances,
+  insertPriceTicks,
+  deletePriceTicksBefore,
+  upsertCandles,
+  getCandles,
+  getLatestCandleTime,
+  getGridLevels,
+  saveGridLevels,
+  updateGridLevel,
+  deleteGridLevels,
+  applyPaperFill,
+  lockPaperBalance,
+  unlockPaperBalance,
   getReferencePrice,
   getAllReferencePrices, // Added new function
   updateReferencePrice,
   saveAppSettings,
   getAppSettings,
+  isFirstRun,
+  markInstalled,
+  getUsers,
+  countUsers,
+  getUserByUsername,
+  getUserById,
+  createUser,
+  setUserPassword,
+  setUserRole,
+  deleteUser,
+  recordUserLogin,
   query,  // Export the query function for direct database access when needed
   getConnection, // Export the getConnection function needed for direct DB operations
   convertBigIntToNumber, // Export the BigInt converter
@@ -0,0 +1,400 @@
+// backend/js/exchange.js
+// Exchange Adapter Module
+// Responsible for the account and order calls that reach the exchange, so the
+// trading logic in binance.js can run against Binance or a simulated exchange
+
+const axios = require('axios');
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config({ path: require('path').resolve(__dirname, '../.env') });
+
+// Binance API configuration
+const BINANCE_API_KEY = process.env.BINANCE_API_KEY;
+const BINANCE_API_SECRET = process.env.BINANCE_API_SECRET;
+const BINANCE_API_URL = process.env.BINANCE_API_URL;
+
+// Exchange selection: 'live' sends orders to BINANCE_API_URL, 'paper' simulates fills locally
+const EXCHANGE_MODE = (process.env.EXCHANGE_MODE || 'live').toLowerCase();
+const SUPPORTED_MODES = ['live', 'paper'];
+
+/**
+ * Create signature for API request
+ * @param {Object} params - The request parameters
+ * @returns {string} The signature
+ */
+function createSignature(params) {
+  // Convert params to query string
+  const queryString = Object.keys(params)
+    .map(key => `${key}=${params[key]}`)
+    .join('&');
+
+  // Create HMAC signature
+  return crypto
+    .createHmac('sha256', BINANCE_API_SECRET)
+    .update(queryString)
+    .digest('hex');
+}
+
+/**
+ * Make a signed API request to Binance
+ * @param {string} endpoint - The API endpoint
+ * @param {string} method - The HTTP method
+ * @param {Object} params - The request parameters
+ * @returns {Promise<Object>} The API response
+ */
+async function signedRequest(endpoint, method, params = {}) {
+  try {
+    // For testnet, we need to be careful with the timestamp
+    // First try to get server time from Binance
+    try {
+      console.log(`Getting server time from Binance...`);
+      const timeResponse = await axios.get(`${BINANCE_API_URL}/api/v3/time`, {
+        timeout: 5000 // Short timeout for time sync
+      });
+
+      // Successful time response
+      if (timeResponse.data && timeResponse.data.serverTime) {
+        params.timestamp = timeResponse.data.serverTime;
+      } else {
+        // Fallback to local time
+        params.timestamp = Date.now();
+        console.log(`Falling back to local time`);
+      }
+    } catch (timeError) {
+      console.error('Error getting server time, using local time:', timeError.message);
+      params.timestamp = Date.now();
+    }
+
+    // For testnet, use a larger recvWindow to prevent timestamp issues
+    params.recvWindow = 60000; // Use a large recvWindow for testnet
+
+    // Create signature
+    const signature = createSignature(params);
+    params.signature = signature;
+
+    // Make request
+    const basePath = process.env.BINANCE_API_BASE_PATH || '/api';
+    const config = {
+      method,
+      url: `${BINANCE_API_URL}${basePath}${endpoint}`,
+      timeout: parseInt(process.env.API_TIMEOUT_MS || '10000'),
+      headers: {
+        'X-MBX-APIKEY': BINANCE_API_KEY
+      }
+    };
+
+    // Add params to query string or body depending on method
+    if (method === 'GET') {
+      config.params = params;
+    } else {
+      config.data = new URLSearchParams(params);
+    }
+
+    // Implement request retries for network issues
+    let retries = 2;
+    let lastError = null;
+
+    while (retries >= 0) {
+      try {
+        const response = await axios(config);
+        return response.data;
+      } catch (error) {
+        lastError = error;
+        console.error(`API request error (retries left: ${retries}):`, error.response ? error.response.data : error.message);
+
+        // Only retry for network errors or server errors (5xx)
+        const isRetryable = !error.response || error.response.status >= 500;
+        if (isRetryable && retries > 0) {
+          retries--;
+          const delay = 1000 * (2 - retries); // Incremental backoff
+          console.log(`Retrying request in ${delay}ms...`);
+          await new Promise(resolve => setTimeout(resolve, delay));
+          continue;
+        }
+        break;
+      }
+    }
+
+    // If we got here, all retries failed
+    throw lastError;
+  } catch (error) {
+    console.error('API request error:', error.response ? error.response.data : error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get account information from Binance
+ * @returns {Promise<Object>} The account information
+ */
+async function getAccountInfo() {
+  return signedRequest('/v3/account', 'GET');
+}
+
+/**
+ * Submit a market order to Binance
+ * @param {Object} params - The order parameters
+ * @param {string} params.symbol - The trading pair symbol (e.g., "BTCUSDT")
+ * @param {string} params.side - The order side (BUY/SELL)
+ * @param {string} params.quantity - The formatted quantity to buy/sell
+ * @param {string} params.clientOrderId - Optional client order ID, echoed back on the user data stream
+ * @returns {Promise<Object>} The Binance order response
+ */
+async function placeMarketOrder({ symbol, side, quantity, clientOrderId }) {
+  const params = {
+    symbol,
+    side,
+    type: 'MARKET',
+    quantity
+  };
+  
+  if (clientOrderId) {
+    params.newClientOrderId = clientOrderId;
+  }
+  
+  return signedRequest('/v3/order', 'POST', params);
+}
+
+/**
+ * Submit a limit order to Binance
+ * @param {Object} params - The order parameters
+ * @param {string} params.symbol - The trading pair symbol (e.g., "BTCUSDT")
+ * @param {string} params.side - The order side (BUY/SELL)
+ * @param {string} params.quantity - The formatted quantity to buy/sell
+ * @param {string} params.price - The formatted limit price
+ * @param {string} params.clientOrderId - Optional client order ID, echoed back on the user data stream
+ * @param {string} params.type - LIMIT (default) or LIMIT_MAKER, which is rejected instead of filling as taker
+ * @param {string} params.timeInForce - GTC (default), IOC or FOK - only used for LIMIT orders
+ * @returns {Promise<Object>} The Binance order response
+ */
+async function placeLimitOrder({ symbol, side, quantity, price, clientOrderId, type = 'LIMIT', timeInForce = 'GTC' }) {
+  const params = {
+    symbol,
+    side,
+    type,
+    quantity,
+    price
+  };
+  
+  if (type === 'LIMIT') {
+    params.timeInForce = timeInForce;
+  }
+  
+  if (clientOrderId) {
+    params.newClientOrderId = clientOrderId;
+  }
+  
+  return signedRequest('/v3/order', 'POST', params);
+}
+
+/**
+ * Cancel an open order on Binance
+ * @param {Object} params - The cancel parameters
+ * @param {string} params.symbol - The trading pair symbol (e.g., "BTCUSDT")
+ * @param {number} params.orderId - The Binance order ID
+ * @returns {Promise<Object>} The canceled order, including any quantity executed before the cancel
+ */
+async function cancelOrder({ symbol, orderId }) {
+  return signedRequest('/v3/order', 'DELETE', { symbol, orderId });
+}
+
+/**
+ * Get the open orders of a trading pair from Binance
+ * @param {string} symbol - The trading pair symbol (e.g., "BTCUSDT")
+ * @returns {Promise<Array>} The open orders (NEW or PARTIALLY_FILLED)
+ */
+async function getOpenOrders(symbol) {
+  return signedRequest('/v3/openOrders', 'GET', { symbol });
+}
+
+/**
+ * Query the status of an order on Binance
+ * @param {Object} params - The query parameters
+ * @param {string} params.symbol - The trading pair symbol (e.g., "BTCUSDT")
+ * @param {number} params.orderId - The Binance order ID
+ * @param {string} params.origClientOrderId - Alternatively, the client order ID the order was placed with
+ * @returns {Promise<Object>} The order status
+ */
+async function getOrder({ symbol, orderId, origClientOrderId }) {
+  const params = { symbol };
+
+  if (orderId) {
+    params.orderId = orderId;
+  } else {
+    params.origClientOrderId = origClientOrderId;
+  }
+
+  return signedRequest('/v3/order', 'GET', params);
+}
+
+/**
+ * Check whether a failed order request was definitely refused by Binance.
+ * Timeouts, network errors, 5xx responses and code -1007 (execution status
+ * unknown) leave open whether the order was accepted, so they are not rejections.
+ * @param {Error} error - The error thrown by placeMarketOrder/placeLimitOrder
+ * @returns {boolean} Whether no order was created
+ */
+function isOrderRejection(error) {
+  const response = error && error.response;
+  if (!response || response.status >= 500 || !response.data) {
+    return false;
+  }
+
+  const code = response.data.code;
+  return typeof code === 'number' && code !== -1007;
+}
+
+/**
+ * Fetch the account's own trades for a symbol from Binance
+ * @param {string} symbol - The trading pair symbol (e.g., "BTCUSDT")
+ * @param {number} limit - The maximum number of trades to fetch
+ * @param {number} orderId - Optional, only the trades (fills) of this order
+ * @returns {Promise<Array>} The trades, oldest first
+ */
+async function getMyTrades(symbol, limit = 10, orderId = null) {
+  const basePath = process.env.BINANCE_API_BASE_PATH || '/api';
+
+  // Prepare the query params
+  const params = {
+    symbol: symbol,
+    limit: limit
+  };
+
+  if (orderId) {
+    params.orderId = orderId;
+  }
+
+  // Add timestamp and signature for authenticated request
+  params.timestamp = Date.now();
+  params.recvWindow = 60000;
+  params.signature = createSignature(params);
+
+  // Build query string
+  const queryString = Object.keys(params)
+    .map(key => `${key}=${params[key]}`)
+    .join('&');
+
+  // Make the request to Binance API for my trades
+  const response = await axios.get(
+    `${BINANCE_API_URL}${basePath}/v3/myTrades?${queryString}`,
+    {
+      headers: {
+        'X-MBX-APIKEY': BINANCE_API_KEY
+      },
+      timeout: 10000
+    }
+  );
+
+  return response.data;
+}
+
+/**
+ * Make an API-key authenticated (unsigned) request to the user data stream endpoint
+ * @param {string} method - The HTTP method (POST creates, PUT keeps alive, DELETE closes)
+ * @param {Object} params - The request parameters
+ * @returns {Promise<Object>} The API response
+ */
+async function userDataStreamRequest(method, params = {}) {
+  const basePath = process.env.BINANCE_API_BASE_PATH || '/api';
+  const response = await axios({
+    method,
+    url: `${BINANCE_API_URL}${basePath}/v3/userDataStream`,
+    params,
+    timeout: parseInt(process.env.API_TIMEOUT_MS || '10000'),
+    headers: {
+      'X-MBX-APIKEY': BINANCE_API_KEY
+    }
+  });
+  
+  return response.data;
+}
+
+/**
+ * Start a user data stream (or get the currently active one)
+ * @returns {Promise<string>} The listenKey, valid for 60 minutes unless kept alive
+ */
+async function createListenKey() {
+  const data = await userDataStreamRequest('POST');
+  return data.listenKey;
+}
+
+/**
+ * Extend the validity of a listenKey by 60 minutes
+ * @param {string} listenKey - The listenKey to keep alive
+ * @returns {Promise<Object>} The API response
+ */
+async function keepAliveListenKey(listenKey) {
+  return userDataStreamRequest('PUT', { listenKey });
+}
+
+/**
+ * Close a user data stream
+ * @param {string} listenKey - The listenKey to close
+ * @returns {Promise<Object>} The API response
+ */
+async function closeListenKey(listenKey) {
+  return userDataStreamRequest('DELETE', { listenKey });
+}
+
+/**
+ * Create the exchange adapter selected by EXCHANGE_MODE
+ *
+ * Every adapter exposes the same interface:
+ *   - mode: 'live' or 'paper'
+ *   - requiresCredentials: whether BINANCE_API_KEY/SECRET must be configured
+ *   - initialize(): prepare the adapter (e.g. load simulated balances)
+ *   - getAccountInfo(): Binance-shaped account ({ balances: [{ asset, free, locked }] })
+ *   - placeMarketOrder({ symbol, side, quantity, clientOrderId }): Binance-shaped FULL order response
+ *   - placeLimitOrder({ symbol, side, quantity, price, clientOrderId, type, timeInForce }): Binance-shaped order response
+ *   - cancelOrder({ symbol, orderId }): Binance-shaped canceled order
+ *   - getOrder({ symbol, orderId, origClientOrderId }): Binance-shaped order status, by order or client order ID
+ *   - getOpenOrders(symbol): Binance-shaped statuses of the pair's open orders
+ *   - getMyTrades(symbol, limit, orderId): Binance-shaped account trades, optionally of one order
+ *   - isOrderRejection(error): whether a failed order request definitely created no order
+ *   - supportsUserDataStream: whether the listenKey calls below reach a real user data stream
+ *   - createListenKey() / keepAliveListenKey(key) / closeListenKey(key): user data stream lifecycle
+ *
+ * @param {Object} options - Adapter options
+ * @param {Function} options.getLastPrice - Returns the last streamed price for a base symbol
+ * @param {Function} options.getBookTicker - Returns the last streamed { bidPrice, askPrice } for a base symbol
+ * @returns {Object} The exchange adapter
+ */
+function createExchange(options = {}) {
+  if (!SUPPORTED_MODES.includes(EXCHANGE_MODE)) {
+    throw new Error(`Unsupported EXCHANGE_MODE "${EXCHANGE_MODE}". Use one of: ${SUPPORTED_MODES.join(', ')}`);
+  }
+
+  if (EXCHANGE_MODE === 'paper') {
+    // Required lazily so live mode never touches the simulated balance tables
+    const paper = require('./paper');
+    return paper.createPaperExchange(options);
+  }
+
+  return {
+    mode: 'live',
+    requiresCredentials: true,
+    initialize: async () => true,
+    getAccountInfo,
+    placeMarketOrder,
+    placeLimitOrder,
+    cancelOrder,
+    getOrder,
+    getOpenOrders,
+    getMyTrades,
+    isOrderRejection,
+    supportsUserDataStream: true,
+    createListenKey,
+    keepAliveListenKey,
+    closeListenKey
+  };
+}
+
+// Export public API
+module.exports = {
+  EXCHANGE_MODE,
+  createExchange,
+  createSignature,
+  signedRequest
+};
@@ -0,0 +1,735 @@
+// backend/js/ladder.js
+// Grid Ladder Module
+// Responsible for the resting LIMIT orders of symbols with the grid_limit strategy: laying out the
+// ladder, placing the opposite order whenever an order fills, and reconciling the grid_levels table
+// with the exchange's orders - including fills that happened while the bot was down.
+//
+// The ladder is made of slots, one per pair of adjacent grid prices. A slot either rests a BUY at
+// its lower price or, once that filled, a SELL of the bought quantity at its upper price; when the
+// SELL fills the slot goes back to buying. Slots never share an order, so fills can be handled in
+// any order.
+
+// Import internal modules
+const db = require('./dbconns');
+const strategies = require('./strategies');
+
+// Prefix for client order IDs of ladder orders - it starts with binance.js's bot prefix,
+// so the user data stream leaves recording these fills to the ladder
+const GRID_ORDER_PREFIX = 'bot_grid_';
+
+// Binance error codes for orders that no longer exist (-2013) or were already done when canceled (-2011)
+const UNKNOWN_ORDER_CODES = [-2011, -2013];
+
+const QUOTE_ASSET = 'USDT';
+
+// Order statuses of an order that is still resting on the exchange
+const OPEN_ORDER_STATUSES = ['NEW', 'PARTIALLY_FILLED'];
+
+/**
+ * Check whether an exchange error means the order is unknown (filled, canceled or never placed)
+ * @param {Error} error - The error thrown by the exchange adapter
+ * @returns {boolean} True if the order doesn't exist (anymore)
+ */
+function isUnknownOrderError(error) {
+  const data = error && error.response ? error.response.data : null;
+  if (data && UNKNOWN_ORDER_CODES.includes(data.code)) {
+    return true;
+  }
+  // The paper adapter mirrors Binance's messages
+  return /does not exist|Unknown order/i.test(error && error.message ? error.message : '');
+}
+
+/**
+ * Lay out a new ladder over the grid prices
+ * Slots above the current price sell existing holdings, lowest first, as far as the free balance
+ * covers (about) one investment amount each; every other slot buys.
+ * @param {Array<number>} prices - The grid prices, lowest first
+ * @param {number} price - The current price
+ * @param {number} investmentAmount - USDT per slot
+ * @param {number} freeBase - The free base asset balance
+ * @returns {Array<Object>} The slots: { level, buyPrice, sellPrice, side, quantity }
+ */
+function layoutLevels(prices, price, investmentAmount, freeBase) {
+  let available = freeBase;
+  const levels = [];
+
+  for (let index = 0; index < prices.length - 1; index++) {
+    const level = { level: index, buyPrice: prices[index], sellPrice: prices[index + 1], side: 'BUY', quantity: 0 };
+    const lotQuantity = investmentAmount / level.buyPrice;
+
+    // Buy commissions leave a little less than a whole lot
+    if (level.buyPrice >= price && available >= lotQuantity * 0.99) {
+      level.side = 'SELL';
+      level.quantity = Math.min(lotQuantity, available);
+      available -= level.quantity;
+    }
+
+    levels.push(level);
+  }
+
+  return levels;
+}
+
+/**
+ * Check whether stored levels were laid out over the given grid prices
+ * @param {Array<Object>} levels - The stored levels, lowest first
+ * @param {Array<number>} prices - The grid prices, lowest first
+ * @returns {boolean} True if every level still spans the same two prices
+ */
+function matchesPrices(levels, prices) {
+  // Prices are stored with 8 decimals
+  return levels.length === prices.length - 1 && levels.every(level =>
+    Math.abs(level.buyPrice - prices[level.level]) <= 1e-8 &&
+    Math.abs(level.sellPrice - prices[level.level + 1]) <= 1e-8
+  );
+}
+
+/**
+ * Create a grid ladder manager
+ * @param {Object} options - Ladder dependencies
+ * @param {Object} options.exchange - The exchange adapter (placeLimitOrder, cancelOrder, getOrder, getOpenOrders, getAccountInfo, isOrderRejection)
+ * @param {Function} options.getLastPrice - Returns the last streamed price for a base symbol
+ * @param {Function} options.formatQuantity - (symbol, quantity, price, options) => formatted quantity, throws if invalid
+ * @param {Function} options.formatPrice - (symbol, price) => formatted price, throws if invalid
+ * @param {Function} options.ensureSymbolFilters - Loads a symbol's exchangeInfo filters if missing
+ * @param {Function} options.canPlaceOrders - Returns false while new orders must not be placed for a symbol
+ * @param {Function} options.recordFill - Records a fill: { symbol, side, quantity, price, orderId, level, time },
+ *   skipping an order whose fill is already recorded
+ * @param {Function} options.onUpdate - Called with (symbol, levels) after the ladder changed
+ * @returns {Object} The grid ladder
+ */
+function createGridLadder({
+  exchange,
+  getLastPrice,
+  formatQuantity,
+  formatPrice,
+  ensureSymbolFilters,
+  canPlaceOrders,
+  recordFill,
+  onUpdate = () => {}
+}) {
+  if (!exchange || typeof exchange.placeLimitOrder !== 'function') {
+    throw new Error('Grid ladder requires an exchange adapter with limit orders');
+  }
+
+  const queues = new Map();      // Map of symbol -> promise of the last queued task
+  const queuedSyncs = new Map(); // Map of symbol -> promise of a sync that hasn't started yet
+
+  /**
+   * Run a task after all earlier tasks for the same symbol, so orders are never handled twice
+   * @param {string} symbol - The base symbol
+   * @param {Function} task - The async task
+   * @returns {Promise<*>} The task's result
+   */
+  function runExclusive(symbol, task) {
+    const previous = queues.get(symbol) || Promise.resolve();
+    const run = previous.then(task);
+    const settled = run.catch(() => {});
+
+    queues.set(symbol, settled);
+    settled.then(() => {
+      if (queues.get(symbol) === settled) {
+        queues.delete(symbol);
+      }
+    });
+
+    return run;
+  }
+
+  /**
+   * Get the free base and quote balances for a symbol
+   * @param {string} symbol - The base symbol
+   * @returns {Promise<Object>} { base, quote }
+   */
+  async function getFreeBalances(symbol) {
+    const accountInfo = await exchange.getAccountInfo();
+    const getFree = (asset) => {
+      const balance = accountInfo.balances.find(b => b.asset === asset);
+      return balance ? parseFloat(balance.free) || 0 : 0;
+    };
+    return { base: getFree(symbol), quote: getFree(QUOTE_ASSET) };
+  }
+
+  /**
+   * Get an order's status, or null if the exchange doesn't know it
+   * @param {string} pair - The trading pair symbol (e.g., "BTCUSDT")
+   * @param {number} orderId - The order ID
+   * @returns {Promise<Object|null>} The order status
+   */
+  async function getOrderOrNull(pair, orderId) {
+    try {
+      return await exchange.getOrder({ symbol: pair, orderId });
+    } catch (error) {
+      if (isUnknownOrderError(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find the order a level's interrupted placement sent, by its client order ID
+   * @param {string} pair - The trading pair symbol (e.g., "BTCUSDT")
+   * @param {Object} level - The level with status 'placing'
+   * @param {Array<Object>} openOrders - The pair's open orders
+   * @returns {Promise<Object|null>} The order status, or null if the exchange never accepted the order
+   */
+  async function findPlacedOrder(pair, level, openOrders) {
+    const open = openOrders.find(order => order.clientOrderId === level.clientOrderId);
+    if (open) {
+      return open;
+    }
+
+    try {
+      return await exchange.getOrder({ symbol: pair, origClientOrderId: level.clientOrderId });
+    } catch (error) {
+      if (isUnknownOrderError(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Store a level's order fields
+   * @param {string} symbol - The base symbol
+   * @param {Object} level - The level
+   */
+  async function saveLevel(symbol, level) {
+    await db.updateGridLevel(symbol, level.level, level);
+  }
+
+  /**
+   * Handle an order of a level that is no longer open: record what it executed and
+   * switch the level to the opposite side once its order filled
+   * @param {string} symbol - The base symbol
+   * @param {Object} level - The level, updated in place
+   * @param {Object|null} order - The order status, or null if the exchange doesn't know the order
+   */
+  async function settleLevel(symbol, level, order) {
+    const executedQty = order ? parseFloat(order.executedQty) || 0 : 0;
+    const filled = Boolean(order && order.status === 'FILLED');
+
+    // recordFill skips an order it already recorded, so a level that wasn't saved after its fill settles again safely
+    if (executedQty > 0) {
+      const quoteQty = parseFloat(order.cummulativeQuoteQty) || 0;
+      await recordFill({
+        symbol,
+        side: level.side,
+        quantity: executedQty,
+        price: quoteQty > 0 ? quoteQty / executedQty : parseFloat(order.price),
+        orderId: order.orderId,
+        level: level.level,
+        time: order.updateTime || order.transactTime || Date.now()
+      });
+    }
+
+    // A buy that executed anything is sold again; a sell keeps selling whatever is left of it
+    let next;
+    if (level.side === 'BUY') {
+      next = executedQty > 0 ? { side: 'SELL', quantity: executedQty } : { side: 'BUY', quantity: 0 };
+    } else {
+      const remaining = level.quantity - executedQty;
+      next = filled || remaining <= 0 ? { side: 'BUY', quantity: 0 } : { side: 'SELL', quantity: remaining };
+    }
+
+    if (!order) {
+      console.warn(`Grid order ${level.orderId} for ${symbol} level ${level.level} no longer exists on the exchange - it will be placed again`);
+    } else if (filled) {
+      const nextPrice = next.side === 'BUY' ? level.buyPrice : level.sellPrice;
+      console.log(`Grid ${level.side} filled for ${symbol} level ${level.level}: ${executedQty} (order ${order.orderId}) - next: ${next.side} at $${nextPrice}`);
+    } else {
+      console.log(`Grid ${level.side} order ${order.orderId} for ${symbol} level ${level.level} is ${order.status}${executedQty > 0 ? ` after executing ${executedQty}` : ''}`);
+    }
+
+    Object.assign(level, next, { orderId: null, clientOrderId: null, status: 'pending', error: null });
+    await saveLevel(symbol, level);
+  }
+
+  /**
+   * Make an order on the exchange the order of a level, settling it right away if it is no longer open
+   * @param {string} symbol - The base symbol
+   * @param {Object} level - The level, updated in place
+   * @param {Object} order - The order status
+   */
+  async function adoptOrder(symbol, level, order) {
+    Object.assign(level, {
+      side: order.side,
+      quantity: parseFloat(order.origQty),
+      orderId: Number(order.orderId),
+      clientOrderId: order.clientOrderId,
+      status: 'open',
+      error: null
+    });
+    await saveLevel(symbol, level);
+
+    console.log(`Grid ${level.side} order ${order.orderId} for ${symbol} level ${level.level} taken over from an interrupted placement`);
+
+    if (!OPEN_ORDER_STATUSES.includes(order.status)) {
+      await settleLevel(symbol, level, order);
+    }
+  }
+
+  /**
+   * Resolve a level whose order placement was interrupted (status 'placing'): take over the
+   * order if the exchange accepted it, otherwise let the level place it again
+   * @param {string} symbol - The base symbol
+   * @param {Object} level - The level, updated in place
+   * @param {Array<Object>} openOrders - The pair's open orders
+   * @returns {Promise<Object|null>} The order taken over, or null if the level waits again
+   */
+  async function resolvePlacingLevel(symbol, level, openOrders) {
+    const order = await findPlacedOrder(`${symbol}${QUOTE_ASSET}`, level, openOrders);
+
+    if (order) {
+      await adoptOrder(symbol, level, order);
+      return order;
+    }
+
+    console.warn(`Grid ${level.side} order ${level.clientOrderId} for ${symbol} level ${level.level} never reached the exchange - it will be placed again`);
+    Object.assign(level, { orderId: null, clientOrderId: null, status: 'pending' });
+    await saveLevel(symbol, level);
+    return null;
+  }
+
+  /**
+   * Handle open ladder orders that belong to no level, e.g. left behind by a placement whose
+   * level couldn't be saved: a waiting level of the same side takes the order over, any other
+   * is canceled and what it executed is recorded
+   * @param {string} symbol - The base symbol
+   * @param {Array<Object>} levels - The levels, updated in place
+   * @param {Array<Object>} openOrders - The pair's open orders
+   */
+  async function resolveStrayOrders(symbol, levels, openOrders) {
+    const pair = `${symbol}${QUOTE_ASSET}`;
+    const known = new Set(levels.flatMap(level => [String(level.orderId), level.clientOrderId]));
+    const strays = openOrders.filter(order =>
+      isGridOrder(order.clientOrderId) &&
+      !known.has(String(order.orderId)) &&
+      !known.has(order.clientOrderId)
+    );
+
+    for (const order of strays) {
+      const match = order.clientOrderId.slice(GRID_ORDER_PREFIX.length).match(/^(\d+)_/);
+      const level = match ? levels.find(l => l.level === Number(match[1])) : null;
+
+      if (level && level.status === 'pending' && !level.clientOrderId && level.side === order.side) {
+        await adoptOrder(symbol, level, order);
+        continue;
+      }
+
+      console.warn(`Canceling grid order ${order.orderId} for ${symbol} that belongs to no level`);
+      let canceled;
+      try {
+        canceled = await exchange.cancelOrder({ symbol: pair, orderId: order.orderId });
+      } catch (error) {
+        if (!isUnknownOrderError(error)) {
+          throw error;
+        }
+        // Filled (or gone) before the cancel arrived
+        canceled = await getOrderOrNull(pair, order.orderId);
+      }
+
+      const executedQty = canceled ? parseFloat(canceled.executedQty) || 0 : 0;
+      if (executedQty > 0) {
+        const quoteQty = parseFloat(canceled.cummulativeQuoteQty) || 0;
+        await recordFill({
+          symbol,
+          side: order.side,
+          quantity: executedQty,
+          price: quoteQty > 0 ? quoteQty / executedQty : parseFloat(canceled.price),
+          orderId: canceled.orderId,
+          level: match ? Number(match[1]) : null,
+          time: canceled.updateTime || canceled.transactTime || Date.now()
+        });
+      }
+    }
+  }
+
+  /**
+   * Place the order a level is waiting for
+   * @param {string} symbol - The base symbol
+   * @param {Object} config - The symbol's strategy config
+   * @param {Object} level - The level, updated in place
+   * @param {Object} balances - The free balances, reduced by what the order locks
+   */
+  async function placeOrder(symbol, config, level, balances) {
+    const isBuy = level.side === 'BUY';
+    const formattedPrice = formatPrice(symbol, isBuy ? level.buyPrice : level.sellPrice);
+    const limitPrice = parseFloat(formattedPrice);
+
+    // Buy commissions are charged in the base asset, so a sell may find a little less than was bought
+    const quantity = isBuy ? config.investmentAmount / level.buyPrice : Math.min(level.quantity, balances.base);
+    const formattedQuantity = formatQuantity(symbol, quantity, limitPrice, { isMarketOrder: false });
+    const notional = parseFloat(formattedQuantity) * limitPrice;
+
+    if (isBuy && balances.quote < notional) {
+      throw new Error(`Insufficient ${QUOTE_ASSET} balance for the grid buy: $${balances.quote.toFixed(2)} < $${notional.toFixed(2)}`);
+    }
+
+    // Saved before the order is sent, so a placement that is interrupted can be looked up by its client order ID
+    const clientOrderId = `${GRID_ORDER_PREFIX}${level.level}_${Date.now().toString(36)}`;
+    Object.assign(level, { orderId: null, clientOrderId, status: 'placing' });
+    await saveLevel(symbol, level);
+
+    let order;
+    try {
+      order = await exchange.placeLimitOrder({
+        symbol: `${symbol}${QUOTE_ASSET}`,
+        side: level.side,
+        quantity: formattedQuantity,
+        price: formattedPrice,
+        clientOrderId
+      });
+    } catch (error) {
+      if (exchange.isOrderRejection(error)) {
+        Object.assign(level, { clientOrderId: null, status: 'pending' });
+      } else {
+        console.warn(`Grid ${level.side} order ${clientOrderId} for ${symbol} level ${level.level} may have reached the exchange - it is looked up on the next sync`);
+      }
+      throw error;
+    }
+
+    if (isBuy) {
+      balances.quote -= notional;
+    } else {
+      balances.base -= parseFloat(formattedQuantity);
+    }
+
+    Object.assign(level, {
+      quantity: parseFloat(formattedQuantity),
+      orderId: Number(order.orderId),
+      clientOrderId,
+      status: 'open',
+      error: null
+    });
+    await saveLevel(symbol, level);
+
+    console.log(`Grid ${level.side} order placed for ${symbol} level ${level.level}: ${formattedQuantity} at $${formattedPrice} (order ${order.orderId})`);
+
+    // A sell below the price matches right away
+    if (order.status === 'FILLED') {
+      await settleLevel(symbol, level, order);
+    }
+  }
+
+  /**
+   * Place the orders of all levels without one
+   * A buy at or above the current price would match right away, so it waits until the price is above its level.
+   * @param {string} symbol - The base symbol
+   * @param {Object} config - The symbol's strategy config
+   * @param {Array<Object>} levels - The levels, updated in place
+   * @param {number} price - The current price
+   */
+  async function placeOrders(symbol, config, levels, price) {
+    const waiting = levels.filter(level => level.status === 'pending' && (level.side === 'SELL' || level.buyPrice < price));
+    if (waiting.length === 0) {
+      return;
+    }
+
+    await ensureSymbolFilters(symbol);
+    const balances = await getFreeBalances(symbol);
+
+    for (const level of waiting) {
+      try {
+        await placeOrder(symbol, config, level, balances);
+      } catch (error) {
+        const message = error.response && error.response.data && error.response.data.msg
+          ? error.response.data.msg
+          : error.message;
+
+        // Retried on every sync - only log when the reason changes
+        if (level.error !== message) {
+          console.error(`Grid ${level.side} order for ${symbol} level ${level.level} could not be placed: ${message}`);
+          level.error = message;
+        }
+        // Also stores whether the order is waiting again or still being placed
+        await saveLevel(symbol, level);
+      }
+    }
+  }
+
+  /**
+   * Show the nearest orders as the symbol's reference prices: the highest open buy as
+   * next_buy_price and the lowest sell as next_sell_price
+   * @param {string} symbol - The base symbol
+   * @param {Array<Object>} levels - The levels
+   */
+  async function updateThresholds(symbol, levels) {
+    const buyPrices = levels.filter(level => level.side === 'BUY' && level.status === 'open').map(level => level.buyPrice);
+    const sellPrices = levels.filter(level => level.side === 'SELL').map(level => level.sellPrice);
+
+    const thresholds = {
+      nextBuyPrice: buyPrices.length > 0 ? Math.max(...buyPrices) : 0,
+      nextSellPrice: sellPrices.length > 0 ? Math.min(...sellPrices) : 0
+    };
+
+    const refPrices = await db.getReferencePrice(symbol);
+
+    // Without anything left to sell the position is closed
+    if (sellPrices.length === 0 && refPrices.firstTransactionPrice > 0) {
+      thresholds.firstTransactionPrice = 0;
+    }
+
+    // Prices are stored with 8 decimals
+    const changed = Math.abs(refPrices.nextBuyPrice - thresholds.nextBuyPrice) > 1e-8 ||
+      Math.abs(refPrices.nextSellPrice - thresholds.nextSellPrice) > 1e-8 ||
+      thresholds.firstTransactionPrice !== undefined;
+
+    if (changed) {
+      await db.updateReferencePrice(symbol, thresholds);
+    }
+  }
+
+  /**
+   * Cancel the open orders of a symbol's levels, keeping each level's side and quantity
+   * @param {string} symbol - The base symbol
+   * @returns {Promise<Array<Object>>} The levels
+   */
+  async function cancelLevels(symbol) {
+    const levels = await db.getGridLevels(symbol);
+    const pair = `${symbol}${QUOTE_ASSET}`;
+    let failed = 0;
+
+    // An interrupted placement may have left an order to cancel
+    const placingLevels = levels.filter(l => l.status === 'placing');
+    if (placingLevels.length > 0) {
+      try {
+        const openOrders = await exchange.getOpenOrders(pair);
+        for (const level of placingLevels) {
+          await resolvePlacingLevel(symbol, level, openOrders);
+        }
+      } catch (error) {
+        console.error(`Failed to look up interrupted grid orders for ${symbol}:`, error.message);
+        failed += levels.filter(l => l.status === 'placing').length;
+      }
+    }
+
+    for (const level of levels.filter(l => l.orderId)) {
+      let order;
+      try {
+        order = await exchange.cancelOrder({ symbol: pair, orderId: level.orderId });
+      } catch (error) {
+        if (!isUnknownOrderError(error)) {
+          console.error(`Failed to cancel grid order ${level.orderId} for ${symbol}:`, error.message);
+          failed++;
+          continue;
+        }
+        // Filled (or gone) before the cancel arrived
+        order = await getOrderOrNull(pair, level.orderId);
+      }
+
+      await settleLevel(symbol, level, order);
+    }
+
+    if (levels.length > 0) {
+      await updateThresholds(symbol, levels);
+      onUpdate(symbol, levels);
+    }
+
+    if (failed > 0) {
+      throw new Error(`Could not cancel ${failed} grid order(s) for ${symbol}`);
+    }
+
+    return levels;
+  }
+
+  /**
+   * Bring a symbol's ladder in line with the exchange
+   * Lays out the ladder if it has no levels yet, settles every order that is no longer open
+   * and places the orders levels are waiting for - unless canPlaceOrders says no.
+   * @param {string} symbol - The base symbol
+   * @returns {Promise<Array<Object>>} The levels
+   */
+  async function syncLevels(symbol) {
+    const config = await db.getStrategyConfig(symbol);
+    let levels = await db.getGridLevels(symbol);
+
+    // Levels left over from a strategy switch whose orders couldn't be canceled
+    if (!strategies.usesRestingOrders(config)) {
+      if (levels.length > 0) {
+        await cancelLevels(symbol);
+        await db.deleteGridLevels(symbol);
+        onUpdate(symbol, []);
+      }
+      return [];
+    }
+
+    let params;
+    try {
+      params = strategies.normalizeParams(config.strategy, config.strategyParams);
+    } catch (error) {
+      console.error(`Invalid ${config.strategy} parameters for ${symbol}:`, error.message);
+      return levels;
+    }
+
+    const prices = strategies.getStrategy(config.strategy).getLevels(params);
+    const price = getLastPrice(symbol);
+    const placing = price > 0 && canPlaceOrders(symbol);
+
+    // The range or number of levels changed - throws if the old orders can't all be canceled
+    if (levels.length > 0 && !matchesPrices(levels, prices)) {
+      console.log(`Grid range for ${symbol} changed - laying out the ladder again`);
+      await cancelLevels(symbol);
+      await db.deleteGridLevels(symbol);
+      levels = [];
+    }
+
+    if (levels.length === 0) {
+      if (!placing) {
+        onUpdate(symbol, levels);
+        return levels;
+      }
+
+      const balances = await getFreeBalances(symbol);
+      const layout = layoutLevels(prices, price, config.investmentAmount, balances.base);
+      await db.saveGridLevels(symbol, layout);
+      levels = await db.getGridLevels(symbol);
+
+      const sells = layout.filter(level => level.side === 'SELL').length;
+      console.log(`Grid ladder laid out for ${symbol}: ${layout.length} levels from $${prices[0]} to $${prices[prices.length - 1]} at $${price}${sells > 0 ? `, ${sells} selling existing holdings` : ''}`);
+    }
+
+    const pair = `${symbol}${QUOTE_ASSET}`;
+    const openOrders = await exchange.getOpenOrders(pair);
+    const openIds = new Set(openOrders.map(order => Number(order.orderId)));
+
+    for (const level of levels.filter(l => l.status === 'placing')) {
+      const order = await resolvePlacingLevel(symbol, level, openOrders);
+      // Accepted after the open orders were fetched
+      if (order && OPEN_ORDER_STATUSES.includes(order.status)) {
+        openIds.add(Number(order.orderId));
+      }
+    }
+
+    await resolveStrayOrders(symbol, levels, openOrders);
+
+    // Orders that are no longer open were filled, canceled or expired
+    for (const level of levels.filter(l => l.orderId)) {
+      if (!openIds.has(level.orderId)) {
+        await settleLevel(symbol, level, await getOrderOrNull(pair, level.orderId));
+      }
+    }
+
+    if (placing) {
+      await placeOrders(symbol, config, levels, price);
+    }
+
+    await updateThresholds(symbol, levels);
+    onUpdate(symbol, levels);
+    return levels;
+  }
+
+  /**
+   * Sync a symbol's ladder - called on price checks and when the user data stream reports a ladder order
+   * Calls while a sync is already queued share it.
+   * @param {string} symbol - The base symbol
+   * @returns {Promise<Array<Object>>} The levels
+   */
+  function sync(symbol) {
+    if (queuedSyncs.has(symbol)) {
+      return queuedSyncs.get(symbol);
+    }
+
+    const run = runExclusive(symbol, () => {
+      queuedSyncs.delete(symbol);
+      return syncLevels(symbol);
+    });
+    queuedSyncs.set(symbol, run);
+    return run;
+  }
+
+  /**
+   * Sync the ladders of several symbols one after the other, e.g. to reconcile fills after a restart
+   * @param {Array<string>} symbols - The base symbols
+   */
+  async function syncAll(symbols) {
+    for (const symbol of symbols) {
+      try {
+        await sync(symbol);
+      } catch (error) {
+        console.error(`Error syncing grid ladder for ${symbol}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Cancel a symbol's open ladder orders, e.g. when its auto-trading is paused
+   * The levels keep their sides, so the next sync places the same orders again.
+   * @param {string} symbol - The base symbol
+   * @returns {Promise<Array<Object>>} The levels
+   */
+  function cancel(symbol) {
+    return runExclusive(symbol, () => cancelLevels(symbol));
+  }
+
+  /**
+   * Cancel the open ladder orders of all symbols, e.g. when auto-trading is disabled
+   */
+  async function cancelAll() {
+    const levels = await db.getGridLevels();
+    const symbols = [...new Set(levels.filter(level => level.orderId || level.clientOrderId).map(level => level.symbol))];
+
+    for (const symbol of symbols) {
+      try {
+        await cancel(symbol);
+      } catch (error) {
+        console.error(`Error canceling grid orders for ${symbol}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Cancel a symbol's ladder orders and remove its levels, so the next sync lays out a new ladder
+   * @param {string} symbol - The base symbol
+   * @returns {Promise<boolean>} True if there was a ladder to remove
+   */
+  function reset(symbol) {
+    return runExclusive(symbol, async () => {
+      const levels = await cancelLevels(symbol);
+      if (levels.length === 0) {
+        return false;
+      }
+
+      await db.deleteGridLevels(symbol);
+      console.log(`Grid ladder removed for ${symbol}`);
+      onUpdate(symbol, []);
+      return true;
+    });
+  }
+
+  /**
+   * Get a symbol's ladder for the dashboard
+   * @param {string} symbol - The base symbol
+   * @returns {Promise<Array<Object>>} The levels, lowest first
+   */
+  async function getLevels(symbol) {
+    return db.getGridLevels(symbol);
+  }
+
+  /**
+   * Check whether a client order ID belongs to a ladder order
+   * @param {string} clientOrderId - The client order ID
+   * @returns {boolean} True for ladder orders
+   */
+  function isGridOrder(clientOrderId) {
+    return String(clientOrderId || '').startsWith(GRID_ORDER_PREFIX);
+  }
+
+  return {
+    sync,
+    syncAll,
+    cancel,
+    cancelAll,
+    reset,
+    getLevels,
+    isGridOrder
+  };
+}
+
+// Export public API
+module.exports = {
+  GRID_ORDER_PREFIX,
+  createGridLadder,
+  isUnknownOrderError
+};
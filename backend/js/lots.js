@@ -0,0 +1,186 @@
+// backend/js/lots.js
+// Lots Module
+// Responsible for the cost basis of holdings: every buy opens a lot, every sell consumes lots
+// (oldest first, or pro rata at the average cost) and realizes the difference between its
+// proceeds and the consumed cost. Like strategy.js everything here is pure - dbconns.js keeps
+// the lots in the trade_lots table and the realized P&L on the sell's trades row.
+
+// How sells consume lots: fifo (oldest lot first) or average_cost (every lot pro rata)
+const PNL_METHODS = ['fifo', 'average_cost'];
+
+// Remaining quantities below this are treated as a closed lot (rounding and fee dust)
+const DUST_QUANTITY = 1e-8;
+
+/**
+ * Get the configured lot method
+ * Read on use, as this module is loaded before dbconns.js loads the .env file.
+ * @returns {string} 'fifo' or 'average_cost'
+ */
+function getPnlMethod() {
+  const method = (process.env.PNL_METHOD || 'fifo').toLowerCase(); // Default to FIFO if not set
+  return PNL_METHODS.includes(method) ? method : 'fifo';
+}
+
+/**
+ * Turn a buy into a lot
+ * A commission charged in the base asset leaves fewer coins than were bought; a commission in
+ * another asset (USDT, BNB) adds to the cost.
+ * @param {Object} trade - The buy: { symbol, quantity, usdt_amount, commission, commission_asset, commission_usdt }
+ * @returns {Object|null} { quantity, unitCost }, or null if nothing is left to hold
+ */
+function toLot(trade) {
+  const feeInBase = trade.commission_asset === trade.symbol;
+  const quantity = parseFloat(trade.quantity) - (feeInBase ? parseFloat(trade.commission) || 0 : 0);
+  const cost = parseFloat(trade.usdt_amount) + (feeInBase ? 0 : parseFloat(trade.commission_usdt) || 0);
+
+  if (!(quantity > DUST_QUANTITY)) {
+    return null;
+  }
+  return { quantity, unitCost: cost / quantity };
+}
+
+/**
+ * Get what a sell brought in after its commission
+ * @param {Object} trade - The sell: { usdt_amount, commission_usdt }
+ * @returns {number} The net proceeds in USDT
+ */
+function getProceeds(trade) {
+  return parseFloat(trade.usdt_amount) - (parseFloat(trade.commission_usdt) || 0);
+}
+
+/**
+ * Consume open lots for a sell
+ * FIFO takes the oldest lots first; average cost takes the same share of every lot, so each
+ * sold coin costs the average of all open lots. Quantity beyond the open lots (coins the bot
+ * didn't buy) has no cost basis and is left unmatched.
+ * @param {Array<Object>} lots - The open lots, oldest first: { id, remainingQuantity, unitCost }
+ * @param {number} quantity - The sold quantity
+ * @param {string} method - 'fifo' or 'average_cost'
+ * @returns {Object} { updates: [{ id, remainingQuantity }], matchedQuantity, costBasis }
+ */
+function consumeLots(lots, quantity, method) {
+  const updates = [];
+  let matchedQuantity = 0;
+  let costBasis = 0;
+
+  if (method === 'average_cost') {
+    const openQuantity = lots.reduce((sum, lot) => sum + lot.remainingQuantity, 0);
+    if (openQuantity <= 0) {
+      return { updates, matchedQuantity, costBasis };
+    }
+
+    const share = Math.min(quantity / openQuantity, 1);
+    for (const lot of lots) {
+      const taken = lot.remainingQuantity * share;
+      const remainingQuantity = lot.remainingQuantity - taken;
+      matchedQuantity += taken;
+      costBasis += taken * lot.unitCost;
+      updates.push({ id: lot.id, remainingQuantity: remainingQuantity > DUST_QUANTITY ? remainingQuantity : 0 });
+    }
+    return { updates, matchedQuantity, costBasis };
+  }
+
+  let remaining = quantity;
+  for (const lot of lots) {
+    if (remaining <= DUST_QUANTITY) {
+      break;
+    }
+    const taken = Math.min(lot.remainingQuantity, remaining);
+    const remainingQuantity = lot.remainingQuantity - taken;
+    remaining -= taken;
+    matchedQuantity += taken;
+    costBasis += taken * lot.unitCost;
+    updates.push({ id: lot.id, remainingQuantity: remainingQuantity > DUST_QUANTITY ? remainingQuantity : 0 });
+  }
+  return { updates, matchedQuantity, costBasis };
+}
+
+/**
+ * Calculate the realized P&L of a sell from the lots it consumed
+ * Only the matched part counts - its share of the proceeds against the consumed cost.
+ * @param {Object} trade - The sell: { quantity, usdt_amount, commission_usdt }
+ * @param {Object} consumption - The result of consumeLots
+ * @returns {number|null} The realized P&L in USDT, or null if no lot was consumed
+ */
+function getRealizedPnl(trade, consumption) {
+  const quantity = parseFloat(trade.quantity);
+  if (!(consumption.matchedQuantity > 0) || !(quantity > 0)) {
+    return null;
+  }
+
+  const matchedShare = Math.min(consumption.matchedQuantity / quantity, 1);
+  return getProceeds(trade) * matchedShare - consumption.costBasis;
+}
+
+/**
+ * Replay a symbol's trades into lots and realized P&L
+ * @param {Array<Object>} trades - The trades rows in execution order
+ * @param {string} method - 'fifo' or 'average_cost'
+ * @returns {Object} { lots: [{ tradeId, quantity, remainingQuantity, unitCost, openedAt }],
+ *                     sells: [{ tradeId, realizedPnl, costBasis, matchedQuantity, acquiredFrom, acquiredTo }] } -
+ *                     acquiredFrom/acquiredTo are the open times of the oldest and newest lot a sell consumed
+ */
+function replayTrades(trades, method) {
+  const lots = [];
+  const sells = [];
+
+  for (const trade of trades) {
+    if (trade.action === 'buy') {
+      const lot = toLot(trade);
+      if (lot) {
+        lots.push({ id: lots.length, tradeId: trade.id, quantity: lot.quantity, remainingQuantity: lot.quantity, unitCost: lot.unitCost, openedAt: trade.trade_time });
+      }
+      continue;
+    }
+
+    const consumption = consumeLots(lots.filter(lot => lot.remainingQuantity > 0), parseFloat(trade.quantity), method);
+    const consumed = [];
+    for (const update of consumption.updates) {
+      if (update.remainingQuantity < lots[update.id].remainingQuantity) {
+        consumed.push(lots[update.id]);
+      }
+      lots[update.id].remainingQuantity = update.remainingQuantity;
+    }
+    sells.push({
+      tradeId: trade.id,
+      realizedPnl: getRealizedPnl(trade, consumption),
+      costBasis: consumption.matchedQuantity > 0 ? consumption.costBasis : null,
+      matchedQuantity: consumption.matchedQuantity,
+      acquiredFrom: consumed.length > 0 ? consumed[0].openedAt : null,
+      acquiredTo: consumed.length > 0 ? consumed[consumed.length - 1].openedAt : null
+    });
+  }
+
+  return { lots, sells };
+}
+
+/**
+ * Split a symbol's P&L into realized and unrealized at the current price
+ * @param {Object} summary - From db.getPnlSummary: { method, realizedPnl, openQuantity, costBasis }
+ * @param {number} price - The current price
+ * @returns {Object} { method, realized, unrealized, openQuantity, costBasis, averageCost }
+ */
+function getBreakdown(summary, price) {
+  const openQuantity = summary.openQuantity > DUST_QUANTITY ? summary.openQuantity : 0;
+  return {
+    method: summary.method,
+    realized: summary.realizedPnl,
+    unrealized: openQuantity > 0 && price > 0 ? openQuantity * price - summary.costBasis : 0,
+    openQuantity,
+    costBasis: openQuantity > 0 ? summary.costBasis : 0,
+    averageCost: openQuantity > 0 ? summary.costBasis / openQuantity : 0
+  };
+}
+
+// Export public API
+module.exports = {
+  PNL_METHODS,
+  DUST_QUANTITY,
+  getPnlMethod,
+  toLot,
+  getProceeds,
+  consumeLots,
+  getRealizedPnl,
+  replayTrades,
+  getBreakdown
+};
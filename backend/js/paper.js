@@ -0,0 +1,481 @@
+// backend/js/paper.js
+// Paper Trading Module
+// Responsible for simulating a Binance account locally: market orders fill at the
+// last streamed bookTicker price and balances are kept in the paper_balances table.
+// Limit orders rest in memory with their balance locked and fill at their limit price
+// once the streamed bid/ask has crossed it - checked whenever orders are queried.
+
+const dotenv = require('dotenv');
+
+// Import internal modules
+const db = require('./dbconns');
+
+// Load environment variables
+dotenv.config({ path: require('path').resolve(__dirname, '../.env') });
+
+// Paper trading configuration
+const PAPER_STARTING_BALANCE = parseFloat(process.env.PAPER_STARTING_BALANCE || 10000); // Default to 10,000 USDT if not set
+const PAPER_FEE_RATE = parseFloat(process.env.PAPER_FEE_RATE || 0.001); // Default to Binance's 0.1% taker fee
+const QUOTE_ASSET = 'USDT';
+
+// Simulated orders kept for status queries, capped so memory stays bounded
+const MAX_STORED_ORDERS = 500;
+
+/**
+ * Create a paper exchange adapter
+ * @param {Object} options - Adapter options
+ * @param {Function} options.getLastPrice - Returns the last streamed price for a base symbol
+ * @param {Function} options.getBookTicker - Optional, returns the last streamed { bidPrice, askPrice } for a base symbol
+ * @returns {Object} The paper exchange adapter (same interface as the live adapter)
+ */
+function createPaperExchange({ getLastPrice, getBookTicker = () => null }) {
+  if (typeof getLastPrice !== 'function') {
+    throw new Error('Paper exchange requires a getLastPrice function');
+  }
+
+  // Orders by ID, in insertion order, so getOrder can verify fills like Binance does
+  const orders = new Map();
+
+  // IDs only need to be unique and increasing; seed from the clock so they survive restarts
+  let nextOrderId = Date.now();
+  let nextTradeId = Date.now();
+
+  /**
+   * Prepare simulated balances, seeding the starting USDT balance on first use
+   * @returns {Promise<boolean>} True if the paper account is ready
+   */
+  async function initialize() {
+    const seeded = await db.seedPaperBalances({ [QUOTE_ASSET]: PAPER_STARTING_BALANCE });
+    if (seeded) {
+      console.log(`Paper trading account created with ${PAPER_STARTING_BALANCE} ${QUOTE_ASSET}`);
+    }
+    
+    // Resting orders only live in memory, so whatever they locked before a restart is free again
+    await db.unlockPaperBalance();
+    console.log(`Paper trading mode active (fee rate: ${PAPER_FEE_RATE * 100}%)`);
+    return true;
+  }
+
+  /**
+   * Get simulated account information in Binance's /v3/account format
+   * @returns {Promise<Object>} The account information
+   */
+  async function getAccountInfo() {
+    const balances = await db.getPaperBalances();
+
+    return {
+      makerCommission: PAPER_FEE_RATE * 10000,
+      takerCommission: PAPER_FEE_RATE * 10000,
+      canTrade: true,
+      canWithdraw: false,
+      canDeposit: false,
+      updateTime: Date.now(),
+      accountType: 'SPOT',
+      balances: Object.entries(balances).map(([asset, balance]) => ({
+        asset,
+        free: balance.free.toFixed(8),
+        locked: balance.locked.toFixed(8)
+      })),
+      permissions: ['SPOT'],
+      paper: true
+    };
+  }
+
+  /**
+   * Fill a market order at the last streamed price
+   * @param {Object} params - The order parameters
+   * @param {string} params.symbol - The trading pair symbol (e.g., "BTCUSDT")
+   * @param {string} params.side - The order side (BUY/SELL)
+   * @param {string} params.quantity - The formatted quantity to buy/sell
+   * @param {string} params.clientOrderId - Optional client order ID
+   * @returns {Promise<Object>} A Binance-shaped FULL order response
+   */
+  async function placeMarketOrder({ symbol, side, quantity, clientOrderId }) {
+    const baseAsset = symbol.replace(QUOTE_ASSET, '');
+    const price = getLastPrice(baseAsset);
+    const qty = parseFloat(quantity);
+
+    if (!price || price <= 0) {
+      throw new Error(`Paper fill rejected: no streamed price available for ${symbol}`);
+    }
+
+    if (!qty || qty <= 0) {
+      throw new Error(`Paper fill rejected: invalid quantity ${quantity} for ${symbol}`);
+    }
+
+    const quoteQty = price * qty;
+
+    // Binance charges the fee in the asset received
+    const isBuy = side === 'BUY';
+    const commission = isBuy ? qty * PAPER_FEE_RATE : quoteQty * PAPER_FEE_RATE;
+    const commissionAsset = isBuy ? baseAsset : QUOTE_ASSET;
+
+    // Apply the fill atomically - throws if the simulated balance is insufficient
+    await db.applyPaperFill({
+      baseAsset,
+      quoteAsset: QUOTE_ASSET,
+      side,
+      quantity: qty,
+      quoteQuantity: quoteQty,
+      commission,
+      commissionAsset
+    });
+
+    const orderId = nextOrderId++;
+    const transactTime = Date.now();
+    const order = {
+      symbol,
+      orderId,
+      orderListId: -1,
+      clientOrderId: clientOrderId || `paper_${orderId}`,
+      transactTime,
+      price: '0.00000000',
+      origQty: qty.toFixed(8),
+      executedQty: qty.toFixed(8),
+      cummulativeQuoteQty: quoteQty.toFixed(8),
+      status: 'FILLED',
+      timeInForce: 'GTC',
+      type: 'MARKET',
+      side,
+      workingTime: transactTime,
+      selfTradePreventionMode: 'NONE',
+      fills: [{
+        price: price.toFixed(8),
+        qty: qty.toFixed(8),
+        commission: commission.toFixed(8),
+        commissionAsset,
+        tradeId: nextTradeId++
+      }]
+    };
+
+    rememberOrder(order);
+
+    console.log(`Paper ${side} filled: ${qty} ${baseAsset} at $${price.toFixed(4)} (order ${orderId})`);
+    return order;
+  }
+
+  /**
+   * Remember an order for getOrder, dropping the oldest finished orders once the cap is reached
+   * @param {Object} order - The order
+   */
+  function rememberOrder(order) {
+    orders.set(order.orderId, order);
+
+    for (const [orderId, stored] of orders) {
+      if (orders.size <= MAX_STORED_ORDERS) {
+        break;
+      }
+      // Resting orders are kept until they fill or are canceled
+      if (stored.status !== 'NEW') {
+        orders.delete(orderId);
+      }
+    }
+  }
+
+  /**
+   * Get the balance a resting order locks: the quote amount for a buy, the base quantity for a sell
+   * @param {Object} order - The resting order
+   * @returns {Object} { asset, amount }
+   */
+  function getLockedBalance(order) {
+    const qty = parseFloat(order.origQty);
+    return order.side === 'BUY'
+      ? { asset: QUOTE_ASSET, amount: qty * parseFloat(order.price) }
+      : { asset: order.symbol.replace(QUOTE_ASSET, ''), amount: qty };
+  }
+
+  /**
+   * Get the streamed price a limit order trades against: the ask for a buy, the bid for a sell
+   * Falls back to the last price while no bid/ask was streamed.
+   * @param {string} baseAsset - The base asset (e.g., "BTC")
+   * @param {string} side - The order side (BUY/SELL)
+   * @returns {number} The price, or undefined without any streamed price
+   */
+  function getMatchPrice(baseAsset, side) {
+    const book = getBookTicker(baseAsset);
+    const price = book ? (side === 'BUY' ? book.askPrice : book.bidPrice) : null;
+    return price > 0 ? price : getLastPrice(baseAsset);
+  }
+
+  /**
+   * Rest a limit order, or fill it right away if it would take liquidity
+   * @param {Object} params - The order parameters
+   * @param {string} params.symbol - The trading pair symbol (e.g., "BTCUSDT")
+   * @param {string} params.side - The order side (BUY/SELL)
+   * @param {string} params.quantity - The formatted quantity to buy/sell
+   * @param {string} params.price - The formatted limit price
+   * @param {string} params.clientOrderId - Optional client order ID
+   * @param {string} params.type - LIMIT (default) or LIMIT_MAKER
+   * @param {string} params.timeInForce - Only GTC is simulated
+   * @returns {Promise<Object>} A Binance-shaped order response
+   */
+  async function placeLimitOrder({ symbol, side, quantity, price, clientOrderId, type = 'LIMIT', timeInForce = 'GTC' }) {
+    const baseAsset = symbol.replace(QUOTE_ASSET, '');
+    const lastPrice = getMatchPrice(baseAsset, side);
+    const qty = parseFloat(quantity);
+    const limitPrice = parseFloat(price);
+
+    if (!lastPrice || lastPrice <= 0) {
+      throw new Error(`Paper order rejected: no streamed price available for ${symbol}`);
+    }
+
+    if (!qty || qty <= 0 || !limitPrice || limitPrice <= 0) {
+      throw new Error(`Paper order rejected: invalid quantity ${quantity} or price ${price} for ${symbol}`);
+    }
+
+    // An order priced through the market would match immediately
+    const crosses = side === 'BUY' ? lastPrice <= limitPrice : lastPrice >= limitPrice;
+    if (crosses) {
+      if (type === 'LIMIT_MAKER') {
+        throw new Error('Order would immediately match and take.');
+      }
+
+      // Taker fill at the market price, which is at least as good as the limit
+      const order = await placeMarketOrder({ symbol, side, quantity, clientOrderId });
+      order.type = 'LIMIT';
+      order.price = limitPrice.toFixed(8);
+      return order;
+    }
+
+    const orderId = nextOrderId++;
+    const transactTime = Date.now();
+    const order = {
+      symbol,
+      orderId,
+      orderListId: -1,
+      clientOrderId: clientOrderId || `paper_${orderId}`,
+      transactTime,
+      updateTime: transactTime,
+      price: limitPrice.toFixed(8),
+      origQty: qty.toFixed(8),
+      executedQty: '0.00000000',
+      cummulativeQuoteQty: '0.00000000',
+      status: 'NEW',
+      timeInForce: type === 'LIMIT' ? timeInForce : 'GTC',
+      type,
+      side,
+      workingTime: transactTime,
+      selfTradePreventionMode: 'NONE',
+      fills: []
+    };
+
+    // Lock the balance the order needs - throws if it is insufficient, like Binance does
+    const locked = getLockedBalance(order);
+    await db.lockPaperBalance(locked.asset, locked.amount);
+
+    rememberOrder(order);
+
+    console.log(`Paper ${side} limit order placed: ${qty} ${baseAsset} at $${limitPrice.toFixed(4)} (order ${orderId})`);
+    return order;
+  }
+
+  /**
+   * Fill the resting orders of a pair whose limit price the streamed bid/ask has crossed
+   * Fills use the limit price and the locked balance; an order whose fill fails expires.
+   * @param {string} symbol - The trading pair symbol (e.g., "BTCUSDT")
+   */
+  async function fillRestingOrders(symbol) {
+    const baseAsset = symbol.replace(QUOTE_ASSET, '');
+
+    for (const order of orders.values()) {
+      if (order.symbol !== symbol || order.status !== 'NEW') {
+        continue;
+      }
+
+      const lastPrice = getMatchPrice(baseAsset, order.side);
+      if (!lastPrice || lastPrice <= 0) {
+        continue;
+      }
+
+      const limitPrice = parseFloat(order.price);
+      const crossed = order.side === 'BUY' ? lastPrice <= limitPrice : lastPrice >= limitPrice;
+      if (!crossed) {
+        continue;
+      }
+
+      const qty = parseFloat(order.origQty);
+      const quoteQty = qty * limitPrice;
+      const isBuy = order.side === 'BUY';
+      const commission = isBuy ? qty * PAPER_FEE_RATE : quoteQty * PAPER_FEE_RATE;
+      const commissionAsset = isBuy ? baseAsset : QUOTE_ASSET;
+
+      try {
+        await db.applyPaperFill({
+          baseAsset,
+          quoteAsset: QUOTE_ASSET,
+          side: order.side,
+          quantity: qty,
+          quoteQuantity: quoteQty,
+          commission,
+          commissionAsset,
+          fromLocked: true
+        });
+      } catch (error) {
+        console.error(`Paper limit order ${order.orderId} expired: ${error.message}`);
+        const locked = getLockedBalance(order);
+        await db.unlockPaperBalance(locked.asset, locked.amount);
+        order.status = 'EXPIRED';
+        order.updateTime = Date.now();
+        continue;
+      }
+
+      order.status = 'FILLED';
+      order.updateTime = Date.now();
+      order.executedQty = qty.toFixed(8);
+      order.cummulativeQuoteQty = quoteQty.toFixed(8);
+      order.fills = [{
+        price: limitPrice.toFixed(8),
+        qty: qty.toFixed(8),
+        commission: commission.toFixed(8),
+        commissionAsset,
+        tradeId: nextTradeId++
+      }];
+
+      console.log(`Paper ${order.side} limit order filled: ${qty} ${baseAsset} at $${limitPrice.toFixed(4)} (order ${order.orderId})`);
+    }
+  }
+
+  /**
+   * Convert a simulated order to Binance's GET /v3/order format
+   * @param {Object} order - The order
+   * @returns {Object} The order status
+   */
+  function toOrderStatus(order) {
+    const { fills, transactTime, updateTime, ...status } = order;
+    return {
+      ...status,
+      time: transactTime,
+      updateTime: updateTime || transactTime,
+      isWorking: order.status === 'NEW'
+    };
+  }
+
+  /**
+   * Cancel a resting limit order and release its locked balance
+   * @param {Object} params - The cancel parameters
+   * @param {string} params.symbol - The trading pair symbol (e.g., "BTCUSDT")
+   * @param {number} params.orderId - The paper order ID
+   * @returns {Promise<Object>} The canceled order
+   */
+  async function cancelOrder({ symbol, orderId }) {
+    await fillRestingOrders(symbol);
+    const order = orders.get(Number(orderId));
+
+    if (!order || order.symbol !== symbol || order.status !== 'NEW') {
+      throw new Error(`Unknown order sent. (paper order ${orderId} for ${symbol})`);
+    }
+
+    const locked = getLockedBalance(order);
+    await db.unlockPaperBalance(locked.asset, locked.amount);
+    order.status = 'CANCELED';
+    order.updateTime = Date.now();
+
+    console.log(`Paper limit order canceled: ${order.side} ${order.origQty} ${symbol} at $${order.price} (order ${order.orderId})`);
+    return toOrderStatus(order);
+  }
+
+  /**
+   * Get the resting orders of a pair in Binance's GET /v3/openOrders format
+   * @param {string} symbol - The trading pair symbol (e.g., "BTCUSDT")
+   * @returns {Promise<Array>} The open orders
+   */
+  async function getOpenOrders(symbol) {
+    await fillRestingOrders(symbol);
+    return [...orders.values()]
+      .filter(order => order.symbol === symbol && order.status === 'NEW')
+      .map(toOrderStatus);
+  }
+
+  /**
+   * Query a simulated order in Binance's GET /v3/order format
+   * @param {Object} params - The query parameters
+   * @param {string} params.symbol - The trading pair symbol (e.g., "BTCUSDT")
+   * @param {number} params.orderId - The paper order ID
+   * @param {string} params.origClientOrderId - Alternatively, the client order ID the order was placed with
+   * @returns {Promise<Object>} The order status
+   */
+  async function getOrder({ symbol, orderId, origClientOrderId }) {
+    await fillRestingOrders(symbol);
+    const order = orderId
+      ? orders.get(Number(orderId))
+      : [...orders.values()].find(candidate => candidate.clientOrderId === origClientOrderId);
+
+    if (!order || order.symbol !== symbol) {
+      throw new Error(`Order does not exist. (paper order ${orderId || origClientOrderId} for ${symbol})`);
+    }
+
+    return toOrderStatus(order);
+  }
+
+  /**
+   * Paper orders are validated and stored in-process, so an order request that
+   * threw never created an order
+   * @returns {boolean} Always true
+   */
+  function isOrderRejection() {
+    return true;
+  }
+
+  /**
+   * Paper fills are applied to paper_balances directly, so there is no user data stream
+   * @returns {Promise<null>} Always null
+   */
+  async function noUserDataStream() {
+    return null;
+  }
+
+  /**
+   * Paper accounts have no exchange-side trade history to import;
+   * simulated trades are already recorded in the trades table as they fill.
+   * Only the fills of a remembered order can be looked up, like GET /v3/myTrades?orderId=
+   * @param {string} symbol - The trading pair symbol (e.g., "BTCUSDT")
+   * @param {number} limit - The maximum number of trades to return
+   * @param {number} orderId - Optional, the paper order to get the fills of
+   * @returns {Promise<Array>} The order's fills as account trades, empty without an order ID
+   */
+  async function getMyTrades(symbol, limit = 10, orderId = null) {
+    const order = orderId ? orders.get(Number(orderId)) : null;
+    if (!order || order.symbol !== symbol || !Array.isArray(order.fills)) {
+      return [];
+    }
+
+    const time = order.updateTime || order.transactTime;
+    return order.fills.slice(0, limit).map(fill => ({
+      symbol,
+      id: fill.tradeId,
+      orderId: order.orderId,
+      price: fill.price,
+      qty: fill.qty,
+      quoteQty: (parseFloat(fill.price) * parseFloat(fill.qty)).toFixed(8),
+      commission: fill.commission,
+      commissionAsset: fill.commissionAsset,
+      time,
+      isBuyer: order.side === 'BUY',
+      isMaker: order.type !== 'MARKET',
+      isBestMatch: true
+    }));
+  }
+
+  return {
+    mode: 'paper',
+    requiresCredentials: false,
+    initialize,
+    getAccountInfo,
+    placeMarketOrder,
+    placeLimitOrder,
+    cancelOrder,
+    getOrder,
+    getOpenOrders,
+    getMyTrades,
+    isOrderRejection,
+    supportsUserDataStream: false,
+    createListenKey: noUserDataStream,
+    keepAliveListenKey: noUserDataStream,
+    closeListenKey: noUserDataStream
+  };
+}
+
+// Export public API
+module.exports = {
+  createPaperExchange
+};
@@ -0,0 +1,442 @@
+// backend/js/recorder.js
+// Market Data Recorder Module
+// Responsible for recording bookTicker ticks to rotating gzip NDJSON files or the price_ticks
+// table, and for replaying recorded files through the WebSocket message handler
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const dotenv = require('dotenv');
+
+// Import internal modules
+const db = require('./dbconns');
+
+// Load environment variables
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+// Recorder configuration
+const RECORDER_MODE = (process.env.MARKET_RECORDER || 'off').toLowerCase();          // 'off', 'file' or 'db'
+const RECORDER_DIR = process.env.MARKET_RECORDER_DIR || path.resolve(__dirname, '../data/ticks');
+const RECORDER_SAMPLE_MS = parseInt(process.env.MARKET_RECORDER_SAMPLE_MS || 1000);  // Min. time between ticks per symbol, 0 = every tick
+const RECORDER_ROTATE = (process.env.MARKET_RECORDER_ROTATE || 'hour').toLowerCase(); // New file every 'hour' or 'day'
+const RECORDER_KEEP_DAYS = parseInt(process.env.MARKET_RECORDER_KEEP_DAYS || 7);     // Delete recordings older than this, 0 = keep all
+const SUPPORTED_MODES = ['off', 'file', 'db'];
+
+// Ticks are written in batches: the gzip stream is flushed (file) or the buffer inserted (db) this often
+const FLUSH_INTERVAL = 5000;
+// If the database falls behind, the oldest buffered ticks are dropped beyond this many
+const MAX_BUFFERED_TICKS = 10000;
+// Old recordings are deleted at most this often
+const PRUNE_INTERVAL = 3600000; // 1 hour
+
+// Module state
+const state = {
+  isRecording: false,
+  output: null,              // { period, path, fileStream, gzip } of the current file (file mode)
+  buffer: [],                // Ticks waiting to be inserted (db mode)
+  isFlushing: false,         // Whether a database insert is in progress
+  lastRecorded: new Map(),   // Map of symbol -> timestamp of the last recorded tick (sampling)
+  flushInterval: null,
+  lastPrune: 0,
+  stats: { recorded: 0, dropped: 0 },
+  replay: {
+    active: false,
+    path: null,
+    speed: 1,
+    stopRequested: false,
+    replayed: 0,
+    skipped: 0,
+    startedAt: null
+  }
+};
+
+/**
+ * Get the file period a timestamp belongs to
+ * @param {number} time - The timestamp
+ * @returns {string} The period, e.g. "2024-05-01T13" (hourly) or "2024-05-01" (daily)
+ */
+function getPeriod(time) {
+  const iso = new Date(time).toISOString();
+  return RECORDER_ROTATE === 'day' ? iso.slice(0, 10) : iso.slice(0, 13);
+}
+
+/**
+ * Start the recorder if MARKET_RECORDER is set
+ * @returns {boolean} True if ticks will be recorded
+ */
+function initialize() {
+  if (!SUPPORTED_MODES.includes(RECORDER_MODE)) {
+    console.error(`Unsupported MARKET_RECORDER "${RECORDER_MODE}" - market data recorder disabled (use ${SUPPORTED_MODES.join(', ')})`);
+    return false;
+  }
+
+  if (RECORDER_MODE === 'off' || state.isRecording) {
+    return state.isRecording;
+  }
+
+  try {
+    if (RECORDER_MODE === 'file') {
+      fs.mkdirSync(RECORDER_DIR, { recursive: true });
+    }
+
+    state.flushInterval = setInterval(() => {
+      flush().catch(error => console.error('Error flushing market data recorder:', error.message));
+    }, FLUSH_INTERVAL);
+    // Don't keep the process alive just for the recorder
+    state.flushInterval.unref();
+
+    state.isRecording = true;
+    console.log(`Market data recorder started (${RECORDER_MODE === 'file' ? RECORDER_DIR : 'price_ticks table'}, sampling: ${RECORDER_SAMPLE_MS > 0 ? `${RECORDER_SAMPLE_MS}ms per symbol` : 'every tick'})`);
+    return true;
+  } catch (error) {
+    console.error('Failed to start market data recorder:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Open the NDJSON file for a period, closing the previous one
+ * Restarts within a period append to the same file as a new gzip member
+ * @param {string} period - The file period
+ */
+function openOutput(period) {
+  closeOutput();
+
+  const filePath = path.join(RECORDER_DIR, `bookticker-${period}.ndjson.gz`);
+  const fileStream = fs.createWriteStream(filePath, { flags: 'a' });
+  const gzip = zlib.createGzip();
+
+  fileStream.on('error', (error) => console.error(`Market data file error (${filePath}):`, error.message));
+  gzip.on('error', (error) => console.error(`Market data compression error (${filePath}):`, error.message));
+  gzip.pipe(fileStream);
+
+  state.output = { period, path: filePath, fileStream, gzip };
+}
+
+/**
+ * Close the current NDJSON file
+ * @returns {Promise<void>} Resolves when the file is written
+ */
+function closeOutput() {
+  const output = state.output;
+  state.output = null;
+  if (!output) {
+    return Promise.resolve();
+  }
+
+  return new Promise(resolve => {
+    output.fileStream.on('close', resolve);
+    output.gzip.end();
+  });
+}
+
+/**
+ * Record a bookTicker update
+ * @param {Object} ticker - The raw bookTicker payload ({ s, b, B, a, A })
+ * @param {number} time - When the update was received
+ */
+function recordBookTicker(ticker, time = Date.now()) {
+  // Replayed ticks were recorded already
+  if (!state.isRecording || state.replay.active) {
+    return;
+  }
+
+  // Sampling: at most one tick per symbol per RECORDER_SAMPLE_MS
+  const lastTime = state.lastRecorded.get(ticker.s) || 0;
+  if (RECORDER_SAMPLE_MS > 0 && time - lastTime < RECORDER_SAMPLE_MS) {
+    return;
+  }
+  state.lastRecorded.set(ticker.s, time);
+
+  try {
+    if (RECORDER_MODE === 'file') {
+      const period = getPeriod(time);
+      if (!state.output || state.output.period !== period) {
+        openOutput(period);
+      }
+      // Prices are kept as the strings Binance sent, so replays are exact
+      state.output.gzip.write(JSON.stringify({ t: time, s: ticker.s, b: ticker.b, B: ticker.B, a: ticker.a, A: ticker.A }) + '\n');
+    } else {
+      state.buffer.push({
+        symbol: ticker.s.replace(/USDT$/, ''),
+        bidPrice: parseFloat(ticker.b),
+        bidQty: parseFloat(ticker.B),
+        askPrice: parseFloat(ticker.a),
+        askQty: parseFloat(ticker.A),
+        time
+      });
+      if (state.buffer.length > MAX_BUFFERED_TICKS) {
+        state.buffer.shift();
+        state.stats.dropped++;
+      }
+    }
+    state.stats.recorded++;
+  } catch (error) {
+    console.error('Error recording market data:', error.message);
+  }
+}
+
+/**
+ * Write buffered ticks: flush the gzip stream (file) or insert the buffer (db)
+ * @returns {Promise<void>}
+ */
+async function flush() {
+  if (RECORDER_MODE === 'file') {
+    if (state.output) {
+      // A sync flush makes everything written so far readable even if the process dies
+      state.output.gzip.flush(zlib.constants.Z_SYNC_FLUSH);
+    }
+  } else if (state.buffer.length > 0 && !state.isFlushing && db.isReady()) {
+    state.isFlushing = true;
+    const ticks = state.buffer.splice(0, state.buffer.length);
+    try {
+      await db.insertPriceTicks(ticks);
+    } catch (error) {
+      // Put the ticks back for the next attempt; the buffer cap drops the oldest if this keeps failing
+      state.buffer.unshift(...ticks);
+      if (state.buffer.length > MAX_BUFFERED_TICKS) {
+        state.stats.dropped += state.buffer.length - MAX_BUFFERED_TICKS;
+        state.buffer.splice(0, state.buffer.length - MAX_BUFFERED_TICKS);
+      }
+    } finally {
+      state.isFlushing = false;
+    }
+  }
+
+  if (Date.now() - state.lastPrune >= PRUNE_INTERVAL) {
+    state.lastPrune = Date.now();
+    await pruneRecordings();
+  }
+}
+
+/**
+ * Delete recordings older than MARKET_RECORDER_KEEP_DAYS
+ * @returns {Promise<number>} The number of files or rows deleted
+ */
+async function pruneRecordings() {
+  if (!(RECORDER_KEEP_DAYS > 0)) {
+    return 0;
+  }
+
+  const cutoff = Date.now() - RECORDER_KEEP_DAYS * 24 * 60 * 60 * 1000;
+  let deleted = 0;
+
+  try {
+    if (RECORDER_MODE === 'file') {
+      const cutoffPeriod = getPeriod(cutoff);
+      for (const name of fs.readdirSync(RECORDER_DIR)) {
+        const match = name.match(/^bookticker-(.+)\.ndjson\.gz$/);
+        // Periods are ISO prefixes, so they sort by time
+        if (match && match[1] < cutoffPeriod) {
+          fs.unlinkSync(path.join(RECORDER_DIR, name));
+          deleted++;
+        }
+      }
+    } else if (db.isReady()) {
+      deleted = await db.deletePriceTicksBefore(new Date(cutoff));
+    }
+
+    if (deleted > 0) {
+      console.log(`Market data recorder deleted ${deleted} ${RECORDER_MODE === 'file' ? 'files' : 'ticks'} older than ${RECORDER_KEEP_DAYS} days`);
+    }
+  } catch (error) {
+    console.error('Error deleting old market data recordings:', error.message);
+  }
+
+  return deleted;
+}
+
+/**
+ * List the recording files to replay
+ * @param {string} source - A recording file, or a directory of them (replayed in time order)
+ * @returns {Array<string>} The file paths
+ */
+function listRecordingFiles(source) {
+  const stats = fs.statSync(source);
+  if (!stats.isDirectory()) {
+    return [source];
+  }
+
+  return fs.readdirSync(source)
+    .filter(name => /\.ndjson(\.gz)?$/.test(name))
+    .sort()
+    .map(name => path.join(source, name));
+}
+
+/**
+ * Convert a recorded tick back to a combined stream message
+ * @param {Object} tick - The recorded tick ({ t, s, b, B, a, A })
+ * @returns {Object} The message as Binance sends it
+ */
+function toStreamMessage(tick) {
+  return {
+    stream: `${tick.s.toLowerCase()}@bookTicker`,
+    data: { s: tick.s, b: tick.b, B: tick.B, a: tick.a, A: tick.A }
+  };
+}
+
+/**
+ * Replay recorded ticks through a message handler
+ * The gaps between ticks are kept, divided by the speed (speed 0 replays as fast as possible)
+ * @param {string} source - A recording file (.ndjson or .ndjson.gz) or a directory of them
+ * @param {Object} options - Replay options
+ * @param {number} options.speed - Replay speed: 1 = real time, 10 = ten times faster, 0 = no delays
+ * @param {Function} options.onMessage - Called with each tick as a raw combined stream message (string)
+ *   and the time it was recorded
+ * @returns {Promise<Object>} { replayed, skipped, durationMs, stopped }
+ */
+async function replayFile(source, { speed = 1, onMessage }) {
+  if (state.replay.active) {
+    throw new Error(`A replay of ${state.replay.path} is already running`);
+  }
+  if (typeof onMessage !== 'function') {
+    throw new Error('Replay requires an onMessage function');
+  }
+
+  const files = listRecordingFiles(source);
+  if (files.length === 0) {
+    throw new Error(`No recordings found in ${source}`);
+  }
+
+  Object.assign(state.replay, {
+    active: true,
+    path: source,
+    speed,
+    stopRequested: false,
+    replayed: 0,
+    skipped: 0,
+    startedAt: Date.now()
+  });
+  console.log(`Replaying ${files.length} market data file(s) from ${source} at ${speed > 0 ? `${speed}x` : 'full'} speed`);
+
+  let previousTime = null;
+  try {
+    for (const file of files) {
+      const input = fs.createReadStream(file);
+      // Files from a crashed process have no gzip trailer - read what was flushed
+      const stream = file.endsWith('.gz')
+        ? input.pipe(zlib.createGunzip({ finishFlush: zlib.constants.Z_SYNC_FLUSH }))
+        : input;
+      const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+      for await (const line of lines) {
+        if (state.replay.stopRequested) {
+          lines.close();
+          input.destroy();
+          break;
+        }
+        if (!line.trim()) {
+          continue;
+        }
+
+        let tick;
+        try {
+          tick = JSON.parse(line);
+        } catch (error) {
+          state.replay.skipped++;
+          continue;
+        }
+        if (!tick.s || !tick.a) {
+          state.replay.skipped++;
+          continue;
+        }
+
+        if (speed > 0 && previousTime !== null && tick.t > previousTime) {
+          await new Promise(resolve => setTimeout(resolve, (tick.t - previousTime) / speed));
+        } else if (state.replay.replayed % 100 === 0) {
+          // Let price updates and auto-trading checks run between batches
+          await new Promise(resolve => setImmediate(resolve));
+        }
+        previousTime = tick.t;
+
+        onMessage(JSON.stringify(toStreamMessage(tick)), tick.t);
+        state.replay.replayed++;
+      }
+
+      if (state.replay.stopRequested) {
+        break;
+      }
+    }
+
+    const result = {
+      replayed: state.replay.replayed,
+      skipped: state.replay.skipped,
+      durationMs: Date.now() - state.replay.startedAt,
+      stopped: state.replay.stopRequested
+    };
+    console.log(`Replay ${result.stopped ? 'stopped' : 'finished'}: ${result.replayed} ticks in ${(result.durationMs / 1000).toFixed(1)}s (${result.skipped} skipped)`);
+    return result;
+  } finally {
+    state.replay.active = false;
+  }
+}
+
+/**
+ * Stop a running replay after the current tick
+ */
+function stopReplay() {
+  if (state.replay.active) {
+    state.replay.stopRequested = true;
+  }
+}
+
+/**
+ * Get the recorder and replay status
+ * @returns {Object} Status object
+ */
+function getStatus() {
+  return {
+    mode: RECORDER_MODE,
+    isRecording: state.isRecording,
+    sampleMs: RECORDER_SAMPLE_MS,
+    currentFile: state.output ? state.output.path : null,
+    bufferedTicks: state.buffer.length,
+    recorded: state.stats.recorded,
+    dropped: state.stats.dropped,
+    replay: {
+      active: state.replay.active,
+      path: state.replay.path,
+      speed: state.replay.speed,
+      replayed: state.replay.replayed
+    }
+  };
+}
+
+/**
+ * Stop recording and write everything buffered
+ * @returns {Promise<void>}
+ */
+async function close() {
+  stopReplay();
+
+  if (state.flushInterval) {
+    clearInterval(state.flushInterval);
+    state.flushInterval = null;
+  }
+
+  if (!state.isRecording) {
+    return;
+  }
+
+  try {
+    await flush();
+    await closeOutput();
+  } catch (error) {
+    console.error('Error closing market data recorder:', error.message);
+  }
+
+  state.isRecording = false;
+  console.log('Market data recorder stopped');
+}
+
+// Export public API
+module.exports = {
+  initialize,
+  recordBookTicker,
+  replayFile,
+  stopReplay,
+  isReplaying: () => state.replay.active,
+  getStatus,
+  close
+};
@@ -0,0 +1,305 @@
+// backend/js/reports.js
+// Reports Module
+// Responsible for the scheduled portfolio reports sent via Telegram: a daily report at
+// REPORT_TIME in REPORT_TIMEZONE, and optionally a weekly one on REPORT_WEEKLY_DAY. A report
+// values the holdings from account_balances at the live prices (the last trade price from
+// reference_prices until a pair has one), and sums the trades and realized P&L of its period
+// from the trades table.
+
+const dotenv = require('dotenv');
+
+// Import internal modules
+const binance = require('./binance');
+const db = require('./dbconns');
+const telegram = require('./telegram');
+const lots = require('./lots');
+
+// Load environment variables
+dotenv.config({ path: require('path').resolve(__dirname, '../.env') });
+
+// Report schedule - REPORT_TIME=off turns the reports off
+const REPORT_TIME = (process.env.REPORT_TIME || '08:00').trim().toLowerCase(); // Default to 08:00 if not set
+const REPORT_TIMEZONE = (process.env.REPORT_TIMEZONE || 'UTC').trim(); // Default to UTC if not set
+const REPORT_WEEKLY_DAY = (process.env.REPORT_WEEKLY_DAY || '').trim().toLowerCase(); // Default to no weekly report if not set
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// The schedule is checked this often - well under a minute, so the report minute is never skipped
+const CHECK_INTERVAL = 20000;
+
+// The reports and the length of their periods
+const REPORTS = Object.freeze({
+  daily: { title: 'DAILY REPORT', periodMs: 24 * 60 * 60 * 1000, settingsKey: 'reportDailyLastSent' },
+  weekly: { title: 'WEEKLY REPORT', periodMs: 7 * 24 * 60 * 60 * 1000, settingsKey: 'reportWeeklyLastSent' }
+});
+
+// Scheduler state
+const state = {
+  checkInterval: null,
+  isSending: false,
+  lastSent: { daily: null, weekly: null } // Local date of the last report, also kept in app_settings
+};
+
+/**
+ * Check whether a time zone is known to the runtime
+ * @param {string} timeZone - The IANA time zone, e.g. "Europe/Berlin"
+ * @returns {boolean} True if the time zone can be used
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the local date, time and weekday of a moment in a time zone
+ * @param {Date} date - The moment
+ * @param {string} timeZone - The IANA time zone
+ * @returns {Object} { date: 'YYYY-MM-DD', time: 'HH:MM', weekday: 'monday' }
+ */
+function getLocalTime(date, timeZone) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'long'
+  });
+  for (const part of formatter.formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    weekday: parts.weekday.toLowerCase()
+  };
+}
+
+/**
+ * Get the schedule from the environment
+ * @returns {Object|null} { time, timeZone, weeklyDay }, or null if the reports are off or misconfigured
+ */
+function getSchedule() {
+  if (REPORT_TIME === 'off') {
+    return null;
+  }
+
+  const match = /^(\d{1,2}):(\d{2})$/.exec(REPORT_TIME);
+  if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+    console.error(`Invalid REPORT_TIME "${REPORT_TIME}" - use HH:MM, e.g. 08:00. Scheduled reports are off`);
+    return null;
+  }
+
+  if (!isValidTimeZone(REPORT_TIMEZONE)) {
+    console.error(`Invalid REPORT_TIMEZONE "${REPORT_TIMEZONE}" - use an IANA time zone, e.g. Europe/Berlin. Scheduled reports are off`);
+    return null;
+  }
+
+  if (REPORT_WEEKLY_DAY && !WEEKDAYS.includes(REPORT_WEEKLY_DAY)) {
+    console.warn(`Invalid REPORT_WEEKLY_DAY "${REPORT_WEEKLY_DAY}" - use a weekday, e.g. monday. The weekly report is off`);
+  }
+
+  return {
+    time: `${match[1].padStart(2, '0')}:${match[2]}`,
+    timeZone: REPORT_TIMEZONE,
+    weeklyDay: WEEKDAYS.includes(REPORT_WEEKLY_DAY) ? REPORT_WEEKLY_DAY : null
+  };
+}
+
+/**
+ * Get the price a holding is valued at
+ * @param {string} symbol - The base symbol
+ * @param {Object} allReferencePrices - Reference prices by symbol
+ * @returns {Object} { price, isLive } - price is 0 if the pair has neither a live nor a last trade price
+ */
+function getValuationPrice(symbol, allReferencePrices) {
+  const livePrice = binance.getCurrentPrice(symbol);
+  if (livePrice > 0) {
+    return { price: livePrice, isLive: true };
+  }
+
+  const refPrices = allReferencePrices[symbol];
+  return { price: refPrices ? parseFloat(refPrices.lastTransactionPrice) || 0 : 0, isLive: false };
+}
+
+/**
+ * Build a report
+ * @param {string} type - 'daily' or 'weekly'
+ * @param {Date} now - The end of the report's period
+ * @param {string} timeZone - The time zone the period is shown in
+ * @returns {Promise<Object>} The report for telegram.sendStatusNotification
+ */
+async function buildReport(type, now = new Date(), timeZone = REPORT_TIMEZONE) {
+  const report = REPORTS[type];
+  const from = new Date(now.getTime() - report.periodMs);
+
+  const [balances, allReferencePrices, trades] = await Promise.all([
+    db.getAccountBalances(),
+    db.getAllReferencePrices(),
+    db.getTradeSummaryBetween(from, now)
+  ]);
+
+  // Value every holding - unrealized P&L is that of the open lots, as on the dashboard cards
+  const symbols = Object.keys(balances)
+    .filter(asset => asset !== 'USDT' && balances[asset] > lots.DUST_QUANTITY)
+    .sort();
+  const pnlSummaries = await Promise.all(symbols.map(symbol => db.getPnlSummary(symbol)));
+
+  const holdings = [];
+  let equity = balances.USDT || 0;
+  let unvaluedSymbols = 0;
+  symbols.forEach((symbol, index) => {
+    const quantity = balances[symbol];
+    const { price, isLive } = getValuationPrice(symbol, allReferencePrices);
+    const breakdown = lots.getBreakdown(pnlSummaries[index], price);
+    if (price > 0) {
+      equity += quantity * price;
+    } else {
+      unvaluedSymbols++;
+    }
+
+    holdings.push({
+      symbol,
+      quantity,
+      price,
+      isLive,
+      value: quantity * price,
+      unrealizedPnl: price > 0 && breakdown.openQuantity > 0 ? breakdown.unrealized : null
+    });
+  });
+
+  const health = binance.getHealthStatus();
+  const localFrom = getLocalTime(from, timeZone);
+  const localTo = getLocalTime(now, timeZone);
+
+  return {
+    title: report.title,
+    period: `${localFrom.date} ${localFrom.time} - ${localTo.date} ${localTo.time} (${timeZone})`,
+    dbConnected: db.isReady(),
+    binanceConnected: health.apiStatus && health.wsStatus,
+    autoTradingEnabled: health.autoTradingEnabled,
+    circuitBreakerTripped: health.circuitBreakerTripped,
+    usdtBalance: balances.USDT || 0,
+    equity,
+    unvaluedSymbols,
+    holdings,
+    trades,
+    realizedPnl: trades.reduce((sum, row) => sum + row.realizedPnl, 0)
+  };
+}
+
+/**
+ * Build and send a report
+ * @param {string} type - 'daily' or 'weekly'
+ * @returns {Promise<boolean>} True if the report was sent
+ */
+async function sendReport(type) {
+  try {
+    const report = await buildReport(type);
+    const sent = await telegram.sendStatusNotification(report);
+    console.log(`${type === 'daily' ? 'Daily' : 'Weekly'} report ${sent ? 'sent' : 'could not be sent'}`);
+    return sent;
+  } catch (error) {
+    console.error(`Error sending the ${type} report:`, error);
+    return false;
+  }
+}
+
+/**
+ * Send the reports that are due
+ * A report is due in the minute of REPORT_TIME, once per local day.
+ * @param {Object} schedule - The schedule from getSchedule
+ */
+async function checkSchedule(schedule) {
+  if (state.isSending) {
+    return;
+  }
+
+  const local = getLocalTime(new Date(), schedule.timeZone);
+  if (local.time !== schedule.time) {
+    return;
+  }
+
+  const due = ['daily'];
+  if (schedule.weeklyDay === local.weekday) {
+    due.push('weekly');
+  }
+
+  state.isSending = true;
+  try {
+    for (const type of due) {
+      if (state.lastSent[type] === local.date) {
+        continue;
+      }
+
+      // Marked before sending, so a restart in the same minute doesn't send it twice
+      state.lastSent[type] = local.date;
+      try {
+        await db.saveAppSettings({ [REPORTS[type].settingsKey]: local.date });
+      } catch (error) {
+        console.error(`Failed to persist the ${type} report date:`, error.message);
+      }
+
+      await sendReport(type);
+    }
+  } finally {
+    state.isSending = false;
+  }
+}
+
+/**
+ * Start the report scheduler
+ * @returns {Promise<boolean>} True if reports are scheduled
+ */
+async function initialize() {
+  const schedule = getSchedule();
+  if (!schedule) {
+    console.log('Scheduled Telegram reports are off');
+    return false;
+  }
+
+  // Restore the last report dates so a restart doesn't repeat a report
+  for (const [type, { settingsKey }] of Object.entries(REPORTS)) {
+    try {
+      state.lastSent[type] = (await db.getAppSettings(settingsKey)) || null;
+    } catch (error) {
+      console.error(`Failed to restore the last ${type} report date:`, error.message);
+    }
+  }
+
+  stop();
+  state.checkInterval = setInterval(() => {
+    checkSchedule(schedule).catch(error => {
+      console.error('Error checking the report schedule:', error);
+    });
+  }, CHECK_INTERVAL);
+
+  console.log(`Daily Telegram report scheduled at ${schedule.time} ${schedule.timeZone}${schedule.weeklyDay ? `, weekly report on ${schedule.weeklyDay}` : ''}`);
+  return true;
+}
+
+/**
+ * Stop the report scheduler
+ */
+function stop() {
+  if (state.checkInterval) {
+    clearInterval(state.checkInterval);
+    state.checkInterval = null;
+  }
+}
+
+// Export public API
+module.exports = {
+  initialize,
+  buildReport,
+  sendReport,
+  stop
+};
@@ -0,0 +1,344 @@
+// backend/js/risk.js
+// Risk Management Module
+// Responsible for the global circuit breaker: tracks the day's P&L, the equity drawdown
+// and the number of trades, and trips when one of the configured limits is exceeded
+
+const dotenv = require('dotenv');
+
+// Import internal modules
+const db = require('./dbconns');
+
+// Load environment variables
+dotenv.config({ path: require('path').resolve(__dirname, '../.env') });
+
+// Circuit breaker limits - an empty value turns that check off
+const RISK_LIMITS = Object.freeze({
+  dailyLossLimitUsdt: process.env.DAILY_LOSS_LIMIT_USDT ? parseFloat(process.env.DAILY_LOSS_LIMIT_USDT) : null, // Max loss (USDT) per UTC day
+  maxDrawdownPercent: process.env.MAX_DRAWDOWN_PERCENT ? parseFloat(process.env.MAX_DRAWDOWN_PERCENT) : null,    // Max drop (%) from the equity peak
+  maxDailyTrades: process.env.MAX_DAILY_TRADES ? parseInt(process.env.MAX_DAILY_TRADES) : null                 // Max trades per UTC day
+});
+
+// The breaker is evaluated on price updates - reuse the last result for this long
+const EVALUATION_INTERVAL = parseInt(process.env.CIRCUIT_BREAKER_CHECK_MS || 30000); // Default to 30 seconds if not set
+
+// app_settings keys
+const SETTINGS_KEYS = Object.freeze({
+  tripped: 'circuitBreakerTripped',
+  reason: 'circuitBreakerReason',
+  trippedAt: 'circuitBreakerTrippedAt',
+  baseline: 'circuitBreakerBaseline',     // { periodStart, unrealizedPnl } - start of the current tracking period
+  peakEquity: 'circuitBreakerPeakEquity'
+});
+
+const QUOTE_ASSET = 'USDT';
+
+/**
+ * Get the start of the current UTC day
+ * @param {number} now - The current timestamp
+ * @returns {Date} Midnight UTC of the current day
+ */
+function getUtcDayStart(now = Date.now()) {
+  const date = new Date(now);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * Round a USDT value for display and storage
+ * @param {number} value - The value to round
+ * @returns {number} The value rounded to cents
+ */
+function roundUsdt(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Create the circuit breaker
+ * @param {Object} options - Risk manager options
+ * @param {Function} options.getLastPrice - Returns the last streamed price for a base symbol
+ * @param {Function} options.getSymbols - Returns the base symbols that are traded
+ * @param {Function} options.onTrip - Called with the status once a limit is exceeded
+ * @returns {Object} The risk manager
+ */
+function createRiskManager({ getLastPrice, getSymbols, onTrip }) {
+  if (typeof getLastPrice !== 'function' || typeof getSymbols !== 'function') {
+    throw new Error('Risk manager requires getLastPrice and getSymbols functions');
+  }
+
+  const state = {
+    tripped: false,
+    reason: null,
+    trippedAt: null,
+    baseline: null,       // { periodStart, unrealizedPnl }
+    peakEquity: 0,
+    lastStatus: null,     // Result of the last evaluation
+    lastEvaluation: 0,    // Timestamp of the last evaluation
+    pending: null         // Evaluation in progress, shared by concurrent callers
+  };
+
+  /**
+   * Check whether any circuit breaker limit is configured
+   * @returns {boolean} True if at least one limit is set
+   */
+  function isEnabled() {
+    return Object.values(RISK_LIMITS).some(limit => limit !== null && limit > 0);
+  }
+
+  /**
+   * Restore the breaker state from app_settings
+   * @returns {Promise<boolean>} True if the breaker is tripped
+   */
+  async function initialize() {
+    try {
+      const settings = await db.getAppSettings();
+      state.tripped = settings[SETTINGS_KEYS.tripped] === true;
+      state.reason = settings[SETTINGS_KEYS.reason] || null;
+      state.trippedAt = settings[SETTINGS_KEYS.trippedAt] || null;
+      state.baseline = settings[SETTINGS_KEYS.baseline] || null;
+      state.peakEquity = parseFloat(settings[SETTINGS_KEYS.peakEquity]) || 0;
+
+      if (state.tripped) {
+        console.log(`Circuit breaker is tripped since ${state.trippedAt}: ${state.reason}`);
+      } else if (isEnabled()) {
+        console.log(`Circuit breaker armed (daily loss: ${RISK_LIMITS.dailyLossLimitUsdt || 'off'} USDT, drawdown: ${RISK_LIMITS.maxDrawdownPercent || 'off'}%, daily trades: ${RISK_LIMITS.maxDailyTrades || 'off'})`);
+      }
+    } catch (error) {
+      console.error('Failed to restore circuit breaker state:', error.message);
+    }
+
+    return state.tripped;
+  }
+
+  /**
+   * Value the current holdings at the last streamed prices
+   * @returns {Promise<Object|null>} { equity, unrealizedPnl, averageBuyPrices }, or null while a price is missing
+   */
+  async function getPortfolioValue() {
+    const balances = await db.getAccountBalances();
+    let equity = balances[QUOTE_ASSET] || 0;
+    let unrealizedPnl = 0;
+    const averageBuyPrices = {};
+
+    for (const symbol of getSymbols()) {
+      const holdings = await db.getCurrentHoldings(symbol);
+      averageBuyPrices[symbol] = holdings.averageBuyPrice;
+
+      if (holdings.quantity <= 0) {
+        continue;
+      }
+
+      const price = getLastPrice(symbol);
+      if (!price) {
+        // A holding we can't value would show up as a loss - wait for its first price
+        return null;
+      }
+
+      equity += holdings.quantity * price;
+      if (holdings.averageBuyPrice > 0) {
+        unrealizedPnl += holdings.quantity * (price - holdings.averageBuyPrice);
+      }
+    }
+
+    return { equity, unrealizedPnl, averageBuyPrices };
+  }
+
+  /**
+   * Build the status object sent to the dashboard
+   * @param {Object} metrics - The metrics of this evaluation (optional, defaults to the last one)
+   * @returns {Object} The circuit breaker status
+   */
+  function getStatus(metrics = null) {
+    return {
+      enabled: isEnabled(),
+      tripped: state.tripped,
+      reason: state.reason,
+      trippedAt: state.trippedAt,
+      limits: { ...RISK_LIMITS },
+      periodStart: state.baseline ? state.baseline.periodStart : null,
+      peakEquity: roundUsdt(state.peakEquity),
+      metrics: metrics || (state.lastStatus ? state.lastStatus.metrics : null)
+    };
+  }
+
+  /**
+   * Find the first limit the metrics exceed
+   * @param {Object} metrics - { dailyPnl, drawdownPercent, tradeCount }
+   * @returns {string|null} The reason, or null if every limit holds
+   */
+  function findExceededLimit(metrics) {
+    if (RISK_LIMITS.dailyLossLimitUsdt > 0 && metrics.dailyPnl <= -RISK_LIMITS.dailyLossLimitUsdt) {
+      return `Daily loss of $${Math.abs(metrics.dailyPnl).toFixed(2)} reached the limit of $${RISK_LIMITS.dailyLossLimitUsdt.toFixed(2)}`;
+    }
+
+    if (RISK_LIMITS.maxDrawdownPercent > 0 && metrics.drawdownPercent >= RISK_LIMITS.maxDrawdownPercent) {
+      return `Drawdown of ${metrics.drawdownPercent.toFixed(2)}% from the equity peak of $${metrics.peakEquity.toFixed(2)} reached the limit of ${RISK_LIMITS.maxDrawdownPercent}%`;
+    }
+
+    if (RISK_LIMITS.maxDailyTrades > 0 && metrics.tradeCount >= RISK_LIMITS.maxDailyTrades) {
+      return `${metrics.tradeCount} trades today reached the limit of ${RISK_LIMITS.maxDailyTrades}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Compute the metrics and trip the breaker if a limit is exceeded
+   * @returns {Promise<Object>} The circuit breaker status
+   */
+  async function runEvaluation() {
+    const portfolio = await getPortfolioValue();
+    if (!portfolio) {
+      return getStatus();
+    }
+
+    // A new UTC day starts a new tracking period - unless the breaker was acknowledged later that day
+    const dayStart = getUtcDayStart();
+    if (!state.baseline || new Date(state.baseline.periodStart) < dayStart) {
+      state.baseline = { periodStart: dayStart.toISOString(), unrealizedPnl: portfolio.unrealizedPnl };
+      await db.saveAppSettings({ [SETTINGS_KEYS.baseline]: state.baseline });
+    }
+
+    // Realized P&L of the period net of fees: each sell's proceeds after commission against the
+    // symbol's average buy price, which includes the buy commissions
+    const summary = await db.getTradeSummarySince(new Date(state.baseline.periodStart));
+    let realizedPnl = 0;
+    let tradeCount = 0;
+    for (const row of summary) {
+      tradeCount += row.tradeCount;
+      const averageBuyPrice = portfolio.averageBuyPrices[row.symbol];
+      if (row.soldQuantity > 0 && averageBuyPrice > 0) {
+        realizedPnl += row.soldUsdt - row.soldQuantity * averageBuyPrice;
+      }
+    }
+
+    // Track the equity peak for the drawdown check
+    if (portfolio.equity > state.peakEquity) {
+      state.peakEquity = portfolio.equity;
+      await db.saveAppSettings({ [SETTINGS_KEYS.peakEquity]: roundUsdt(state.peakEquity) });
+    }
+
+    const metrics = {
+      realizedPnl: roundUsdt(realizedPnl),
+      unrealizedPnl: roundUsdt(portfolio.unrealizedPnl - state.baseline.unrealizedPnl),
+      dailyPnl: roundUsdt(realizedPnl + portfolio.unrealizedPnl - state.baseline.unrealizedPnl),
+      equity: roundUsdt(portfolio.equity),
+      peakEquity: roundUsdt(state.peakEquity),
+      drawdownPercent: state.peakEquity > 0 ? roundUsdt(((state.peakEquity - portfolio.equity) / state.peakEquity) * 100) : 0,
+      tradeCount
+    };
+
+    if (!state.tripped) {
+      const reason = findExceededLimit(metrics);
+      if (reason) {
+        await trip(reason, metrics);
+      }
+    }
+
+    return getStatus(metrics);
+  }
+
+  /**
+   * Evaluate the breaker, reusing a recent result
+   * Concurrent callers (one per symbol on each price update) share a single evaluation
+   * @param {boolean} force - Evaluate even if the last result is recent
+   * @returns {Promise<Object>} The circuit breaker status
+   */
+  async function evaluate(force = false) {
+    if (!isEnabled() || state.tripped) {
+      return getStatus();
+    }
+
+    if (!force && state.lastStatus && Date.now() - state.lastEvaluation < EVALUATION_INTERVAL) {
+      return state.lastStatus;
+    }
+
+    if (!state.pending) {
+      state.pending = runEvaluation()
+        .then(status => {
+          state.lastStatus = status;
+          state.lastEvaluation = Date.now();
+          return status;
+        })
+        .catch(error => {
+          console.error('Error evaluating circuit breaker:', error.message);
+          state.lastEvaluation = Date.now();
+          return getStatus();
+        })
+        .finally(() => {
+          state.pending = null;
+        });
+    }
+
+    return state.pending;
+  }
+
+  /**
+   * Trip the breaker and persist the reason
+   * @param {string} reason - Why the breaker tripped
+   * @param {Object} metrics - The metrics that exceeded the limit
+   */
+  async function trip(reason, metrics) {
+    state.tripped = true;
+    state.reason = reason;
+    state.trippedAt = new Date().toISOString();
+    console.error(`CIRCUIT BREAKER TRIPPED: ${reason}`);
+
+    try {
+      await db.saveAppSettings({
+        [SETTINGS_KEYS.tripped]: true,
+        [SETTINGS_KEYS.reason]: reason,
+        [SETTINGS_KEYS.trippedAt]: state.trippedAt
+      });
+    } catch (error) {
+      console.error('Failed to persist circuit breaker state:', error.message);
+    }
+
+    if (typeof onTrip === 'function') {
+      await onTrip(getStatus(metrics));
+    }
+  }
+
+  /**
+   * Acknowledge a tripped breaker so auto-trading can be enabled again
+   * Starts a new tracking period: losses, drawdown and trades so far no longer count
+   * @returns {Promise<Object>} The circuit breaker status
+   */
+  async function acknowledge() {
+    const portfolio = await getPortfolioValue();
+
+    state.tripped = false;
+    state.reason = null;
+    state.trippedAt = null;
+    state.baseline = {
+      periodStart: new Date().toISOString(),
+      unrealizedPnl: portfolio ? portfolio.unrealizedPnl : 0
+    };
+    state.peakEquity = portfolio ? portfolio.equity : 0;
+    state.lastStatus = null;
+    state.lastEvaluation = 0;
+
+    await db.saveAppSettings({
+      [SETTINGS_KEYS.tripped]: false,
+      [SETTINGS_KEYS.reason]: null,
+      [SETTINGS_KEYS.trippedAt]: null,
+      [SETTINGS_KEYS.baseline]: state.baseline,
+      [SETTINGS_KEYS.peakEquity]: roundUsdt(state.peakEquity)
+    });
+
+    return getStatus();
+  }
+
+  return {
+    initialize,
+    evaluate,
+    acknowledge,
+    isEnabled,
+    isTripped: () => state.tripped,
+    getStatus
+  };
+}
+
+// Export public API
+module.exports = {
+  createRiskManager,
+  RISK_LIMITS
+};
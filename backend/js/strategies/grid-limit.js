@@ -0,0 +1,62 @@
+// backend/js/strategies/grid-limit.js
+// Grid Strategy with resting limit orders
+// The same price levels as the grid strategy, but traded with a ladder of LIMIT orders that
+// rest on the exchange: buys below the price, sells above it. Whenever a level fills the
+// opposite order is placed one level away. The orders and their levels are managed by
+// ladder.js and kept in the grid_levels table, so onPrice never trades itself.
+
+const grid = require('./grid');
+
+/**
+ * Decide what to do at the current price
+ * The ladder's orders do the trading, so the host only checks the stop-loss.
+ * @returns {Object} The intent: always 'hold'
+ */
+function onPrice() {
+  return { action: 'hold', reason: null };
+}
+
+/**
+ * Calculate the reference prices after a trade
+ * next_buy_price and next_sell_price show the nearest open orders and are set by the ladder.
+ * @param {Object} ctx - { refPrices, action, price }
+ * @returns {Object} The new reference prices
+ */
+function afterTrade({ refPrices, action, price }) {
+  return {
+    ...refPrices,
+    lastTransactionPrice: price,
+    firstTransactionPrice: action === 'buy' && !(refPrices.firstTransactionPrice > 0) ? price : refPrices.firstTransactionPrice,
+    trailingHighPrice: 0,
+    trailingStopPrice: 0,
+    strategyState: {}
+  };
+}
+
+/**
+ * Recalculate the reference prices after the config changed
+ * The ladder is laid out again on the next check and sets the prices of its nearest orders.
+ * @returns {Object} The reference price fields to update
+ */
+function applyConfig() {
+  return {
+    nextBuyPrice: 0,
+    nextSellPrice: 0,
+    trailingHighPrice: 0,
+    trailingStopPrice: 0,
+    strategyState: {}
+  };
+}
+
+// Export public API
+module.exports = {
+  name: 'grid_limit',
+  label: 'Grid (resting limit orders)',
+  params: grid.params,
+  restingOrders: true,
+  validate: grid.validate,
+  getLevels: grid.getLevels,
+  onPrice,
+  afterTrade,
+  applyConfig
+};
@@ -0,0 +1,223 @@
+// backend/js/strategies/grid.js
+// Grid Strategy
+// Spreads evenly spaced price levels between a lower and an upper price. Each time the price
+// falls to a level one lot of investment_amount is bought; each lot is sold again one level
+// above the level it was bought at. The open lots are kept in the strategy state.
+
+/**
+ * Check the grid range
+ * @param {Object} params - The normalized parameters
+ */
+function validate(params) {
+  if (!(params.lowerPrice > 0)) {
+    throw new Error('Grid lower price must be above 0');
+  }
+  if (!(params.upperPrice > params.lowerPrice)) {
+    throw new Error('Grid upper price must be above the lower price');
+  }
+}
+
+/**
+ * Calculate the grid's price levels, lowest first
+ * @param {Object} params - { lowerPrice, upperPrice, gridLevels }
+ * @returns {Array<number>} The level prices
+ */
+function getLevels({ lowerPrice, upperPrice, gridLevels }) {
+  const step = (upperPrice - lowerPrice) / (gridLevels - 1);
+  return Array.from({ length: gridLevels }, (value, index) => lowerPrice + index * step);
+}
+
+/**
+ * Find the level a buy at a price belongs to: the lowest level at or above the price
+ * @param {Array<number>} levels - The level prices
+ * @param {number} price - The buy price
+ * @returns {number} The level index
+ */
+function getBuyLevel(levels, price) {
+  // Tolerate fills a hair above the level
+  const index = levels.findIndex(level => level >= price * (1 - 1e-6));
+  return index === -1 ? levels.length - 1 : index;
+}
+
+/**
+ * Find the highest level below a price
+ * @param {Array<number>} levels - The level prices
+ * @param {number} price - The price
+ * @returns {number} The level index, or -1 if the price is at or below the lowest level
+ */
+function getLevelBelow(levels, price) {
+  for (let index = levels.length - 1; index >= 0; index--) {
+    if (levels[index] < price) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Get the price a lot bought at a level is sold at: the next level up
+ * Lots bought above the grid are sold one grid step higher.
+ * @param {Array<number>} levels - The level prices
+ * @param {number} level - The level index
+ * @returns {number} The sell price
+ */
+function getSellPrice(levels, level) {
+  if (level + 1 < levels.length) {
+    return levels[level + 1];
+  }
+  return levels[level] + (levels[1] - levels[0]);
+}
+
+/**
+ * Get the open lots from the strategy state, lowest buy price first
+ * @param {Object} refPrices - The reference prices
+ * @returns {Array<Object>} The lots: { price, quantity }
+ */
+function getLots(refPrices) {
+  const lots = refPrices.strategyState && Array.isArray(refPrices.strategyState.lots)
+    ? refPrices.strategyState.lots
+    : [];
+  return lots
+    .filter(lot => lot.price > 0 && lot.quantity > 0)
+    .sort((a, b) => a.price - b.price);
+}
+
+/**
+ * Calculate the reference prices for a set of lots
+ * The lowest lot sets next_sell_price; the next buy waits one level below it.
+ * @param {Array<number>} levels - The level prices
+ * @param {Array<Object>} lots - The open lots, lowest first
+ * @param {number} buyLevel - The level to buy at when there is no lot below it, or -1 for none
+ * @returns {Object} { nextBuyPrice, nextSellPrice }
+ */
+function getThresholds(levels, lots, buyLevel) {
+  if (lots.length === 0) {
+    return { nextBuyPrice: buyLevel >= 0 ? levels[buyLevel] : 0, nextSellPrice: 0 };
+  }
+
+  const lowestLevel = getBuyLevel(levels, lots[0].price);
+  const level = Math.min(buyLevel, lowestLevel - 1);
+  return {
+    nextBuyPrice: level >= 0 ? levels[level] : 0,
+    nextSellPrice: getSellPrice(levels, lowestLevel)
+  };
+}
+
+/**
+ * Decide what to do at the current price
+ * @param {Object} ctx - The strategy context (see strategies/index.js)
+ * @returns {Object} The intent: { action: 'buy'|'sell'|'hold', usdtAmount, quantity, reason, stateUpdate }
+ */
+function onPrice({ price, refPrices, holdings, config, params }) {
+  const levels = getLevels(params);
+  const lots = getLots(refPrices);
+
+  // Sell the lowest lot one level above where it was bought
+  if (lots.length > 0 && holdings.quantity > 0 && refPrices.nextSellPrice > 0 && price >= refPrices.nextSellPrice) {
+    const quantity = Math.min(lots[0].quantity, holdings.quantity);
+    return {
+      action: 'sell',
+      // The last lot takes any leftovers with it
+      quantity: lots.length === 1 || quantity >= holdings.quantity ? 'all' : quantity,
+      reason: 'grid_take_profit'
+    };
+  }
+
+  if (refPrices.nextBuyPrice > 0 && price <= refPrices.nextBuyPrice) {
+    return { action: 'buy', usdtAmount: config.investmentAmount, reason: null };
+  }
+
+  // Without lots or a pending buy the grid is armed at the level below the current price
+  if (lots.length === 0 && !(refPrices.nextBuyPrice > 0)) {
+    const level = getLevelBelow(levels, price);
+    if (level >= 0) {
+      return { action: 'hold', reason: null, stateUpdate: { nextBuyPrice: levels[level] } };
+    }
+  }
+
+  return { action: 'hold', reason: null };
+}
+
+/**
+ * Calculate the reference prices after a trade
+ * A buy adds a lot; a sell removes lots from the lowest up and re-buys at the sold lot's level.
+ * @param {Object} ctx - { refPrices, action, price, quantity, params }
+ * @returns {Object} The new reference prices
+ */
+function afterTrade({ refPrices, action, price, quantity, params }) {
+  const levels = getLevels(params);
+  const lots = getLots(refPrices);
+  let buyLevel;
+
+  if (action === 'buy') {
+    lots.push({ price, quantity });
+    lots.sort((a, b) => a.price - b.price);
+    buyLevel = getBuyLevel(levels, price) - 1;
+  } else if (lots.length === 0) {
+    // Holdings the grid didn't buy
+    buyLevel = getLevelBelow(levels, price);
+  } else {
+    buyLevel = getBuyLevel(levels, lots[0].price);
+
+    // Small differences from fees and rounding still count as the whole lot
+    let remaining = quantity;
+    while (lots.length > 0 && remaining >= lots[0].quantity * 0.9) {
+      remaining -= lots[0].quantity;
+      lots.shift();
+    }
+    if (lots.length > 0 && remaining > lots[0].quantity * 0.1) {
+      lots[0] = { ...lots[0], quantity: lots[0].quantity - remaining };
+    }
+  }
+
+  return {
+    ...refPrices,
+    ...getThresholds(levels, lots, buyLevel),
+    lastTransactionPrice: price,
+    firstTransactionPrice: lots.length > 0 ? (refPrices.firstTransactionPrice > 0 ? refPrices.firstTransactionPrice : price) : 0,
+    trailingHighPrice: 0,
+    trailingStopPrice: 0,
+    strategyState: { lots }
+  };
+}
+
+/**
+ * Recalculate the reference prices after the config changed
+ * Switching to the grid with holdings turns them into one lot at the average buy price.
+ * @param {Object} ctx - { refPrices, params, holdings, switched }
+ * @returns {Object} The reference price fields to update
+ */
+function applyConfig({ refPrices, params, holdings, switched }) {
+  const levels = getLevels(params);
+  let lots = getLots(refPrices);
+
+  if (switched) {
+    const entryPrice = holdings.averageBuyPrice || refPrices.lastTransactionPrice;
+    lots = holdings.quantity > 0 && entryPrice > 0 ? [{ price: entryPrice, quantity: holdings.quantity }] : [];
+  }
+
+  // Without lots the grid is armed again on the next price
+  return {
+    ...getThresholds(levels, lots, lots.length > 0 ? levels.length : -1),
+    firstTransactionPrice: lots.length > 0 ? (refPrices.firstTransactionPrice || lots[0].price) : 0,
+    trailingHighPrice: 0,
+    trailingStopPrice: 0,
+    strategyState: { lots }
+  };
+}
+
+// Export public API
+module.exports = {
+  name: 'grid',
+  label: 'Grid',
+  params: {
+    lowerPrice: { label: 'Lower Price ($)', type: 'number', min: 0, required: true },
+    upperPrice: { label: 'Upper Price ($)', type: 'number', min: 0, required: true },
+    gridLevels: { label: 'Grid Levels', type: 'integer', min: 2, max: 200, default: 10 }
+  },
+  validate,
+  getLevels,
+  onPrice,
+  afterTrade,
+  applyConfig
+};
@@ -0,0 +1,280 @@
+// backend/js/strategies/index.js
+// Strategies Module
+// Responsible for the pluggable trading strategies: the registry, parameter validation and the
+// host that runs a symbol's strategy against its reference prices. Like strategy.js everything
+// here is pure, so the live auto-trading check and the backtester make the same decisions.
+//
+// A strategy module exports:
+//   name, label                 - Stored in strategy_settings.strategy_name / shown on the dashboard
+//   params                      - Parameter schema: { key: { label, type: 'number'|'integer'|'select', min, max, options, default, required } }
+//   validate(params)            - Optional cross-field checks, throws on invalid parameters
+//   getCandleRequirement(params) - Optional, the candles onPrice needs: { interval, limit }
+//   onPrice(ctx)                - The intent at the current price: { action: 'buy'|'sell'|'hold', usdtAmount,
+//                                 quantity ('all' or base quantity), reason, stateUpdate, trailing }
+//   afterTrade(ctx)             - The reference prices (including strategyState) after a trade
+//   applyConfig(ctx)            - The reference price fields to update after a config change or switch
+//   restingOrders               - Optional, true if the strategy trades with resting limit orders (see ladder.js)
+
+const rules = require('../strategy');
+const threshold = require('./threshold');
+const grid = require('./grid');
+const gridLimit = require('./grid-limit');
+const maDca = require('./ma-dca');
+
+// Registered strategies by name - threshold is the default
+const STRATEGIES = new Map([threshold, grid, gridLimit, maDca].map(strategy => [strategy.name, strategy]));
+const DEFAULT_STRATEGY = threshold.name;
+
+/**
+ * Get a strategy module by name
+ * @param {string} name - The strategy name
+ * @returns {Object} The strategy module
+ */
+function getStrategy(name) {
+  const strategy = STRATEGIES.get(name || DEFAULT_STRATEGY);
+  if (!strategy) {
+    throw new Error(`Unknown strategy "${name}". Use ${[...STRATEGIES.keys()].join(', ')}`);
+  }
+  return strategy;
+}
+
+/**
+ * List the registered strategies for the dashboard
+ * @returns {Array<Object>} { name, label, params } per strategy
+ */
+function listStrategies() {
+  return [...STRATEGIES.values()].map(({ name, label, params }) => ({ name, label, params }));
+}
+
+/**
+ * Validate and convert strategy parameters against the strategy's schema
+ * Unknown keys are dropped; missing optional values get their defaults.
+ * @param {string} name - The strategy name
+ * @param {Object} params - The raw parameters (e.g. from the dashboard form)
+ * @returns {Object} The normalized parameters
+ */
+function normalizeParams(name, params = {}) {
+  const strategy = getStrategy(name);
+  const normalized = {};
+
+  for (const [key, field] of Object.entries(strategy.params)) {
+    const raw = params ? params[key] : undefined;
+
+    if (raw === undefined || raw === null || raw === '') {
+      if (field.required) {
+        throw new Error(`${field.label} is required for the ${strategy.label} strategy`);
+      }
+      normalized[key] = field.default;
+      continue;
+    }
+
+    if (field.type === 'select') {
+      if (!field.options.includes(String(raw))) {
+        throw new Error(`${field.label} must be one of ${field.options.join(', ')}`);
+      }
+      normalized[key] = String(raw);
+      continue;
+    }
+
+    const value = Number(raw);
+    if (!Number.isFinite(value) || (field.type === 'integer' && !Number.isInteger(value))) {
+      throw new Error(`${field.label} must be a ${field.type === 'integer' ? 'whole number' : 'number'}`);
+    }
+    if (field.min !== undefined && value < field.min) {
+      throw new Error(`${field.label} must be at least ${field.min}`);
+    }
+    if (field.max !== undefined && value > field.max) {
+      throw new Error(`${field.label} must be at most ${field.max}`);
+    }
+    normalized[key] = value;
+  }
+
+  if (strategy.validate) {
+    strategy.validate(normalized);
+  }
+
+  return normalized;
+}
+
+/**
+ * Get a config's validated strategy parameters
+ * @param {Object} config - The symbol's strategy config
+ * @returns {Object|null} The parameters, or null if the stored ones are invalid
+ */
+function resolveParams(config) {
+  try {
+    return normalizeParams(config.strategy, config.strategyParams);
+  } catch (error) {
+    console.error(`Invalid ${config.strategy} parameters for ${config.symbol}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Check whether a config's strategy trades with resting limit orders instead of onPrice decisions
+ * @param {Object} config - The symbol's strategy config
+ * @returns {boolean} True for ladder strategies like grid_limit
+ */
+function usesRestingOrders(config) {
+  return Boolean(getStrategy(config.strategy).restingOrders);
+}
+
+/**
+ * Get the candles a config's strategy needs
+ * @param {Object} config - The symbol's strategy config
+ * @returns {Object|null} { interval, limit }, or null if the strategy doesn't use candles
+ */
+function getCandleRequirement(config) {
+  const strategy = getStrategy(config.strategy);
+  const params = strategy.getCandleRequirement ? resolveParams(config) : null;
+  return params ? strategy.getCandleRequirement(params) : null;
+}
+
+/**
+ * Block a buy that a position cap doesn't allow
+ * @param {Object} decision - The decision from decideAction
+ * @param {Object} config - The symbol's strategy config
+ * @param {Object} position - The buys since the last sell: { buyCount, investedUsdt }
+ * @returns {Object} The decision, changed to 'limit_reached' if a cap blocks the buy
+ */
+function applyPositionLimit(decision, config, position) {
+  if (decision.action !== 'buy') {
+    return decision;
+  }
+
+  const limitReached = rules.getPositionLimit(config, position);
+  if (!limitReached) {
+    return decision;
+  }
+
+  return { ...decision, action: 'limit_reached', reason: limitReached.limit, limitReached };
+}
+
+/**
+ * Decide what auto-trading should do at the current price
+ * The stop-loss is checked by the host for every strategy and takes precedence; then the
+ * symbol's strategy decides, and a buy is checked against the position caps.
+ * @param {Object} ctx - The decision inputs
+ * @param {number} ctx.price - The current price
+ * @param {number} ctx.time - The time of the price (defaults to now)
+ * @param {Object} ctx.refPrices - The symbol's reference prices, including strategyState
+ * @param {Object} ctx.holdings - The current holdings: { quantity, averageBuyPrice }
+ * @param {Object} ctx.strategy - The symbol's strategy config
+ * @param {Object} ctx.position - The buys since the last sell ({ buyCount, investedUsdt }), needed for position caps
+ * @param {boolean} ctx.sellable - Whether the holdings pass the exchange filters (leftover dust can't be sold)
+ * @param {Array} ctx.candles - The candles from getCandleRequirement, if the strategy needs them
+ * @returns {Object} { action: 'stop_loss'|'limit_reached'|'buy'|'sell'|'hold', reason, usdtAmount, quantity,
+ *                     stopLossPrice, limitReached, trailing, stateUpdate }
+ */
+function decideAction({ price, time = Date.now(), refPrices, holdings, strategy: config, position = null, sellable = true, candles = null }) {
+  const stopLossPrice = rules.getStopLossPrice(config, holdings);
+  const decision = {
+    action: 'hold',
+    reason: null,
+    usdtAmount: null,
+    quantity: null,
+    stopLossPrice,
+    limitReached: null,
+    trailing: null,     // Set while a trailing take-profit is followed
+    stateUpdate: null   // Reference price fields the strategy wants stored without a trade
+  };
+
+  // The stop-loss takes precedence over whatever the strategy wants to do
+  if (stopLossPrice > 0 && price <= stopLossPrice && holdings.quantity > 0 && sellable) {
+    return { ...decision, action: 'stop_loss', reason: 'stop_loss', quantity: 'all' };
+  }
+
+  const params = resolveParams(config);
+  if (!params) {
+    return decision;
+  }
+
+  const intent = getStrategy(config.strategy).onPrice({
+    symbol: config.symbol,
+    price,
+    time,
+    refPrices: { ...refPrices, strategyState: refPrices.strategyState || {} },
+    holdings,
+    config,
+    params,
+    candles,
+    sellable
+  });
+
+  Object.assign(decision, {
+    reason: intent.reason || null,
+    trailing: intent.trailing || null,
+    stateUpdate: intent.stateUpdate || null
+  });
+
+  if (intent.action === 'buy' && intent.usdtAmount > 0) {
+    decision.action = 'buy';
+    decision.usdtAmount = intent.usdtAmount;
+    return position ? applyPositionLimit(decision, config, position) : decision;
+  }
+
+  if (intent.action === 'sell' && holdings.quantity > 0 && (intent.quantity === 'all' || intent.quantity > 0)) {
+    decision.action = 'sell';
+    decision.quantity = intent.quantity;
+  }
+
+  return decision;
+}
+
+/**
+ * Calculate the reference prices after a trade with the symbol's strategy
+ * @param {Object} ctx - The trade
+ * @param {Object} ctx.refPrices - The reference prices before the trade, including strategyState
+ * @param {string} ctx.action - 'buy' or 'sell'
+ * @param {number} ctx.price - The executed price
+ * @param {number} ctx.quantity - The executed base quantity
+ * @param {number} ctx.time - The trade time in milliseconds
+ * @param {Object} ctx.strategy - The symbol's strategy config
+ * @returns {Object} The new reference prices
+ */
+function afterTrade({ refPrices, action, price, quantity, time = Date.now(), strategy: config }) {
+  const current = { ...refPrices, strategyState: refPrices.strategyState || {} };
+  const params = resolveParams(config);
+
+  // Invalid parameters fall back to the threshold rules so the trade still sets sane thresholds
+  const strategy = params ? getStrategy(config.strategy) : threshold;
+  return strategy.afterTrade({ refPrices: current, action, price, quantity, time, config, params: params || {} });
+}
+
+/**
+ * Calculate the reference price changes for a new or changed strategy config
+ * @param {Object} ctx - The config change
+ * @param {Object} ctx.refPrices - The current reference prices, including strategyState
+ * @param {Object} ctx.strategy - The saved strategy config
+ * @param {Object} ctx.previous - The strategy config before the change
+ * @param {Object} ctx.holdings - The current holdings: { quantity, averageBuyPrice }
+ * @returns {Object} The reference price fields to update
+ */
+function applyConfig({ refPrices, strategy: config, previous, holdings }) {
+  const params = resolveParams(config);
+  if (!params) {
+    return {};
+  }
+
+  return getStrategy(config.strategy).applyConfig({
+    refPrices: { ...refPrices, strategyState: refPrices.strategyState || {} },
+    config,
+    params,
+    holdings,
+    switched: getStrategy(previous.strategy).name !== getStrategy(config.strategy).name
+  });
+}
+
+// Export public API
+module.exports = {
+  DEFAULT_STRATEGY,
+  getStrategy,
+  listStrategies,
+  normalizeParams,
+  usesRestingOrders,
+  getCandleRequirement,
+  applyPositionLimit,
+  decideAction,
+  afterTrade,
+  applyConfig
+};
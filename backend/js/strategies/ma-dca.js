@@ -0,0 +1,164 @@
+// backend/js/strategies/ma-dca.js
+// Moving-Average DCA Strategy
+// Dollar-cost averaging that only buys below a simple moving average of the candle closes:
+// at most one buy of investment_amount per interval while the price is under the average,
+// and everything is sold once the price rises sellThresholdPercent above the average entry.
+// The average entry of the bot's buys is kept in the strategy state.
+
+// The moving average is shown as next_buy_price; smaller moves aren't written to the database
+const MA_UPDATE_TOLERANCE = 0.001; // 0.1%
+
+/**
+ * Calculate the simple moving average of the latest closed candles
+ * @param {Array} candles - The candles, oldest first
+ * @param {number} period - The number of candles
+ * @returns {number|null} The average close, or null while there are not enough candles
+ */
+function getMovingAverage(candles, period) {
+  const closed = (candles || []).filter(candle => candle.closed !== false);
+  if (closed.length < period) {
+    return null;
+  }
+
+  const closes = closed.slice(-period).map(candle => candle.close);
+  return closes.reduce((sum, close) => sum + close, 0) / period;
+}
+
+/**
+ * Get the candles the moving average needs
+ * @param {Object} params - The normalized parameters
+ * @returns {Object} { interval, limit }
+ */
+function getCandleRequirement(params) {
+  // One more than the period, as the newest candle is usually still open
+  return { interval: params.maInterval, limit: params.maPeriod + 1 };
+}
+
+/**
+ * Calculate the take-profit price from the average entry in the strategy state
+ * @param {Object} strategyState - { quantity, cost }
+ * @param {Object} config - The strategy config
+ * @returns {number} The sell price, or 0 without a position
+ */
+function getSellPrice(strategyState, config) {
+  if (!(strategyState.quantity > 0 && strategyState.cost > 0)) {
+    return 0;
+  }
+  return (strategyState.cost / strategyState.quantity) * (1 + config.sellThresholdPercent);
+}
+
+/**
+ * Decide what to do at the current price
+ * @param {Object} ctx - The strategy context (see strategies/index.js)
+ * @returns {Object} The intent: { action: 'buy'|'sell'|'hold', usdtAmount, quantity, reason, stateUpdate }
+ */
+function onPrice({ price, time, refPrices, holdings, config, params, candles }) {
+  const strategyState = refPrices.strategyState || {};
+
+  if (refPrices.nextSellPrice > 0 && holdings.quantity > 0 && price >= refPrices.nextSellPrice) {
+    return { action: 'sell', quantity: 'all', reason: null };
+  }
+
+  const movingAverage = getMovingAverage(candles, params.maPeriod);
+  if (movingAverage === null) {
+    // Not enough price history yet
+    return { action: 'hold', reason: null };
+  }
+
+  const stateUpdate = Math.abs(movingAverage - refPrices.nextBuyPrice) / movingAverage > MA_UPDATE_TOLERANCE
+    ? { nextBuyPrice: movingAverage }
+    : null;
+
+  const intervalPassed = !(strategyState.lastBuyTime > 0) ||
+    time - strategyState.lastBuyTime >= params.buyIntervalMinutes * 60000;
+
+  if (price < movingAverage && intervalPassed) {
+    return { action: 'buy', usdtAmount: config.investmentAmount, reason: null, stateUpdate };
+  }
+
+  return { action: 'hold', reason: null, stateUpdate };
+}
+
+/**
+ * Calculate the reference prices after a trade
+ * next_buy_price keeps showing the moving average.
+ * @param {Object} ctx - { refPrices, action, price, quantity, config, time }
+ * @returns {Object} The new reference prices
+ */
+function afterTrade({ refPrices, action, price, quantity, config, time }) {
+  const strategyState = refPrices.strategyState || {};
+
+  if (action === 'buy') {
+    const position = {
+      quantity: (strategyState.quantity || 0) + quantity,
+      cost: (strategyState.cost || 0) + quantity * price,
+      lastBuyTime: time
+    };
+    return {
+      ...refPrices,
+      lastTransactionPrice: price,
+      firstTransactionPrice: refPrices.firstTransactionPrice > 0 ? refPrices.firstTransactionPrice : price,
+      nextSellPrice: getSellPrice(position, config),
+      strategyState: position
+    };
+  }
+
+  // A sell closes the position; the buy interval keeps running
+  return {
+    ...refPrices,
+    lastTransactionPrice: price,
+    firstTransactionPrice: 0,
+    nextSellPrice: 0,
+    trailingHighPrice: 0,
+    trailingStopPrice: 0,
+    strategyState: strategyState.lastBuyTime ? { lastBuyTime: strategyState.lastBuyTime } : {}
+  };
+}
+
+/**
+ * Recalculate the reference prices after the config changed
+ * Switching to this strategy with holdings takes them over at the average buy price.
+ * @param {Object} ctx - { refPrices, config, holdings, switched }
+ * @returns {Object} The reference price fields to update
+ */
+function applyConfig({ refPrices, config, holdings, switched }) {
+  let strategyState = refPrices.strategyState || {};
+
+  if (switched) {
+    const entryPrice = holdings.averageBuyPrice || refPrices.lastTransactionPrice;
+    strategyState = holdings.quantity > 0 && entryPrice > 0
+      ? { quantity: holdings.quantity, cost: holdings.quantity * entryPrice }
+      : {};
+  }
+
+  const nextSellPrice = getSellPrice(strategyState, config);
+  const updateData = {
+    nextSellPrice,
+    firstTransactionPrice: nextSellPrice > 0 ? (refPrices.firstTransactionPrice || strategyState.cost / strategyState.quantity) : 0,
+    trailingHighPrice: 0,
+    trailingStopPrice: 0,
+    strategyState
+  };
+
+  // The moving average is written again on the next price
+  if (switched) {
+    updateData.nextBuyPrice = 0;
+  }
+
+  return updateData;
+}
+
+// Export public API
+module.exports = {
+  name: 'ma_dca',
+  label: 'DCA below moving average',
+  params: {
+    maInterval: { label: 'MA Candles', type: 'select', options: ['1m', '5m', '1h'], default: '1h' },
+    maPeriod: { label: 'MA Period', type: 'integer', min: 2, max: 500, default: 20 },
+    buyIntervalMinutes: { label: 'Minutes Between Buys', type: 'number', min: 1, default: 60 }
+  },
+  getCandleRequirement,
+  onPrice,
+  afterTrade,
+  applyConfig
+};
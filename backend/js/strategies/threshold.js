@@ -0,0 +1,117 @@
+// backend/js/strategies/threshold.js
+// Threshold Strategy
+// The original "buy the dip, sell the rise" strategy: buy investment_amount whenever the price
+// falls buyThresholdPercent below the last trade, sell everything once it rises
+// sellThresholdPercent above the first buy of the position (optionally with a trailing take-profit)
+
+const rules = require('../strategy');
+
+/**
+ * Decide what to do at the current price
+ * @param {Object} ctx - The strategy context (see strategies/index.js)
+ * @returns {Object} The intent: { action: 'buy'|'sell'|'hold', usdtAmount, quantity, reason, trailing }
+ */
+function onPrice({ price, refPrices, holdings, config }) {
+  const intent = { action: 'hold', reason: null, trailing: null };
+
+  // Sell side: sell at next_sell_price, or with trailing take-profit once the price falls back from its high
+  let sellTriggered = false;
+  if (refPrices.nextSellPrice > 0 && holdings.quantity > 0) {
+    if (config.trailingPercent > 0) {
+      intent.trailing = rules.updateTrailingStop(price, refPrices, config.trailingPercent);
+      sellTriggered = intent.trailing.triggered;
+    } else {
+      sellTriggered = price >= refPrices.nextSellPrice;
+    }
+  }
+
+  // Buying more on the way down takes precedence over selling
+  if (rules.isBuyTriggered(price, refPrices)) {
+    intent.action = 'buy';
+    intent.usdtAmount = config.investmentAmount;
+  } else if (sellTriggered) {
+    intent.action = 'sell';
+    intent.quantity = 'all';
+    intent.reason = config.trailingPercent > 0 ? 'trailing_take_profit' : null;
+  }
+
+  return intent;
+}
+
+/**
+ * Calculate the reference prices after a trade
+ * Every trade moves next_buy_price below the trade price; the first buy of a position sets
+ * first_transaction_price and next_sell_price; a sell closes the position.
+ * @param {Object} ctx - { refPrices, action, price, config }
+ * @returns {Object} The new reference prices
+ */
+function afterTrade({ refPrices, action, price, config }) {
+  const next = {
+    ...refPrices,
+    lastTransactionPrice: price,
+    nextBuyPrice: price * (1 - config.buyThresholdPercent),
+    strategyState: {}
+  };
+
+  if (action === 'buy') {
+    // Subsequent buys keep the profit target of the first buy
+    if (!(refPrices.firstTransactionPrice > 0)) {
+      next.firstTransactionPrice = price;
+      next.nextSellPrice = price * (1 + config.sellThresholdPercent);
+    }
+  } else if (action === 'sell') {
+    // The next buy is treated as a first buy and sets a new profit target
+    next.firstTransactionPrice = 0;
+    next.nextSellPrice = 0;
+    next.trailingHighPrice = 0;
+    next.trailingStopPrice = 0;
+  }
+
+  return next;
+}
+
+/**
+ * Recalculate the reference prices after the config changed, so the change applies immediately:
+ * next_buy_price from last_transaction_price and, while holding, next_sell_price from first_transaction_price
+ * @param {Object} ctx - { refPrices, config, holdings, switched }
+ * @returns {Object} The reference price fields to update
+ */
+function applyConfig({ refPrices, config, holdings, switched }) {
+  const updateData = {};
+
+  if (refPrices.lastTransactionPrice > 0) {
+    updateData.nextBuyPrice = refPrices.lastTransactionPrice * (1 - config.buyThresholdPercent);
+  }
+
+  // Coming from another strategy the open position gets a threshold profit target
+  const hasTarget = refPrices.nextSellPrice > 0 || (switched && holdings.quantity > 0);
+  if (refPrices.firstTransactionPrice > 0 && hasTarget) {
+    updateData.nextSellPrice = refPrices.firstTransactionPrice * (1 + config.sellThresholdPercent);
+  }
+
+  // An armed trailing take-profit follows the new pullback, or is disarmed if trailing was turned off
+  if (refPrices.trailingHighPrice > 0) {
+    if (config.trailingPercent > 0 && !switched) {
+      updateData.trailingStopPrice = refPrices.trailingHighPrice * (1 - config.trailingPercent);
+    } else {
+      updateData.trailingHighPrice = 0;
+      updateData.trailingStopPrice = 0;
+    }
+  }
+
+  if (switched) {
+    updateData.strategyState = {};
+  }
+
+  return updateData;
+}
+
+// Export public API
+module.exports = {
+  name: 'threshold',
+  label: 'Threshold (buy the dip, sell the rise)',
+  params: {},
+  onPrice,
+  afterTrade,
+  applyConfig
+};
@@ -0,0 +1,127 @@
+// backend/js/strategy.js
+// Strategy Module
+// Responsible for the rules shared by all strategies (stop-loss, position caps, trailing
+// take-profit). The strategies themselves live in strategies/.
+// Everything here is pure - no database, exchange or notification calls - so the live
+// auto-trading check and the backtester make exactly the same decisions.
+
+// Time to wait after an auto-trade before a symbol is checked again
+const TRADE_COOLDOWN = 180000; // 180 seconds (3 minutes) to ensure thresholds are properly synchronized
+
+/**
+ * Check whether the price reached the next buy price
+ * @param {number} price - The current price
+ * @param {Object} refPrices - The symbol's reference prices
+ * @returns {boolean} True if the price is at or below a set next_buy_price
+ */
+function isBuyTriggered(price, refPrices) {
+  return refPrices.nextBuyPrice > 0 && price <= refPrices.nextBuyPrice;
+}
+
+/**
+ * Check whether a strategy caps averaging buys or position size
+ * @param {Object} strategy - The symbol's strategy config
+ * @returns {boolean} True if at least one position cap is set
+ */
+function hasPositionCaps(strategy) {
+  const hasDcaCap = strategy.maxDcaBuys !== null && strategy.maxDcaBuys !== undefined;
+  return hasDcaCap || strategy.maxExposureUsdt > 0;
+}
+
+/**
+ * Calculate the price at which a position's stop-loss triggers
+ * @param {Object} strategy - The symbol's strategy config
+ * @param {Object} holdings - The current holdings (averageBuyPrice from getCurrentHoldings)
+ * @returns {number} The stop-loss price, or 0 if no stop-loss applies
+ */
+function getStopLossPrice(strategy, holdings) {
+  if (strategy.stopLossPrice > 0) {
+    return strategy.stopLossPrice;
+  }
+
+  if (strategy.stopLossPercent > 0 && holdings.averageBuyPrice > 0) {
+    return holdings.averageBuyPrice * (1 - strategy.stopLossPercent);
+  }
+
+  return 0;
+}
+
+/**
+ * Find the position cap that blocks another buy
+ * @param {Object} strategy - The symbol's strategy config
+ * @param {Object} position - The buys since the last sell: { buyCount, investedUsdt }
+ * @returns {Object|null} The cap that blocks the buy ({ limit, message, value, max }), or null
+ */
+function getPositionLimit(strategy, position) {
+  if (!position || !hasPositionCaps(strategy)) {
+    return null;
+  }
+
+  const { buyCount, investedUsdt } = position;
+
+  // The first buy opens the position; every buy after it averages down
+  const dcaBuys = Math.max(0, buyCount - 1);
+  const hasDcaCap = strategy.maxDcaBuys !== null && strategy.maxDcaBuys !== undefined;
+  if (hasDcaCap && buyCount > 0 && dcaBuys >= strategy.maxDcaBuys) {
+    return {
+      limit: 'max_dca_buys',
+      message: `${dcaBuys} of ${strategy.maxDcaBuys} averaging buys used since the last sell`,
+      value: dcaBuys,
+      max: strategy.maxDcaBuys
+    };
+  }
+
+  if (strategy.maxExposureUsdt > 0 && investedUsdt + strategy.investmentAmount > strategy.maxExposureUsdt) {
+    return {
+      limit: 'max_exposure',
+      message: `$${investedUsdt.toFixed(2)} invested, another $${strategy.investmentAmount} would exceed the $${strategy.maxExposureUsdt} cap`,
+      value: investedUsdt,
+      max: strategy.maxExposureUsdt
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Follow the price with the trailing take-profit
+ * Once the price reaches next_sell_price the trailing stop is armed at the price minus the
+ * pullback; it moves up with every new high and never down.
+ * @param {number} price - The current price
+ * @param {Object} refPrices - The symbol's reference prices (nextSellPrice, trailingHighPrice, trailingStopPrice)
+ * @param {number} trailingPercent - The pullback from the high that triggers the sell (0.01 = 1%)
+ * @returns {Object} { trailingHighPrice, trailingStopPrice, event: 'armed'|'raised'|null, triggered }
+ */
+function updateTrailingStop(price, refPrices, trailingPercent) {
+  const highPrice = refPrices.trailingHighPrice;
+
+  // Not armed yet - wait for the sell threshold
+  if (!(highPrice > 0)) {
+    if (price < refPrices.nextSellPrice) {
+      return { trailingHighPrice: 0, trailingStopPrice: 0, event: null, triggered: false };
+    }
+    return { trailingHighPrice: price, trailingStopPrice: price * (1 - trailingPercent), event: 'armed', triggered: false };
+  }
+
+  // New high - raise the stop
+  if (price > highPrice) {
+    return { trailingHighPrice: price, trailingStopPrice: price * (1 - trailingPercent), event: 'raised', triggered: false };
+  }
+
+  return {
+    trailingHighPrice: highPrice,
+    trailingStopPrice: refPrices.trailingStopPrice,
+    event: null,
+    triggered: price <= refPrices.trailingStopPrice
+  };
+}
+
+// Export public API
+module.exports = {
+  TRADE_COOLDOWN,
+  isBuyTriggered,
+  hasPositionCaps,
+  getStopLossPrice,
+  getPositionLimit,
+  updateTrailingStop
+};
@@ -1,6 +1,8 @@
 // backend/js/telegram.js
 // Telegram Bot Integration Module
-// Responsible for sending notifications about trading activities via Telegram
+// Responsible for sending notifications about trading activities via Telegram, and for
+// answering the chat commands registered by commands.js. Only the configured chats are
+// notified and only their messages are answered - every other chat is ignored.
 
 const { Telegraf } = require('telegraf');
 const dotenv = require('dotenv');
@@ -10,7 +12,8 @@ dotenv.config({ path: require('path').resolve(__dirname, '../.env') });
 
 // Telegram bot configuration
 const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
-const TELEGRAM_CHAT_ID = process.env.TELEGRAM_CHAT_ID;
+// One chat ID, or several separated by commas
+const TELEGRAM_CHAT_IDS = (process.env.TELEGRAM_CHAT_ID || '').split(',').map(id => id.trim()).filter(Boolean);
 const TELEGRAM_TIMEOUT = 10000; // Timeout in ms (10 seconds)
 const TELEGRAM_MAX_RETRIES = 3; // Maximum number of retry attempts
 
@@ -55,8 +58,20 @@ function initialize() {
       }
     });
     
+    // Only the configured chats may talk to the bot - updates from any other chat are dropped
+    // before they reach a command
+    bot.use((ctx, next) => {
+      const chatId = ctx.chat ? String(ctx.chat.id) : null;
+      if (!chatId || !TELEGRAM_CHAT_IDS.includes(chatId)) {
+        const from = ctx.from ? ` (from @${ctx.from.username || ctx.from.id})` : '';
+        console.warn(`Ignoring Telegram update from unauthorized chat ${chatId}${from}`);
+        return undefined;
+      }
+      return next();
+    });
+    
     // Check if we have a chat ID immediately to set isConfigured
-    if (TELEGRAM_CHAT_ID) {
+    if (TELEGRAM_CHAT_IDS.length > 0) {
       isConfigured = true;
     } else {
       console.warn('TELEGRAM_CHAT_ID not found in environment variables');
@@ -86,11 +101,12 @@ function initialize() {
 }
 
 /**
- * Send a text message to the configured chat
- * @param {string} message - The message to send
- * @returns {Promise<boolean>} True if the message was sent
+ * Send a text message to the configured chats
+ * @param {string} message - The message to send (HTML)
+ * @param {Object} extra - Optional sendMessage parameters, e.g. reply_markup
+ * @returns {Promise<boolean>} True if the message was sent to at least one chat
  */
-async function sendMessage(message) {
+async function sendMessage(message, extra = {}) {
   if (!isInitialized || !bot || !isConfigured) {
     // Don't try to initialize during shutdown
     if (process.env.NODE_APP_INSTANCE === 'shutting_down') {
@@ -109,16 +125,28 @@ async function sendMessage(message) {
     return false;
   }
 
-  try {
-    // Make sure we have a chat ID
-    if (!TELEGRAM_CHAT_ID) {
-      if (!global.chatIdWarningLogged) {
-        console.error('TELEGRAM NOTIFICATION ERROR: No TELEGRAM_CHAT_ID configured in your .env file.');
-        global.chatIdWarningLogged = true;
-      }
-      return false;
+  // Make sure we have a chat ID
+  if (TELEGRAM_CHAT_IDS.length === 0) {
+    if (!global.chatIdWarningLogged) {
+      console.error('TELEGRAM NOTIFICATION ERROR: No TELEGRAM_CHAT_ID configured in your .env file.');
+      global.chatIdWarningLogged = true;
     }
+    return false;
+  }
+
+  const results = await Promise.all(TELEGRAM_CHAT_IDS.map(chatId => sendToChat(chatId, message, extra)));
+  return results.includes(true);
+}
 
+/**
+ * Send a text message to one chat, retrying on connection errors
+ * @param {string} chatId - The chat ID
+ * @param {string} message - The message to send (HTML)
+ * @param {Object} extra - Optional sendMessage parameters
+ * @returns {Promise<boolean>} True if the message was sent
+ */
+async function sendToChat(chatId, message, extra = {}) {
+  try {
     // Send the message with retry mechanism for connection errors
     let retries = 0;
     const retryDelay = 2000; // 2 seconds between retries
@@ -126,7 +154,7 @@ async function sendMessage(message) {
     while (retries < TELEGRAM_MAX_RETRIES) {
       try {
         // Create a promise that can be timed out
-        const sendPromise = bot.telegram.sendMessage(TELEGRAM_CHAT_ID, message, { parse_mode: 'HTML' });
+        const sendPromise = bot.telegram.sendMessage(chatId, message, { parse_mode: 'HTML', ...extra });
         
         // Create a timeout promise
         const timeoutPromise = new Promise((_, reject) => {
@@ -150,8 +178,106 @@ async function sendMessage(message) {
         }
       }
     }
+    return false;
   } catch (error) {
-    console.error('Error sending Telegram message:', error);
+    console.error(`Error sending Telegram message to chat ${chatId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Escape text for a message sent in HTML parse mode
+ * @param {*} text - The text, e.g. an error message or a symbol typed by the user
+ * @returns {string} The escaped text
+ */
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Register chat commands
+ * A handler gets the words after the command and returns the HTML reply; a thrown error is
+ * answered with its message. The commands are also set as the bot's command menu.
+ * @param {Array<Object>} commands - { command, description, handler(args, ctx) }, command without the slash
+ * @returns {boolean} True if the commands were registered
+ */
+function registerCommands(commands) {
+  if (!bot) {
+    console.warn('Telegram bot not initialized, chat commands are not available');
+    return false;
+  }
+
+  for (const { command, handler } of commands) {
+    bot.command(command, async (ctx) => {
+      const args = ctx.message.text.trim().split(/\s+/).slice(1);
+      console.log(`Telegram command /${command} ${args.join(' ')} from chat ${ctx.chat.id}`);
+      
+      try {
+        const reply = await handler(args, ctx);
+        if (reply) {
+          await ctx.replyWithHTML(reply);
+        }
+      } catch (error) {
+        console.error(`Telegram command /${command} failed:`, error.message);
+        await ctx.replyWithHTML(`❌ /${command} failed: ${escapeHtml(error.message)}`).catch(replyError => {
+          console.error('Error replying to Telegram command:', replyError.message);
+        });
+      }
+    });
+  }
+
+  // The menu is a convenience - commands work without it
+  bot.telegram.setMyCommands(commands.map(({ command, description }) => ({ command, description }))).catch(error => {
+    console.error('Failed to set the Telegram command menu:', error.message);
+  });
+
+  console.log(`Registered Telegram commands: ${commands.map(({ command }) => `/${command}`).join(', ')}`);
+  return true;
+}
+
+/**
+ * Register a handler for inline keyboard buttons
+ * The handler answers the button press itself; a thrown error is shown to the user as a notice.
+ * @param {RegExp} trigger - Matched against the button's callback data (the match is in ctx.match)
+ * @param {Function} handler - async handler(ctx)
+ * @returns {boolean} True if the handler was registered
+ */
+function registerAction(trigger, handler) {
+  if (!bot) {
+    console.warn('Telegram bot not initialized, inline buttons are not available');
+    return false;
+  }
+
+  bot.action(trigger, async (ctx) => {
+    try {
+      await handler(ctx);
+    } catch (error) {
+      console.error(`Telegram button ${ctx.callbackQuery.data} failed:`, error.message);
+      await ctx.answerCbQuery(`Failed: ${error.message}`, { show_alert: true }).catch(answerError => {
+        console.error('Error answering Telegram button:', answerError.message);
+      });
+    }
+  });
+  return true;
+}
+
+/**
+ * Replace the text of a message the bot sent, removing its inline keyboard
+ * @param {string} chatId - The chat ID
+ * @param {number} messageId - The message ID
+ * @param {string} message - The new text (HTML)
+ * @returns {Promise<boolean>} True if the message was changed
+ */
+async function editMessage(chatId, messageId, message) {
+  if (!bot) {
+    return false;
+  }
+
+  try {
+    await bot.telegram.editMessageText(chatId, messageId, undefined, message, { parse_mode: 'HTML' });
+    return true;
+  } catch (error) {
+    console.error(`Error editing Telegram message ${messageId} in chat ${chatId}:`, error.message);
     return false;
   }
 }
@@ -188,6 +314,80 @@ Time: ${new Date().toLocaleString()}
   return sendMessage(message);
 }
 
+/**
+ * Send a stop-loss alert
+ * Sent in addition to the regular trade notification so stop-loss sells stand out
+ * @param {Object} alertInfo - Information about the stop-loss
+ * @param {string} alertInfo.symbol - The cryptocurrency symbol
+ * @param {number} alertInfo.quantity - The amount of cryptocurrency sold
+ * @param {number} alertInfo.price - The price at which the position was sold
+ * @param {number} alertInfo.stopLossPrice - The stop-loss level that was hit
+ * @param {number} alertInfo.averageBuyPrice - The average entry price
+ * @param {number|null} alertInfo.lossPercent - The result versus the average entry, in percent
+ * @param {string} alertInfo.stopLoss - Description of the configured stop-loss
+ * @returns {Promise<boolean>} True if the alert was sent
+ */
+async function sendStopLossAlert(alertInfo) {
+  if (!alertInfo) {
+    console.warn('No stop-loss information provided for alert');
+    return false;
+  }
+
+  const { symbol, quantity, price, stopLossPrice, averageBuyPrice, lossPercent, stopLoss } = alertInfo;
+  
+  const entryInfo = averageBuyPrice > 0
+    ? `\nAverage entry: $${averageBuyPrice.toFixed(4)}`
+    : '';
+  const resultInfo = lossPercent !== null && lossPercent !== undefined
+    ? `\nResult vs. entry: ${lossPercent.toFixed(2)}%`
+    : '';
+  
+  const message = `
+⛔ <b>STOP-LOSS TRIGGERED: ${symbol}</b>
+
+Sold: ${quantity} ${symbol}
+Price: $${price.toFixed(4)}
+Stop level: $${stopLossPrice.toFixed(4)} (${stopLoss})${entryInfo}${resultInfo}
+
+Auto-trading for ${symbol} is paused until it is resumed from the dashboard.
+Time: ${new Date().toLocaleString()}
+  `;
+  
+  return sendMessage(message);
+}
+
+/**
+ * Send a circuit breaker alert
+ * @param {Object} status - The circuit breaker status
+ * @param {string} status.reason - The limit that was exceeded
+ * @param {Object} status.metrics - The P&L, equity and trade count that tripped it
+ * @returns {Promise<boolean>} True if the alert was sent
+ */
+async function sendCircuitBreakerAlert(status) {
+  if (!status) {
+    console.warn('No circuit breaker information provided for alert');
+    return false;
+  }
+
+  const metrics = status.metrics || {};
+  const formatUsdt = (value) => `$${(value || 0).toFixed(2)}`;
+  
+  const message = `
+🚨 <b>CIRCUIT BREAKER TRIPPED</b>
+
+${status.reason}
+
+Today's P&L: ${formatUsdt(metrics.dailyPnl)} (realized ${formatUsdt(metrics.realizedPnl)}, unrealized ${formatUsdt(metrics.unrealizedPnl)})
+Equity: ${formatUsdt(metrics.equity)} (peak ${formatUsdt(metrics.peakEquity)}, drawdown ${(metrics.drawdownPercent || 0).toFixed(2)}%)
+Trades today: ${metrics.tradeCount || 0}
+
+Auto-trading is off for all pairs. Acknowledge the circuit breaker on the dashboard before enabling it again.
+Time: ${new Date().toLocaleString()}
+  `;
+  
+  return sendMessage(message);
+}
+
 /**
  * Send an error notification
  * @param {string} errorMessage - The error message
@@ -205,12 +405,20 @@ Time: ${new Date().toLocaleString()}
 }
 
 /**
- * Send a system status notification
+ * Send a system status notification - the scheduled portfolio report (see reports.js)
  * @param {Object} status - System status information
- * @param {boolean} status.serverRunning - Whether the server is running
+ * @param {string} status.title - The report title, e.g. "DAILY REPORT"
+ * @param {string} status.period - The report's period, in the report time zone
  * @param {boolean} status.dbConnected - Whether the database is connected
  * @param {boolean} status.binanceConnected - Whether Binance API is connected
- * @param {Object} status.balances - Account balances
+ * @param {boolean} status.autoTradingEnabled - Whether auto-trading is on
+ * @param {boolean} status.circuitBreakerTripped - Whether the circuit breaker is tripped
+ * @param {number} status.usdtBalance - The USDT balance
+ * @param {number} status.equity - USDT plus the value of the holdings
+ * @param {number} status.unvaluedSymbols - Holdings without any price, left out of the equity
+ * @param {Array} status.holdings - { symbol, quantity, price, isLive, value, unrealizedPnl } per holding
+ * @param {Array} status.trades - { symbol, buyCount, sellCount, boughtUsdt, soldUsdt, feesUsdt, realizedPnl } per traded symbol
+ * @param {number} status.realizedPnl - Realized P&L of the period's sells
  * @returns {Promise<boolean>} True if the notification was sent
  */
 async function sendStatusNotification(status) {
@@ -219,25 +427,48 @@ async function sendStatusNotification(status) {
     return false;
   }
 
-  const { serverRunning, dbConnected, binanceConnected, balances } = status;
+  const { title, period, dbConnected, binanceConnected, autoTradingEnabled, circuitBreakerTripped, usdtBalance, equity, unvaluedSymbols, holdings, trades, realizedPnl } = status;
+  const formatUsdt = (value) => `$${(value || 0).toFixed(2)}`;
+  const formatPnl = (value) => `${value >= 0 ? '+' : '-'}$${Math.abs(value || 0).toFixed(2)}`;
   
-  // Format the message
-  let balanceInfo = '';
-  if (balances) {
-    balanceInfo = '\n<b>Balances:</b>\n';
-    Object.entries(balances).forEach(([symbol, amount]) => {
-      balanceInfo += `${symbol}: ${amount}\n`;
-    });
+  // Holdings valued at the last trade price are marked with ~
+  let holdingInfo = 'None';
+  if (holdings && holdings.length > 0) {
+    holdingInfo = holdings.map(({ symbol, quantity, price, isLive, value, unrealizedPnl }) => {
+      if (!(price > 0)) {
+        return `${symbol}: ${quantity} (no price)`;
+      }
+      const pnl = unrealizedPnl !== null ? `, unrealized ${formatPnl(unrealizedPnl)}` : '';
+      return `${symbol}: ${quantity} @ ${isLive ? '' : '~'}$${price.toFixed(4)} = ${formatUsdt(value)}${pnl}`;
+    }).join('\n');
+  }
+  
+  let tradeInfo = 'No trades';
+  if (trades && trades.length > 0) {
+    const fees = trades.reduce((sum, row) => sum + row.feesUsdt, 0);
+    const lines = trades.map(({ symbol, buyCount, sellCount, boughtUsdt, soldUsdt }) =>
+      `${symbol}: ${buyCount} buys (${formatUsdt(boughtUsdt)}), ${sellCount} sells (${formatUsdt(soldUsdt)})`
+    );
+    tradeInfo = `${lines.join('\n')}\nFees: ${formatUsdt(fees)}`;
   }
   
   const message = `
-= <b>SYSTEM STATUS</b>
+📅 <b>${title || 'SYSTEM STATUS'}</b>
+${period || ''}
 
-Server: ${serverRunning ? '' : 'L'}
-Database: ${dbConnected ? '' : 'L'}
-Binance API: ${binanceConnected ? '' : 'L'}
-${balanceInfo}
-Time: ${new Date().toLocaleString()}
+Total equity: ${formatUsdt(equity)}${unvaluedSymbols > 0 ? ` (${unvaluedSymbols} holding(s) without a price not included)` : ''}
+USDT: ${formatUsdt(usdtBalance)}
+
+<b>Holdings:</b>
+${holdingInfo}
+
+<b>Trades:</b>
+${tradeInfo}
+Realized P&amp;L: ${formatPnl(realizedPnl)}
+
+Auto-trading: ${autoTradingEnabled ? 'ON' : 'OFF'}${circuitBreakerTripped ? ' (circuit breaker tripped)' : ''}
+Database: ${dbConnected ? '✅' : '❌'}
+Binance API: ${binanceConnected ? '✅' : '❌'}
   `;
   
   return sendMessage(message);
@@ -261,7 +492,13 @@ function stop() {
 module.exports = {
   initialize,
   sendMessage,
+  escapeHtml,
+  registerCommands,
+  registerAction,
+  editMessage,
   sendTradeNotification,
+  sendStopLossAlert,
+  sendCircuitBreakerAlert,
   sendErrorNotification,
   sendStatusNotification,
   stop
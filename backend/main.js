@@ -12,6 +12,15 @@ const path = require('path');
 const binance = require('./js/binance');
 const db = require('./js/dbconns');
 const telegram = require('./js/telegram');
+const backtest = require('./js/backtest');
+const recorder = require('./js/recorder');
+const strategies = require('./js/strategies');
+const lots = require('./js/lots');
+const accounting = require('./js/accounting');
+const auth = require('./js/auth');
+const commands = require('./js/commands');
+const reports = require('./js/reports');
+const { CANDLE_INTERVALS } = require('./js/candles');
 const EventEmitter = require('events');
 
 // Get the binance event emitter
@@ -30,52 +39,81 @@ console.log(`WebSocket URL: ${process.env.BINANCE_WEBSOCKET_URL}`);
 console.log(`External Host: ${process.env.EXTERNAL_HOST}`);
 console.log(`Backend URL: ${process.env.VITE_BACKEND_URL}`);
 console.log(`Using testnet environment: ${process.env.BINANCE_API_URL?.includes('testnet') ? 'YES' : 'NO'}`);
+console.log(`Exchange mode: ${process.env.EXCHANGE_MODE || 'live'}`);
 console.log('===================================');
 
+// Most candles returned by one /api/candles request
+const MAX_CANDLES_PER_REQUEST = 1000;
+
+// Lowest role allowed to send each Socket.IO event (see auth.js) - events not listed need an admin
+const EVENT_ROLES = Object.freeze({
+  'get-system-status': 'viewer',
+  'get-account-info': 'viewer',
+  'batch-get-data': 'viewer',
+  'get-strategy-configs': 'viewer',
+  'get-grid-levels': 'viewer',
+  'get-circuit-breaker': 'viewer',
+  'test-binance-stream': 'viewer',
+  'buy-crypto': 'trader',
+  'sell-crypto': 'trader',
+  'run-backtest': 'trader',
+  'set-auto-trading': 'admin',
+  'update-strategy-config': 'admin',
+  'set-symbol-auto-trading': 'admin',
+  'reset-strategy-state': 'admin',
+  'acknowledge-circuit-breaker': 'admin',
+  'add-symbol': 'admin',
+  'remove-symbol': 'admin'
+});
+
 // Create Express app
 const app = express();
 const server = http.createServer(app);
 
-// Middleware - disable CORS restrictions completely
-app.use(cors({
-  origin: '*',
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: '*',
-  credentials: true
-}));
-app.use(express.json());
-
-// Additional headers to ensure CORS is disabled
-app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', '*');
-  next();
-});
-
-// Determine the allowed origins for Socket.IO
-let corsOrigin = "*";
-if (process.env.EXTERNAL_HOST) {
+// Determine the browser origins allowed to use the API and Socket.IO:
+// CORS_ORIGINS (comma separated), or the dashboard on EXTERNAL_HOST and localhost
+let corsOrigin = [
+  "http://localhost",
+  "http://localhost:80",
+  "http://localhost:3000",
+  "http://127.0.0.1",
+  "http://127.0.0.1:80"
+];
+if (process.env.CORS_ORIGINS) {
+  corsOrigin = process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean);
+} else if (process.env.EXTERNAL_HOST) {
   corsOrigin = [
     `http://${process.env.EXTERNAL_HOST}`,
     `http://${process.env.EXTERNAL_HOST}:80`,
-    "http://localhost",
-    "http://localhost:80",
-    "http://localhost:3000"
+    ...corsOrigin
   ];
 }
+console.log(`Allowed origins: ${corsOrigin.join(', ')}`);
+
+// Middleware - only the dashboard's origins get CORS headers; requests also need a login token
+app.use(cors({
+  origin: corsOrigin,
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['Content-Disposition']
+}));
+app.use(express.json());
 
 // Get transports from environment or use defaults
 const transports = (process.env.SOCKET_TRANSPORTS || 'websocket,polling').split(',');
 console.log(`Socket.IO using transports: ${transports.join(', ')}`);
 
-// Create Socket.IO server with fully permissive CORS
+// Create Socket.IO server - CORS headers don't apply to WebSocket upgrades, so browser
+// origins are also checked in allowRequest (clients without an Origin still need a token)
 const io = socketIo(server, {
   cors: {
     origin: corsOrigin,
-    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
-    credentials: true
+    methods: ["GET", "POST"],
+    allowedHeaders: ["Content-Type", "Authorization"]
+  },
+  allowRequest: (req, callback) => {
+    const origin = req.headers.origin;
+    callback(null, !origin || corsOrigin.includes(origin));
   },
   path: '/socket.io',
   transports: transports,
@@ -122,6 +160,18 @@ async function startServer() {
       const dbInitialized = await dbPromise;
       appState.isDbConnected = dbInitialized;
       console.log('Database connected:', dbInitialized);
+      
+      // Create tables added since the database volume was first initialized
+      if (dbInitialized) {
+        await db.ensureSchema();
+        
+        // Load the session token secret and create the first dashboard user
+        try {
+          await auth.initialize();
+        } catch (authError) {
+          console.error('Authentication initialization error:', authError);
+        }
+      }
     } catch (dbError) {
       console.error('Database initialization error:', dbError);
       appState.isDbConnected = false;
@@ -132,6 +182,9 @@ async function startServer() {
       console.log('Initializing Telegram bot...');
       telegram.initialize();
       console.log('Telegram bot initialized');
+      
+      // Chat commands share the dashboard's status and auto-trading functions
+      commands.initialize({ getSystemStatus, setAutoTrading });
     } catch (telegramError) {
       console.error('Telegram initialization error:', telegramError);
     }
@@ -148,9 +201,23 @@ async function startServer() {
         setupBinanceHandlers();
         
         // Critical functionality: Perform initial account balance update and reference price setup
+        // Reference prices are only zeroed on the very first run (requirement 1.2) - after that
+        // they are persisted so open positions keep their buy/sell targets across restarts
+        let isFirstRun = false;
         try {
+          try {
+            isFirstRun = await db.isFirstRun();
+          } catch (firstRunError) {
+            // Never wipe reference prices when we can't tell - a reset is available from the dashboard
+            console.error('Could not determine first run, keeping existing reference prices:', firstRunError.message);
+          }
+          
           console.log('Performing initial account balance update and reference price initialization...');
-          console.log('NOTE: On first app run, all reference_prices values will be set to 0 for all symbols per requirement 1.2');
+          if (isFirstRun) {
+            console.log('NOTE: First app run - all reference_prices values will be set to 0 for all symbols per requirement 1.2');
+          } else {
+            console.log('Existing installation - keeping persisted reference prices');
+          }
           
           // First check if we need to create the reference_prices table or ensure it exists
           try {
@@ -173,13 +240,13 @@ async function startServer() {
             console.error('Error ensuring reference_prices table exists:', tableError);
           }
           
-          // Call updateAccountBalances with isFirstRun=true flag to trigger reference price setup
-          // This implements requirements 1.1 and 1.2 - read balances from Binance and initialize reference_prices to 0
-          await binance.updateAccountBalances(true);
+          // Call updateAccountBalances with the isFirstRun flag to trigger reference price setup
+          // This implements requirements 1.1 and 1.2 - read balances from Binance and, on first run, initialize reference_prices to 0
+          await binance.updateAccountBalances(isFirstRun);
           console.log('Initial account balance update and reference price initialization completed successfully');
           
-          // Verify the reference prices were set correctly for all symbols
-          console.log('Verifying reference prices are correctly set for all symbols...');
+          // Verify the reference prices exist (and on first run, are zero) for all symbols
+          console.log('Verifying reference prices for all symbols...');
           const accountBalances = await db.getAccountBalances();
           const supportedSymbols = binance.getSupportedSymbols();
           
@@ -208,10 +275,10 @@ async function startServer() {
               // This applies to ALL symbols whether they have holdings or not
               
               // For all symbols, verify all prices are set to 0 at first run
-              if (refPrices.firstTransactionPrice !== 0 || 
+              if (isFirstRun && (refPrices.firstTransactionPrice !== 0 || 
                   refPrices.lastTransactionPrice !== 0 || 
                   refPrices.nextBuyPrice !== 0 || 
-                  refPrices.nextSellPrice !== 0) {
+                  refPrices.nextSellPrice !== 0)) {
                 console.error(`ERROR: Symbol ${symbol} has reference prices not set to 0 at first run!`);
                 
                 // Force reset to zero on verification failure to ensure compliance with requirements
@@ -271,11 +338,15 @@ async function startServer() {
         // Import historical trades if needed
         try {
           console.log('Checking and importing historical trades...');
-          const importStats = await binance.importHistoricalTrades();
+          const importStats = await binance.importHistoricalTrades(false, isFirstRun);
           if (importStats.totalImported > 0) {
             console.log(`Successfully imported ${importStats.totalImported} historical trades for ${importStats.symbolsProcessed} symbols`);
             telegram.sendMessage(`Imported ${importStats.totalImported} historical trades for ${importStats.symbolsProcessed} symbols`);
-            
+          } else {
+            console.log('No new historical trades to import');
+          }
+          
+          if (importStats.totalImported > 0 && isFirstRun) {
             // Verify again that reference prices are set to 0 for all symbols as per requirement 1.2
             // This ensures that even after importing historical trades, reference prices remain at 0
             console.log('Re-verifying reference prices are at 0 for all symbols after trade import...');
@@ -300,19 +371,34 @@ async function startServer() {
                 `, [symbol]);
               }
             }
-          } else {
-            console.log('No new historical trades to import');
           }
         } catch (importError) {
           console.error('Error importing historical trades:', importError);
           // Continue anyway - this is not critical for startup
         }
+        
+        // First-run setup is done - later restarts keep the reference prices
+        if (isFirstRun) {
+          try {
+            await db.markInstalled();
+            console.log('Install marker saved - reference prices will persist across restarts');
+          } catch (markerError) {
+            console.error('Error saving install marker:', markerError);
+          }
+        }
       }
     } catch (binanceError) {
       console.error('Binance initialization error:', binanceError);
       appState.isBinanceConnected = false;
     }
     
+    try {
+      // Schedule the daily and weekly Telegram reports
+      await reports.initialize();
+    } catch (reportsError) {
+      console.error('Report scheduler initialization error:', reportsError);
+    }
+    
     // Send startup notification
     const statusMessage = `
       Backend server started successfully
@@ -377,7 +463,8 @@ function setupBinanceHandlers() {
         io.emit('threshold-update', {
           symbol: tradedSymbol,
           nextBuyPrice: tradeData.newThresholds.nextBuyPrice,
-          nextSellPrice: tradeData.newThresholds.nextSellPrice
+          nextSellPrice: tradeData.newThresholds.nextSellPrice,
+          trailingStopPrice: tradeData.newThresholds.trailingStopPrice
         });
       }
     } catch (fastUpdateError) {
@@ -424,8 +511,10 @@ function setupBinanceHandlers() {
             holdings: parseFloat(databaseBalance).toFixed(8),
             nextBuyPrice: parseFloat(refPrices.nextBuyPrice),
             nextSellPrice: parseFloat(refPrices.nextSellPrice),
+            trailingStopPrice: parseFloat(refPrices.trailingStopPrice) || 0,
             profitLossPercentage: parseFloat(profitLossPercentage),
-            lastTransactionPrice: parseFloat(refPrices.lastTransactionPrice)
+            lastTransactionPrice: parseFloat(refPrices.lastTransactionPrice),
+            pnl: await getPnlBreakdown(tradedSymbol, currentPrice)
           };
           
           io.emit('crypto-data-update', tradedSymbolData);
@@ -474,8 +563,10 @@ function setupBinanceHandlers() {
               holdings: parseFloat(databaseBalance).toFixed(8),
               nextBuyPrice: parseFloat(refPrices.nextBuyPrice),
               nextSellPrice: parseFloat(refPrices.nextSellPrice),
+              trailingStopPrice: parseFloat(refPrices.trailingStopPrice) || 0,
               profitLossPercentage: parseFloat(profitLossPercentage),
-              lastTransactionPrice: parseFloat(refPrices.lastTransactionPrice)
+              lastTransactionPrice: parseFloat(refPrices.lastTransactionPrice),
+              pnl: await getPnlBreakdown(symbol, currentPrice)
             };
             
             // Broadcast the fresh data to all clients
@@ -495,6 +586,87 @@ function setupBinanceHandlers() {
     // Forward the auto-trading check event to the frontend
     io.emit('auto-trading-check', checkData);
   });
+  
+  // Handle trading pair list changes
+  binanceEvents.on('symbols_updated', (symbols) => {
+    // Broadcast the new list so every dashboard re-renders its cards
+    io.emit('symbols-updated', { symbols });
+  });
+  
+  // Handle strategy state resets
+  binanceEvents.on('strategy_state_reset', ({ symbols }) => {
+    // All thresholds are 0 after a reset
+    for (const symbol of symbols) {
+      io.emit('threshold-update', {
+        symbol,
+        nextBuyPrice: 0,
+        nextSellPrice: 0,
+        lastTransactionPrice: 0,
+        trailingStopPrice: 0
+      });
+    }
+    
+    io.emit('strategy-state-reset', { symbols });
+  });
+  
+  // Handle trailing take-profit changes (armed, new high, disarmed)
+  binanceEvents.on('trailing_stop_updated', (trailingData) => {
+    io.emit('threshold-update', {
+      symbol: trailingData.symbol,
+      trailingStopPrice: trailingData.trailingStopPrice
+    });
+  });
+  
+  // Handle position caps blocking auto-trading buys
+  binanceEvents.on('limit_reached', (limitData) => {
+    io.emit('limit-reached', limitData);
+  });
+  
+  binanceEvents.on('limit_cleared', (limitData) => {
+    io.emit('limit-cleared', limitData);
+  });
+  
+  // Handle stop-loss sells
+  binanceEvents.on('stop_loss_triggered', (stopLossData) => {
+    io.emit('stop-loss-triggered', stopLossData);
+  });
+  
+  // Handle circuit breaker trips and acknowledgements
+  binanceEvents.on('circuit_breaker', (status) => {
+    io.emit('circuit-breaker-status', db.convertBigIntToNumber(status));
+  });
+  
+  // Handle candle updates (throttled per symbol and interval, plus one when a candle closes)
+  binanceEvents.on('candle_update', (candle) => {
+    io.emit('candle-update', candle);
+  });
+  
+  // Handle grid ladder changes (orders placed, filled or canceled)
+  binanceEvents.on('grid_levels_updated', (gridData) => {
+    io.emit('grid-levels-update', gridData);
+  });
+  
+  // Handle per-symbol auto-trading pauses (set by a stop-loss, cleared from the dashboard)
+  binanceEvents.on('symbol_auto_trading_updated', (pauseData) => {
+    io.emit('symbol-auto-trading-updated', pauseData);
+  });
+  
+  // Handle real-time balance changes from the user data stream
+  binanceEvents.on('balance_update', (balanceData) => {
+    io.emit('balance-update', balanceData);
+  });
+  
+  // Handle per-symbol strategy config changes
+  binanceEvents.on('strategy_config_updated', ({ config, thresholds }) => {
+    // Keep every dashboard's settings panel in sync
+    io.emit('strategy-config-updated', config);
+    
+    // The thresholds were recalculated with the new percentages
+    io.emit('threshold-update', {
+      symbol: config.symbol,
+      ...thresholds
+    });
+  });
 }
 
 /**
@@ -572,14 +744,55 @@ function setupSocketIO() {
       symbol: data.symbol,
       nextBuyPrice: data.nextBuyPrice,
       nextSellPrice: data.nextSellPrice,
-      lastTransactionPrice: data.lastTransactionPrice
+      lastTransactionPrice: data.lastTransactionPrice,
+      trailingStopPrice: data.trailingStopPrice
     });
   });
 
+  // Every socket must present a login token in its handshake (see auth.js)
+  io.use(auth.socketMiddleware);
+  
   io.on('connection', (socket) => {
-    console.log('Client connected:', socket.id);
+    console.log(`Client connected: ${socket.id} (${socket.data.user.username}, ${socket.data.user.role})`);
     appState.clients.add(socket.id);
     
+    // Check the user's role on every event - refused events are dropped with an 'unauthorized' event
+    // that echoes the request ID, if the event carried one
+    socket.use(async ([event, data], next) => {
+      const requiredRole = EVENT_ROLES[event] || 'admin';
+      const requestId = data && data.requestId;
+      
+      // Events that change something check the token again, so a removed user, a new password or
+      // a lower role takes effect right away instead of on the next connection
+      if (requiredRole !== 'viewer') {
+        try {
+          socket.data.user = (await auth.authenticate(socket.handshake.auth.token)).user;
+        } catch (error) {
+          if (error.code === 'UNAUTHORIZED') {
+            socket.emit('session-expired');
+            socket.disconnect(true);
+          } else {
+            socket.emit('unauthorized', { event, requestId, code: error.code, requiredRole, error: error.message });
+          }
+          return;
+        }
+      }
+      
+      if (auth.hasRole(socket.data.user, requiredRole)) {
+        return next();
+      }
+      
+      console.warn(`Refused ${event} from ${socket.data.user.username} (${socket.data.user.role}, needs ${requiredRole})`);
+      socket.emit('unauthorized', {
+        event,
+        requestId,
+        code: 'FORBIDDEN',
+        role: socket.data.user.role,
+        requiredRole,
+        error: `Your role (${socket.data.user.role}) can't do this - it needs ${requiredRole}`
+      });
+    });
+    
     // Send system status on connection
     sendSystemStatus(socket);
     
@@ -674,7 +887,7 @@ function setupSocketIO() {
         const pricePromises = data.symbols.map(fullSymbol => {
           const symbol = fullSymbol.replace('USDT', '');
           return binance.getSymbolPrice(fullSymbol)
-            .then(priceData => {
+            .then(async priceData => {
               // Calculate profit/loss percentage
               const currentPrice = parseFloat(priceData.price);
               const holding = holdings[symbol] || { averageBuyPrice: 0 };
@@ -703,8 +916,10 @@ function setupSocketIO() {
                 holdings: parseFloat(databaseBalance).toFixed(8),
                 nextBuyPrice: parseFloat(refPrices.nextBuyPrice),
                 nextSellPrice: parseFloat(refPrices.nextSellPrice),
+                trailingStopPrice: parseFloat(refPrices.trailingStopPrice) || 0,
                 profitLossPercentage: parseFloat(profitLossPercentage),
-                lastTransactionPrice: parseFloat(refPrices.lastTransactionPrice)
+                lastTransactionPrice: parseFloat(refPrices.lastTransactionPrice),
+                pnl: await getPnlBreakdown(symbol, currentPrice)
               };
             })
             .catch(err => {
@@ -791,8 +1006,10 @@ function setupSocketIO() {
               holdings: parseFloat(databaseBalance).toFixed(8),
               nextBuyPrice: parseFloat(refPrices.nextBuyPrice),
               nextSellPrice: parseFloat(refPrices.nextSellPrice),
+              trailingStopPrice: parseFloat(refPrices.trailingStopPrice) || 0,
               profitLossPercentage: parseFloat(profitLossPercentage),
-              lastTransactionPrice: parseFloat(refPrices.lastTransactionPrice)
+              lastTransactionPrice: parseFloat(refPrices.lastTransactionPrice),
+              pnl: await getPnlBreakdown(data.symbol, currentPrice)
             };
             
             // Double-check the data before sending to client
@@ -878,8 +1095,10 @@ function setupSocketIO() {
               holdings: parseFloat(databaseBalance).toFixed(8),
               nextBuyPrice: parseFloat(refPrices.nextBuyPrice),
               nextSellPrice: parseFloat(refPrices.nextSellPrice),
+              trailingStopPrice: parseFloat(refPrices.trailingStopPrice) || 0,
               profitLossPercentage: parseFloat(profitLossPercentage),
-              lastTransactionPrice: parseFloat(refPrices.lastTransactionPrice)
+              lastTransactionPrice: parseFloat(refPrices.lastTransactionPrice),
+              pnl: await getPnlBreakdown(data.symbol, currentPrice)
             };
             
             // Double-check the data before sending to client
@@ -910,45 +1129,11 @@ function setupSocketIO() {
     socket.on('set-auto-trading', async (data) => {
       if (data && typeof data.enabled === 'boolean') {
         try {
-          // Attempt to set auto-trading state
-          await binance.setAutoTrading(data.enabled);
-          
-          // If we get here, it was successful
+          // Attempt to set auto-trading state and start or stop the interval
+          const healthStatus = await setAutoTrading(data.enabled);
           console.log(`Auto-trading ${data.enabled ? 'enabled' : 'disabled'} successfully via socket request`);
           
-          // If enabling auto-trading, implement requirement 3.1 - check permanently with interval of 1 minute
-          if (data.enabled) {
-            // Perform immediate check first
-            performImmediateAutoTradingCheck();
-            
-            // Set up interval to check every minute (requirement 3.1)
-            if (!global.autoTradingInterval) {
-              global.autoTradingInterval = setInterval(() => {
-                if (binance.getHealthStatus().autoTradingEnabled) {
-                  // Removed frequent scheduled check log
-                  performImmediateAutoTradingCheck();
-                } else {
-                  // If auto-trading is disabled, clear the interval
-                  if (global.autoTradingInterval) {
-                    clearInterval(global.autoTradingInterval);
-                    global.autoTradingInterval = null;
-                    console.log('Auto-trading interval cleared');
-                  }
-                }
-              }, 60000); // Check every minute per requirement 3.1
-              console.log('Auto-trading interval started - checking every minute');
-            }
-          } else {
-            // If disabling auto-trading, clear the interval
-            if (global.autoTradingInterval) {
-              clearInterval(global.autoTradingInterval);
-              global.autoTradingInterval = null;
-              console.log('Auto-trading interval cleared');
-            }
-          }
-          
           // Send detailed status response
-          const healthStatus = binance.getHealthStatus(); 
           io.emit('auto-trading-status', { 
             enabled: data.enabled,
             success: true,
@@ -968,6 +1153,170 @@ function setupSocketIO() {
       }
     });
     
+    // Client requests the strategy settings of all trading pairs
+    socket.on('get-strategy-configs', async () => {
+      try {
+        const configs = await binance.getStrategyConfigs();
+        // The registered strategies and their parameter schemas build the settings form
+        socket.emit('strategy-configs', { configs, defaults: db.STRATEGY_DEFAULTS, strategies: strategies.listStrategies() });
+      } catch (error) {
+        console.error('Error getting strategy configs:', error);
+        socket.emit('strategy-configs', { error: error.message });
+      }
+    });
+    
+    // Client updates (or resets) the strategy settings of a trading pair
+    socket.on('update-strategy-config', async (data) => {
+      try {
+        if (!data || !data.symbol) {
+          socket.emit('strategy-config-result', { success: false, error: 'Invalid request' });
+          return;
+        }
+        
+        const config = await binance.updateStrategyConfig(data.symbol, data);
+        socket.emit('strategy-config-result', { success: true, config });
+      } catch (error) {
+        console.error('Error updating strategy config:', error.message);
+        socket.emit('strategy-config-result', { success: false, symbol: data && data.symbol, error: error.message });
+      }
+    });
+    
+    // Client requests the resting limit orders of a grid_limit pair
+    socket.on('get-grid-levels', async (data) => {
+      try {
+        if (!data || !data.symbol) {
+          socket.emit('grid-levels', { success: false, error: 'Invalid request' });
+          return;
+        }
+        
+        const levels = await binance.getGridLevels(data.symbol);
+        socket.emit('grid-levels', { success: true, symbol: data.symbol, levels });
+      } catch (error) {
+        console.error('Error getting grid levels:', error.message);
+        socket.emit('grid-levels', { success: false, symbol: data && data.symbol, error: error.message });
+      }
+    });
+    
+    // Client pauses or resumes auto-trading for one trading pair
+    socket.on('set-symbol-auto-trading', async (data) => {
+      try {
+        if (!data || !data.symbol || typeof data.paused !== 'boolean') {
+          socket.emit('symbol-auto-trading-result', { success: false, error: 'Invalid request' });
+          return;
+        }
+        
+        const reason = data.paused ? 'Paused from the dashboard' : null;
+        const symbol = await binance.setSymbolAutoTradingPaused(data.symbol, data.paused, reason);
+        socket.emit('symbol-auto-trading-result', { success: true, symbol });
+      } catch (error) {
+        console.error('Error changing symbol auto-trading pause:', error.message);
+        socket.emit('symbol-auto-trading-result', { success: false, symbol: data && data.symbol, error: error.message });
+      }
+    });
+    
+    // Client runs a backtest over a kline file in BACKTEST_DATA_DIR
+    // Strategy values not given in the request come from the pair's stored settings
+    socket.on('run-backtest', async (data) => {
+      try {
+        if (!data || !data.symbol || !data.file) {
+          socket.emit('backtest-result', { success: false, error: 'Symbol and kline file are required' });
+          return;
+        }
+        
+        const symbol = String(data.symbol).trim().toUpperCase().replace(/USDT$/, '');
+        const storedStrategy = await db.getStrategyConfig(symbol);
+        
+        // Runs in a worker thread - the server keeps handling prices and auto-trading meanwhile
+        const result = await backtest.runInWorker({
+          file: data.file,
+          from: data.from,
+          to: data.to,
+          options: {
+            symbol,
+            strategy: { ...storedStrategy, ...(data.strategy || {}) },
+            feeRate: data.feeRate,
+            slippage: data.slippage,
+            initialBalance: data.initialBalance,
+            initialBuy: data.initialBuy
+          }
+        });
+        
+        console.log(`Backtest ${symbol} (${data.file}) for client ${socket.id}: ${result.summary.totalReturnPercent.toFixed(2)}% return over ${result.period.klines} klines`);
+        socket.emit('backtest-result', { success: true, result });
+      } catch (error) {
+        console.error('Error running backtest:', error.message);
+        socket.emit('backtest-result', { success: false, error: error.message });
+      }
+    });
+    
+    // Client requests the circuit breaker status with current metrics
+    socket.on('get-circuit-breaker', async () => {
+      try {
+        const status = await binance.getCircuitBreakerStatus();
+        socket.emit('circuit-breaker-status', db.convertBigIntToNumber(status));
+      } catch (error) {
+        console.error('Error getting circuit breaker status:', error.message);
+      }
+    });
+    
+    // Client acknowledges a tripped circuit breaker - required before auto-trading can be enabled again
+    socket.on('acknowledge-circuit-breaker', async () => {
+      try {
+        const status = await binance.acknowledgeCircuitBreaker(`dashboard client ${socket.id}`);
+        socket.emit('acknowledge-circuit-breaker-result', { success: true, status });
+      } catch (error) {
+        console.error('Error acknowledging circuit breaker:', error.message);
+        socket.emit('acknowledge-circuit-breaker-result', { success: false, error: error.message });
+      }
+    });
+    
+    // Client resets the strategy state of one trading pair, or all when no symbol is given
+    socket.on('reset-strategy-state', async (data) => {
+      const symbol = data && data.symbol ? data.symbol : null;
+      
+      try {
+        const symbols = await binance.resetStrategyState(symbol, `dashboard client ${socket.id}`);
+        socket.emit('reset-strategy-state-result', { success: true, symbols });
+      } catch (error) {
+        console.error('Error resetting strategy state:', error.message);
+        socket.emit('reset-strategy-state-result', { success: false, symbol, error: error.message });
+      }
+    });
+    
+    // Client adds a trading pair - the result echoes the request ID so the dashboard can match it
+    socket.on('add-symbol', async (data) => {
+      const requestId = data ? data.requestId : undefined;
+      try {
+        if (!data || !data.symbol) {
+          socket.emit('symbol-result', { success: false, action: 'add', requestId, error: 'Invalid request' });
+          return;
+        }
+        
+        const symbol = await binance.addSymbol(data);
+        socket.emit('symbol-result', { success: true, action: 'add', requestId, symbol });
+      } catch (error) {
+        console.error('Error adding trading pair:', error.message);
+        socket.emit('symbol-result', { success: false, action: 'add', requestId, error: error.message });
+      }
+    });
+    
+    // Client removes a trading pair
+    socket.on('remove-symbol', async (data) => {
+      const requestId = data ? data.requestId : undefined;
+      try {
+        if (!data || !data.symbol) {
+          socket.emit('symbol-result', { success: false, action: 'remove', requestId, error: 'Invalid request' });
+          return;
+        }
+        
+        await binance.removeSymbol(data.symbol);
+        socket.emit('symbol-result', { success: true, action: 'remove', requestId, symbol: { symbol: data.symbol } });
+      } catch (error) {
+        console.error('Error removing trading pair:', error.message);
+        socket.emit('symbol-result', { success: false, action: 'remove', requestId, error: error.message });
+      }
+    });
+    
     // Test Binance stream connection
     socket.on('test-binance-stream', async () => {
       try {
@@ -1061,8 +1410,10 @@ async function getUpdateDataForSymbol(symbol) {
       holdings: parseFloat(databaseBalance).toFixed(8), // Always use the database balance which is now synced with Binance, with proper decimal precision
       nextBuyPrice: parseFloat(refPrices.nextBuyPrice), // Ensure it's a regular number
       nextSellPrice: parseFloat(nextSellPrice), // Ensure it's a regular number
+      trailingStopPrice: parseFloat(refPrices.trailingStopPrice) || 0,
       profitLossPercentage: parseFloat(profitLossPercentage),
-      lastTransactionPrice: parseFloat(refPrices.lastTransactionPrice) // Ensure it's a regular number
+      lastTransactionPrice: parseFloat(refPrices.lastTransactionPrice), // Ensure it's a regular number
+      pnl: await getPnlBreakdown(symbol, currentPrice) // Realized P&L of past sells and unrealized P&L of the open lots
     };
   } catch (error) {
     console.error(`Error getting updated data for ${symbol}:`, error);
@@ -1071,10 +1422,25 @@ async function getUpdateDataForSymbol(symbol) {
 }
 
 /**
- * Send system status to a client
- * @param {Object} socket - The socket.io client
+ * Get the realized/unrealized P&L breakdown shown on a symbol's card
+ * @param {string} symbol - The cryptocurrency symbol
+ * @param {number} price - The current price
+ * @returns {Promise<Object|null>} { method, realized, unrealized, openQuantity, costBasis, averageCost }, or null if unavailable
  */
-function sendSystemStatus(socket) {
+async function getPnlBreakdown(symbol, price) {
+  try {
+    return lots.getBreakdown(await db.getPnlSummary(symbol), price);
+  } catch (error) {
+    // getPnlSummary already logged the error; the card keeps its last breakdown
+    return null;
+  }
+}
+
+/**
+ * Collect the system status shown on the dashboard and by the Telegram /status command
+ * @returns {Object} The status
+ */
+function getSystemStatus() {
   // Get actual auto-trading status from binance module
   const healthStatus = binance.getHealthStatus();
 
@@ -1084,13 +1450,65 @@ function sendSystemStatus(socket) {
     dbConnected: appState.isDbConnected,
     binanceConnected: appState.isBinanceConnected,
     activeClients: appState.clients.size,
-    autoTradingEnabled: healthStatus.autoTradingEnabled // Use actual auto-trading state
+    autoTradingEnabled: healthStatus.autoTradingEnabled, // Use actual auto-trading state
+    exchangeMode: healthStatus.exchangeMode,
+    userStreamConnected: healthStatus.userStreamStatus,
+    circuitBreakerTripped: healthStatus.circuitBreakerTripped
   };
   
   // Convert any BigInt values to numbers
-  const safeStatusData = db.convertBigIntToNumber(statusData);
+  return db.convertBigIntToNumber(statusData);
+}
+
+/**
+ * Send system status to a client
+ * @param {Object} socket - The socket.io client
+ */
+function sendSystemStatus(socket) {
+  socket.emit('system-status', getSystemStatus());
+}
+
+/**
+ * Enable or disable auto-trading, from the dashboard or a Telegram command
+ * Enabling runs a check right away and then every minute (requirement 3.1); disabling stops the checks.
+ * @param {boolean} enabled - Whether auto-trading should be enabled
+ * @returns {Promise<Object>} The binance health status after the change
+ */
+async function setAutoTrading(enabled) {
+  // Throws if auto-trading can't be enabled (connection down, circuit breaker tripped)
+  await binance.setAutoTrading(enabled);
+  
+  if (enabled) {
+    // Perform immediate check first
+    performImmediateAutoTradingCheck();
+    
+    // Set up interval to check every minute (requirement 3.1)
+    if (!global.autoTradingInterval) {
+      global.autoTradingInterval = setInterval(() => {
+        if (binance.getHealthStatus().autoTradingEnabled) {
+          // Removed frequent scheduled check log
+          performImmediateAutoTradingCheck();
+        } else {
+          // If auto-trading is disabled, clear the interval
+          if (global.autoTradingInterval) {
+            clearInterval(global.autoTradingInterval);
+            global.autoTradingInterval = null;
+            console.log('Auto-trading interval cleared');
+          }
+        }
+      }, 60000); // Check every minute per requirement 3.1
+      console.log('Auto-trading interval started - checking every minute');
+    }
+  } else {
+    // If disabling auto-trading, clear the interval
+    if (global.autoTradingInterval) {
+      clearInterval(global.autoTradingInterval);
+      global.autoTradingInterval = null;
+      console.log('Auto-trading interval cleared');
+    }
+  }
   
-  socket.emit('system-status', safeStatusData);
+  return binance.getHealthStatus();
 }
 
 /**
@@ -1107,11 +1525,127 @@ function setupApiRoutes() {
     });
   });
   
+  // Log in with a dashboard user: { username, password } -> { token, expiresAt, user }
+  app.post('/api/auth/login', async (req, res) => {
+    try {
+      const { username, password } = req.body || {};
+      const session = await auth.login(username, password);
+      res.json({ success: true, ...session });
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, error: error.message, code: error.code });
+    }
+  });
+  
+  // Everything else under /api needs a valid token
+  app.use('/api', auth.requireAuth);
+  
+  // The logged in user, used by the dashboard to check a stored token
+  app.get('/api/auth/me', (req, res) => {
+    res.json({ success: true, user: req.user });
+  });
+  
   // API routes for trading operations
   app.get('/api/symbols', (req, res) => {
-    const symbols = binance.getSupportedSymbols();
+    const symbols = binance.getSymbolDetails();
     res.json({ symbols });
   });
+  
+  app.post('/api/symbols', auth.requireRole('admin'), async (req, res) => {
+    try {
+      const symbol = await binance.addSymbol(req.body || {});
+      res.status(201).json({ success: true, symbol });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+  
+  app.delete('/api/symbols/:symbol', auth.requireRole('admin'), async (req, res) => {
+    try {
+      await binance.removeSymbol(req.params.symbol);
+      res.json({ success: true });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+  
+  // OHLC price history: /api/candles?symbol=BTC&interval=5m&from=<ms|ISO>&to=<ms|ISO>&limit=500
+  app.get('/api/candles', async (req, res) => {
+    const symbol = String(req.query.symbol || '').trim().toUpperCase().replace(/USDT$/, '');
+    const interval = String(req.query.interval || '1m');
+    
+    if (!binance.getSupportedSymbols().includes(symbol)) {
+      return res.status(400).json({ success: false, error: `Unknown trading pair "${req.query.symbol || ''}"` });
+    }
+    
+    if (!CANDLE_INTERVALS[interval]) {
+      return res.status(400).json({ success: false, error: `Unsupported interval "${interval}". Use ${Object.keys(CANDLE_INTERVALS).join(', ')}` });
+    }
+    
+    let from;
+    let to;
+    try {
+      from = parseTimeParam(req.query.from);
+      to = parseTimeParam(req.query.to);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    
+    // Between 1 and MAX_CANDLES_PER_REQUEST - a missing or invalid limit means 500
+    const limit = Math.max(1, Math.min(MAX_CANDLES_PER_REQUEST, parseInt(req.query.limit) || 500));
+    
+    try {
+      const candles = await binance.getCandles(symbol, interval, { from, to, limit });
+      res.json({ success: true, symbol, interval, candles });
+    } catch (error) {
+      // Database errors are logged, not sent to the client
+      console.error(`Error loading ${symbol} ${interval} candles:`, error.message);
+      res.status(500).json({ success: false, error: 'Failed to load candles' });
+    }
+  });
+  
+  // Accounting exports built from the trades table:
+  // /api/export/trades.csv and /api/export/realized-gains.csv?symbol=BTC&from=2025-01-01&to=2025-12-31 (or &year=2025)
+  for (const report of accounting.REPORTS) {
+    app.get(`/api/export/${report}.csv`, async (req, res) => {
+      let params;
+      try {
+        params = accounting.parseExportParams(req.query);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      
+      try {
+        const { filename, csv, rowCount } = await accounting.buildExport(report, params);
+        console.log(`Exported ${rowCount} rows to ${filename}`);
+        
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(csv);
+      } catch (error) {
+        // Database errors are logged, not sent to the client
+        console.error(`Error exporting ${report}.csv:`, error.message);
+        res.status(500).json({ success: false, error: 'Failed to build export' });
+      }
+    });
+  }
+}
+
+/**
+ * Parse a time query parameter given as milliseconds or a date string
+ * @param {string|undefined} value - The parameter
+ * @returns {number|null} Milliseconds since the epoch, or null if not set
+ */
+function parseTimeParam(value) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  
+  const time = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  
+  return time;
 }
 
 /**
@@ -1142,6 +1676,9 @@ async function shutdown() {
       global.autoTradingInterval = null;
       console.log('Auto-trading interval cleared during shutdown');
     }
+    
+    // No reports while the connections close
+    reports.stop();
   } catch (error) {
     console.error('Error saving app state during shutdown:', error);
   }
@@ -1149,6 +1686,10 @@ async function shutdown() {
   // Close Socket.IO connections
   io.close();
   
+  // Write buffered market data and open candles while the database is still open
+  await recorder.close();
+  await binance.saveCandles();
+  
   // Close Binance connections
   binance.close();
   
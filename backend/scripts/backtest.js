@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+// backend/scripts/backtest.js
+// Backtest CLI
+// Runs a strategy over a local kline file and prints the results
+//
+// Usage:
+//   node scripts/backtest.js --symbol BTC --file data/klines/BTCUSDT-1m.csv [options]
+//
+// Options:
+//   --from, --to             Date range (ISO date or milliseconds)
+//   --fee                    Fee per trade in percent (default 0.1)
+//   --slippage               Slippage per fill in percent (default 0)
+//   --balance                Starting USDT balance (default 1000)
+//   --strategy               Strategy module: threshold (default), grid or ma_dca
+//   --params                 Strategy parameters as key=value pairs, e.g. lowerPrice=90,upperPrice=110,gridLevels=10
+//   --buy-threshold          Buy threshold in percent (default BUY_THRESHOLD_PERCENT)
+//   --sell-threshold         Sell threshold in percent (default SELL_THRESHOLD_PERCENT)
+//   --amount                 USDT per buy (default AUTO_TRADE_INVESTMENT_AMOUNT)
+//   --stop-loss              Stop-loss in percent below the average entry
+//   --stop-loss-price        Stop-loss at a fixed price
+//   --trailing               Trailing take-profit in percent
+//   --max-dca-buys           Averaging buys allowed per position
+//   --max-position           Maximum USDT per position
+//   --no-initial-buy         Don't open a position at the first kline
+//   --json                   Print the full result as JSON
+
+const path = require('path');
+
+const db = require('../js/dbconns');
+const backtest = require('../js/backtest');
+
+/**
+ * Parse --key value pairs and --flags from the command line
+ * @param {Array<string>} argv - The arguments after the script name
+ * @returns {Object} The options by key
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) {
+      continue;
+    }
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+/**
+ * Convert an optional percentage argument to a fraction
+ * @param {string|undefined} value - The percentage
+ * @param {number|null} fallback - The value to use if not given
+ * @returns {number|null} The fraction (1 -> 0.01)
+ */
+function percentArg(value, fallback) {
+  return value === undefined ? fallback : parseFloat(value) / 100;
+}
+
+/**
+ * Parse strategy parameters given as key=value pairs separated by commas
+ * @param {string|undefined} value - The parameters
+ * @returns {Object} The parameters by key
+ */
+function paramsArg(value) {
+  if (typeof value !== 'string') {
+    return {};
+  }
+  return Object.fromEntries(value.split(',').filter(Boolean).map(pair => {
+    const [key, ...rest] = pair.split('=');
+    return [key.trim(), rest.join('=').trim()];
+  }));
+}
+
+/**
+ * Format a number for the summary
+ * @param {number|null} value - The value
+ * @param {number} decimals - Decimal places
+ * @returns {string} The formatted value
+ */
+function format(value, decimals = 2) {
+  return value === null || value === undefined ? '-' : value.toFixed(decimals);
+}
+
+/**
+ * Run the backtest and print the trades and summary
+ */
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.symbol || !args.file) {
+    console.error('Usage: node scripts/backtest.js --symbol BTC --file <klines.csv|klines.json> [--from 2024-01-01] [--to 2024-02-01] [options]');
+    process.exit(1);
+  }
+
+  const symbol = String(args.symbol).toUpperCase().replace(/USDT$/, '');
+  const defaults = db.STRATEGY_DEFAULTS;
+  const strategy = {
+    symbol,
+    buyThresholdPercent: percentArg(args['buy-threshold'], defaults.buyThresholdPercent),
+    sellThresholdPercent: percentArg(args['sell-threshold'], defaults.sellThresholdPercent),
+    investmentAmount: args.amount !== undefined ? parseFloat(args.amount) : defaults.investmentAmount,
+    stopLossPercent: percentArg(args['stop-loss'], defaults.stopLossPercent),
+    stopLossPrice: args['stop-loss-price'] !== undefined ? parseFloat(args['stop-loss-price']) : defaults.stopLossPrice,
+    trailingPercent: percentArg(args.trailing, defaults.trailingPercent),
+    maxDcaBuys: args['max-dca-buys'] !== undefined ? parseInt(args['max-dca-buys']) : defaults.maxDcaBuys,
+    maxExposureUsdt: args['max-position'] !== undefined ? parseFloat(args['max-position']) : defaults.maxExposureUsdt,
+    strategy: args.strategy || defaults.strategy,
+    strategyParams: paramsArg(args.params)
+  };
+
+  const klines = backtest.loadKlines(path.resolve(args.file), { from: args.from, to: args.to });
+  const result = backtest.runBacktest({
+    symbol,
+    klines,
+    strategy,
+    feeRate: percentArg(args.fee, undefined),
+    slippage: percentArg(args.slippage, undefined),
+    initialBalance: args.balance !== undefined ? parseFloat(args.balance) : undefined,
+    initialBuy: !args['no-initial-buy']
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  console.log(`\nBacktest ${symbol}USDT: ${result.period.from} - ${result.period.to} (${result.period.klines} klines)`);
+  const params = Object.entries(strategy.strategyParams).map(([key, value]) => `${key}=${value}`).join(', ');
+  console.log(`Strategy: ${strategy.strategy}${params ? ` (${params})` : ''}`);
+  console.log(`Buy ${format(strategy.buyThresholdPercent * 100)}% / Sell ${format(strategy.sellThresholdPercent * 100)}% / $${strategy.investmentAmount} per buy, fee ${format(result.settings.feeRate * 100, 3)}%, slippage ${format(result.settings.slippage * 100, 3)}%\n`);
+
+  for (const trade of result.trades) {
+    const profit = trade.action === 'sell' ? `  P&L ${format(trade.profit)}` : '';
+    const reason = trade.reason ? `  (${trade.reason})` : '';
+    console.log(`${new Date(trade.time).toISOString()}  ${trade.action.toUpperCase().padEnd(4)}  ${format(trade.quantity, 8)} @ ${format(trade.price, 4)}  $${format(trade.usdtAmount)}${profit}${reason}`);
+  }
+
+  const { summary } = result;
+  console.log('\nSummary');
+  console.log(`  Final equity:   $${format(summary.finalEquity)} (from $${format(summary.initialBalance)})`);
+  console.log(`  Total return:   ${format(summary.totalReturnPercent)}%`);
+  console.log(`  Max drawdown:   ${format(summary.maxDrawdownPercent)}%`);
+  console.log(`  Win rate:       ${format(summary.winRatePercent)}% (${summary.wins} of ${summary.sells} sells)`);
+  console.log(`  Trades:         ${summary.buys} buys, ${summary.sells} sells, ${summary.skippedBuys} buys skipped`);
+  console.log(`  Fees paid:      $${format(summary.totalFees)}`);
+  console.log(`  Open position:  ${format(summary.openQuantity, 8)} ${symbol}${summary.stoppedOut ? ' (stopped out - auto-trading paused)' : ''}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('Backtest failed:', error.message);
+  process.exit(1);
+}
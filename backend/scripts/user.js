@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+// backend/scripts/user.js
+// User CLI
+// Manages the dashboard logins in the users table
+//
+// Usage:
+//   node scripts/user.js list
+//   node scripts/user.js add <username> [--role viewer|trader|admin] [--password <password>]
+//   node scripts/user.js passwd <username> [--password <password>]
+//   node scripts/user.js role <username> <viewer|trader|admin>
+//   node scripts/user.js remove <username>
+//
+// New users are viewers unless --role is given. Without --password the password is read from
+// the terminal (or stdin when piped). Changing a password or role logs the user out of every dashboard.
+
+const readline = require('readline');
+
+const db = require('../js/dbconns');
+const auth = require('../js/auth');
+
+/**
+ * Split the command line into positional arguments and --key value options
+ * @param {Array<string>} argv - The arguments after the script name
+ * @returns {Object} { positional, options }
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) {
+      positional.push(argv[i]);
+      continue;
+    }
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      options[key] = true;
+    } else {
+      options[key] = next;
+      i++;
+    }
+  }
+  return { positional, options };
+}
+
+/**
+ * Ask for a password
+ * @param {string} prompt - The prompt
+ * @returns {Promise<string>} The entered line
+ */
+function readPassword(prompt) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+
+  // Don't echo the typed characters on a terminal
+  if (process.stdin.isTTY) {
+    rl._writeToOutput = (text) => {
+      if (text.startsWith(prompt)) {
+        rl.output.write(prompt);
+      }
+    };
+  }
+
+  return new Promise(resolve => {
+    rl.question(prompt, (answer) => {
+      rl.close();
+      if (process.stdin.isTTY) {
+        process.stdout.write('\n');
+      }
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Get the password from --password or the terminal
+ * @param {Object} options - The parsed options
+ * @returns {Promise<string>} The password
+ */
+async function getPassword(options) {
+  if (typeof options.password === 'string') {
+    return options.password;
+  }
+
+  const password = await readPassword('Password: ');
+  if (process.stdin.isTTY && password !== await readPassword('Repeat password: ')) {
+    throw new Error('The passwords do not match');
+  }
+  return password;
+}
+
+/**
+ * Run a user command
+ */
+async function main() {
+  const { positional: [command, username, role], options } = parseArgs(process.argv.slice(2));
+
+  if (!['list', 'add', 'passwd', 'role', 'remove'].includes(command) || (command !== 'list' && !username) || (command === 'role' && !role)) {
+    console.error('Usage: node scripts/user.js list | add <username> [--role <role>] | passwd <username> | role <username> <role> | remove <username> [--password <password>]');
+    process.exit(1);
+  }
+
+  if (!(await db.initialize())) {
+    throw new Error('Could not connect to the database');
+  }
+  await db.ensureSchema();
+
+  if (command === 'list') {
+    const users = await db.getUsers();
+    for (const user of users) {
+      console.log(`${user.username.padEnd(20)}  ${user.role.padEnd(6)}  created ${user.createdAt}  last login ${user.lastLoginAt || 'never'}`);
+    }
+    console.log(`${users.length} user(s)`);
+  } else if (command === 'add') {
+    const user = await auth.createUser(username, await getPassword(options), typeof options.role === 'string' ? options.role : 'viewer');
+    console.log(`Added ${user.role} ${user.username}`);
+  } else if (command === 'passwd') {
+    await auth.changePassword(username, await getPassword(options));
+    console.log(`Changed the password of ${auth.normalizeUsername(username)} - their sessions have ended`);
+  } else if (command === 'role') {
+    const newRole = await auth.changeRole(username, role);
+    console.log(`Changed the role of ${auth.normalizeUsername(username)} to ${newRole} - their sessions have ended`);
+  } else if (!(await db.deleteUser(auth.normalizeUsername(username)))) {
+    throw new Error(`User ${username} does not exist`);
+  } else {
+    console.log(`Removed user ${auth.normalizeUsername(username)}`);
+  }
+}
+
+main()
+  .then(() => db.close())
+  .catch(async (error) => {
+    console.error('User command failed:', error.message);
+    await db.close();
+    process.exit(1);
+  });
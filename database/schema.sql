@@ -11,10 +11,19 @@ CREATE TABLE IF NOT EXISTS trades (
     usdt_amount DECIMAL(18, 2) NOT NULL,
     trade_time TIMESTAMP NOT NULL COMMENT 'Original timestamp from Binance when the trade was executed',
     binance_trade_id BIGINT NULL COMMENT 'Binance trade ID for reference and deduplication',
+    reason VARCHAR(50) NULL COMMENT 'Why the bot made the trade, e.g. stop_loss (NULL for regular trades)',
+    commission DECIMAL(28, 8) NULL COMMENT 'Fee charged by Binance for the trade (NULL if unknown)',
+    commission_asset VARCHAR(10) NULL COMMENT 'Asset the fee was charged in, e.g. USDT, BNB or the base asset',
+    commission_usdt DECIMAL(18, 8) NULL COMMENT 'Fee valued in USDT at the time of the trade, used for P&L net of fees (NULL if unknown)',
+    realized_pnl DECIMAL(18, 8) NULL COMMENT 'Sells only: net proceeds minus the cost of the lots consumed (NULL without open lots)',
+    cost_basis DECIMAL(18, 8) NULL COMMENT 'Sells only: cost of the lots consumed, fees included',
+    source VARCHAR(10) NULL COMMENT 'Origin: bot (orders placed by the bot), grid (ladder fills), import (historical import), external (orders placed elsewhere)',
+    order_id BIGINT NULL COMMENT 'Binance order ID of trades recorded once per order (bot orders and grid fills), so an order is never recorded twice; NULL otherwise',
     INDEX idx_symbol (symbol),
     INDEX idx_trade_time (trade_time),
     INDEX idx_symbol_action (symbol, action),
-    INDEX idx_binance_trade_id (binance_trade_id)
+    INDEX idx_binance_trade_id (binance_trade_id),
+    UNIQUE KEY uk_symbol_order_id (symbol, order_id)
 );
 
 -- Create reference_prices table to track trading thresholds
@@ -25,6 +34,9 @@ CREATE TABLE IF NOT EXISTS reference_prices (
     last_transaction_price DECIMAL(18, 8) NOT NULL DEFAULT 0,
     next_buy_price DECIMAL(18, 8) NOT NULL DEFAULT 0,
     next_sell_price DECIMAL(18, 8) NOT NULL DEFAULT 0,
+    trailing_high_price DECIMAL(18, 8) NOT NULL DEFAULT 0 COMMENT 'Highest price since the trailing take-profit was armed; 0 = not armed',
+    trailing_stop_price DECIMAL(18, 8) NOT NULL DEFAULT 0 COMMENT 'Sell level below trailing_high_price; 0 = not armed',
+    strategy_state TEXT NULL COMMENT 'JSON state of the symbol''s strategy, e.g. open grid lots',
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     INDEX idx_symbol (symbol)
 );
@@ -38,17 +50,122 @@ CREATE TABLE IF NOT EXISTS account_balances (
     INDEX idx_symbol (symbol)
 );
 
--- Insert default records for supported trading pairs in reference_prices
-INSERT INTO reference_prices (symbol, first_transaction_price, last_transaction_price, next_buy_price, next_sell_price)
-VALUES 
-    ('BTC', 0, 0, 0, 0),
-    ('SOL', 0, 0, 0, 0),
-    ('XRP', 0, 0, 0, 0),
-    ('PENDLE', 0, 0, 0, 0),
-    ('DOGE', 0, 0, 0, 0),
-    ('NEAR', 0, 0, 0, 0)
-ON DUPLICATE KEY UPDATE 
-    updated_at = CURRENT_TIMESTAMP;
+-- Create paper_balances table to store simulated balances when EXCHANGE_MODE=paper
+CREATE TABLE IF NOT EXISTS paper_balances (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    symbol VARCHAR(20) NOT NULL UNIQUE,
+    free DECIMAL(28, 8) NOT NULL DEFAULT 0,
+    locked DECIMAL(28, 8) NOT NULL DEFAULT 0,
+    last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_symbol (symbol)
+);
+
+-- Create symbols table to store the trading pairs shown on the dashboard
+-- The backend seeds the default pairs on first start; reference_prices rows are created per pair
+CREATE TABLE IF NOT EXISTS symbols (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    symbol VARCHAR(20) NOT NULL UNIQUE,
+    name VARCHAR(50) NOT NULL,
+    color VARCHAR(7) NOT NULL DEFAULT '#3a7bd5',
+    icon VARCHAR(255) NULL,
+    sort_order INT NOT NULL DEFAULT 0,
+    auto_trading_paused TINYINT(1) NOT NULL DEFAULT 0 COMMENT 'Set when a stop-loss fires; auto-trading skips the pair until resumed',
+    paused_reason VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_symbol (symbol)
+);
+
+-- Create strategy_settings table to store per-symbol thresholds and auto-trade amounts
+-- Symbols without a row use BUY_THRESHOLD_PERCENT, SELL_THRESHOLD_PERCENT and AUTO_TRADE_INVESTMENT_AMOUNT
+CREATE TABLE IF NOT EXISTS strategy_settings (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    symbol VARCHAR(20) NOT NULL UNIQUE,
+    buy_threshold_percent DECIMAL(10, 6) NOT NULL,
+    sell_threshold_percent DECIMAL(10, 6) NOT NULL,
+    investment_amount DECIMAL(20, 8) NOT NULL,
+    stop_loss_percent DECIMAL(10, 6) NULL COMMENT 'Stop-loss below the average entry price as a fraction; NULL = off',
+    stop_loss_price DECIMAL(18, 8) NULL COMMENT 'Absolute stop-loss price; NULL = off',
+    trailing_percent DECIMAL(10, 6) NULL COMMENT 'Trailing take-profit pullback from the high as a fraction; NULL = sell at next_sell_price',
+    max_dca_buys INT NULL COMMENT 'Maximum averaging buys after the first buy of a position; NULL = no cap',
+    max_exposure_usdt DECIMAL(20, 8) NULL COMMENT 'Maximum USDT invested in a position; NULL = no cap',
+    strategy_name VARCHAR(30) NOT NULL DEFAULT 'threshold' COMMENT 'Strategy module: threshold, grid, grid_limit or ma_dca',
+    strategy_params TEXT NULL COMMENT 'JSON parameters of the strategy, e.g. the grid range',
+    order_type VARCHAR(12) NOT NULL DEFAULT 'market' COMMENT 'Order execution: market, limit (GTC at the bid/ask) or limit_maker (post-only)',
+    limit_timeout_seconds INT NOT NULL DEFAULT 30 COMMENT 'Seconds a limit order may rest before it is canceled',
+    limit_fallback VARCHAR(10) NOT NULL DEFAULT 'market' COMMENT 'After the timeout: market sends the unfilled rest as a market order, cancel gives up',
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_symbol (symbol)
+);
+
+-- Create price_ticks table for the market data recorder (MARKET_RECORDER=db)
+CREATE TABLE IF NOT EXISTS price_ticks (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    symbol VARCHAR(20) NOT NULL,
+    bid_price DECIMAL(18, 8) NOT NULL,
+    bid_qty DECIMAL(28, 8) NOT NULL,
+    ask_price DECIMAL(18, 8) NOT NULL,
+    ask_qty DECIMAL(28, 8) NOT NULL,
+    tick_time TIMESTAMP(3) NOT NULL COMMENT 'When the bookTicker update was received',
+    INDEX idx_symbol_time (symbol, tick_time),
+    INDEX idx_tick_time (tick_time)
+);
+
+-- Create candles table for the OHLC price history (1m/5m/1h)
+CREATE TABLE IF NOT EXISTS candles (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    symbol VARCHAR(20) NOT NULL,
+    candle_interval VARCHAR(5) NOT NULL COMMENT '1m, 5m or 1h',
+    open_time TIMESTAMP NOT NULL,
+    open_price DECIMAL(18, 8) NOT NULL,
+    high_price DECIMAL(18, 8) NOT NULL,
+    low_price DECIMAL(18, 8) NOT NULL,
+    close_price DECIMAL(18, 8) NOT NULL,
+    volume DECIMAL(28, 8) NOT NULL DEFAULT 0 COMMENT 'Traded base volume; 0 for candles built from bookTicker prices',
+    source VARCHAR(10) NOT NULL DEFAULT 'ticker' COMMENT 'binance = backfilled kline, ticker = aggregated from bookTicker ask prices',
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_symbol_interval_time (symbol, candle_interval, open_time)
+);
+
+-- Create grid_levels table for the resting limit orders of the grid_limit strategy
+CREATE TABLE IF NOT EXISTS grid_levels (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    symbol VARCHAR(20) NOT NULL,
+    level_index INT NOT NULL COMMENT 'Slot between two adjacent grid prices, 0 = lowest',
+    buy_price DECIMAL(18, 8) NOT NULL COMMENT 'Lower grid price - the slot buys here',
+    sell_price DECIMAL(18, 8) NOT NULL COMMENT 'Upper grid price - the slot sells what it bought here',
+    side VARCHAR(4) NOT NULL DEFAULT 'BUY' COMMENT 'BUY or SELL - the order the slot currently works',
+    quantity DECIMAL(28, 8) NOT NULL DEFAULT 0 COMMENT 'Base quantity of the open order, or the quantity to sell',
+    order_id BIGINT NULL COMMENT 'Binance order ID of the resting LIMIT order, NULL while none is placed',
+    client_order_id VARCHAR(36) NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'pending' COMMENT 'open = order resting on the exchange, placing = order sent but not yet confirmed, pending = order still to be placed',
+    last_error VARCHAR(255) NULL COMMENT 'Why the last order placement failed',
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_symbol_level (symbol, level_index)
+);
+
+-- Create trade_lots table - every buy opens a lot that sells consume (see backend/js/lots.js)
+CREATE TABLE IF NOT EXISTS trade_lots (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    symbol VARCHAR(20) NOT NULL,
+    buy_trade_id INT NOT NULL COMMENT 'trades.id of the buy that opened the lot',
+    quantity DECIMAL(28, 8) NOT NULL COMMENT 'Coins received, after a commission charged in the base asset',
+    remaining_quantity DECIMAL(28, 8) NOT NULL COMMENT 'Coins not yet consumed by sells, 0 = closed',
+    unit_cost DECIMAL(28, 12) NOT NULL COMMENT 'USDT cost per coin, fees included',
+    opened_at TIMESTAMP NOT NULL COMMENT 'Trade time of the buy - FIFO consumes the oldest lots first',
+    INDEX idx_symbol_opened (symbol, opened_at),
+    INDEX idx_buy_trade_id (buy_trade_id)
+);
+
+-- Create users table - the dashboard logins (see backend/js/auth.js)
+CREATE TABLE IF NOT EXISTS users (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    username VARCHAR(50) NOT NULL UNIQUE,
+    password_hash VARCHAR(255) NOT NULL COMMENT 'scrypt$N$r$p$salt$hash, never the password itself',
+    role VARCHAR(10) NOT NULL DEFAULT 'admin' COMMENT 'viewer, trader or admin - users from before roles existed keep full access',
+    token_version INT NOT NULL DEFAULT 0 COMMENT 'Bumped on a password change to revoke the issued tokens',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_login_at TIMESTAMP NULL
+);
 
 -- Create new helper views based on trades table instead of transactions
 CREATE OR REPLACE VIEW latest_trades AS
@@ -0,0 +1,287 @@
+// frontend/js/auth.js
+// Authentication module
+// Keeps the login token, shows the login screen and adds the token to REST requests and sockets.
+// Controls marked with data-min-role="trader" or "admin" are hidden from users below that role
+// (see style.css) - the server checks the role of every request and event as well.
+
+// Auth configuration
+const AUTH_CONFIG = {
+  TOKEN_KEY: 'authToken',       // localStorage key of the session token
+  USER_KEY: 'authUser',         // localStorage key of the logged in user, for the role while offline
+  NOTICE_KEY: 'authNotice',     // sessionStorage key of the message shown on the next login screen
+  ROLES: ['viewer', 'trader', 'admin'] // Least to most access, as on the server
+};
+
+// Auth state
+const authState = {
+  token: localStorage.getItem(AUTH_CONFIG.TOKEN_KEY),
+  user: loadStoredUser()
+};
+
+/**
+ * Load the user stored with the token
+ * @returns {Object|null} { id, username, role }
+ */
+function loadStoredUser() {
+  try {
+    return JSON.parse(localStorage.getItem(AUTH_CONFIG.USER_KEY));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Store the session
+ * @param {string|null} token - The token, or null to forget the session
+ * @param {Object|null} user - The user: { id, username, role }
+ */
+function storeSession(token, user) {
+  authState.token = token;
+  authState.user = user;
+
+  if (token) {
+    localStorage.setItem(AUTH_CONFIG.TOKEN_KEY, token);
+    localStorage.setItem(AUTH_CONFIG.USER_KEY, JSON.stringify(user));
+  } else {
+    localStorage.removeItem(AUTH_CONFIG.TOKEN_KEY);
+    localStorage.removeItem(AUTH_CONFIG.USER_KEY);
+  }
+}
+
+/**
+ * Get the backend base URL
+ * @returns {string} The backend URL
+ */
+function getBackendUrl() {
+  return import.meta.env.VITE_BACKEND_URL || 'http://localhost:3000';
+}
+
+/**
+ * Get the session token
+ * @returns {string|null} The token, or null if not logged in
+ */
+function getToken() {
+  return authState.token;
+}
+
+/**
+ * Get the logged in user
+ * @returns {Object|null} { id, username, role }
+ */
+function getUser() {
+  return authState.user;
+}
+
+/**
+ * Check whether the logged in user has at least a role
+ * @param {string} role - 'viewer', 'trader' or 'admin'
+ * @returns {boolean} True if the user's role is the same or higher
+ */
+function hasRole(role) {
+  return Boolean(authState.user) && AUTH_CONFIG.ROLES.indexOf(authState.user.role) >= AUTH_CONFIG.ROLES.indexOf(role);
+}
+
+/**
+ * Socket.IO auth callback - sends the current token with every (re)connection
+ * @param {Function} callback - Receives the handshake auth data
+ */
+function socketAuth(callback) {
+  callback({ token: authState.token });
+}
+
+/**
+ * Check whether a Socket.IO connect_error was a refused login
+ * @param {Error} error - The connect_error
+ * @returns {boolean} True if the token was refused
+ */
+function isUnauthorizedError(error) {
+  return Boolean(error && error.data && error.data.code === 'UNAUTHORIZED');
+}
+
+/**
+ * Forget the session and return to the login screen
+ * @param {string} message - Optional message to show on the login screen
+ */
+function endSession(message = null) {
+  storeSession(null, null);
+
+  if (message) {
+    sessionStorage.setItem(AUTH_CONFIG.NOTICE_KEY, message);
+  }
+  window.location.reload();
+}
+
+/**
+ * Fetch from the backend with the session token
+ * A refused token ends the session.
+ * @param {string} url - The URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>} The response
+ */
+async function authFetch(url, options = {}) {
+  const headers = { ...(options.headers || {}) };
+  if (authState.token) {
+    headers.Authorization = `Bearer ${authState.token}`;
+  }
+
+  const response = await fetch(url, { ...options, headers });
+  if (response.status === 401) {
+    endSession('Your session has ended, please log in again');
+  }
+  return response;
+}
+
+/**
+ * Check the stored token with the backend
+ * An unreachable backend keeps the token - the dashboard reconnects once it is back.
+ * @returns {Promise<boolean>} True if the dashboard can be shown
+ */
+async function verifySession() {
+  if (!authState.token) {
+    return false;
+  }
+
+  try {
+    const response = await fetch(`${getBackendUrl()}/api/auth/me`, {
+      headers: { Authorization: `Bearer ${authState.token}` }
+    });
+
+    if (response.status === 401) {
+      storeSession(null, null);
+      return false;
+    }
+
+    // The role may have changed since the last visit
+    if (response.ok) {
+      const result = await response.json();
+      storeSession(authState.token, result.user);
+    }
+    return true;
+  } catch (error) {
+    console.warn('Could not verify the session, backend unreachable:', error.message);
+    return true;
+  }
+}
+
+/**
+ * Log in and store the session token
+ * @param {string} username - The username
+ * @param {string} password - The password
+ * @returns {Promise<Object>} The user: { id, username, role }
+ */
+async function login(username, password) {
+  let result;
+  try {
+    const response = await fetch(`${getBackendUrl()}/api/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+    result = await response.json();
+  } catch (error) {
+    throw new Error('Cannot reach the backend server');
+  }
+
+  if (!result.success) {
+    throw new Error(result.error || 'Login failed');
+  }
+
+  storeSession(result.token, result.user);
+  return result.user;
+}
+
+/**
+ * Log out of this dashboard
+ */
+function logout() {
+  endSession();
+}
+
+/**
+ * Show the login screen over the page
+ * @param {Function} onLogin - Called once the user has logged in
+ */
+function showLoginScreen(onLogin) {
+  const notice = sessionStorage.getItem(AUTH_CONFIG.NOTICE_KEY);
+  sessionStorage.removeItem(AUTH_CONFIG.NOTICE_KEY);
+
+  const screen = document.createElement('div');
+  screen.id = 'login-screen';
+  screen.className = 'login-screen';
+  screen.innerHTML = `
+    <form class="login-box" id="login-form">
+      <img src="/images/btc2.png" alt="Crypto Bot Logo" class="header-logo">
+      <h2>Crypto Trading Bot</h2>
+      <div class="settings-row">
+        <label for="login-username">Username</label>
+        <input type="text" id="login-username" autocomplete="username" required>
+      </div>
+      <div class="settings-row">
+        <label for="login-password">Password</label>
+        <input type="password" id="login-password" autocomplete="current-password" required>
+      </div>
+      <p class="login-error" id="login-error"></p>
+      <div class="settings-actions">
+        <button type="submit" class="small-button" id="login-submit">Log in</button>
+      </div>
+    </form>
+  `;
+  document.body.appendChild(screen);
+
+  const form = screen.querySelector('#login-form');
+  const errorText = screen.querySelector('#login-error');
+  const submitButton = screen.querySelector('#login-submit');
+  errorText.textContent = notice || '';
+  screen.querySelector('#login-username').focus();
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    submitButton.disabled = true;
+    errorText.textContent = '';
+
+    try {
+      await login(screen.querySelector('#login-username').value, screen.querySelector('#login-password').value);
+      screen.remove();
+      showUserMenu();
+      onLogin();
+    } catch (error) {
+      errorText.textContent = error.message;
+      submitButton.disabled = false;
+    }
+  });
+}
+
+/**
+ * Show the logged in user and the logout button in the header, and hide the controls of
+ * higher roles (the body's data-role attribute drives the data-min-role rules in style.css)
+ */
+function showUserMenu() {
+  document.body.dataset.role = authState.user ? authState.user.role : 'viewer';
+
+  const menu = document.getElementById('user-menu');
+  if (!menu) {
+    return;
+  }
+
+  menu.querySelector('#current-user').textContent = authState.user ? `${authState.user.username} (${authState.user.role})` : '';
+  menu.hidden = false;
+  menu.querySelector('#logout-button').onclick = logout;
+}
+
+// Export public API
+export {
+  getBackendUrl,
+  getToken,
+  getUser,
+  hasRole,
+  socketAuth,
+  isUnauthorizedError,
+  endSession,
+  authFetch,
+  verifySession,
+  login,
+  logout,
+  showLoginScreen,
+  showUserMenu
+};
@@ -2,32 +2,87 @@
 // Cryptocurrency Card Module
 // Manages the creation and behavior of cryptocurrency cards in the dashboard
 
+import * as Chart from './chart.js';
+import * as Auth from './auth.js';
+
 // Card configuration
 const CARD_CONFIG = {
-  // Supported cryptocurrencies with their details
-  SUPPORTED_CRYPTOS: [
-    { symbol: 'BTC', name: 'Bitcoin', color: '#f7931a' },
-    { symbol: 'SOL', name: 'Solana', color: '#00ff9d' },
-    { symbol: 'XRP', name: 'Ripple', color: '#346aa9' },
-    { symbol: 'PENDLE', name: 'Pendle', color: '#5848ca' },
-    { symbol: 'DOGE', name: 'Dogecoin', color: '#c2a633' },
-    { symbol: 'NEAR', name: 'NEAR Protocol', color: '#000000' }
-  ],
+  // Accent color for pairs added without one
+  DEFAULT_COLOR: '#3a7bd5',
   
   // Investment amounts for slider
   INVESTMENT_AMOUNTS: [50, 100, 150, 200],
   
   // Maximum transaction history items to display
-  MAX_HISTORY_ITEMS: 5
+  MAX_HISTORY_ITEMS: 5,
+  
+  // Labels for the reasons recorded on trades made by the bot's protections
+  TRADE_REASON_LABELS: {
+    stop_loss: 'Stop-loss',
+    trailing_take_profit: 'Trailing TP',
+    grid_take_profit: 'Grid TP'
+  },
+  
+  // Strategy that trades with a ladder of resting limit orders (shown in the card's grid orders list)
+  RESTING_ORDER_STRATEGY: 'grid_limit',
+  
+  // Price chart intervals (candles from /api/candles) and the one shown first
+  CHART_INTERVALS: Object.keys(Chart.CHART_CONFIG.INTERVAL_MS),
+  DEFAULT_CHART_INTERVAL: '5m'
 };
 
 // Track card data
 const cardState = {
   cards: new Map(), // Symbol -> card element
   data: new Map(),  // Symbol -> card data
-  socket: null      // Socket.io connection reference
+  symbols: [],      // Trading pair metadata from /api/symbols ({ symbol, name, color, icon })
+  strategyConfigs: new Map(), // Symbol -> strategy config (thresholds and auto-trade amount)
+  strategies: [],             // Registered strategies with their parameter schemas, from strategy-configs
+  charts: new Map(),          // Symbol -> price chart, created when the chart is first expanded
+  chartRequests: new Map(),   // Symbol -> interval of the latest candle request (older answers are ignored)
+  gridLevels: new Map(),      // Symbol -> resting limit orders of a grid_limit pair
+  backendUrl: null, // Backend base URL for REST requests
+  socket: null,     // Socket.io connection reference
+  lastRequestId: 0  // Counter for the IDs of requests answered by sendRequest
 };
 
+/**
+ * Send a request over the socket and wait for its answer
+ * The server echoes the request ID in the result event, so overlapping requests and results
+ * meant for other requests are told apart. A request refused with 'unauthorized' resolves
+ * with { success: false, unauthorized: true } - the dashboard already shows the refusal.
+ * @param {string} event - The request event
+ * @param {Object} data - The request data
+ * @param {string} resultEvent - The event the server answers with
+ * @returns {Promise<Object>} The result
+ */
+function sendRequest(event, data, resultEvent) {
+  const socket = cardState.socket;
+  const requestId = `${event}-${++cardState.lastRequestId}`;
+  
+  return new Promise((resolve) => {
+    const onResult = (result) => {
+      if (result && result.requestId === requestId) {
+        finish(result);
+      }
+    };
+    const onRefused = (refusal) => {
+      if (refusal && refusal.requestId === requestId) {
+        finish({ success: false, unauthorized: true, error: refusal.error });
+      }
+    };
+    const finish = (result) => {
+      socket.off(resultEvent, onResult);
+      socket.off('unauthorized', onRefused);
+      resolve(result);
+    };
+    
+    socket.on(resultEvent, onResult);
+    socket.on('unauthorized', onRefused);
+    socket.emit(event, { ...data, requestId });
+  });
+}
+
 /**
  * Initialize the card module with socket connection
  * @param {Object} socket - The socket.io connection
@@ -91,23 +146,162 @@ function initialize(socket) {
       console.log(`Fast-updated next sell price for ${symbol} to ${nextSellDisplay}`);
     }
     
+    // Move the threshold lines on the chart
+    const chart = cardState.charts.get(symbol);
+    if (chart) {
+      chart.setLines(data);
+    }
+    
     // Store the updated thresholds in the card's data
     if (!cardState.data.has(symbol)) {
       cardState.data.set(symbol, {});
     }
     
+    // Update trailing take-profit stop
+    if (data.trailingStopPrice !== undefined) {
+      updateTrailingStop(symbol, data.trailingStopPrice);
+    }
+    
+    // Only store the thresholds included in this update (trailing updates carry just the stop)
     const symbolData = cardState.data.get(symbol);
-    symbolData.nextBuyPrice = data.nextBuyPrice;
-    symbolData.nextSellPrice = data.nextSellPrice;
+    for (const key of ['nextBuyPrice', 'nextSellPrice', 'trailingStopPrice']) {
+      if (data[key] !== undefined) {
+        symbolData[key] = data[key];
+      }
+    }
+  });
+  
+  // Register for candle updates for the expanded charts
+  socket.on('candle-update', (candle) => {
+    const chart = cardState.charts.get(candle.symbol);
+    if (chart) {
+      chart.updateCandle(candle);
+    }
+  });
+  
+  // Register for the strategy settings of all cards
+  socket.on('strategy-configs', (data) => {
+    if (!data || data.error) {
+      console.error('Error loading strategy settings:', data?.error || 'Unknown error');
+      return;
+    }
+    
+    cardState.strategies = data.strategies || [];
+    
+    for (const config of Object.values(data.configs)) {
+      cardState.strategyConfigs.set(config.symbol, config);
+      updateStrategyPanel(config.symbol);
+      updateGridPanel(config.symbol, true);
+    }
+  });
+  
+  // Register for strategy settings changed by any dashboard
+  socket.on('strategy-config-updated', (config) => {
+    cardState.strategyConfigs.set(config.symbol, config);
+    updateStrategyPanel(config.symbol);
+    updateGridPanel(config.symbol, true);
+  });
+  
+  // Register for the resting limit orders of grid_limit pairs
+  // Requested answers and pushed ladder changes carry the whole ladder of one pair
+  socket.on('grid-levels', (data) => {
+    if (!data || !data.success) {
+      console.error(`Error loading grid orders${data && data.symbol ? ` for ${data.symbol}` : ''}:`, data?.error || 'Unknown error');
+      return;
+    }
+    
+    cardState.gridLevels.set(data.symbol, data.levels || []);
+    updateGridPanel(data.symbol);
   });
+  
+  socket.on('grid-levels-update', (data) => {
+    cardState.gridLevels.set(data.symbol, data.levels || []);
+    updateGridPanel(data.symbol);
+  });
+  
+  // Register for per-pair auto-trading pauses (stop-loss or dashboard)
+  socket.on('symbol-auto-trading-updated', (data) => {
+    const crypto = cardState.symbols.find(item => item.symbol === data.symbol);
+    if (crypto) {
+      crypto.autoTradingPaused = data.paused;
+      crypto.pausedReason = data.reason;
+    }
+    
+    updatePausedBadge(data.symbol, data.paused, data.reason);
+  });
+  
+  // Register for position caps blocking auto-trading buys
+  socket.on('limit-reached', (data) => {
+    const crypto = cardState.symbols.find(item => item.symbol === data.symbol);
+    if (crypto) {
+      crypto.limitReached = data;
+    }
+    
+    updateLimitBadge(data.symbol, data);
+  });
+  
+  socket.on('limit-cleared', (data) => {
+    const crypto = cardState.symbols.find(item => item.symbol === data.symbol);
+    if (crypto) {
+      crypto.limitReached = null;
+    }
+    
+    updateLimitBadge(data.symbol, null);
+  });
+}
+
+/**
+ * Load the configured trading pairs from the backend
+ * @param {string} backendUrl - The backend base URL
+ * @returns {Promise<Array<Object>>} The trading pair metadata
+ */
+async function loadSymbols(backendUrl) {
+  cardState.backendUrl = backendUrl;
+  const response = await Auth.authFetch(`${backendUrl}/api/symbols`);
+  
+  if (!response.ok) {
+    throw new Error(`Failed to load trading pairs (HTTP ${response.status})`);
+  }
+  
+  const data = await response.json();
+  setSymbols(data.symbols);
+  return getSymbols();
 }
 
 /**
- * Create cards for all supported cryptocurrencies
+ * Replace the trading pair metadata (e.g. after a symbols-updated event)
+ * @param {Array<Object>} symbols - The trading pair metadata
+ */
+function setSymbols(symbols) {
+  cardState.symbols = Array.isArray(symbols) ? symbols : [];
+}
+
+/**
+ * Get the trading pair metadata in display order
+ * @returns {Array<Object>} The trading pair metadata
+ */
+function getSymbols() {
+  return cardState.symbols.map(crypto => ({ ...crypto }));
+}
+
+/**
+ * Create cards for all configured trading pairs
+ * Cards for pairs that are no longer configured are discarded
  * @returns {Array<HTMLElement>} The created card elements
  */
 function createAllCards() {
-  return CARD_CONFIG.SUPPORTED_CRYPTOS.map(createCard);
+  const symbols = new Set(cardState.symbols.map(crypto => crypto.symbol));
+  
+  for (const symbol of cardState.cards.keys()) {
+    if (!symbols.has(symbol)) {
+      cardState.cards.delete(symbol);
+      cardState.data.delete(symbol);
+      cardState.gridLevels.delete(symbol);
+      removeChart(symbol);
+    }
+  }
+  
+  return cardState.symbols.map(createCard);
 }
 
 /**
@@ -116,7 +310,11 @@ function createAllCards() {
  * @returns {HTMLElement} The created card element
  */
 function createCard(crypto) {
-  const { symbol, name, color } = crypto;
+  const { symbol, name, color, icon } = crypto;
+  const iconSrc = icon || `images/${symbol.toLowerCase()}.svg`;
+  
+  // A re-rendered card starts with its chart collapsed
+  removeChart(symbol);
   
   // Create card element
   const card = document.createElement('div');
@@ -124,25 +322,120 @@ function createCard(crypto) {
   card.id = `card-${symbol.toLowerCase()}`;
   card.dataset.symbol = symbol;
   
-  // We no longer need to set individual colors as we use a unified color in CSS
-  // card.style.setProperty('--crypto-color', color);
+  // The pair color is used as an accent under the card header
+  card.style.setProperty('--crypto-color', color || CARD_CONFIG.DEFAULT_COLOR);
   
   // Create card HTML
   card.innerHTML = `
     <div class="card-header">
-      <img src="images/${symbol.toLowerCase()}.svg" alt="${name}" class="crypto-logo" onerror="this.src='images/generic.svg'">
+      <img src="${iconSrc}" alt="${name}" class="crypto-logo" onerror="this.onerror=null; this.src='images/generic.svg'">
       <div class="crypto-title">
         <h3>${name}</h3>
         <span class="pair-name">${symbol}/USDT</span>
       </div>
+      <button id="${symbol}-chart-toggle" class="card-header-button chart-toggle" title="Price chart">&#128200;</button>
+      <button id="${symbol}-settings-toggle" class="card-header-button settings-toggle" title="Strategy settings">&#9881;</button>
+      <button id="${symbol}-remove" class="card-header-button" title="Remove ${symbol}/USDT" data-min-role="admin">&times;</button>
     </div>
     
+    <div class="card-settings" id="${symbol}-settings" style="display: none;">
+      <!-- Only admins may change strategy settings; everyone else sees them read-only -->
+      <fieldset class="settings-fields"${Auth.hasRole('admin') ? '' : ' disabled'}>
+      <div class="settings-row">
+        <label for="${symbol}-strategy">Strategy:</label>
+        <select id="${symbol}-strategy">
+          <option value="threshold">Threshold</option>
+        </select>
+      </div>
+      <div class="strategy-params" id="${symbol}-strategy-params"></div>
+      <div class="settings-row">
+        <label for="${symbol}-buy-threshold">Buy Threshold (%):</label>
+        <input type="number" id="${symbol}-buy-threshold" min="0.01" max="99.99" step="0.01">
+      </div>
+      <div class="settings-row">
+        <label for="${symbol}-sell-threshold">Sell Threshold (%):</label>
+        <input type="number" id="${symbol}-sell-threshold" min="0.01" max="1000" step="0.01">
+      </div>
+      <div class="settings-row">
+        <label for="${symbol}-auto-amount">Auto-Trade Amount ($):</label>
+        <input type="number" id="${symbol}-auto-amount" min="1" step="1">
+      </div>
+      <div class="settings-row">
+        <label for="${symbol}-stop-loss-mode">Stop-Loss:</label>
+        <select id="${symbol}-stop-loss-mode">
+          <option value="off">Off</option>
+          <option value="percent">% below avg. entry</option>
+          <option value="price">At price ($)</option>
+        </select>
+        <input type="number" id="${symbol}-stop-loss-value" min="0" step="any" disabled>
+      </div>
+      <div class="settings-row" id="${symbol}-trailing-row">
+        <label for="${symbol}-trailing" title="Once Next Sell is reached, sell when the price falls this much from its high. Empty sells at Next Sell.">Trailing Take-Profit (%):</label>
+        <input type="number" id="${symbol}-trailing" min="0" max="99.99" step="0.01" placeholder="Off">
+      </div>
+      <div class="settings-row">
+        <label for="${symbol}-max-dca-buys" title="Averaging buys allowed after the first buy, until the next sell. Empty means no cap.">Max DCA Buys:</label>
+        <input type="number" id="${symbol}-max-dca-buys" min="0" step="1" placeholder="No cap">
+      </div>
+      <div class="settings-row">
+        <label for="${symbol}-max-exposure" title="USDT that auto-trading may invest in one position. Empty means no cap.">Max Position ($):</label>
+        <input type="number" id="${symbol}-max-exposure" min="1" step="1" placeholder="No cap">
+      </div>
+      <div class="settings-row">
+        <label for="${symbol}-order-type" title="Limit orders rest at the bid (buy) or ask (sell); post-only orders are rejected instead of taking liquidity">Orders:</label>
+        <select id="${symbol}-order-type">
+          <option value="market">Market</option>
+          <option value="limit">Limit at bid/ask</option>
+          <option value="limit_maker">Post-only limit</option>
+        </select>
+      </div>
+      <div class="settings-row limit-settings" id="${symbol}-limit-timeout-row">
+        <label for="${symbol}-limit-timeout" title="Seconds a limit order may rest before it is canceled">Limit Timeout (s):</label>
+        <input type="number" id="${symbol}-limit-timeout" min="1" max="600" step="1">
+      </div>
+      <div class="settings-row limit-settings" id="${symbol}-limit-fallback-row">
+        <label for="${symbol}-limit-fallback" title="What happens to the part of a limit order that didn't fill in time">If Unfilled:</label>
+        <select id="${symbol}-limit-fallback">
+          <option value="market">Market order</option>
+          <option value="cancel">Give up</option>
+        </select>
+      </div>
+      </fieldset>
+      <div class="settings-actions">
+        <span class="settings-source" id="${symbol}-settings-source">Defaults</span>
+        <button id="${symbol}-settings-reset" class="small-button secondary" data-min-role="admin">Use Defaults</button>
+        <button id="${symbol}-settings-save" class="small-button" data-min-role="admin">Save</button>
+      </div>
+      <div class="settings-actions" data-min-role="admin">
+        <button id="${symbol}-reset-state" class="small-button danger" title="Set all reference prices to 0; the next buy sets new targets">Reset Strategy State</button>
+      </div>
+    </div>
+    
+    <div class="card-paused" id="${symbol}-paused" style="display: none;">
+      <span class="paused-reason" id="${symbol}-paused-reason">Auto-trading paused</span>
+      <button id="${symbol}-resume" class="small-button" data-min-role="admin">Resume</button>
+    </div>
+    
+    <div class="card-limit" id="${symbol}-limit" style="display: none;"></div>
+    
     <div class="card-price">
       <span class="price-label">Current Price:</span>
       <span class="price-value" id="${symbol}-price">Loading...</span>
     </div>
     
-    <div class="card-controls">
+    <div class="card-chart" id="${symbol}-chart" style="display: none;">
+      <div class="chart-controls">
+        <div class="chart-intervals">
+          ${CARD_CONFIG.CHART_INTERVALS.map(interval => 
+            `<button class="chart-interval${interval === CARD_CONFIG.DEFAULT_CHART_INTERVAL ? ' active' : ''}" data-interval="${interval}">${interval}</button>`
+          ).join('')}
+        </div>
+        <button id="${symbol}-chart-mode" class="chart-mode" title="Switch between candles and a line of closing prices">Line</button>
+      </div>
+      <div class="price-chart" id="${symbol}-chart-body"></div>
+    </div>
+    
+    <div class="card-controls" data-min-role="trader">
       <div class="investment-slider-container">
         <label for="${symbol}-investment">Investment Amount:</label>
         <input type="range" id="${symbol}-investment" class="investment-slider"
@@ -178,15 +471,33 @@ function createCard(crypto) {
           <span class="next-label">Next Sell:</span>
           <span class="next-value" id="${symbol}-next-sell">$0.00</span>
         </div>
+        <div class="next-trailing" id="${symbol}-trailing-container" style="display: none;">
+          <span class="next-label">Trailing Stop:</span>
+          <span class="next-value" id="${symbol}-trailing-stop">N/A</span>
+        </div>
       </div>
     </div>
     
+    <div class="card-grid" id="${symbol}-grid" style="display: none;">
+      <h4>Grid Orders</h4>
+      <table class="grid-table">
+        <thead>
+          <tr><th>#</th><th>Side</th><th>Price</th><th>Quantity</th><th>Status</th></tr>
+        </thead>
+        <tbody id="${symbol}-grid-levels"></tbody>
+      </table>
+    </div>
+    
     <div class="profit-loss-container">
       <div class="profit-loss-label">Profit/Loss:</div>
       <div class="profit-loss-bar">
         <div class="profit-loss-indicator" id="${symbol}-profit-indicator"></div>
       </div>
       <div class="profit-loss-value" id="${symbol}-profit-value">0.00%</div>
+      <div class="pnl-breakdown" id="${symbol}-pnl-breakdown">
+        <span>Realized: <span class="pnl-amount" id="${symbol}-pnl-realized">$0.00</span></span>
+        <span>Unrealized: <span class="pnl-amount" id="${symbol}-pnl-unrealized">$0.00</span></span>
+      </div>
     </div>
     
     <div class="transaction-history">
@@ -217,6 +528,225 @@ function setupCardEventListeners(symbol) {
   const card = cardState.cards.get(symbol);
   if (!card) return;
   
+  // Remove pair button
+  // On success the server broadcasts symbols-updated and the dashboard re-renders the cards
+  const removeButton = card.querySelector(`#${symbol}-remove`);
+  if (removeButton) {
+    removeButton.addEventListener('click', () => {
+      if (!window.confirm(`Remove ${symbol}/USDT from the dashboard? Its trade history is kept.`)) {
+        return;
+      }
+      
+      // Disable button to prevent double-clicks
+      removeButton.disabled = true;
+      
+      // Send remove request to server and wait for its response
+      sendRequest('remove-symbol', { symbol }, 'symbol-result').then((result) => {
+        removeButton.disabled = false;
+        if (result.unauthorized) {
+          return;
+        }
+        
+        // Show notification
+        const notificationEvent = new CustomEvent('showNotification', {
+          detail: {
+            message: result.success 
+              ? `Removed ${symbol}/USDT` 
+              : `Failed to remove ${symbol}/USDT: ${result.error}`,
+            type: result.success ? 'success' : 'error'
+          }
+        });
+        document.dispatchEvent(notificationEvent);
+      });
+    });
+  }
+  
+  // Price chart - created and loaded when first expanded
+  const chartToggle = card.querySelector(`#${symbol}-chart-toggle`);
+  const chartPanel = card.querySelector(`#${symbol}-chart`);
+  if (chartToggle && chartPanel) {
+    chartToggle.addEventListener('click', () => {
+      const isHidden = chartPanel.style.display === 'none';
+      chartPanel.style.display = isHidden ? 'block' : 'none';
+      
+      if (isHidden) {
+        openChart(symbol);
+      }
+    });
+  }
+  
+  card.querySelectorAll('.chart-interval').forEach(button => {
+    button.addEventListener('click', () => {
+      card.querySelectorAll('.chart-interval').forEach(item => {
+        item.classList.toggle('active', item === button);
+      });
+      loadChartCandles(symbol, button.dataset.interval);
+    });
+  });
+  
+  const chartModeButton = card.querySelector(`#${symbol}-chart-mode`);
+  if (chartModeButton) {
+    chartModeButton.addEventListener('click', () => {
+      const chart = cardState.charts.get(symbol);
+      if (!chart) return;
+      
+      // The button names the mode it switches to
+      const mode = chart.getMode() === 'candles' ? 'line' : 'candles';
+      chart.setMode(mode);
+      chartModeButton.textContent = mode === 'candles' ? 'Line' : 'Candles';
+    });
+  }
+  
+  // Strategy settings panel
+  const settingsToggle = card.querySelector(`#${symbol}-settings-toggle`);
+  const settingsPanel = card.querySelector(`#${symbol}-settings`);
+  if (settingsToggle && settingsPanel) {
+    settingsToggle.addEventListener('click', () => {
+      const isHidden = settingsPanel.style.display === 'none';
+      
+      // Show the saved values when opening, discarding unsaved edits
+      if (isHidden) {
+        updateStrategyPanel(symbol);
+      }
+      
+      settingsPanel.style.display = isHidden ? 'block' : 'none';
+    });
+  }
+  
+  // Switching the strategy shows its parameters - the saved ones if it is the current strategy
+  const strategySelect = card.querySelector(`#${symbol}-strategy`);
+  if (strategySelect) {
+    strategySelect.addEventListener('change', () => {
+      const config = cardState.strategyConfigs.get(symbol);
+      const params = config && config.strategy === strategySelect.value ? config.strategyParams : {};
+      renderStrategyParams(symbol, strategySelect.value, params);
+    });
+  }
+  
+  const settingsSave = card.querySelector(`#${symbol}-settings-save`);
+  if (settingsSave) {
+    settingsSave.addEventListener('click', () => {
+      const stopLossMode = card.querySelector(`#${symbol}-stop-loss-mode`).value;
+      const stopLossValue = parseFloat(card.querySelector(`#${symbol}-stop-loss-value`).value);
+      const maxDcaBuys = card.querySelector(`#${symbol}-max-dca-buys`).value;
+      
+      // Thresholds are edited as percentages but stored as fractions (1% = 0.01)
+      saveStrategyConfig(symbol, {
+        buyThresholdPercent: parseFloat(card.querySelector(`#${symbol}-buy-threshold`).value) / 100,
+        sellThresholdPercent: parseFloat(card.querySelector(`#${symbol}-sell-threshold`).value) / 100,
+        investmentAmount: parseFloat(card.querySelector(`#${symbol}-auto-amount`).value),
+        stopLossPercent: stopLossMode === 'percent' ? stopLossValue / 100 : null,
+        stopLossPrice: stopLossMode === 'price' ? stopLossValue : null,
+        trailingPercent: parseFloat(card.querySelector(`#${symbol}-trailing`).value) / 100 || null,
+        // Empty means no cap; 0 is a valid cap (never average down)
+        maxDcaBuys: maxDcaBuys === '' ? null : parseInt(maxDcaBuys, 10),
+        maxExposureUsdt: parseFloat(card.querySelector(`#${symbol}-max-exposure`).value) || null,
+        orderType: card.querySelector(`#${symbol}-order-type`).value,
+        limitTimeoutSeconds: parseInt(card.querySelector(`#${symbol}-limit-timeout`).value, 10),
+        limitFallback: card.querySelector(`#${symbol}-limit-fallback`).value,
+        // The server validates the parameters against the strategy's schema
+        strategy: card.querySelector(`#${symbol}-strategy`).value,
+        strategyParams: getStrategyParams(symbol)
+      });
+    });
+  }
+  
+  const settingsReset = card.querySelector(`#${symbol}-settings-reset`);
+  if (settingsReset) {
+    settingsReset.addEventListener('click', () => {
+      saveStrategyConfig(symbol, { reset: true });
+    });
+  }
+  
+  const resetStateButton = card.querySelector(`#${symbol}-reset-state`);
+  if (resetStateButton) {
+    resetStateButton.addEventListener('click', () => {
+      if (!window.confirm(`Reset the strategy state of ${symbol}? Next Buy, Next Sell and the last transaction price are set to 0. Holdings and history are kept.`)) {
+        return;
+      }
+      
+      // Disable button to prevent double-clicks
+      resetStateButton.disabled = true;
+      
+      // Send reset request to server - the card is refreshed by the dashboard on strategy-state-reset
+      cardState.socket.emit('reset-strategy-state', { symbol });
+      
+      // Listen for response
+      cardState.socket.once('reset-strategy-state-result', (result) => {
+        resetStateButton.disabled = false;
+        
+        // Show notification
+        const notificationEvent = new CustomEvent('showNotification', {
+          detail: {
+            message: result.success 
+              ? `Strategy state reset for ${symbol}` 
+              : `Failed to reset strategy state for ${symbol}: ${result.error}`,
+            type: result.success ? 'success' : 'error'
+          }
+        });
+        document.dispatchEvent(notificationEvent);
+      });
+    });
+  }
+  
+  // The timeout and fallback only apply to limit orders
+  const orderTypeSelect = card.querySelector(`#${symbol}-order-type`);
+  if (orderTypeSelect) {
+    orderTypeSelect.addEventListener('change', () => {
+      updateLimitSettings(symbol);
+    });
+  }
+  
+  const stopLossMode = card.querySelector(`#${symbol}-stop-loss-mode`);
+  const stopLossValue = card.querySelector(`#${symbol}-stop-loss-value`);
+  if (stopLossMode && stopLossValue) {
+    stopLossMode.addEventListener('change', () => {
+      stopLossValue.disabled = stopLossMode.value === 'off';
+      if (stopLossMode.value === 'off') {
+        stopLossValue.value = '';
+      }
+    });
+  }
+  
+  // Resume auto-trading after a stop-loss paused this pair
+  const resumeButton = card.querySelector(`#${symbol}-resume`);
+  if (resumeButton) {
+    resumeButton.addEventListener('click', () => {
+      // Disable button to prevent double-clicks
+      resumeButton.disabled = true;
+      
+      // Send resume request to server - the badge is hidden on symbol-auto-trading-updated
+      cardState.socket.emit('set-symbol-auto-trading', { symbol, paused: false });
+      
+      // Listen for response
+      cardState.socket.once('symbol-auto-trading-result', (result) => {
+        resumeButton.disabled = false;
+        
+        // Show notification
+        const notificationEvent = new CustomEvent('showNotification', {
+          detail: {
+            message: result.success 
+              ? `Auto-trading resumed for ${symbol}` 
+              : `Failed to resume auto-trading for ${symbol}: ${result.error}`,
+            type: result.success ? 'success' : 'error'
+          }
+        });
+        document.dispatchEvent(notificationEvent);
+      });
+    });
+  }
+  
+  // Fill in the settings if they were loaded before this card was created
+  updateStrategyPanel(symbol);
+  updateGridPanel(symbol, true);
+  
+  // Show the pause badge if the pair was paused before the dashboard loaded
+  const crypto = cardState.symbols.find(item => item.symbol === symbol);
+  if (crypto) {
+    updatePausedBadge(symbol, crypto.autoTradingPaused, crypto.pausedReason);
+    updateLimitBadge(symbol, crypto.limitReached);
+  }
+  
   // Investment slider
   const slider = card.querySelector(`#${symbol}-investment`);
   const amountDisplay = card.querySelector(`#${symbol}-amount`);
@@ -300,6 +830,380 @@ function setupCardEventListeners(symbol) {
   }
 }
 
+/**
+ * Show a card's price chart, creating it on first use
+ * @param {string} symbol - The cryptocurrency symbol
+ */
+function openChart(symbol) {
+  const card = cardState.cards.get(symbol);
+  if (!card) return;
+  
+  let chart = cardState.charts.get(symbol);
+  if (chart) {
+    // Redraw at the current card width - it isn't drawn while collapsed
+    chart.render();
+    return;
+  }
+  
+  const container = card.querySelector(`#${symbol}-chart-body`);
+  if (!container) return;
+  
+  chart = Chart.createPriceChart(container, { interval: CARD_CONFIG.DEFAULT_CHART_INTERVAL });
+  cardState.charts.set(symbol, chart);
+  
+  // Threshold lines and trade markers from the data the card already has
+  const data = cardState.data.get(symbol) || {};
+  chart.setLines(data);
+  if (Array.isArray(data.history)) {
+    chart.setMarkers(data.history);
+  }
+  
+  loadChartCandles(symbol, CARD_CONFIG.DEFAULT_CHART_INTERVAL);
+}
+
+/**
+ * Load a chart's candle history from the backend
+ * @param {string} symbol - The cryptocurrency symbol
+ * @param {string} interval - The candle interval ('1m', '5m' or '1h')
+ */
+async function loadChartCandles(symbol, interval) {
+  if (!cardState.charts.has(symbol)) return;
+  
+  cardState.chartRequests.set(symbol, interval);
+  
+  try {
+    const params = new URLSearchParams({ symbol, interval, limit: Chart.CHART_CONFIG.MAX_CANDLES });
+    const response = await Auth.authFetch(`${cardState.backendUrl}/api/candles?${params}`);
+    const data = await response.json();
+    
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || `HTTP ${response.status}`);
+    }
+    
+    // Ignore the answer if another interval was picked meanwhile or the card was re-rendered
+    const chart = cardState.charts.get(symbol);
+    if (!chart || cardState.chartRequests.get(symbol) !== interval) return;
+    
+    chart.setCandles(data.candles, interval);
+  } catch (error) {
+    console.error(`Error loading ${interval} candles for ${symbol}:`, error);
+    
+    const notificationEvent = new CustomEvent('showNotification', {
+      detail: {
+        message: `Failed to load the ${symbol} price chart: ${error.message}`,
+        type: 'error'
+      }
+    });
+    document.dispatchEvent(notificationEvent);
+  }
+}
+
+/**
+ * Discard a card's price chart
+ * @param {string} symbol - The cryptocurrency symbol
+ */
+function removeChart(symbol) {
+  const chart = cardState.charts.get(symbol);
+  if (chart) {
+    chart.destroy();
+    cardState.charts.delete(symbol);
+  }
+  cardState.chartRequests.delete(symbol);
+}
+
+/**
+ * Send new strategy settings for a card to the server
+ * @param {string} symbol - The cryptocurrency symbol
+ * @param {Object} config - The settings (thresholds as fractions), or { reset: true } for the defaults
+ */
+function saveStrategyConfig(symbol, config) {
+  const card = cardState.cards.get(symbol);
+  if (!card) return;
+  
+  const saveButton = card.querySelector(`#${symbol}-settings-save`);
+  const resetButton = card.querySelector(`#${symbol}-settings-reset`);
+  
+  // Disable buttons to prevent double-clicks
+  saveButton.disabled = true;
+  resetButton.disabled = true;
+  
+  // Send update request to server
+  cardState.socket.emit('update-strategy-config', { symbol, ...config });
+  
+  // Listen for response - the panel itself is refreshed by strategy-config-updated
+  cardState.socket.once('strategy-config-result', (result) => {
+    saveButton.disabled = false;
+    resetButton.disabled = false;
+    
+    // Show notification
+    const notificationEvent = new CustomEvent('showNotification', {
+      detail: {
+        message: result.success 
+          ? `Saved strategy settings for ${symbol}` 
+          : `Failed to save strategy settings for ${symbol}: ${result.error}`,
+        type: result.success ? 'success' : 'error'
+      }
+    });
+    document.dispatchEvent(notificationEvent);
+  });
+}
+
+/**
+ * Show the parameter inputs of a strategy in a card's settings panel
+ * @param {string} symbol - The cryptocurrency symbol
+ * @param {string} strategyName - The strategy name
+ * @param {Object} values - The parameter values to show (defaults for missing ones)
+ */
+function renderStrategyParams(symbol, strategyName, values = {}) {
+  const card = cardState.cards.get(symbol);
+  if (!card) return;
+  
+  const container = card.querySelector(`#${symbol}-strategy-params`);
+  const strategy = cardState.strategies.find(item => item.name === strategyName);
+  if (!container) return;
+  
+  container.innerHTML = '';
+  const params = strategy ? strategy.params : {};
+  
+  for (const [key, field] of Object.entries(params)) {
+    const inputId = `${symbol}-param-${key}`;
+    const value = values && values[key] !== undefined && values[key] !== null ? values[key] : field.default;
+    const row = document.createElement('div');
+    row.className = 'settings-row';
+    
+    const label = document.createElement('label');
+    label.htmlFor = inputId;
+    label.textContent = `${field.label}:`;
+    row.appendChild(label);
+    
+    let input;
+    if (field.type === 'select') {
+      input = document.createElement('select');
+      for (const option of field.options) {
+        const element = document.createElement('option');
+        element.value = option;
+        element.textContent = option;
+        input.appendChild(element);
+      }
+    } else {
+      input = document.createElement('input');
+      input.type = 'number';
+      input.step = field.type === 'integer' ? '1' : 'any';
+      if (field.min !== undefined) input.min = field.min;
+      if (field.max !== undefined) input.max = field.max;
+      if (field.required) input.placeholder = 'Required';
+    }
+    
+    input.id = inputId;
+    input.dataset.param = key;
+    input.value = value !== undefined ? value : '';
+    row.appendChild(input);
+    container.appendChild(row);
+  }
+  
+  // The trailing take-profit belongs to the threshold strategy's sell
+  const trailingRow = card.querySelector(`#${symbol}-trailing-row`);
+  if (trailingRow) {
+    trailingRow.style.display = strategyName === 'threshold' ? '' : 'none';
+  }
+}
+
+/**
+ * Read the strategy parameters from a card's settings panel
+ * @param {string} symbol - The cryptocurrency symbol
+ * @returns {Object} The parameters by key, empty inputs left out
+ */
+function getStrategyParams(symbol) {
+  const card = cardState.cards.get(symbol);
+  const params = {};
+  if (!card) return params;
+  
+  card.querySelectorAll(`#${symbol}-strategy-params [data-param]`).forEach(input => {
+    if (input.value !== '') {
+      params[input.dataset.param] = input.value;
+    }
+  });
+  return params;
+}
+
+/**
+ * Show a card's strategy settings in its settings panel
+ * @param {string} symbol - The cryptocurrency symbol
+ */
+function updateStrategyPanel(symbol) {
+  const card = cardState.cards.get(symbol);
+  const config = cardState.strategyConfigs.get(symbol);
+  if (!card || !config) return;
+  
+  const buyInput = card.querySelector(`#${symbol}-buy-threshold`);
+  const sellInput = card.querySelector(`#${symbol}-sell-threshold`);
+  const amountInput = card.querySelector(`#${symbol}-auto-amount`);
+  const sourceLabel = card.querySelector(`#${symbol}-settings-source`);
+  
+  // Round away floating point noise from the fraction -> percentage conversion
+  if (buyInput) buyInput.value = parseFloat((config.buyThresholdPercent * 100).toFixed(4));
+  if (sellInput) sellInput.value = parseFloat((config.sellThresholdPercent * 100).toFixed(4));
+  if (amountInput) amountInput.value = config.investmentAmount;
+  
+  // Fill the strategy list once it arrived with the configs
+  const strategySelect = card.querySelector(`#${symbol}-strategy`);
+  if (strategySelect) {
+    if (cardState.strategies.length > 0 && strategySelect.options.length !== cardState.strategies.length) {
+      strategySelect.innerHTML = cardState.strategies
+        .map(strategy => `<option value="${strategy.name}">${strategy.label}</option>`)
+        .join('');
+    }
+    strategySelect.value = config.strategy || 'threshold';
+    renderStrategyParams(symbol, strategySelect.value, config.strategyParams);
+  }
+  
+  const stopLossMode = card.querySelector(`#${symbol}-stop-loss-mode`);
+  const stopLossValue = card.querySelector(`#${symbol}-stop-loss-value`);
+  if (stopLossMode && stopLossValue) {
+    if (config.stopLossPrice > 0) {
+      stopLossMode.value = 'price';
+      stopLossValue.value = config.stopLossPrice;
+    } else if (config.stopLossPercent > 0) {
+      stopLossMode.value = 'percent';
+      stopLossValue.value = parseFloat((config.stopLossPercent * 100).toFixed(4));
+    } else {
+      stopLossMode.value = 'off';
+      stopLossValue.value = '';
+    }
+    stopLossValue.disabled = stopLossMode.value === 'off';
+  }
+  
+  const trailingInput = card.querySelector(`#${symbol}-trailing`);
+  if (trailingInput) {
+    trailingInput.value = config.trailingPercent > 0 ? parseFloat((config.trailingPercent * 100).toFixed(4)) : '';
+  }
+  
+  const maxDcaInput = card.querySelector(`#${symbol}-max-dca-buys`);
+  const maxExposureInput = card.querySelector(`#${symbol}-max-exposure`);
+  if (maxDcaInput) maxDcaInput.value = config.maxDcaBuys !== null && config.maxDcaBuys !== undefined ? config.maxDcaBuys : '';
+  if (maxExposureInput) maxExposureInput.value = config.maxExposureUsdt > 0 ? config.maxExposureUsdt : '';
+  
+  const orderTypeSelect = card.querySelector(`#${symbol}-order-type`);
+  const limitTimeoutInput = card.querySelector(`#${symbol}-limit-timeout`);
+  const limitFallbackSelect = card.querySelector(`#${symbol}-limit-fallback`);
+  if (orderTypeSelect) orderTypeSelect.value = config.orderType || 'market';
+  if (limitTimeoutInput) limitTimeoutInput.value = config.limitTimeoutSeconds;
+  if (limitFallbackSelect) limitFallbackSelect.value = config.limitFallback || 'market';
+  updateLimitSettings(symbol);
+  
+  if (sourceLabel) {
+    sourceLabel.textContent = config.isDefault ? 'Defaults' : 'Custom';
+    sourceLabel.className = config.isDefault ? 'settings-source' : 'settings-source custom';
+  }
+}
+
+/**
+ * Show the limit order timeout and fallback only while a limit order type is selected
+ * @param {string} symbol - The cryptocurrency symbol
+ */
+function updateLimitSettings(symbol) {
+  const card = cardState.cards.get(symbol);
+  if (!card) return;
+  
+  const orderTypeSelect = card.querySelector(`#${symbol}-order-type`);
+  const isLimit = Boolean(orderTypeSelect) && orderTypeSelect.value !== 'market';
+  card.querySelectorAll('.limit-settings').forEach(row => {
+    row.style.display = isLimit ? '' : 'none';
+  });
+}
+
+/**
+ * Show the resting limit orders of a grid_limit pair
+ * The list is hidden for other strategies.
+ * @param {string} symbol - The cryptocurrency symbol
+ * @param {boolean} reload - Whether to request the ladder from the server
+ */
+function updateGridPanel(symbol, reload = false) {
+  const card = cardState.cards.get(symbol);
+  const config = cardState.strategyConfigs.get(symbol);
+  if (!card) return;
+  
+  const panel = card.querySelector(`#${symbol}-grid`);
+  const body = card.querySelector(`#${symbol}-grid-levels`);
+  if (!panel || !body) return;
+  
+  const isGrid = Boolean(config) && config.strategy === CARD_CONFIG.RESTING_ORDER_STRATEGY;
+  panel.style.display = isGrid ? 'block' : 'none';
+  if (!isGrid) return;
+  
+  if (reload && cardState.socket) {
+    cardState.socket.emit('get-grid-levels', { symbol });
+  }
+  
+  const levels = cardState.gridLevels.get(symbol) || [];
+  if (levels.length === 0) {
+    body.innerHTML = '<tr><td colspan="5" class="grid-placeholder">No grid orders yet</td></tr>';
+    return;
+  }
+  
+  // Highest level first, like an order book
+  body.innerHTML = [...levels]
+    .sort((a, b) => b.level - a.level)
+    .map(level => {
+      const side = level.side === 'SELL' ? 'sell' : 'buy';
+      const price = side === 'sell' ? level.sellPrice : level.buyPrice;
+      const status = level.status === 'open' ? 'Open' : level.status === 'placing' ? 'Placing' : 'Waiting';
+      return `
+        <tr class="grid-level ${side}${level.error ? ' error' : ''}"${level.error ? ` title="${level.error.replace(/"/g, '&quot;')}"` : ''}>
+          <td>${level.level + 1}</td>
+          <td class="grid-side">${level.side}</td>
+          <td>$${parseFloat(price).toFixed(4)}</td>
+          <td>${level.quantity > 0 ? parseFloat(level.quantity).toFixed(4) : '-'}</td>
+          <td>${level.error ? 'Error' : status}</td>
+        </tr>
+      `;
+    })
+    .join('');
+}
+
+/**
+ * Show or hide a card's "auto-trading paused" badge
+ * @param {string} symbol - The cryptocurrency symbol
+ * @param {boolean} paused - Whether auto-trading is paused for the pair
+ * @param {string} reason - Why auto-trading was paused
+ */
+function updatePausedBadge(symbol, paused, reason) {
+  const card = cardState.cards.get(symbol);
+  if (!card) return;
+  
+  const badge = card.querySelector(`#${symbol}-paused`);
+  const reasonElement = card.querySelector(`#${symbol}-paused-reason`);
+  if (!badge) return;
+  
+  badge.style.display = paused ? 'flex' : 'none';
+  if (reasonElement) {
+    reasonElement.textContent = reason ? `Auto-trading paused: ${reason}` : 'Auto-trading paused';
+  }
+}
+
+/**
+ * Show or hide a card's "buy cap reached" badge
+ * @param {string} symbol - The cryptocurrency symbol
+ * @param {Object|null} limitReached - The reached cap ({ limit, message }), or null to hide the badge
+ */
+function updateLimitBadge(symbol, limitReached) {
+  const card = cardState.cards.get(symbol);
+  if (!card) return;
+  
+  const badge = card.querySelector(`#${symbol}-limit`);
+  if (!badge) return;
+  
+  if (!limitReached) {
+    badge.style.display = 'none';
+    badge.textContent = '';
+    return;
+  }
+  
+  const title = limitReached.limit === 'max_dca_buys' ? 'DCA buy cap reached' : 'Position size cap reached';
+  badge.textContent = `${title}: ${limitReached.message}`;
+  badge.style.display = 'block';
+}
+
 /**
  * Update the price display for a cryptocurrency
  * @param {string} symbol - The cryptocurrency symbol
@@ -327,6 +1231,12 @@ function updatePrice(symbol, price) {
     
     cardState.data.get(symbol).price = price;
   }
+  
+  // Extend the latest candle of an expanded chart
+  const chart = cardState.charts.get(symbol);
+  if (chart) {
+    chart.addPrice(price);
+  }
 }
 
 /**
@@ -381,15 +1291,53 @@ function updateCardData(symbol, data) {
     console.log(`Updated next sell price for ${symbol} to ${nextSellDisplay}`);
   }
   
+  // Update trailing take-profit stop
+  if (data.trailingStopPrice !== undefined) {
+    updateTrailingStop(symbol, data.trailingStopPrice);
+  }
+  
   // Update profit/loss indicator
   if (data.profitLossPercentage !== undefined) {
     updateProfitLossIndicator(symbol, data.profitLossPercentage);
   }
   
+  // Update realized/unrealized P&L
+  if (data.pnl) {
+    updatePnlBreakdown(symbol, data.pnl);
+  }
+  
   // Update transaction history
   if (data.history && Array.isArray(data.history)) {
     updateTransactionHistory(symbol, data.history);
   }
+  
+  // Update the chart's threshold lines and trade markers
+  const chart = cardState.charts.get(symbol);
+  if (chart) {
+    chart.setLines(data);
+    if (Array.isArray(data.history)) {
+      chart.setMarkers(data.history);
+    }
+  }
+}
+
+/**
+ * Show the live trailing take-profit stop next to Next Sell
+ * Hidden while trailing isn't armed (stop price 0)
+ * @param {string} symbol - The cryptocurrency symbol
+ * @param {number} trailingStopPrice - The trailing stop price
+ */
+function updateTrailingStop(symbol, trailingStopPrice) {
+  const card = cardState.cards.get(symbol);
+  if (!card) return;
+  
+  const container = card.querySelector(`#${symbol}-trailing-container`);
+  const valueElement = card.querySelector(`#${symbol}-trailing-stop`);
+  if (!container || !valueElement) return;
+  
+  const isArmed = trailingStopPrice > 0;
+  container.style.display = isArmed ? '' : 'none';
+  valueElement.textContent = isArmed ? `$${parseFloat(trailingStopPrice).toFixed(4)}` : 'N/A';
 }
 
 /**
@@ -427,6 +1375,33 @@ function updateProfitLossIndicator(symbol, percentage) {
   valueDisplay.style.color = percentage > 0 ? '#4caf50' : (percentage < 0 ? '#f44336' : '#9e9e9e');
 }
 
+/**
+ * Show the realized P&L of past sells and the unrealized P&L of the open lots
+ * @param {string} symbol - The cryptocurrency symbol
+ * @param {Object} pnl - { method, realized, unrealized, openQuantity, costBasis, averageCost }
+ */
+function updatePnlBreakdown(symbol, pnl) {
+  const card = cardState.cards.get(symbol);
+  if (!card) return;
+  
+  const breakdown = card.querySelector(`#${symbol}-pnl-breakdown`);
+  const realized = card.querySelector(`#${symbol}-pnl-realized`);
+  const unrealized = card.querySelector(`#${symbol}-pnl-unrealized`);
+  if (!breakdown || !realized || !unrealized) return;
+  
+  [[realized, pnl.realized], [unrealized, pnl.unrealized]].forEach(([element, amount]) => {
+    const value = parseFloat(amount) || 0;
+    element.textContent = `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+    element.classList.toggle('positive', value > 0);
+    element.classList.toggle('negative', value < 0);
+  });
+  
+  const method = pnl.method === 'average_cost' ? 'average cost' : 'FIFO';
+  breakdown.title = pnl.openQuantity > 0
+    ? `Net of fees, ${method}. Open lots: ${parseFloat(pnl.openQuantity).toFixed(8)} ${symbol} at an average cost of $${parseFloat(pnl.averageCost).toFixed(4)}`
+    : `Net of fees, ${method}. No open lots`;
+}
+
 /**
  * Update the transaction history list for a cryptocurrency
  * @param {string} symbol - The cryptocurrency symbol
@@ -450,7 +1425,7 @@ function updateTransactionHistory(symbol, history) {
     const recentHistory = history.slice(0, CARD_CONFIG.MAX_HISTORY_ITEMS);
     
     recentHistory.forEach(transaction => {
-      const { action, quantity, price, trade_time } = transaction;
+      const { action, quantity, price, trade_time, reason, commission, commission_asset, commission_usdt, realized_pnl } = transaction;
       
       // Format date with validation
       let formattedDate = 'N/A';
@@ -466,11 +1441,28 @@ function updateTransactionHistory(symbol, history) {
       const li = document.createElement('li');
       li.className = `history-item ${action.toLowerCase()}`;
       
+      // The fee and a sell's realized P&L are shown on hover when they're known
+      const details = [];
+      if (commission !== null && commission !== undefined && commission_asset) {
+        const feeUsdt = commission_usdt !== null && commission_usdt !== undefined
+          ? ` ($${parseFloat(commission_usdt).toFixed(4)})`
+          : '';
+        details.push(`Fee: ${parseFloat(commission).toFixed(8)} ${commission_asset}${feeUsdt}`);
+      }
+      if (realized_pnl !== null && realized_pnl !== undefined) {
+        const pnl = parseFloat(realized_pnl);
+        details.push(`Realized P&L: ${pnl < 0 ? '-' : ''}$${Math.abs(pnl).toFixed(2)}`);
+      }
+      if (details.length > 0) {
+        li.title = details.join('\n');
+      }
+      
       li.innerHTML = `
         <span class="transaction-type">${action.toUpperCase()}</span>&nbsp;
         <span class="transaction-amount">${parseFloat(quantity).toFixed(4)} ${symbol}</span>&nbsp;
         <span class="transaction-price">$${parseFloat(price).toFixed(4)}</span>&nbsp;
         <span class="transaction-time">${formattedDate} ${formattedTime}</span>
+        ${reason ? `<span class="transaction-reason">${CARD_CONFIG.TRADE_REASON_LABELS[reason] || reason}</span>` : ''}
       `;
       
       historyList.appendChild(li);
@@ -502,6 +1494,10 @@ function getHolding(symbol) {
 export {
   CARD_CONFIG,
   initialize,
+  sendRequest,
+  loadSymbols,
+  setSymbols,
+  getSymbols,
   createAllCards,
   updatePrice,
   updateCardData,
@@ -0,0 +1,414 @@
+// frontend/js/chart.js
+// Price Chart Module
+// Draws a price history as candles or a line, with horizontal threshold lines and trade markers
+// Plain SVG - the dashboard has no chart library dependency
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Chart configuration
+const CHART_CONFIG = {
+  // Height of the drawing area in pixels (the width follows the card)
+  HEIGHT: 180,
+
+  // Space around the plot; the right side holds the price labels
+  PADDING: { top: 10, right: 70, bottom: 10, left: 4 },
+
+  // Candle intervals and their length in milliseconds (same as the backend candles)
+  INTERVAL_MS: {
+    '1m': 60000,
+    '5m': 300000,
+    '1h': 3600000
+  },
+
+  // Candles kept in memory; older ones scroll out on the left
+  MAX_CANDLES: 120,
+
+  COLORS: {
+    up: '#4caf50',
+    down: '#f44336',
+    line: '#3a7bd5',
+    grid: '#e0e0e0',
+    text: '#666',
+    nextBuyPrice: '#4caf50',
+    nextSellPrice: '#f44336',
+    lastTransactionPrice: '#9e9e9e'
+  },
+
+  // Labels of the horizontal threshold lines
+  LINE_LABELS: {
+    nextBuyPrice: 'Buy',
+    nextSellPrice: 'Sell',
+    lastTransactionPrice: 'Last'
+  }
+};
+
+/**
+ * Format a price for the chart labels
+ * @param {number} price - The price
+ * @returns {string} The price with 4 decimal places, like the rest of the card
+ */
+function formatPrice(price) {
+  return `$${price.toFixed(4)}`;
+}
+
+/**
+ * Create a price chart inside a container element
+ * @param {HTMLElement} container - The element the chart is drawn into
+ * @param {Object} options - { interval: '1m'|'5m'|'1h', mode: 'candles'|'line' }
+ * @returns {Object} The chart
+ */
+function createPriceChart(container, { interval = '5m', mode = 'candles' } = {}) {
+  const state = {
+    interval,
+    mode,
+    candles: [],   // { openTime, open, high, low, close }, oldest first
+    lines: { nextBuyPrice: 0, nextSellPrice: 0, lastTransactionPrice: 0 },
+    markers: [],   // { time, price, action }
+    hoverTime: null,
+    renderScheduled: false,
+    scale: null    // Geometry of the last render, used to map the mouse position to a candle
+  };
+
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('class', 'price-chart-svg');
+  svg.setAttribute('height', CHART_CONFIG.HEIGHT);
+
+  const info = document.createElement('div');
+  info.className = 'price-chart-info';
+
+  container.appendChild(svg);
+  container.appendChild(info);
+
+  /**
+   * Get the length of the current interval
+   * @returns {number} Milliseconds per candle
+   */
+  function getIntervalMs() {
+    return CHART_CONFIG.INTERVAL_MS[state.interval];
+  }
+
+  /**
+   * Drop the candles that no longer fit
+   */
+  function trimCandles() {
+    if (state.candles.length > CHART_CONFIG.MAX_CANDLES) {
+      state.candles.splice(0, state.candles.length - CHART_CONFIG.MAX_CANDLES);
+    }
+  }
+
+  /**
+   * Redraw on the next animation frame, so bursts of price updates draw once
+   */
+  function scheduleRender() {
+    if (state.renderScheduled) return;
+
+    state.renderScheduled = true;
+    window.requestAnimationFrame(() => {
+      state.renderScheduled = false;
+      render();
+    });
+  }
+
+  /**
+   * Replace the candles, e.g. after loading the history or switching the interval
+   * @param {Array<Object>} candles - The candles, oldest first
+   * @param {string} newInterval - The interval of the candles
+   */
+  function setCandles(candles, newInterval = state.interval) {
+    state.interval = newInterval;
+    state.candles = candles.map(candle => ({
+      openTime: candle.openTime,
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close
+    }));
+    trimCandles();
+    scheduleRender();
+  }
+
+  /**
+   * Apply a candle update from the backend
+   * @param {Object} candle - The candle (candle-update payload)
+   */
+  function updateCandle(candle) {
+    if (candle.interval !== state.interval) return;
+
+    const last = state.candles[state.candles.length - 1];
+    const updated = {
+      openTime: candle.openTime,
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close
+    };
+
+    if (!last || candle.openTime > last.openTime) {
+      state.candles.push(updated);
+      trimCandles();
+    } else {
+      const index = state.candles.findIndex(item => item.openTime === candle.openTime);
+      if (index === -1) return;
+
+      // Keep the newest close - a price update may have arrived after this candle was sent
+      if (index === state.candles.length - 1) {
+        updated.close = state.candles[index].close;
+        updated.high = Math.max(updated.high, updated.close);
+        updated.low = Math.min(updated.low, updated.close);
+      }
+      state.candles[index] = updated;
+    }
+
+    scheduleRender();
+  }
+
+  /**
+   * Add a live price to the latest candle, starting a new one when its period is over
+   * @param {number} price - The price
+   * @param {number} time - When the price was received
+   */
+  function addPrice(price, time = Date.now()) {
+    if (!(price > 0)) return;
+
+    const intervalMs = getIntervalMs();
+    const openTime = Math.floor(time / intervalMs) * intervalMs;
+    const last = state.candles[state.candles.length - 1];
+
+    if (last && last.openTime === openTime) {
+      last.high = Math.max(last.high, price);
+      last.low = Math.min(last.low, price);
+      last.close = price;
+    } else if (!last || openTime > last.openTime) {
+      state.candles.push({ openTime, open: price, high: price, low: price, close: price });
+      trimCandles();
+    } else {
+      return;
+    }
+
+    scheduleRender();
+  }
+
+  /**
+   * Set the horizontal threshold lines
+   * Only the given keys change; a price of 0 hides its line
+   * @param {Object} lines - { nextBuyPrice, nextSellPrice, lastTransactionPrice }
+   */
+  function setLines(lines) {
+    for (const key of Object.keys(state.lines)) {
+      if (lines[key] !== undefined) {
+        state.lines[key] = parseFloat(lines[key]) || 0;
+      }
+    }
+    scheduleRender();
+  }
+
+  /**
+   * Set the trade markers from the transaction history
+   * @param {Array<Object>} history - The trades ({ action, price, trade_time })
+   */
+  function setMarkers(history) {
+    state.markers = history
+      .map(trade => ({
+        time: new Date(trade.trade_time).getTime(),
+        price: parseFloat(trade.price),
+        action: String(trade.action).toLowerCase()
+      }))
+      .filter(marker => Number.isFinite(marker.time) && marker.price > 0);
+    scheduleRender();
+  }
+
+  /**
+   * Switch between candles and a line of closing prices
+   * @param {string} newMode - 'candles' or 'line'
+   */
+  function setMode(newMode) {
+    state.mode = newMode;
+    scheduleRender();
+  }
+
+  /**
+   * Show the prices of the candle under the mouse, or of the latest candle
+   */
+  function renderInfo() {
+    if (state.candles.length === 0) {
+      info.textContent = 'No price history yet';
+      return;
+    }
+
+    let candle = state.candles[state.candles.length - 1];
+    if (state.hoverTime !== null) {
+      const intervalMs = getIntervalMs();
+      const openTime = Math.floor(state.hoverTime / intervalMs) * intervalMs;
+      candle = state.candles.find(item => item.openTime === openTime) || candle;
+    }
+
+    const time = new Date(candle.openTime).toLocaleString([], {
+      month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+    info.textContent = `${time}  O ${candle.open.toFixed(4)}  H ${candle.high.toFixed(4)}  L ${candle.low.toFixed(4)}  C ${candle.close.toFixed(4)}`;
+  }
+
+  /**
+   * Draw the chart
+   */
+  function render() {
+    const width = container.clientWidth;
+
+    // Hidden (collapsed card) - drawn when it is shown again
+    if (!width) return;
+
+    svg.setAttribute('width', width);
+    svg.setAttribute('viewBox', `0 0 ${width} ${CHART_CONFIG.HEIGHT}`);
+
+    if (state.candles.length === 0) {
+      svg.innerHTML = '';
+      state.scale = null;
+      renderInfo();
+      return;
+    }
+
+    const { top, right, bottom, left } = CHART_CONFIG.PADDING;
+    const plotWidth = width - left - right;
+    const plotHeight = CHART_CONFIG.HEIGHT - top - bottom;
+    const intervalMs = getIntervalMs();
+    const firstTime = state.candles[0].openTime;
+    const lastTime = state.candles[state.candles.length - 1].openTime + intervalMs;
+
+    // Markers outside the shown candles are left out
+    const markers = state.markers.filter(marker => marker.time >= firstTime && marker.time < lastTime);
+    const lines = Object.entries(state.lines).filter(([, price]) => price > 0);
+
+    // The price range covers the candles, the threshold lines and the markers
+    const prices = [];
+    for (const candle of state.candles) {
+      if (state.mode === 'line') {
+        prices.push(candle.close);
+      } else {
+        prices.push(candle.high, candle.low);
+      }
+    }
+    lines.forEach(([, price]) => prices.push(price));
+    markers.forEach(marker => prices.push(marker.price));
+
+    let minPrice = Math.min(...prices);
+    let maxPrice = Math.max(...prices);
+    const margin = (maxPrice - minPrice) * 0.05 || maxPrice * 0.01 || 1;
+    minPrice -= margin;
+    maxPrice += margin;
+
+    const slotWidth = plotWidth / ((lastTime - firstTime) / intervalMs);
+    const x = (time) => left + ((time - firstTime) / intervalMs) * slotWidth;
+    const y = (price) => top + (maxPrice - price) / (maxPrice - minPrice) * plotHeight;
+
+    state.scale = { left, firstTime, slotWidth, intervalMs };
+
+    const parts = [];
+
+    // Price range labels
+    parts.push(`<line x1="${left}" y1="${top}" x2="${left + plotWidth}" y2="${top}" stroke="${CHART_CONFIG.COLORS.grid}" stroke-width="1"/>`);
+    parts.push(`<line x1="${left}" y1="${top + plotHeight}" x2="${left + plotWidth}" y2="${top + plotHeight}" stroke="${CHART_CONFIG.COLORS.grid}" stroke-width="1"/>`);
+    parts.push(`<text x="${width - right + 4}" y="${top + 4}" class="price-chart-label" fill="${CHART_CONFIG.COLORS.text}">${formatPrice(maxPrice)}</text>`);
+    parts.push(`<text x="${width - right + 4}" y="${top + plotHeight}" class="price-chart-label" fill="${CHART_CONFIG.COLORS.text}">${formatPrice(minPrice)}</text>`);
+
+    // Candles or line
+    if (state.mode === 'line') {
+      const points = state.candles
+        .map(candle => `${x(candle.openTime + intervalMs / 2).toFixed(1)},${y(candle.close).toFixed(1)}`)
+        .join(' ');
+      parts.push(`<polyline points="${points}" fill="none" stroke="${CHART_CONFIG.COLORS.line}" stroke-width="1.5"/>`);
+    } else {
+      const bodyWidth = Math.max(1, slotWidth * 0.7);
+      for (const candle of state.candles) {
+        const color = candle.close >= candle.open ? CHART_CONFIG.COLORS.up : CHART_CONFIG.COLORS.down;
+        const center = x(candle.openTime + intervalMs / 2);
+        const bodyTop = y(Math.max(candle.open, candle.close));
+        const bodyHeight = Math.max(1, y(Math.min(candle.open, candle.close)) - bodyTop);
+
+        parts.push(`<line x1="${center.toFixed(1)}" y1="${y(candle.high).toFixed(1)}" x2="${center.toFixed(1)}" y2="${y(candle.low).toFixed(1)}" stroke="${color}" stroke-width="1"/>`);
+        parts.push(`<rect x="${(center - bodyWidth / 2).toFixed(1)}" y="${bodyTop.toFixed(1)}" width="${bodyWidth.toFixed(1)}" height="${bodyHeight.toFixed(1)}" fill="${color}"/>`);
+      }
+    }
+
+    // Threshold lines with their label on the right
+    for (const [key, price] of lines) {
+      const lineY = y(price).toFixed(1);
+      const color = CHART_CONFIG.COLORS[key];
+      parts.push(`<line x1="${left}" y1="${lineY}" x2="${left + plotWidth}" y2="${lineY}" stroke="${color}" stroke-width="1" stroke-dasharray="4 3"/>`);
+      parts.push(`<text x="${width - right + 4}" y="${parseFloat(lineY) + 3}" class="price-chart-label" fill="${color}">${CHART_CONFIG.LINE_LABELS[key]} ${price.toFixed(4)}</text>`);
+    }
+
+    // Trade markers: buys point up from below the price, sells point down from above it
+    for (const marker of markers) {
+      const markerX = x(marker.time);
+      const markerY = y(marker.price);
+      const isBuy = marker.action === 'buy';
+      const color = isBuy ? CHART_CONFIG.COLORS.up : CHART_CONFIG.COLORS.down;
+      const points = isBuy
+        ? `${markerX},${markerY} ${markerX - 5},${markerY + 8} ${markerX + 5},${markerY + 8}`
+        : `${markerX},${markerY} ${markerX - 5},${markerY - 8} ${markerX + 5},${markerY - 8}`;
+      parts.push(`<polygon points="${points}" fill="${color}" stroke="#fff" stroke-width="1"><title>${marker.action.toUpperCase()} at ${formatPrice(marker.price)}</title></polygon>`);
+    }
+
+    // Crosshair under the mouse
+    if (state.hoverTime !== null) {
+      const hoverX = x(state.hoverTime).toFixed(1);
+      parts.push(`<line x1="${hoverX}" y1="${top}" x2="${hoverX}" y2="${top + plotHeight}" stroke="${CHART_CONFIG.COLORS.text}" stroke-width="0.5"/>`);
+    }
+
+    svg.innerHTML = parts.join('');
+    renderInfo();
+  }
+
+  /**
+   * Follow the mouse with the crosshair and the candle prices
+   * @param {MouseEvent} event - The mouse event
+   */
+  function handleMouseMove(event) {
+    if (!state.scale) return;
+
+    const rect = svg.getBoundingClientRect();
+    const { left, firstTime, slotWidth, intervalMs } = state.scale;
+    state.hoverTime = firstTime + ((event.clientX - rect.left - left) / slotWidth) * intervalMs;
+    scheduleRender();
+  }
+
+  /**
+   * Go back to showing the latest candle
+   */
+  function handleMouseLeave() {
+    state.hoverTime = null;
+    scheduleRender();
+  }
+
+  svg.addEventListener('mousemove', handleMouseMove);
+  svg.addEventListener('mouseleave', handleMouseLeave);
+  window.addEventListener('resize', scheduleRender);
+
+  /**
+   * Remove the chart and its listeners
+   */
+  function destroy() {
+    window.removeEventListener('resize', scheduleRender);
+    svg.remove();
+    info.remove();
+  }
+
+  return {
+    setCandles,
+    updateCandle,
+    addPrice,
+    setLines,
+    setMarkers,
+    setMode,
+    render,
+    destroy,
+    getInterval: () => state.interval,
+    getMode: () => state.mode
+  };
+}
+
+// Export public API
+export {
+  CHART_CONFIG,
+  createPriceChart
+};
@@ -2,6 +2,8 @@
 // Socket.IO connection module
 // Handles communication with the backend server
 
+import * as Auth from './auth.js';
+
 // Module state
 const connectionState = {
   socket: null,
@@ -12,6 +14,7 @@ const connectionState = {
 
 /**
  * Initialize socket connection to the backend
+ * Called on first use rather than on import, so the connection carries the login token
  * @returns {Object} Socket.io instance
  */
 function initialize() {
@@ -28,7 +31,8 @@ function initialize() {
   connectionState.socket = io(backendUrl, {
     reconnectionDelayMax: 10000,
     transports: ['websocket', 'polling'], // Allow fallback to polling if WebSocket fails
-    path: '/socket.io'
+    path: '/socket.io',
+    auth: Auth.socketAuth // Login token, checked by the server on every (re)connection
   });
   
   // Set up event handlers
@@ -192,9 +196,6 @@ function notifyEventHandlers(event, data) {
   });
 }
 
-// Initialize the socket connection when this module is imported
-initialize();
-
 // Export public API
 export {
   initialize,
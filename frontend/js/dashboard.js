@@ -5,6 +5,7 @@
 // Import modules
 import * as Cards from './cards.js';
 import * as Connections from './conns.js';
+import * as Auth from './auth.js';
 
 // Dashboard configuration
 const DASHBOARD_CONFIG = {
@@ -12,6 +13,9 @@ const DASHBOARD_CONFIG = {
   AUTO_REFRESH_INTERVAL: 30000,     // 30 seconds (reduced from 60000)
   STAGGERED_LOAD_DELAY: 100,        // 100ms between loading each card's data (reduced from 200)
   HISTORY_ITEMS_LIMIT: 10,          // Limit number of history items to load initially
+  SYMBOLS_RETRY_DELAY: 3000,        // 3 seconds between attempts to load the trading pairs
+  SYMBOLS_MAX_ATTEMPTS: 10,         // Give up loading the trading pairs after this many attempts
+  EXPORT_YEARS: 6,                  // Calendar years offered in the export dialog
   
   // Element selectors
   SELECTORS: {
@@ -29,14 +33,17 @@ const dashboardState = {
   initialized: false,
   autoRefreshInterval: null,
   socket: null,
+  backendUrl: null,
   darkMode: false,
   usdtBalance: 0,
   debug: false,
   serverStatus: {
     connected: false,
     binanceConnected: false,
-    autoTradingEnabled: false
-  }
+    autoTradingEnabled: false,
+    exchangeMode: null
+  },
+  circuitBreaker: null       // Last circuit breaker status from the server
 };
 
 /**
@@ -58,8 +65,8 @@ function initialize() {
     // Set up UI components
     setupUI();
     
-    // Load initial data with a slight delay to ensure connections are established
-    setTimeout(loadInitialData, 1000);
+    // Load the trading pairs, render their cards, then load their data
+    loadSymbols();
     
     // Set up auto-refresh
     setupAutoRefresh();
@@ -89,7 +96,8 @@ function initialize() {
  */
 function initializeSocketConnection() {
   // Determine the backend URL - use import.meta.env for Vite environment variables
-  const backendUrl = import.meta.env.VITE_BACKEND_URL || 'http://localhost:3000';
+  const backendUrl = Auth.getBackendUrl();
+  dashboardState.backendUrl = backendUrl;
   console.log('Connecting to backend WebSocket at:', backendUrl);
   
   // Create the Socket.IO connection with optimized parameters
@@ -97,7 +105,8 @@ function initializeSocketConnection() {
     reconnectionDelayMax: 5000,     // Reduced from 10000 for faster reconnection
     reconnectionAttempts: 10,       // Limit reconnection attempts
     timeout: 10000,                 // Connection timeout in ms
-    transports: ['websocket', 'polling'] // Add polling as fallback for better compatibility
+    transports: ['websocket', 'polling'], // Add polling as fallback for better compatibility
+    auth: Auth.socketAuth           // Login token, checked by the server on every (re)connection
   });
   
   // Initialize Cards module with socket connection
@@ -110,6 +119,7 @@ function initializeSocketConnection() {
     
     // Request initial data after connection
     requestSystemStatus();
+    dashboardState.socket.emit('get-circuit-breaker');
   });
   
   dashboardState.socket.on('disconnect', () => {
@@ -117,6 +127,25 @@ function initializeSocketConnection() {
     updateConnectionStatus(false);
   });
   
+  // A refused handshake isn't retried by Socket.IO - log in again, or retry if the server was starting
+  dashboardState.socket.on('connect_error', (error) => {
+    if (Auth.isUnauthorizedError(error)) {
+      Auth.endSession('Your session has ended, please log in again');
+    } else if (error.data && error.data.code === 'UNAVAILABLE') {
+      setTimeout(() => dashboardState.socket.connect(), DASHBOARD_CONFIG.SYMBOLS_RETRY_DELAY);
+    }
+  });
+  
+  // The login token expired while connected
+  dashboardState.socket.on('session-expired', () => {
+    Auth.endSession('Your session has expired, please log in again');
+  });
+  
+  // The server refused an event the user's role doesn't allow
+  dashboardState.socket.on('unauthorized', (data) => {
+    showNotification(data.error || `Not allowed: ${data.event}`, 'error');
+  });
+  
   dashboardState.socket.on('system-status', (data) => {
     updateSystemStatus(data);
   });
@@ -156,9 +185,7 @@ function initializeSocketConnection() {
       requestAccountInfo();
       
       // Request data for all symbols to update UI
-      const symbols = Cards.CARD_CONFIG.SUPPORTED_CRYPTOS.map(crypto => 
-        `${crypto.symbol.toUpperCase()}USDT`
-      );
+      const symbols = getTradingPairs();
       dashboardState.socket.emit('batch-get-data', { symbols });
     }, 2000);
   });
@@ -168,6 +195,115 @@ function initializeSocketConnection() {
     // Show brief indicator that auto-trading check is occurring
     showAutoTradingActivity();
   });
+  
+  // Real-time balance changes from the Binance user data stream
+  dashboardState.socket.on('balance-update', (data) => {
+    if (!data || !data.balances) return;
+    
+    const symbols = Cards.getSymbols().map(crypto => crypto.symbol);
+    
+    for (const [asset, balance] of Object.entries(data.balances)) {
+      if (asset === 'USDT') {
+        dashboardState.usdtBalance = parseFloat(balance) || 0;
+        updateBalanceDisplay();
+      } else if (symbols.includes(asset)) {
+        Cards.updateCardData(asset, { holdings: parseFloat(balance) || 0 });
+      }
+    }
+  });
+  
+  // Order updates - fills of orders placed outside the bot (e.g. on binance.com)
+  // are recorded by the backend, so reload the cards to show them
+  dashboardState.socket.on('order-update', (data) => {
+    if (!data || data.source !== 'user-stream' || data.isBotOrder) return;
+    
+    if (data.status === 'FILLED') {
+      const symbol = data.symbol.replace('USDT', '');
+      showNotification(`External ${data.side} order filled: ${data.cumulativeQty} ${symbol}`, 'info');
+      loadAllData();
+    }
+  });
+  
+  // A stop-loss sold a position and paused auto-trading for the pair
+  dashboardState.socket.on('stop-loss-triggered', (data) => {
+    const formattedPrice = parseFloat(data.price).toFixed(4);
+    showNotification(`Stop-loss triggered for ${data.symbol}: sold at $${formattedPrice}. Auto-trading for ${data.symbol} is paused.`, 'error');
+  });
+  
+  // The circuit breaker tripped or was acknowledged (by this or another dashboard)
+  dashboardState.socket.on('circuit-breaker-status', (data) => {
+    const wasTripped = dashboardState.circuitBreaker && dashboardState.circuitBreaker.tripped;
+    updateCircuitBreakerStatus(data);
+    
+    if (data && data.tripped && !wasTripped) {
+      showNotification(`Circuit breaker tripped: ${data.reason}. Auto-trading is disabled.`, 'error');
+    }
+  });
+  
+  // Reference prices were reset (by this or another dashboard) - reload the affected cards
+  dashboardState.socket.on('strategy-state-reset', () => {
+    loadAllData();
+  });
+  
+  // A trading pair was added or removed (by this or another dashboard)
+  dashboardState.socket.on('symbols-updated', (data) => {
+    if (!data || !Array.isArray(data.symbols)) return;
+    
+    Cards.setSymbols(data.symbols);
+    renderCards();
+    loadAllData();
+    requestStrategyConfigs();
+  });
+}
+
+/**
+ * Load the trading pairs from the backend and render their cards
+ * Retries while the backend is starting up
+ * @param {number} attempt - The current attempt number
+ */
+async function loadSymbols(attempt = 1) {
+  try {
+    const symbols = await Cards.loadSymbols(dashboardState.backendUrl);
+    console.log(`Loaded ${symbols.length} trading pairs`);
+    
+    renderCards();
+    
+    // Load initial data with a slight delay to ensure connections are established
+    setTimeout(loadInitialData, 1000);
+  } catch (error) {
+    console.error(`Error loading trading pairs (attempt ${attempt}/${DASHBOARD_CONFIG.SYMBOLS_MAX_ATTEMPTS}):`, error);
+    
+    if (attempt < DASHBOARD_CONFIG.SYMBOLS_MAX_ATTEMPTS) {
+      setTimeout(() => loadSymbols(attempt + 1), DASHBOARD_CONFIG.SYMBOLS_RETRY_DELAY);
+    } else {
+      showNotification('Could not load trading pairs from the server', 'error');
+    }
+  }
+}
+
+/**
+ * Render a card for every configured trading pair, replacing the current cards
+ */
+function renderCards() {
+  const cryptoGrid = document.querySelector(DASHBOARD_CONFIG.SELECTORS.CRYPTO_GRID);
+  if (!cryptoGrid) return;
+  
+  // Create all crypto cards
+  const cards = Cards.createAllCards();
+  
+  // Replace the grid contents with the new cards
+  cryptoGrid.innerHTML = '';
+  cards.forEach(card => {
+    cryptoGrid.appendChild(card);
+  });
+}
+
+/**
+ * Get the trading pairs of all cards (e.g. "BTCUSDT")
+ * @returns {Array<string>} The trading pairs
+ */
+function getTradingPairs() {
+  return Cards.getSymbols().map(crypto => `${crypto.symbol.toUpperCase()}USDT`);
 }
 
 /**
@@ -182,13 +318,10 @@ function setupUI() {
     throw new Error('Crypto grid element not found');
   }
   
-  // Create all crypto cards
-  const cards = Cards.createAllCards();
+  // Cards are rendered once the trading pairs are loaded (see loadSymbols)
   
-  // Add all cards to the grid
-  cards.forEach(card => {
-    cryptoGrid.appendChild(card);
-  });
+  // Set up the form for adding trading pairs
+  setupAddSymbolForm(cryptoGrid);
   
   // Set up WebSocket monitor
   setupWebSocketMonitor();
@@ -206,6 +339,69 @@ function setupUI() {
 
   // Set up disclaimer modal events
   setupDisclaimerModal();
+  
+  // Set up the accounting export dialog
+  setupExportDialog();
+}
+
+/**
+ * Set up the form for adding a trading pair below the card grid
+ * @param {HTMLElement} cryptoGrid - The card grid element
+ */
+function setupAddSymbolForm(cryptoGrid) {
+  const formContainer = document.createElement('form');
+  formContainer.id = 'add-symbol-form';
+  formContainer.className = 'add-symbol-form';
+  formContainer.dataset.minRole = 'admin';
+  
+  formContainer.innerHTML = `
+    <span class="add-symbol-label">Add Trading Pair:</span>
+    <input type="text" id="add-symbol-input" placeholder="Symbol (e.g. ADA)" maxlength="15" required>
+    <span class="pair-suffix">/USDT</span>
+    <input type="text" id="add-symbol-name" placeholder="Name (optional)" maxlength="50">
+    <input type="color" id="add-symbol-color" value="${Cards.CARD_CONFIG.DEFAULT_COLOR}" title="Card color">
+    <button type="submit" id="add-symbol-button" class="small-button">Add</button>
+  `;
+  
+  cryptoGrid.parentNode.insertBefore(formContainer, cryptoGrid.nextSibling);
+  
+  formContainer.addEventListener('submit', (e) => {
+    e.preventDefault();
+    
+    const symbolInput = document.getElementById('add-symbol-input');
+    const nameInput = document.getElementById('add-symbol-name');
+    const colorInput = document.getElementById('add-symbol-color');
+    const addButton = document.getElementById('add-symbol-button');
+    
+    const symbol = symbolInput.value.trim().toUpperCase();
+    if (!symbol) return;
+    
+    // Disable button to prevent double-clicks
+    addButton.disabled = true;
+    addButton.textContent = 'Adding...';
+    
+    // Send add request to server and wait for its response - the cards are re-rendered from the symbols-updated broadcast
+    Cards.sendRequest('add-symbol', {
+      symbol,
+      name: nameInput.value.trim() || undefined,
+      color: colorInput.value
+    }, 'symbol-result').then((result) => {
+      addButton.disabled = false;
+      addButton.textContent = 'Add';
+      
+      if (result.unauthorized) {
+        return;
+      }
+      
+      if (result.success) {
+        symbolInput.value = '';
+        nameInput.value = '';
+        showNotification(`Added ${result.symbol.symbol}/USDT`, 'success');
+      } else {
+        showNotification(`Failed to add ${symbol}/USDT: ${result.error}`, 'error');
+      }
+    });
+  });
 }
 
 /**
@@ -226,12 +422,28 @@ function setupWebSocketMonitor() {
         <span class="status-label">Binance API:</span>
         <span class="status-indicator" id="binance-status">Disconnected</span>
       </div>
+      <div class="status-item">
+        <span class="status-label">Exchange:</span>
+        <span class="status-indicator" id="exchange-mode">-</span>
+      </div>
       <div class="status-item">
         <span class="status-label">Auto-Trading:</span>
         <span class="status-indicator" id="auto-trading-status">Disabled</span>
-        <button id="toggle-auto-trading" class="small-button">Enable</button>
+        <button id="toggle-auto-trading" class="small-button" data-min-role="admin">Enable</button>
         <span id="auto-trading-activity" class="activity-indicator" style="display: none;">⚡</span>
       </div>
+      <div class="status-item">
+        <span class="status-label">Circuit Breaker:</span>
+        <span class="status-indicator" id="circuit-breaker-status">-</span>
+      </div>
+      <div class="status-item" data-min-role="admin">
+        <span class="status-label">Strategy State:</span>
+        <button id="reset-all-strategy-state" class="small-button danger">Reset All</button>
+      </div>
+      <div class="status-item">
+        <span class="status-label">Accounting:</span>
+        <button id="open-export" class="small-button">Export CSV</button>
+      </div>
     </div>
   `;
   
@@ -249,9 +461,111 @@ function setupWebSocketMonitor() {
   if (toggleButton) {
     toggleButton.addEventListener('click', () => {
       const newStatus = !dashboardState.serverStatus.autoTradingEnabled;
+      
+      // The server refuses too, but say why right away
+      if (newStatus && dashboardState.circuitBreaker && dashboardState.circuitBreaker.tripped) {
+        showNotification('Acknowledge the circuit breaker before enabling auto-trading', 'error');
+        return;
+      }
+      
       dashboardState.socket.emit('set-auto-trading', { enabled: newStatus });
     });
   }
+  
+  // Set up reset all strategy state button
+  const resetAllButton = document.getElementById('reset-all-strategy-state');
+  if (resetAllButton) {
+    resetAllButton.addEventListener('click', () => {
+      if (!window.confirm('Reset the strategy state of ALL symbols? Every Next Buy, Next Sell and last transaction price is set to 0. Holdings and history are kept.')) {
+        return;
+      }
+      
+      resetAllButton.disabled = true;
+      dashboardState.socket.emit('reset-strategy-state', {});
+      
+      dashboardState.socket.once('reset-strategy-state-result', (result) => {
+        resetAllButton.disabled = false;
+        
+        if (result.success) {
+          showNotification(`Strategy state reset for ${result.symbols.length} symbols`, 'success');
+        } else {
+          showNotification(`Failed to reset strategy state: ${result.error}`, 'error');
+        }
+      });
+    });
+  }
+}
+
+/**
+ * Show the circuit breaker state in the status panel, and a banner while it is tripped
+ * @param {Object} status - Circuit breaker status from the server
+ */
+function updateCircuitBreakerStatus(status) {
+  if (!status) return;
+  
+  dashboardState.circuitBreaker = status;
+  
+  const statusElement = document.getElementById('circuit-breaker-status');
+  if (statusElement) {
+    if (status.tripped) {
+      statusElement.textContent = 'Tripped';
+      statusElement.className = 'status-indicator disconnected';
+    } else {
+      statusElement.textContent = status.enabled ? 'Armed' : 'Off';
+      statusElement.className = status.enabled ? 'status-indicator connected' : 'status-indicator';
+    }
+    
+    const metrics = status.metrics;
+    statusElement.title = metrics
+      ? `Today's P&L: $${metrics.dailyPnl.toFixed(2)} | Drawdown: ${metrics.drawdownPercent.toFixed(2)}% | Trades: ${metrics.tradeCount}`
+      : '';
+  }
+  
+  let banner = document.getElementById('circuit-breaker-banner');
+  if (!status.tripped) {
+    if (banner) banner.remove();
+    return;
+  }
+  
+  if (!banner) {
+    banner = document.createElement('div');
+    banner.id = 'circuit-breaker-banner';
+    banner.className = 'circuit-breaker-banner';
+    banner.innerHTML = `
+      <div class="circuit-breaker-text">
+        <strong>🚨 Circuit breaker tripped - auto-trading is disabled</strong>
+        <span class="circuit-breaker-reason"></span>
+      </div>
+      <button class="small-button danger circuit-breaker-ack" data-min-role="admin">Acknowledge</button>
+    `;
+    
+    const mainContainer = document.querySelector('main') || document.body;
+    mainContainer.insertBefore(banner, mainContainer.firstChild);
+    
+    const ackButton = banner.querySelector('.circuit-breaker-ack');
+    ackButton.addEventListener('click', () => {
+      if (!window.confirm('Acknowledge the circuit breaker? Its limits are counted again from now, and auto-trading can be enabled again.')) {
+        return;
+      }
+      
+      ackButton.disabled = true;
+      dashboardState.socket.emit('acknowledge-circuit-breaker');
+      
+      dashboardState.socket.once('acknowledge-circuit-breaker-result', (result) => {
+        ackButton.disabled = false;
+        
+        if (result.success) {
+          updateCircuitBreakerStatus(result.status);
+          showNotification('Circuit breaker acknowledged. Auto-trading can be enabled again.', 'success');
+        } else {
+          showNotification(`Failed to acknowledge circuit breaker: ${result.error}`, 'error');
+        }
+      });
+    });
+  }
+  
+  const trippedAt = status.trippedAt ? ` (${new Date(status.trippedAt).toLocaleString()})` : '';
+  banner.querySelector('.circuit-breaker-reason').textContent = `${status.reason}${trippedAt}`;
 }
 
 /**
@@ -330,6 +644,27 @@ function updateSystemStatus(statusData) {
   updateConnectionStatus(true); // We received status, so we're connected
   updateBinanceStatus(statusData.binanceConnected);
   updateAutoTradingStatus(statusData.autoTradingEnabled);
+  updateExchangeMode(statusData.exchangeMode);
+  
+  // Fetch the full circuit breaker status if it changed since we last heard
+  const knownTripped = dashboardState.circuitBreaker ? dashboardState.circuitBreaker.tripped : null;
+  if (typeof statusData.circuitBreakerTripped === 'boolean' && statusData.circuitBreakerTripped !== knownTripped) {
+    dashboardState.socket.emit('get-circuit-breaker');
+  }
+}
+
+/**
+ * Show whether orders go to Binance or to the paper trading simulator
+ * @param {string} mode - The exchange mode ('live' or 'paper')
+ */
+function updateExchangeMode(mode) {
+  const modeElement = document.getElementById('exchange-mode');
+  if (modeElement) {
+    modeElement.textContent = mode === 'paper' ? 'Paper Trading' : 'Live';
+    modeElement.className = mode === 'paper' ? 'status-indicator paper' : 'status-indicator live';
+  }
+  
+  dashboardState.serverStatus.exchangeMode = mode;
 }
 
 /**
@@ -361,6 +696,140 @@ function setupDisclaimerModal() {
   }
 }
 
+/**
+ * Set up the dialog for the accounting CSV exports (opened from the status panel)
+ */
+function setupExportDialog() {
+  const openButton = document.getElementById('open-export');
+  if (!openButton) return;
+  
+  const modal = document.createElement('div');
+  modal.id = 'export-modal';
+  modal.className = 'modal';
+  
+  // The last few calendar years, newest first
+  const currentYear = new Date().getUTCFullYear();
+  const yearOptions = Array.from({ length: DASHBOARD_CONFIG.EXPORT_YEARS }, (value, index) => currentYear - index)
+    .map(year => `<option value="${year}">${year}</option>`)
+    .join('');
+  
+  modal.innerHTML = `
+    <div class="modal-content export-content">
+      <span class="close-modal" id="close-export-modal">&times;</span>
+      <h2>Export for Accounting</h2>
+      <form class="modal-body" id="export-form">
+        <div class="settings-row">
+          <label for="export-report">Report</label>
+          <select id="export-report">
+            <option value="trades">All trades (trades.csv)</option>
+            <option value="realized-gains">Realized gains (realized-gains.csv)</option>
+          </select>
+        </div>
+        <div class="settings-row">
+          <label for="export-symbol">Pair</label>
+          <select id="export-symbol"></select>
+        </div>
+        <div class="settings-row">
+          <label for="export-year">Year</label>
+          <select id="export-year">
+            <option value="">Custom range</option>
+            ${yearOptions}
+          </select>
+        </div>
+        <div class="settings-row">
+          <label for="export-from">From</label>
+          <input type="date" id="export-from">
+        </div>
+        <div class="settings-row">
+          <label for="export-to">To</label>
+          <input type="date" id="export-to">
+        </div>
+        <p class="export-note">Leave the dates empty to export everything. Times are UTC; fees, proceeds and cost basis are in USDT.</p>
+        <div class="settings-actions">
+          <button type="submit" class="small-button" id="export-download">Download</button>
+        </div>
+      </form>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  
+  const form = modal.querySelector('#export-form');
+  const symbolSelect = modal.querySelector('#export-symbol');
+  const yearSelect = modal.querySelector('#export-year');
+  const fromInput = modal.querySelector('#export-from');
+  const toInput = modal.querySelector('#export-to');
+  const downloadButton = modal.querySelector('#export-download');
+  
+  openButton.addEventListener('click', () => {
+    // The pairs can change while the dashboard is open
+    symbolSelect.innerHTML = '<option value="">All pairs</option>' + Cards.getSymbols()
+      .map(crypto => `<option value="${crypto.symbol}">${crypto.symbol}/USDT</option>`)
+      .join('');
+    modal.style.display = 'block';
+  });
+  
+  modal.querySelector('#close-export-modal').addEventListener('click', () => {
+    modal.style.display = 'none';
+  });
+  
+  window.addEventListener('click', (event) => {
+    if (event.target === modal) {
+      modal.style.display = 'none';
+    }
+  });
+  
+  // Picking a year fills in its dates; changing a date makes it a custom range
+  yearSelect.addEventListener('change', () => {
+    fromInput.value = yearSelect.value ? `${yearSelect.value}-01-01` : '';
+    toInput.value = yearSelect.value ? `${yearSelect.value}-12-31` : '';
+  });
+  [fromInput, toInput].forEach(input => {
+    input.addEventListener('change', () => {
+      yearSelect.value = '';
+    });
+  });
+  
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    const report = modal.querySelector('#export-report').value;
+    const params = new URLSearchParams();
+    if (symbolSelect.value) params.set('symbol', symbolSelect.value);
+    if (fromInput.value) params.set('from', fromInput.value);
+    if (toInput.value) params.set('to', toInput.value);
+    
+    downloadButton.disabled = true;
+    downloadButton.textContent = 'Exporting...';
+    
+    try {
+      const response = await Auth.authFetch(`${dashboardState.backendUrl}/api/export/${report}.csv?${params}`);
+      if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        throw new Error(result.error || `HTTP ${response.status}`);
+      }
+      
+      // Save the file under the name the server picked
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const match = disposition.match(/filename="([^"]+)"/);
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = match ? match[1] : `${report}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+      
+      modal.style.display = 'none';
+    } catch (error) {
+      showNotification(`Export failed: ${error.message}`, 'error');
+    } finally {
+      downloadButton.disabled = false;
+      downloadButton.textContent = 'Download';
+    }
+  });
+}
+
 /**
  * Set up test action buttons (development mode only)
  */
@@ -505,7 +974,7 @@ function updateDebugInfo() {
   };
   
   // Add crypto prices and holdings
-  Cards.CARD_CONFIG.SUPPORTED_CRYPTOS.forEach(crypto => {
+  Cards.getSymbols().forEach(crypto => {
     const symbol = crypto.symbol;
     info.prices[symbol] = Cards.getPrice(symbol);
     info.holdings[symbol] = Cards.getHolding(symbol);
@@ -525,9 +994,7 @@ function loadInitialData() {
   // Then request batch data for all cryptocurrencies
   setTimeout(() => {
     // Get all symbols
-    const symbols = Cards.CARD_CONFIG.SUPPORTED_CRYPTOS.map(crypto => 
-      `${crypto.symbol.toUpperCase()}USDT`
-    );
+    const symbols = getTradingPairs();
     
     // Request batch data with history limit for faster initial load
     dashboardState.socket.emit('batch-get-data', { 
@@ -537,6 +1004,9 @@ function loadInitialData() {
     
     // Request account info for USDT balance
     requestAccountInfo();
+    
+    // Request the strategy settings shown in each card's settings panel
+    requestStrategyConfigs();
   }, 500); // Reduced from 1000ms
 }
 
@@ -547,10 +1017,9 @@ function loadAllData() {
   // Request system status
   requestSystemStatus();
   
-  // Request batch data for all cryptocurrencies
-  const symbols = Cards.CARD_CONFIG.SUPPORTED_CRYPTOS.map(crypto => 
-    `${crypto.symbol.toUpperCase()}USDT`
-  );
+  // Request batch data for all cryptocurrencies (none until the trading pairs are loaded)
+  const symbols = getTradingPairs();
+  if (symbols.length === 0) return;
   
   // Include history limit like we do for initial load
   dashboardState.socket.emit('batch-get-data', { 
@@ -562,6 +1031,16 @@ function loadAllData() {
   requestAccountInfo();
 }
 
+/**
+ * Request the per-symbol strategy settings from the server
+ * Not part of the auto-refresh so open settings panels aren't overwritten while editing
+ */
+function requestStrategyConfigs() {
+  if (dashboardState.socket && dashboardState.socket.connected) {
+    dashboardState.socket.emit('get-strategy-configs');
+  }
+}
+
 /**
  * Request system status from the server
  */
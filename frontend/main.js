@@ -4,16 +4,22 @@
 // Import module dependencies
 import './style.css';
 import * as Dashboard from './js/dashboard.js';
+import * as Auth from './js/auth.js';
 
 // Main application initialization function
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
   console.log('DOM loaded, initializing application...');
   
-  // Initialize dashboard
-  Dashboard.initialize();
-  
   // Global notification function for use by other modules
   window.showNotification = Dashboard.showNotification;
+  
+  // The dashboard only starts with a valid login
+  if (await Auth.verifySession()) {
+    Auth.showUserMenu();
+    Dashboard.initialize();
+  } else {
+    Auth.showLoginScreen(() => Dashboard.initialize());
+  }
 });
 
 // Export any functions needed for global access